@@ -2,11 +2,20 @@ import { GoogleGenAI, Type } from "@google/genai";
 import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  createSession, addFinding, stageChange, buildReport, writeReport, applyReport,
+  SEVERITIES, CATEGORIES
+} from './report.js';
 
 // npm i fs
 //  npm i path
 
-const ai = new GoogleGenAI({});
+// Created on first use — dry runs with a scripted model need no API key
+let ai = null;
+const geminiModel = {
+  generateContent: (request) => (ai ??= new GoogleGenAI({})).models.generateContent(request)
+};
 
 // ============================================
 // TOOL FUNCTIONS
@@ -52,21 +61,41 @@ async function readFile({ file_path }) {
   return { content };
 }
 
-async function writeFile({ file_path, content }) {
-  fs.writeFileSync(file_path, content, 'utf-8');
-  console.log(`✍️  Fixed: ${file_path}`);
-  return { success: true };
-}
-
 // ============================================
 // TOOL REGISTRY
 // ============================================
+// Built per run: write_file and report_issue record into the session.
+// In dry-run mode write_file only stages a diff — nothing on disk changes.
 
-const tools = {
-  'list_files': listFiles,
-  'read_file': readFile,
-  'write_file': writeFile
-};
+function createTools(session) {
+  return {
+    'list_files': listFiles,
+
+    'read_file': async (args) => {
+      session.filesRead.add(path.resolve(args.file_path));
+      return readFile(args);
+    },
+
+    'write_file': async ({ file_path, content, rationale }) => {
+      const change = stageChange(session, { file_path, content, rationale });
+
+      if (session.dryRun) {
+        console.log(`📝 Staged: ${file_path} (${change.hunks.length} hunks)`);
+        return { success: true, staged: true, hunks: change.hunks.length };
+      }
+
+      fs.writeFileSync(file_path, content, 'utf-8');
+      console.log(`✍️  Fixed: ${file_path}`);
+      return { success: true };
+    },
+
+    'report_issue': async (args) => {
+      const finding = addFinding(session, args);
+      console.log(`🚩 ${finding.severity.toUpperCase()} ${finding.category}: ${finding.file}:${finding.line}`);
+      return { recorded: finding.id };
+    }
+  };
+}
 
 // ============================================
 // TOOL DECLARATIONS
@@ -115,9 +144,46 @@ const writeFileTool = {
       content: {
         type: Type.STRING,
         description: "The fixed/corrected content"
+      },
+      rationale: {
+        type: Type.STRING,
+        description: "Why these changes were made"
+      }
+    },
+    required: ["file_path", "content", "rationale"]
+  }
+};
+
+const reportIssueTool = {
+  name: "report_issue",
+  description: "Record one issue found in a file",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      file_path: {
+        type: Type.STRING,
+        description: "Path to the file with the issue"
+      },
+      line: {
+        type: Type.INTEGER,
+        description: "1-based line number of the issue"
+      },
+      severity: {
+        type: Type.STRING,
+        enum: SEVERITIES,
+        description: "How serious the issue is"
+      },
+      category: {
+        type: Type.STRING,
+        enum: CATEGORIES,
+        description: "Kind of issue"
+      },
+      message: {
+        type: Type.STRING,
+        description: "Short description of the issue"
       }
     },
-    required: ["file_path", "content"]
+    required: ["file_path", "line", "severity", "category", "message"]
   }
 };
 
@@ -125,8 +191,17 @@ const writeFileTool = {
 // MAIN FUNCTION
 // ============================================
 
-export async function runAgent(directoryPath) {
-  console.log(`🔍 Reviewing: ${directoryPath}\n`);
+// options:
+//   dryRun — stage writes as diffs instead of touching files
+//   outDir — where review-report.json / .sarif / review.patch go.
+//            Dry runs default to review-report/ (the report IS the result);
+//            normal runs write one only when asked (null = no report)
+//   model  — anything with generateContent(request) (default: Gemini)
+export async function runAgent(directoryPath, { dryRun = false, outDir = dryRun ? 'review-report' : null, model = geminiModel } = {}) {
+  console.log(`🔍 Reviewing: ${directoryPath}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const session = createSession(directoryPath, { dryRun });
+  const tools = createTools(session);
 
   const History = [{
     role: 'user',
@@ -134,7 +209,7 @@ export async function runAgent(directoryPath) {
   }];
 
   while (true) {
-    const result = await ai.models.generateContent({
+    const result = await model.generateContent({
       model: "gemini-2.5-flash",
       contents: History,
       config: {
@@ -163,8 +238,9 @@ export async function runAgent(directoryPath) {
    - SECURITY: hardcoded secrets, eval(), XSS risks, injection vulnerabilities
    - CODE QUALITY: console.logs, unused code, bad naming, complex logic
 
-4. Use write_file to FIX the issues you found (write corrected code back)
-5. After fixing all files, respond with a summary report in TEXT format
+4. Use report_issue for EVERY issue: file, line, severity (high/medium/low), category
+5. Use write_file to FIX the issues you found (write corrected code back), with a short rationale
+6. After fixing all files, respond with a summary report in TEXT format
 
 **Summary Report Format:**
 📊 CODE REVIEW COMPLETE
@@ -186,7 +262,7 @@ Files Fixed: Y
 
 Be practical and focus on real issues. Actually FIX the code, don't just report.`,
         tools: [{
-          functionDeclarations: [listFilesTool, readFileTool, writeFileTool]
+          functionDeclarations: [listFilesTool, readFileTool, writeFileTool, reportIssueTool]
         }]
       }
     });
@@ -199,7 +275,9 @@ Be practical and focus on real issues. Actually FIX the code, don't just report.
         const { name, args } = functionCall;
         
         console.log(`📌 ${name}`);
-        const toolResponse = await tools[name](args);
+        const toolResponse = tools[name]
+          ? await tools[name](args)
+          : { error: `Unknown tool: ${name}` };
 
         // Add function call to history
         History.push({
@@ -221,13 +299,90 @@ Be practical and focus on real issues. Actually FIX the code, don't just report.
       
     } else {
       console.log('\n' + result.text);
+      session.summaryText = result.text || '';
       break;
     }
   }
+
+  const report = buildReport(session);
+  if (!outDir) return report;
+
+  const files = writeReport(report, outDir);
+  console.log(`\n📄 Report: ${files.json}`);
+  console.log(`📄 SARIF:  ${files.sarif}`);
+  if (dryRun) {
+    console.log(`🩹 Patch:  ${files.patch}`);
+    console.log(`   ${report.summary.hunks} hunks staged — nothing was written. Apply with:`);
+    console.log(`   node agent.js apply ${files.json} --accept all`);
+  }
+  return report;
 }
 
-// node agent.js ../tester
+// ============================================
+// SCRIPTED MODEL (offline runs)
+// ============================================
+// Plays back a JSON list of turns instead of calling Gemini:
+//   [{ "functionCalls": [{ "name": "read_file", "args": {...} }] }, ..., { "text": "summary" }]
+// "{dir}" in any string argument becomes the reviewed directory.
+
+export function createScriptedModel(turns, directory) {
+  let index = 0;
+  const fill = (value) => typeof value === 'string'
+    ? value.replaceAll('{dir}', directory)
+    : Array.isArray(value) ? value.map(fill)
+    : value && typeof value === 'object' ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v)]))
+    : value;
 
-const directory = process.argv[2] || '.';
+  return {
+    generateContent: async () => {
+      const turn = turns[Math.min(index++, turns.length - 1)];
+      return {
+        functionCalls: turn.functionCalls ? fill(turn.functionCalls) : undefined,
+        text: turn.text || ''
+      };
+    }
+  };
+}
+
+// ============================================
+// CLI
+// ============================================
+// node agent.js ../tester [--out review-report]   (fixes files; report only with --out)
+// node agent.js ../tester --dry-run [--out review-report] [--script fixtures/tester-review.json]
+//   (--script replays a recorded model — always a dry run)
+// node agent.js apply review-report/review-report.json [--accept all | --accept app.js#1,utils.js#2]
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function main(args) {
+  if (args[0] === 'apply') {
+    const accept = option(args, '--accept');
+    const results = applyReport(args[1] || 'review-report/review-report.json', {
+      accept: accept === 'all' ? 'all' : accept ? accept.split(',') : null
+    });
+    for (const r of results) {
+      const icon = r.status === 'applied' ? '✅' : r.status === 'conflict' ? '⚠️ ' : '⏭️ ';
+      console.log(`${icon} ${r.file}: ${r.status}${r.applied.length ? ` (${r.applied.join(', ')})` : ''}${r.reason ? ` — ${r.reason}` : ''}`);
+    }
+    return;
+  }
+
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !['--out', '--script'].includes(args[i - 1]));
+  const directory = positional[0] || '.';
+  const script = option(args, '--script');
+  const dryRun = args.includes('--dry-run') || !!script;
+
+  await runAgent(directory, {
+    dryRun,
+    outDir: option(args, '--out') || (dryRun ? 'review-report' : null),
+    model: script ? createScriptedModel(JSON.parse(fs.readFileSync(script, 'utf-8')), directory) : geminiModel
+  });
+}
 
-await runAgent(directory);
\ No newline at end of file
+// Only run when called directly — importing runAgent has no side effects
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await main(process.argv.slice(2));
+}
\ No newline at end of file
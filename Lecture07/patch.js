@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+
+// ============================================
+// LINE DIFF + UNIFIED PATCHES
+// ============================================
+// Every proposed write_file becomes a list of hunks against the
+// original file. Hunks are what the user accepts or rejects, so each
+// one must apply on its own against the ORIGINAL content.
+
+const CONTEXT_LINES = 3;
+
+// Beyond this many line pairs the LCS table gets too big —
+// treat the whole file as one replacement instead
+const MAX_LCS_CELLS = 4_000_000;
+
+// "a\nb" → ["a\n", "b"] — every line keeps its newline, so joining
+// the lines gives back the exact content (trailing newline or not)
+export function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+export function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Edit script: [{ type: 'equal' | 'delete' | 'insert', line }]
+export function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: 'delete', line })),
+      ...newLines.map(line => ({ type: 'insert', line }))
+    ];
+  }
+
+  // lcs[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = oldLines[i] === newLines[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'equal', line: oldLines[i] });
+      i++; j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      ops.push({ type: 'delete', line: oldLines[i++] });
+    } else {
+      ops.push({ type: 'insert', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'delete', line: oldLines[i++] });
+  while (j < m) ops.push({ type: 'insert', line: newLines[j++] });
+  return ops;
+}
+
+// Group the edit script into hunks with a few lines of context.
+// Hunk: { oldStart, oldLines, newStart, newLines, lines: [' a\n', '-b\n', '+c\n'] }
+export function createHunks(oldText, newText, { context = CONTEXT_LINES } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Old/new line number (0-based) in front of each op
+  let oldNo = 0, newNo = 0;
+  const positioned = ops.map(op => {
+    const entry = { ...op, oldNo, newNo };
+    if (op.type !== 'insert') oldNo++;
+    if (op.type !== 'delete') newNo++;
+    return entry;
+  });
+
+  const changed = positioned.map((op, index) => op.type === 'equal' ? -1 : index).filter(index => index >= 0);
+  if (changed.length === 0) return [];
+
+  // Merge changes whose context windows touch
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(positioned.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) last.end = Math.max(last.end, end);
+    else ranges.push({ start, end });
+  }
+
+  return ranges.map(({ start, end }) => {
+    const slice = positioned.slice(start, end + 1);
+    const marker = { equal: ' ', delete: '-', insert: '+' };
+    const oldLines = slice.filter(op => op.type !== 'insert').length;
+    const newLines = slice.filter(op => op.type !== 'delete').length;
+    return {
+      oldStart: slice[0].oldNo + (oldLines > 0 ? 1 : 0),
+      oldLines,
+      newStart: slice[0].newNo + (newLines > 0 ? 1 : 0),
+      newLines,
+      lines: slice.map(op => marker[op.type] + op.line)
+    };
+  });
+}
+
+// Standard unified diff text — `git apply` / `patch -p1` can read it
+export function formatPatch(filePath, hunks) {
+  if (hunks.length === 0) return '';
+  const out = [`--- a/${filePath}`, `+++ b/${filePath}`];
+
+  for (const hunk of hunks) {
+    out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    for (const line of hunk.lines) {
+      if (line.endsWith('\n')) {
+        out.push(line.slice(0, -1));
+      } else {
+        out.push(line, '\\ No newline at end of file');
+      }
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+// Apply a subset of hunks to the ORIGINAL text. Rejected hunks simply
+// leave their part of the file untouched.
+export function applyHunks(oldText, hunks) {
+  const oldLines = splitLines(oldText);
+  const result = [];
+  let cursor = 0; // 0-based index into oldLines
+
+  const sorted = [...hunks].sort((a, b) => a.oldStart - b.oldStart);
+  for (const hunk of sorted) {
+    const start = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    if (start < cursor) throw new Error(`Overlapping hunk at line ${hunk.oldStart}`);
+
+    result.push(...oldLines.slice(cursor, start));
+
+    let position = start;
+    for (const line of hunk.lines) {
+      const marker = line[0];
+      const content = line.slice(1);
+      if (marker === '+') {
+        result.push(content);
+        continue;
+      }
+      if (oldLines[position] !== content) {
+        throw new Error(`Hunk at line ${hunk.oldStart} does not match the original file`);
+      }
+      if (marker === ' ') result.push(content);
+      position++;
+    }
+    cursor = position;
+  }
+
+  result.push(...oldLines.slice(cursor));
+  return result.join('');
+}
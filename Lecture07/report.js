@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { createHunks, formatPatch, applyHunks, hashContent } from './patch.js';
+
+// ============================================
+// REVIEW SESSION
+// ============================================
+// Collects everything one run produces: findings from report_issue
+// and the writes proposed through write_file (as hunks + rationale).
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+export const CATEGORIES = ['security', 'bug', 'quality', 'accessibility', 'compatibility'];
+
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note' };
+
+export function createSession(directory, { dryRun = false } = {}) {
+  return {
+    directory: path.resolve(directory),
+    dryRun,
+    filesRead: new Set(),
+    findings: [],
+    changes: [],
+    summaryText: ''
+  };
+}
+
+// Report paths are relative to the reviewed directory, with '/'
+export function relativePath(session, filePath) {
+  return path.relative(session.directory, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+export function addFinding(session, { file_path, line, severity, category, message }) {
+  const finding = {
+    id: `F${session.findings.length + 1}`,
+    file: relativePath(session, file_path),
+    line: Math.max(1, parseInt(line, 10) || 1),
+    severity: SEVERITIES.includes(severity) ? severity : 'medium',
+    category: CATEGORIES.includes(category) ? category : 'quality',
+    message: String(message || '').trim()
+  };
+  session.findings.push(finding);
+  return finding;
+}
+
+// Stage a proposed write as hunks against what is on disk now.
+// A second write to the same file replaces the first proposal.
+export function stageChange(session, { file_path, content, rationale }) {
+  const file = relativePath(session, file_path);
+  const original = fs.existsSync(file_path) ? fs.readFileSync(file_path, 'utf-8') : '';
+  const previous = session.changes.findIndex(change => change.file === file);
+  const base = previous >= 0 ? session.changes[previous].original : original;
+
+  const hunks = createHunks(base, content).map((hunk, index) => ({
+    id: `${file}#${index + 1}`,
+    accepted: null,
+    ...hunk
+  }));
+
+  const change = {
+    file,
+    rationale: String(rationale || '').trim(),
+    original: base,
+    originalHash: hashContent(base),
+    hunks,
+    patch: formatPatch(file, hunks)
+  };
+
+  if (previous >= 0) session.changes[previous] = change;
+  else session.changes.push(change);
+  return change;
+}
+
+// ============================================
+// REPORTS (JSON + SARIF)
+// ============================================
+
+export function buildReport(session) {
+  const hunkCount = session.changes.reduce((sum, change) => sum + change.hunks.length, 0);
+
+  return {
+    tool: 'lecture07-code-review',
+    generatedAt: new Date().toISOString(),
+    directory: session.directory,
+    mode: session.dryRun ? 'dry-run' : 'applied',
+    summary: {
+      filesAnalyzed: session.filesRead.size,
+      findings: session.findings.length,
+      bySeverity: Object.fromEntries(SEVERITIES.map(s => [s, session.findings.filter(f => f.severity === s).length])),
+      filesChanged: session.changes.filter(change => change.hunks.length > 0).length,
+      hunks: hunkCount
+    },
+    findings: session.findings,
+    // `original` stays in the JSON so apply can check the file hasn't moved on
+    changes: session.changes,
+    modelSummary: session.summaryText
+  };
+}
+
+export function toSarif(report) {
+  const rules = CATEGORIES
+    .filter(category => report.findings.some(f => f.category === category))
+    .map(category => ({ id: category, shortDescription: { text: `${category} issue` } }));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: report.tool, rules } },
+      originalUriBaseIds: {
+        SRCROOT: { uri: `file://${report.directory.split(path.sep).join('/').replace(/\/?$/, '/')}` }
+      },
+      results: report.findings.map(finding => ({
+        ruleId: finding.category,
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: finding.file, uriBaseId: 'SRCROOT' },
+            region: { startLine: finding.line }
+          }
+        }],
+        properties: { id: finding.id, severity: finding.severity, category: finding.category }
+      }))
+    }]
+  };
+}
+
+// review-report.json, review-report.sarif, review.patch
+export function writeReport(report, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = {
+    json: path.join(outDir, 'review-report.json'),
+    sarif: path.join(outDir, 'review-report.sarif'),
+    patch: path.join(outDir, 'review.patch')
+  };
+
+  fs.writeFileSync(files.json, JSON.stringify(report, null, 2));
+  fs.writeFileSync(files.sarif, JSON.stringify(toSarif(report), null, 2));
+  fs.writeFileSync(files.patch, report.changes.map(change => change.patch).join(''));
+  return files;
+}
+
+// ============================================
+// APPLY
+// ============================================
+// accept: 'all', or a list of hunk ids ("app.js#2"). Without it the
+// hunks marked "accepted": true in the JSON are used — so the report
+// can be reviewed and edited by hand before applying.
+
+export function applyReport(reportPath, { accept = null } = {}) {
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
+  const isAccepted = (hunk) => accept === 'all' || (Array.isArray(accept) ? accept.includes(hunk.id) : hunk.accepted === true);
+  const results = [];
+
+  for (const change of report.changes) {
+    const filePath = path.join(report.directory, change.file);
+    const hunks = change.hunks.filter(isAccepted);
+    if (hunks.length === 0) {
+      results.push({ file: change.file, status: 'skipped', applied: [] });
+      continue;
+    }
+
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+    if (hashContent(current) !== change.originalHash) {
+      results.push({ file: change.file, status: 'conflict', applied: [], reason: 'File changed since the review' });
+      continue;
+    }
+
+    fs.writeFileSync(filePath, applyHunks(current, hunks), 'utf-8');
+    results.push({ file: change.file, status: 'applied', applied: hunks.map(h => h.id) });
+  }
+
+  return results;
+}
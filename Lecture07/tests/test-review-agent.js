@@ -0,0 +1,150 @@
+/**
+ * test-review-agent.js — Test the Dry Run, Reports and Hunk-Level Apply (no Gemini)
+ * Run: node tests/test-review-agent.js
+ *
+ * Replays fixtures/tester-review.json (createScriptedModel) against a
+ * throwaway copy of ../tester, then checks: nothing written during the
+ * dry run, review-report.json / .sarif / review.patch, applying some
+ * hunks only, conflicts after the file changed, and that a normal run
+ * writes no report unless outDir is given.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runAgent, createScriptedModel } from '../agent.js';
+import { applyReport } from '../report.js';
+import { applyHunks } from '../patch.js';
+
+// The agent logs every tool call → keep the output to PASS / FAIL lines
+const print = console.log;
+console.log = () => {};
+
+print("\n🧪 TEST: Review Agent Dry Run (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { print(`  ✅ PASS: ${m}`); passed++; } else { print(`  ❌ FAIL: ${m}`); failed++; } }
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const TESTER_DIR = path.join(here, '..', '..', 'tester');
+const turns = JSON.parse(fs.readFileSync(path.join(here, '..', 'fixtures', 'tester-review.json'), 'utf-8'));
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'review-agent-'));
+const originalCwd = process.cwd();
+
+// Fresh copy of the tester project per scenario
+function copyTester(name) {
+  const dir = path.join(tmpRoot, name);
+  fs.cpSync(TESTER_DIR, dir, { recursive: true });
+  return dir;
+}
+
+const snapshot = (dir) => Object.fromEntries(fs.readdirSync(dir).sort().map(f => [f, fs.readFileSync(path.join(dir, f), 'utf-8')]));
+const proposed = (dir, file) => turns
+  .flatMap(t => t.functionCalls || [])
+  .find(c => c.name === 'write_file' && c.args.file_path === `{dir}/${file}`)
+  .args.content;
+
+async function runTest() {
+  // ─── Dry run ─────────────────────────────────────────────
+  print("── Dry run ──");
+
+  const project = copyTester('dry');
+  const before = snapshot(project);
+  const outDir = path.join(tmpRoot, 'report');
+  const report = await runAgent(project, { dryRun: true, outDir, model: createScriptedModel(turns, project) });
+
+  assert(JSON.stringify(snapshot(project)) === JSON.stringify(before), "Dry run leaves every file untouched");
+  assert(report.mode === 'dry-run' && report.summary.filesAnalyzed === 4, "Report: dry-run mode, 4 files analyzed");
+  assert(report.summary.findings === 28 && report.summary.bySeverity.high === 4, "Every report_issue call is a finding");
+  assert(report.summary.filesChanged === 4 && report.summary.hunks === report.changes.reduce((n, c) => n + c.hunks.length, 0),
+    "Hunk count matches the staged changes");
+  assert(report.modelSummary.startsWith('📊 CODE REVIEW COMPLETE'), "Model summary kept");
+
+  print("\n── review-report.json / .sarif / review.patch ──");
+
+  const json = JSON.parse(fs.readFileSync(path.join(outDir, 'review-report.json'), 'utf-8'));
+  assert(json.findings[0].file === 'app.js' && json.findings[0].id === 'F1', "Finding paths relative to the reviewed directory");
+  assert(json.changes.every(c => c.hunks.every((h, i) => h.id === `${c.file}#${i + 1}` && h.accepted === null)),
+    "Hunks have ids and start undecided");
+
+  const sarif = JSON.parse(fs.readFileSync(path.join(outDir, 'review-report.sarif'), 'utf-8'));
+  const run = sarif.runs[0];
+  assert(sarif.version === '2.1.0' && run.results.length === 28, "SARIF 2.1.0 with one result per finding");
+  assert(run.results[0].level === 'error' && run.results[0].locations[0].physicalLocation.region.startLine === 2,
+    "high → error, with the line");
+  assert(run.results.every(r => r.locations[0].physicalLocation.artifactLocation.uriBaseId === 'SRCROOT')
+    && run.originalUriBaseIds.SRCROOT.uri.endsWith('/dry/'), "Locations relative to SRCROOT");
+  assert(run.tool.driver.rules.map(r => r.id).sort().join(',') === 'accessibility,bug,compatibility,quality,security',
+    "One rule per category that occurs");
+
+  const patch = fs.readFileSync(path.join(outDir, 'review.patch'), 'utf-8');
+  assert(patch.includes('--- a/app.js\n+++ b/app.js\n@@ -1,') && patch.includes('+++ b/utils.js'), "Unified diff for every file");
+
+  // ─── Hunk-level apply ────────────────────────────────────
+  print("\n── apply ──");
+
+  const app = json.changes.find(c => c.file === 'app.js');
+  const partial = applyReport(path.join(outDir, 'review-report.json'), { accept: [app.hunks[0].id] });
+  const after = snapshot(project);
+  assert(partial.find(r => r.file === 'app.js').status === 'applied' && partial.find(r => r.file === 'utils.js').status === 'skipped',
+    "Only files with accepted hunks are written");
+  assert(after['app.js'] === applyHunks(before['app.js'], [app.hunks[0]]) && after['app.js'] !== before['app.js'],
+    "app.js gets exactly the accepted hunk");
+  assert(after['utils.js'] === before['utils.js'], "Other files untouched");
+
+  const again = applyReport(path.join(outDir, 'review-report.json'), { accept: 'all' });
+  assert(again.find(r => r.file === 'app.js').status === 'conflict', "File changed since the review → conflict, not a bad merge");
+  assert(snapshot(project)['style.css'] === proposed(project, 'style.css'), "Unchanged files still take all their hunks");
+
+  // Hand-edited report: "accepted": true marks what to apply
+  const edited = copyTester('edited');
+  const editedOut = path.join(tmpRoot, 'edited-report');
+  await runAgent(edited, { dryRun: true, outDir: editedOut, model: createScriptedModel(turns, edited) });
+  const reportPath = path.join(editedOut, 'review-report.json');
+  const saved = JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
+  saved.changes.find(c => c.file === 'utils.js').hunks.forEach(h => { h.accepted = true; });
+  fs.writeFileSync(reportPath, JSON.stringify(saved));
+  applyReport(reportPath);
+  assert(snapshot(edited)['utils.js'] === proposed(edited, 'utils.js') && snapshot(edited)['app.js'] === before['app.js'],
+    "Hunks marked accepted in the JSON are applied, the rest skipped");
+
+  // Two edits far apart → two hunks; accept only the second
+  const split = path.join(tmpRoot, 'split');
+  fs.mkdirSync(split);
+  const lines = Array.from({ length: 30 }, (_, i) => `const line${i + 1} = ${i + 1};`);
+  fs.writeFileSync(path.join(split, 'long.js'), lines.join('\n') + '\n');
+  const fixed = lines.map((l, i) => i === 1 ? 'const line2 = 2; // fixed' : i === 27 ? 'const line28 = 28; // fixed' : l);
+  const splitOut = path.join(tmpRoot, 'split-report');
+  const splitReport = await runAgent(split, { dryRun: true, outDir: splitOut, model: createScriptedModel([
+    { functionCalls: [{ name: 'write_file', args: { file_path: '{dir}/long.js', content: fixed.join('\n') + '\n', rationale: 'Mark lines' } }] },
+    { text: 'done' }
+  ], split) });
+  assert(splitReport.changes[0].hunks.map(h => h.id).join(',') === 'long.js#1,long.js#2', "Distant edits → separate hunks");
+  const [splitResult] = applyReport(path.join(splitOut, 'review-report.json'), { accept: ['long.js#2'] });
+  const splitAfter = fs.readFileSync(path.join(split, 'long.js'), 'utf-8');
+  assert(splitResult.applied.join(',') === 'long.js#2' && splitAfter.includes('line28 = 28; // fixed')
+    && !splitAfter.includes('line2 = 2; // fixed'), "Only the accepted hunk of a file is applied");
+
+  // ─── Normal run ──────────────────────────────────────────
+  print("\n── Normal run ──");
+
+  const live = copyTester('live');
+  process.chdir(tmpRoot);
+  const liveReport = await runAgent(live, { model: createScriptedModel(turns, live) });
+  process.chdir(originalCwd);
+  assert(liveReport.mode === 'applied' && snapshot(live)['app.js'] === proposed(live, 'app.js'), "Files are fixed in place");
+  assert(!fs.existsSync(path.join(tmpRoot, 'review-report')) && !fs.existsSync(path.join(live, 'review-report')),
+    "No review-report/ written unless outDir is given");
+
+  print(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { print("  ❌", err.message); print(err.stack); failed++; })
+  .finally(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
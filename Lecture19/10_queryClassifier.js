@@ -5,7 +5,7 @@
 // RUNS AFTER entity resolution. The classifier now KNOWS what each
 // entity is (Actor, Movie, Genre, etc.) — no guessing.
 //
-// TWO TYPES:
+// THREE TYPES:
 //
 //   "graph" — anything answerable from structured data
 //     - Factual: "Movies directed by Nolan" (Director→Movie)
@@ -19,14 +19,37 @@
 //     - "Recommend something similar to The Matrix"
 //     - "What should I watch if I liked Interstellar?"
 //
-// WHY ONLY TWO?
+//   "hybrid" — a hard constraint AND a fuzzy/semantic part
+//     - "Dark sci-fi movies with Keanu Reeves" (Actor filter + "dark" vibe)
+//     - "Mind-bending thrillers by Nolan"
+//     Both retrievals run and are merged (16_hybridRetrieval.js)
+//
+// WHY NOT JUST TWO?
 //   Factual, descriptive, relationship — all just "traverse the graph".
 //   The graph handler builds the right Cypher based on resolved entities.
 //   Only similarity needs Pinecone (vector search).
+//   But a hard choice between them drops half of a mixed question.
+//
+// CONFIDENCE:
+//   The LLM also returns a confidence (0–1). Below
+//   HYBRID_CONFIDENCE_THRESHOLD (default 0.6, checked at load) the query
+//   is borderline → go hybrid, which never loses either half.
+//   A reply WITHOUT a usable confidence keeps its type (treated as 1) —
+//   a missing field is not a sign of doubt.
 // =====================================================================
 
 import { llm } from "./2_config.js";
 
+const QUERY_TYPES = ["graph", "similarity", "hybrid"];
+const HYBRID_CONFIDENCE_THRESHOLD = validateThreshold(Number(process.env.HYBRID_CONFIDENCE_THRESHOLD || 0.6));
+
+function validateThreshold(threshold) {
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new Error(`Invalid HYBRID_CONFIDENCE_THRESHOLD: ${threshold} (use a number from 0 to 1)`);
+  }
+  return threshold;
+}
+
 async function classifyQuery(query, resolvedEntities) {
   // Build entity context string for the LLM
   const entityContext = resolvedEntities.entities.length > 0
@@ -60,7 +83,16 @@ CLASSIFY the query as ONE of:
    - Examples: "Movies like [Movie]", "Recommend something similar to [Movie]",
      "I liked [Movie], what else should I watch?"
 
-Respond ONLY with JSON: {"type": "graph" or "similarity", "reasoning": "one sentence"}
+3. "hybrid" — BOTH a hard constraint and a fuzzy, taste-based part:
+   - A resolved entity (actor, director, genre...) PLUS a mood, vibe or
+     description that is not a node in the graph
+   - Examples: "Dark sci-fi movies with [Actor]", "Mind-bending films by [Director]",
+     "Feel-good movies like [Movie] from the 90s"
+
+Also give your CONFIDENCE (0.0–1.0) that the type is right.
+Use a low confidence when the query could reasonably go either way.
+
+Respond ONLY with JSON: {"type": "graph" | "similarity" | "hybrid", "confidence": 0.0-1.0, "reasoning": "one sentence"}
 No markdown, no backticks.`;
 
   const response = await llm.invoke([
@@ -77,12 +109,36 @@ No markdown, no backticks.`;
   }
   raw = raw.trim().replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
 
+  let parsed;
   try {
-    return JSON.parse(raw);
+    parsed = JSON.parse(raw);
   } catch (err) {
-    console.warn("⚠️ Classification failed, defaulting to graph");
-    return { type: "graph", reasoning: "Default fallback" };
+    console.warn("⚠️ Classification failed, defaulting to hybrid");
+    return { type: "hybrid", confidence: 0, reasoning: "Default fallback" };
   }
+
+  return applyConfidence(parsed);
+}
+
+/**
+ * Normalize the LLM's answer and send borderline queries to hybrid.
+ * { type, confidence, reasoning, predictedType }
+ */
+function applyConfidence(parsed, threshold = HYBRID_CONFIDENCE_THRESHOLD) {
+  const predictedType = QUERY_TYPES.includes(parsed.type) ? parsed.type : "graph";
+  // Missing / null / "high" → 1 (see CONFIDENCE above); Number(null) would be 0
+  const given = parsed.confidence === null || parsed.confidence === "" ? NaN : Number(parsed.confidence);
+  const confidence = Number.isFinite(given) ? Math.min(1, Math.max(0, given)) : 1;
+
+  const borderline = predictedType !== "hybrid" && confidence < threshold;
+  return {
+    type: borderline ? "hybrid" : predictedType,
+    confidence,
+    reasoning: borderline
+      ? `${parsed.reasoning || ""} (confidence ${confidence} < ${threshold} → hybrid)`.trim()
+      : parsed.reasoning || "",
+    predictedType,
+  };
 }
 
-export { classifyQuery };
+export { classifyQuery, applyConfidence, validateThreshold, QUERY_TYPES, HYBRID_CONFIDENCE_THRESHOLD };
@@ -13,7 +13,9 @@
 //      - No guessing, no assumptions
 //   3. Template system validates + builds safe Cypher
 //   4. Execute on Neo4j (READ-ONLY)
-//   5. LLM formats the answer
+//   5. LLM formats the answer, citing the rows it used ([G1], [G2]...)
+//   6. Returns { answer, provenance } — Cypher, params, cited rows and
+//      names the rows don't back up (19_provenance.js)
 //
 // WHAT QUERIES DOES THIS HANDLE?
 //
@@ -21,6 +23,13 @@
 //     "Movies directed by Nolan" → traversal + filter
 //     "How many sci-fi movies?" → traversal + aggregation
 //     "Action movies with Tom Hardy" → multi-traversal + filter
+//     "Actors who worked with Oscar-winning directors" → multi-hop chain
+//     "Thriller OR Horror but NOT Comedy" → boolean filter groups
+//
+//   Analytical (answered with an aligned table under the prose):
+//     "How many thrillers per decade?" → groupBy decade bucket
+//     "Director with the highest average cast size" → per-movie count, then avg
+//     "Top 5 themes since 2000" → groupBy + sort + limit
 //
 //   Descriptive:
 //     "Tell me about Inception" → get ALL relationships around entity
@@ -32,7 +41,12 @@
 // =====================================================================
 
 import { driver, llm } from "./2_config.js";
-import { buildCypher } from "./8_cypherTemplates.js";
+import { buildCypher, aggregationColumns } from "./8_cypherTemplates.js";
+import { getAliasTable } from "./9_entityResolver.js";
+import { emitProgress, generateAnswer } from "./20_progress.js";
+import {
+  CITATION_INSTRUCTIONS, graphSources, formatSourcesForPrompt, buildAnswerResult,
+} from "./19_provenance.js";
 
 // =====================================================================
 // Step 1: LLM creates query plan WITH resolved entity context
@@ -62,11 +76,29 @@ Relationships: Director-[:DIRECTED]->Movie, Actor-[:ACTED_IN]->Movie, Movie-[:BE
 OUTPUT a JSON plan using ONLY these step types:
 
 1. "traversal": {"type":"traversal","from":"Label","rel":"RELATIONSHIP","to":"Label"}
+   Multi-hop chain (arrow direction is worked out for you):
+   {"type":"traversal","from":"Label","hops":[{"rel":"REL","to":"Label"},{"rel":"REL","to":"Label","as":"alias"}]}
+   - Every label has ONE node by default: two hops that reach Movie mean the SAME movie
+   - Add "as":"someAlias" to a hop for a SECOND, different node of that label,
+     then use "someAlias.property" in filters/projections
+   - Variable-length hop: {"rel":"ACTED_IN","to":"Actor","as":"coStar","minHops":2,"maxHops":4}
+     ("rel" may be a list of relationships; maxHops at most 6)
 2. "filter": {"type":"filter","field":"Label.property","op":"=","value":"some value"}
    Operators: =, <>, >, <, >=, <=, CONTAINS, STARTS WITH
+   Boolean groups: {"type":"filter","or":[cond, cond]}, {"type":"filter","and":[...]}, {"not":cond}
+   (a cond is {"field":...,"op":...,"value":...} or another and/or/not group)
+   Add "via":{"from":"Movie","rel":"BELONGS_TO"} to a cond to test "the movie HAS such a genre"
+   → ALWAYS use "via" for OR/NOT over genres, themes, actors or awards
 3. "projection": {"type":"projection","fields":["Label.property"],"distinct":true/false}
-4. "aggregation": {"type":"aggregation","function":"count","field":"Label.property","alias":"name","groupBy":"Label.property"}
-5. "sort": {"type":"sort","field":"Label.property","direction":"ASC/DESC"}
+4. "aggregation": {"type":"aggregation","groupBy":[...],"aggregates":[...],"having":cond}
+   - groupBy: "Label.property" or {"field":"Movie.year","bucket":"decade"|"century","as":"column"}
+   - aggregates: [{"function":"count|collect|sum|avg|min|max","field":"Label" or "Label.property","distinct":true,"alias":"column"}]
+     ("field":"Movie" counts movies; sum/avg need a number like Movie.year)
+   - per-node value first, then aggregate it ("average cast size"):
+     {"function":"avg","alias":"avg_cast","of":{"function":"count","field":"Actor","distinct":true,"per":"Movie"}}
+   - having: filter on result columns, like filters: {"field":"column","op":">=","value":3} (and/or/not allowed)
+   - Simple form still works: {"type":"aggregation","function":"count","field":"Movie","alias":"total"}
+5. "sort": {"type":"sort","field":"Label.property" or a result column,"direction":"ASC/DESC"}
 6. "limit": {"type":"limit","value":number}
 7. "describe": {"type":"describe","label":"Label","name":"exact node name"}
    → Use this when the user asks "tell me about X" or "who is X" — fetches ALL relationships around that entity
@@ -76,6 +108,10 @@ OUTPUT a JSON plan using ONLY these step types:
 RULES:
 - Award.name = award type (e.g. "Oscar"), Award.category = specific category (e.g. "Best Picture")
 - Always include a projection or aggregation step (unless using describe or path)
+- Only ONE aggregation step; "per X", "by X", "each X", "top N X" questions → groupBy + sort + limit
+- Every label you project, group or aggregate must be reached by a traversal (or be the only label in the plan)
+- After an aggregation, sort only on its result columns
+- Column names: letters, digits and _ only (e.g. "movie_count"), never Cypher words like "count" or "order"
 - Use EXACT node names from the resolved entities above
 - Output ONLY valid JSON. No markdown, no backticks.
 
@@ -112,11 +148,72 @@ EXAMPLES:
   {"type":"path","fromLabel":"Actor","fromName":"Leonardo DiCaprio","toLabel":"Director","toName":"Christopher Nolan"}
 ]}
 
+"Actors who worked with directors who won an Oscar" (Oscar resolved as Award "Oscar"):
+{"steps":[
+  {"type":"traversal","from":"Actor","hops":[
+    {"rel":"ACTED_IN","to":"Movie"},
+    {"rel":"DIRECTED","to":"Director"},
+    {"rel":"DIRECTED","to":"Movie","as":"oscarMovie"},
+    {"rel":"WON","to":"Award"}
+  ]},
+  {"type":"filter","field":"Award.name","op":"=","value":"Oscar"},
+  {"type":"projection","fields":["Actor.name","Director.name"],"distinct":true}
+]}
+
+"Movies that are Thriller or Horror but not Comedy" (all three resolved as Genre):
+{"steps":[
+  {"type":"filter","and":[
+    {"or":[
+      {"field":"Genre.name","op":"=","value":"Thriller","via":{"from":"Movie","rel":"BELONGS_TO"}},
+      {"field":"Genre.name","op":"=","value":"Horror","via":{"from":"Movie","rel":"BELONGS_TO"}}
+    ]},
+    {"not":{"field":"Genre.name","op":"=","value":"Comedy","via":{"from":"Movie","rel":"BELONGS_TO"}}}
+  ]},
+  {"type":"projection","fields":["Movie.title","Movie.year"],"distinct":true}
+]}
+
 "How many sci-fi movies?" (Sci-fi resolved as Genre "Sci-Fi"):
 {"steps":[
   {"type":"traversal","from":"Movie","rel":"BELONGS_TO","to":"Genre"},
   {"type":"filter","field":"Genre.name","op":"=","value":"Sci-Fi"},
   {"type":"aggregation","function":"count","field":"Movie.title","alias":"total_scifi_movies"}
+]}
+
+"How many thrillers per decade?" (Thriller resolved as Genre "Thriller"):
+{"steps":[
+  {"type":"traversal","from":"Movie","rel":"BELONGS_TO","to":"Genre"},
+  {"type":"filter","field":"Genre.name","op":"=","value":"Thriller"},
+  {"type":"aggregation","groupBy":[{"field":"Movie.year","bucket":"decade"}],
+   "aggregates":[{"function":"count","field":"Movie","distinct":true,"alias":"thrillers"}]},
+  {"type":"sort","field":"decade","direction":"ASC"}
+]}
+
+"Which director has the highest average cast size?":
+{"steps":[
+  {"type":"traversal","from":"Director","hops":[{"rel":"DIRECTED","to":"Movie"},{"rel":"ACTED_IN","to":"Actor"}]},
+  {"type":"aggregation","groupBy":["Director.name"],
+   "aggregates":[{"function":"avg","alias":"avg_cast_size","of":{"function":"count","field":"Actor","distinct":true,"per":"Movie"}}]},
+  {"type":"sort","field":"avg_cast_size","direction":"DESC"},
+  {"type":"limit","value":1}
+]}
+
+"Top 5 themes since 2000":
+{"steps":[
+  {"type":"traversal","from":"Movie","rel":"EXPLORES","to":"Theme"},
+  {"type":"filter","field":"Movie.year","op":">=","value":2000},
+  {"type":"aggregation","groupBy":["Theme.name"],
+   "aggregates":[{"function":"count","field":"Movie","distinct":true,"alias":"movie_count"}]},
+  {"type":"sort","field":"movie_count","direction":"DESC"},
+  {"type":"limit","value":5}
+]}
+
+"Directors with at least 3 movies and their first year":
+{"steps":[
+  {"type":"traversal","from":"Director","rel":"DIRECTED","to":"Movie"},
+  {"type":"aggregation","groupBy":["Director.name"],
+   "aggregates":[{"function":"count","field":"Movie","distinct":true,"alias":"movies"},{"function":"min","field":"Movie.year","alias":"first_year"}],
+   "having":{"field":"movies","op":">=","value":3}},
+  {"type":"sort","field":"movies","direction":"DESC"}
 ]}`;
 
   const response = await llm.invoke([
@@ -141,6 +238,18 @@ EXAMPLES:
   }
 }
 
+// Neo4j record → plain object (Integers → numbers)
+function recordToObject(record) {
+  const obj = {};
+  record.keys.forEach((key) => {
+    const value = record.get(key);
+    obj[key] = typeof value === "object" && value?.toNumber
+      ? value.toNumber()
+      : value;
+  });
+  return obj;
+}
+
 // =====================================================================
 // DESCRIBE: Get ALL relationships around an entity
 // =====================================================================
@@ -240,22 +349,13 @@ async function executeDescribe(label, name) {
         break;
 
       default:
-        return [{ error: `Unknown label: ${label}` }];
+        return { cypher: null, params, records: [{ error: `Unknown label: ${label}` }] };
     }
 
     console.log(`   🔒 Describe Cypher: ${cypher.replace(/\s+/g, " ").trim()}`);
 
     const result = await session.run(cypher, params);
-    return result.records.map((record) => {
-      const obj = {};
-      record.keys.forEach((key) => {
-        const value = record.get(key);
-        obj[key] = typeof value === "object" && value?.toNumber
-          ? value.toNumber()
-          : value;
-      });
-      return obj;
-    });
+    return { cypher, params, records: result.records.map(recordToObject) };
   } finally {
     await session.close();
   }
@@ -288,16 +388,21 @@ async function executePath(fromLabel, fromName, toLabel, toName) {
 
     console.log(`   🔒 Path Cypher: ${cypher.replace(/\s+/g, " ").trim()}`);
 
-    const result = await session.run(cypher, { fromName, toName });
+    const params = { fromName, toName };
+    const result = await session.run(cypher, params);
 
     if (result.records.length === 0) {
-      return [{ error: `No connection found between ${fromName} and ${toName}` }];
+      return { cypher, params, records: [{ error: `No connection found between ${fromName} and ${toName}` }] };
     }
 
-    return result.records.map((record) => ({
-      pathNodes: record.get("pathNodes"),
-      pathRels: record.get("pathRels"),
-    }));
+    return {
+      cypher,
+      params,
+      records: result.records.map((record) => ({
+        pathNodes: record.get("pathNodes"),
+        pathRels: record.get("pathRels"),
+      })),
+    };
   } finally {
     await session.close();
   }
@@ -307,7 +412,15 @@ async function executePath(fromLabel, fromName, toLabel, toName) {
 // Execute template-based Cypher (factual queries)
 // =====================================================================
 async function executeTemplateCypher(plan) {
-  const { cypher, params } = buildCypher(plan);
+  let built;
+  try {
+    built = buildCypher(plan);
+  } catch (err) {
+    emitProgress("validation", { ok: false, error: err.message });
+    throw err;
+  }
+  emitProgress("validation", { ok: true });
+  const { cypher, params } = built;
   console.log(`   🔒 Cypher: ${cypher}`);
   console.log(`   🔒 Params:`, params);
 
@@ -315,83 +428,143 @@ async function executeTemplateCypher(plan) {
 
   try {
     const result = await session.run(cypher, params);
-    return result.records.map((record) => {
-      const obj = {};
-      record.keys.forEach((key) => {
-        const value = record.get(key);
-        obj[key] = typeof value === "object" && value?.toNumber
-          ? value.toNumber()
-          : value;
-      });
-      return obj;
-    });
+    return { cypher, params, records: result.records.map(recordToObject) };
   } finally {
     await session.close();
   }
 }
 
 // =====================================================================
-// MAIN: Handle any graph query
+// RETRIEVE: plan + execute, no answer formatting
 // =====================================================================
-async function handleGraphQuery(query, resolvedEntities) {
+// Shared by handleGraphQuery and the hybrid path (16_hybridRetrieval.js)
+// → { plan, records, cypher: [{ cypher, params }] }
+async function retrieveGraphRecords(query, resolvedEntities) {
   // Step 1: LLM creates a plan (with resolved entity context)
   console.log("   📋 Creating query plan...");
   const plan = await createQueryPlan(query, resolvedEntities);
   console.log("   📋 Plan:", JSON.stringify(plan, null, 2));
+  emitProgress("plan", { plan });
 
   // Step 2: Execute based on plan type
-  let records;
+  let executed;
   const firstStep = plan.steps[0];
 
   if (firstStep.type === "describe") {
     // Descriptive: get all relationships around entity
     console.log(`   🗄️  Describing ${firstStep.label}: "${firstStep.name}"...`);
-    records = await executeDescribe(firstStep.label, firstStep.name);
+    executed = await executeDescribe(firstStep.label, firstStep.name);
   } else if (firstStep.type === "path") {
     // Relationship: find path between two entities
     console.log(`   🗄️  Finding path: ${firstStep.fromName} → ${firstStep.toName}...`);
-    records = await executePath(
+    executed = await executePath(
       firstStep.fromLabel, firstStep.fromName,
       firstStep.toLabel, firstStep.toName
     );
   } else {
     // Factual: template-based Cypher
     console.log("   🗄️  Querying Neo4j...");
-    records = await executeTemplateCypher(plan);
+    executed = await executeTemplateCypher(plan);
   }
 
+  const { cypher, params, records } = executed;
+  const executedCypher = cypher ? [{ cypher: cypher.replace(/\s+/g, " ").trim(), params }] : [];
+  executedCypher.forEach((c) => emitProgress("cypher", c));
+  emitProgress("retrieval", { source: "graph", count: records.filter((r) => !r?.error).length });
+  return { plan, records, cypher: executedCypher };
+}
+
+// =====================================================================
+// TABLES: grouped aggregation results
+// =====================================================================
+// [{ decade: 1990, thrillers: 12 }, ...] →
+//   | decade | thrillers |
+//   |-------:|----------:|
+//   |   1990 |        12 |
+// Numbers are right-aligned, averages get 2 decimals.
+// =====================================================================
+const MAX_TABLE_ROWS = 25;
+
+function formatCell(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "number") return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  if (Array.isArray(value)) return value.map(formatCell).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+function renderTable(records, maxRows = MAX_TABLE_ROWS) {
+  const columns = Object.keys(records[0]);
+  const shown = records.slice(0, maxRows);
+  const rows = shown.map((record) => columns.map((c) => formatCell(record[c])));
+  const numeric = columns.map((c) => shown.every((record) => record[c] == null || typeof record[c] === "number"));
+  const widths = columns.map((c, i) => Math.max(c.length, 3, ...rows.map((row) => row[i].length)));
+
+  const line = (cells) =>
+    `| ${cells.map((cell, i) => (numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))).join(" | ")} |`;
+  const rule = `|${widths.map((w, i) => (numeric[i] ? `${"-".repeat(w + 1)}:` : "-".repeat(w + 2))).join("|")}|`;
+
+  const lines = [line(columns), rule, ...rows.map(line)];
+  if (records.length > shown.length) lines.push(`… and ${records.length - shown.length} more rows`);
+  return lines.join("\n");
+}
+
+// Grouped aggregation ("per decade", "top 5 themes") → the rows ARE the answer
+function isTabular(plan, records) {
+  const aggregation = plan.steps.find((step) => step.type === "aggregation");
+  if (!aggregation || records.length === 0 || Object.keys(records[0]).length < 2) return false;
+  return aggregationColumns(aggregation).some((column) => column.kind === "group");
+}
+
+// =====================================================================
+// MAIN: Handle any graph query
+// =====================================================================
+// → { answer, provenance } (see 19_provenance.js)
+async function handleGraphQuery(query, resolvedEntities) {
+  const { plan, records, cypher } = await retrieveGraphRecords(query, resolvedEntities);
+
   console.log(`   🗄️  Got ${records.length} results`);
 
   // Step 3: LLM formats the answer
   if (records.length === 0 || records[0]?.error) {
     const errorMsg = records[0]?.error || "No results found";
-    return `I couldn't find an answer: ${errorMsg}`;
+    return buildAnswerResult(`I couldn't find an answer: ${errorMsg}`, { handler: "graph", cypher });
   }
 
+  // Every row the LLM sees gets an id it can cite
+  const sources = graphSources(records);
+
+  // Analytical results → aligned table under a short summary
+  const table = isTabular(plan, records) ? renderTable(records) : null;
+  if (table) emitProgress("table", { columns: Object.keys(records[0]), rows: records.length, table });
+
   const responsePrompt = `Given the question and database results, provide a clear, natural language answer.
 Do NOT mention databases, Cypher, JSON, or technical details.
 Do NOT return any JSON. Only return plain English text.
-Be informative and thorough — include all relevant details from the results.
+${table
+    ? "The full results are shown to the user as a table right below your answer — summarize the key findings in 2-3 sentences instead of listing every row."
+    : "Be informative and thorough — include all relevant details from the results."}
+${CITATION_INSTRUCTIONS}
 
 Question: ${query}
 
 Database Results:
-${JSON.stringify(records.slice(0, 50), null, 2)}
-${records.length > 50 ? `\n... and ${records.length - 50} more results` : ""}`;
+${formatSourcesForPrompt(sources)}
+${records.length > sources.length ? `\n... and ${records.length - sources.length} more results` : ""}`;
 
-  const response = await llm.invoke([
+  // Streams tokens when someone is listening (21_apiServer.js)
+  const answer = await generateAnswer([
     { role: "system", content: "You are a helpful movie assistant. Respond ONLY in plain English text. Never respond with JSON or code." },
     { role: "human", content: responsePrompt },
   ]);
 
-  let answer = response.content;
-  if (Array.isArray(answer)) {
-    answer = answer
-      .filter((block) => typeof block === "string" || block.type === "text")
-      .map((block) => (typeof block === "string" ? block : block.text))
-      .join("\n");
-  }
-  return answer.trim();
+  return buildAnswerResult(table ? `${answer}\n\n${table}` : answer, {
+    handler: "graph",
+    cypher,
+    sources,
+    aliasTable: await getAliasTable(),
+    context: [query, ...resolvedEntities.entities.map((e) => e.nodeName)],
+  });
 }
 
-export { handleGraphQuery };
\ No newline at end of file
+export { handleGraphQuery, retrieveGraphRecords, createQueryPlan, renderTable };
\ No newline at end of file
@@ -4,18 +4,34 @@
 //
 // FLOW:
 //   Step 1: From resolved entities, find the Movie (already resolved!)
-//   Step 2: Embed movie name → Pinecone → top 50 candidates
-//   Step 3: Neo4j → get source movie's genres
-//   Step 4: Extract movie names from top 50 chunks
-//   Step 5: Neo4j → which of those 50 share the same genres?
-//   Step 6: LLM → pick top 10 from genre-matched list
+//   Step 2: Neo4j → get source movie's genres & themes
+//   Step 3: Embed movie name → Pinecone with a METADATA FILTER
+//           (shares a genre + year/genre/actor limits from the query,
+//           see 17_vectorIndex.js) → only matching candidates come back
+//   Step 4: LLM → pick top 10 from the filtered list, citing the
+//           source movie facts [G1] and the chunks [V1..] it used
+//           → { answer, provenance } (19_provenance.js)
+//
+//   Index built before vectors had metadata? The filtered query returns
+//   nothing → old path: unfiltered top 50, then Neo4j genre filter.
+//
+//   With a user profile (28_userProfiles.js): watched / disliked movies
+//   are dropped and the candidates re-ranked by the user's taste before
+//   Step 4 → each pick says "because you liked …".
 //
 // WHY resolved entities help:
 //   "Movies like Inception" → entity resolver already confirmed
 //   Inception = Movie "Inception" in the graph. No extra LLM call needed.
 // =====================================================================
 
-import { llm, embedText, pineconeIndex, driver } from "./2_config.js";
+import { embedText, driver } from "./2_config.js";
+import { vectorIndex, buildMetadataFilter, extractFilterCriteria } from "./17_vectorIndex.js";
+import { getAliasTable } from "./9_entityResolver.js";
+import { emitProgress, generateAnswer } from "./20_progress.js";
+import { hasTaste, buildTaste, rankForProfile } from "./28_userProfiles.js";
+import {
+  CITATION_INSTRUCTIONS, graphSources, vectorSources, formatSourcesForPrompt, buildAnswerResult,
+} from "./19_provenance.js";
 
 /**
  * Extract movie title from a raw chunk text.
@@ -27,151 +43,276 @@ function extractTitleFromChunk(chunkText) {
 }
 
 /**
- * Neo4j: Get genres of a specific movie.
+ * Neo4j: run a READ query. Every executed query is appended to
+ * `cypherLog` (when given) → ends up in the answer's provenance.
  */
-async function getMovieGenres(movieTitle) {
+async function runRead(cypher, params, cypherLog = null) {
+  const executed = { cypher: cypher.replace(/\s+/g, " ").trim(), params };
+  cypherLog?.push(executed);
+  emitProgress("cypher", executed);
   const session = driver.session({ defaultAccessMode: "READ" });
   try {
-    const result = await session.run(
-      `MATCH (m:Movie)-[:BELONGS_TO]->(g:Genre)
-       WHERE m.title = $title
-       RETURN g.name AS genre`,
-      { title: movieTitle }
-    );
-    return result.records.map((r) => r.get("genre"));
+    return (await session.run(cypher, params)).records;
   } finally {
     await session.close();
   }
 }
 
+/**
+ * Neo4j: Get genres of a specific movie.
+ */
+async function getMovieGenres(movieTitle, cypherLog = null) {
+  const records = await runRead(
+    `MATCH (m:Movie)-[:BELONGS_TO]->(g:Genre)
+     WHERE m.title = $title
+     RETURN g.name AS genre`,
+    { title: movieTitle },
+    cypherLog
+  );
+  return records.map((r) => r.get("genre"));
+}
+
 /**
  * Neo4j: Get themes of a specific movie.
  */
-async function getMovieThemes(movieTitle) {
-  const session = driver.session({ defaultAccessMode: "READ" });
-  try {
-    const result = await session.run(
-      `MATCH (m:Movie)-[:EXPLORES]->(t:Theme)
-       WHERE m.title = $title
-       RETURN t.name AS theme`,
-      { title: movieTitle }
-    );
-    return result.records.map((r) => r.get("theme"));
-  } finally {
-    await session.close();
-  }
+async function getMovieThemes(movieTitle, cypherLog = null) {
+  const records = await runRead(
+    `MATCH (m:Movie)-[:EXPLORES]->(t:Theme)
+     WHERE m.title = $title
+     RETURN t.name AS theme`,
+    { title: movieTitle },
+    cypherLog
+  );
+  return records.map((r) => r.get("theme"));
 }
 
 /**
  * Neo4j: From a list of movie titles, find which ones share
  * at least one genre with the source genres.
  */
-async function filterByGenre(movieTitles, sourceGenres) {
-  const session = driver.session({ defaultAccessMode: "READ" });
-  try {
-    const result = await session.run(
-      `MATCH (m:Movie)-[:BELONGS_TO]->(g:Genre)
-       WHERE m.title IN $titles
-       WITH m, collect(g.name) AS genres
-       WHERE any(genre IN genres WHERE genre IN $sourceGenres)
-       RETURN m.title AS title, genres`,
-      { titles: movieTitles, sourceGenres }
-    );
-    return result.records.map((r) => ({
-      title: r.get("title"),
-      genres: r.get("genres"),
-    }));
-  } finally {
-    await session.close();
+async function filterByGenre(movieTitles, sourceGenres, cypherLog = null) {
+  const records = await runRead(
+    `MATCH (m:Movie)-[:BELONGS_TO]->(g:Genre)
+     WHERE m.title IN $titles
+     WITH m, collect(g.name) AS genres
+     WHERE any(genre IN genres WHERE genre IN $sourceGenres)
+     RETURN m.title AS title, genres`,
+    { titles: movieTitles, sourceGenres },
+    cypherLog
+  );
+  return records.map((r) => ({
+    title: r.get("title"),
+    genres: r.get("genres"),
+  }));
+}
+
+/**
+ * Neo4j: taste features (genres, themes, actors, directors) per movie.
+ * → { title → { genres, themes, actors, directors } }
+ */
+async function getMovieFeatures(movieTitles, cypherLog = null) {
+  if (movieTitles.length === 0) return {};
+  const records = await runRead(
+    `MATCH (m:Movie) WHERE m.title IN $titles
+     RETURN m.title AS title,
+       [(m)-[:BELONGS_TO]->(g:Genre) | g.name] AS genres,
+       [(m)-[:EXPLORES]->(t:Theme) | t.name] AS themes,
+       [(a:Actor)-[:ACTED_IN]->(m) | a.name] AS actors,
+       [(d:Director)-[:DIRECTED]->(m) | d.name] AS directors`,
+    { titles: movieTitles },
+    cypherLog
+  );
+  return Object.fromEntries(records.map((r) => [r.get("title"), {
+    genres: r.get("genres"),
+    themes: r.get("themes"),
+    actors: r.get("actors"),
+    directors: r.get("directors"),
+  }]));
+}
+
+/**
+ * Re-rank candidates for the user's profile (no ratings → unchanged).
+ * One Neo4j round trip for the rated movies + the candidates.
+ */
+async function personalize(candidates, profile, cypherLog = null) {
+  if (!hasTaste(profile)) return candidates;
+  const rated = [...profile.liked, ...profile.disliked];
+  const features = await getMovieFeatures([...rated, ...candidates.map((c) => c.title).filter(Boolean)], cypherLog);
+  const ranked = rankForProfile(candidates, profile, { taste: buildTaste(profile, features), features });
+  console.log(
+    `   👤 Profile "${profile.id}": ${candidates.length - ranked.length} already seen, ` +
+    `${ranked.filter((c) => c.reason).length} match your taste`
+  );
+  emitProgress("personalization", {
+    profile: profile.id,
+    excluded: candidates.length - ranked.length,
+    top: ranked.slice(0, 10).map(({ title, tasteScore, reason }) => ({ title, tasteScore, reason })),
+  });
+  return ranked;
+}
+
+// "[V3] because you liked …" lines for the prompt + the rules for them
+// (ranked[i] is the candidate behind sources[i])
+function tasteNotes(sources, ranked, profile) {
+  if (!hasTaste(profile)) return "";
+  const notes = sources
+    .map((src, i) => (ranked[i].reason ? `[${src.id}] ${ranked[i].reason}` : null))
+    .filter(Boolean);
+  return `
+
+The movies are ordered by how well they fit THIS user's taste — prefer earlier ones.
+When a movie has a note below, end its explanation with that note.
+${notes.join("\n") || "(no notes)"}`;
+}
+
+/**
+ * Title of a Pinecone match — from metadata when the vector has it,
+ * otherwise parsed from the chunk text (vectors indexed before metadata).
+ */
+function titleOfMatch(match) {
+  return match.metadata?.title || extractTitleFromChunk(match.metadata?.text || "");
+}
+
+/**
+ * Pinecone: embed any text → ranked movie candidates, one per title.
+ * Best-scoring chunk wins when a movie has several.
+ * `filter` is a Pinecone metadata filter (17_vectorIndex.js) or null.
+ * Used by the hybrid path (16_hybridRetrieval.js).
+ */
+async function retrieveVectorCandidates(text, { topK = 50, filter = null } = {}) {
+  const queryVector = await embedText(text);
+  const searchResults = await vectorIndex.query({
+    vector: queryVector,
+    topK,
+    includeMetadata: true,
+    ...(filter ? { filter } : {}),
+  });
+
+  const seen = new Set();
+  const candidates = [];
+  for (const match of searchResults.matches || []) {
+    const title = titleOfMatch(match);
+    if (!title || seen.has(title.toLowerCase())) continue;
+    seen.add(title.toLowerCase());
+    candidates.push({
+      id: match.id,
+      title,
+      text: match.metadata?.text || "",
+      score: match.score,
+      genres: match.metadata?.genres || null,
+    });
   }
+  return candidates;
 }
 
 /**
  * Main similarity handler.
  * Receives resolved entities from the universal flow.
+ * options.profile → personalized ranking (28_userProfiles.js)
+ * → { answer, provenance }
  */
-async function handleSimilarityQuery(query, resolvedEntities) {
+async function handleSimilarityQuery(query, resolvedEntities, { profile = null } = {}) {
+  const cypherLog = [];
+  const trace = {
+    cypherLog,
+    context: [query, ...resolvedEntities.entities.map((e) => e.nodeName)],
+    profile,
+  };
+  const result = async (answer, sources = []) => buildAnswerResult(answer, {
+    handler: "similarity",
+    cypher: cypherLog,
+    sources,
+    aliasTable: sources.length > 0 ? await getAliasTable() : null,
+    context: trace.context,
+  });
+
   // ── Step 1: Find the source movie from resolved entities ──
   // Entity resolver already searched Neo4j, so we know exactly what it is
   const movieEntity = resolvedEntities.entities.find(
     (e) => e.label === "Movie"
   );
 
+  // Year / genre / actor limits stated in the query
+  const criteria = extractFilterCriteria(query, resolvedEntities);
+
   if (!movieEntity) {
     // No movie found in resolved entities → fallback to pure vector search
     console.log("   ⚠️ No movie entity resolved. Falling back to vector search...");
-    return await fallbackVectorSearch(query);
+    return await fallbackVectorSearch(query, buildMetadataFilter(criteria), trace);
   }
 
   const movieName = movieEntity.nodeName;
   console.log(`   🎬 Finding movies similar to: "${movieName}"`);
 
-  // ── Step 2: Pinecone → top 50 candidates ──
-  console.log("   📐 Searching Pinecone (top 50)...");
-  const queryVector = await embedText(movieName);
-
-  const searchResults = await pineconeIndex.query({
-    vector: queryVector,
-    topK: 50,
-    includeMetadata: true,
-  });
-
-  if (!searchResults.matches || searchResults.matches.length === 0) {
-    return "I couldn't find any similar movies.";
-  }
-
-  console.log(`   ✅ Got ${searchResults.matches.length} candidates from Pinecone`);
-
-  // ── Step 3: Neo4j → get source movie's genres & themes ──
+  // ── Step 2: Neo4j → get source movie's genres & themes ──
   console.log("   🗄️  Getting source movie genres from Neo4j...");
-  const sourceGenres = await getMovieGenres(movieName);
-  const sourceThemes = await getMovieThemes(movieName);
+  const sourceGenres = await getMovieGenres(movieName, cypherLog);
+  const sourceThemes = await getMovieThemes(movieName, cypherLog);
   console.log(`   ✅ Genres: [${sourceGenres.join(", ")}]`);
   console.log(`   ✅ Themes: [${sourceThemes.join(", ")}]`);
+  emitProgress("similarity", { source: movieName, genres: sourceGenres, themes: sourceThemes, criteria });
 
   if (sourceGenres.length === 0) {
     console.warn(`   ⚠️ No genres found for "${movieName}". Using vector results only.`);
-    return await fallbackVectorSearch(query);
+    return await fallbackVectorSearch(query, buildMetadataFilter(criteria), trace);
   }
 
-  // ── Step 4: Extract movie names from top 50 chunks ──
-  const candidateTitles = [];
-  const chunkMap = {}; // title → chunk text
-
-  for (const match of searchResults.matches) {
-    const title = extractTitleFromChunk(match.metadata.text);
-    if (title && title.toLowerCase() !== movieName.toLowerCase()) {
-      candidateTitles.push(title);
-      chunkMap[title] = match.metadata.text;
+  // ── Step 3: Pinecone with the filter pushed into the query ──
+  // Genres named in the query narrow it further; otherwise any genre
+  // shared with the source movie qualifies
+  const filter = buildMetadataFilter({
+    ...criteria,
+    includeGenres: criteria.includeGenres.length > 0 ? criteria.includeGenres : sourceGenres,
+  });
+  console.log(`   📐 Searching ${vectorIndex.name} (top 50, filter: ${JSON.stringify(filter)})...`);
+  const filtered = (await retrieveVectorCandidates(movieName, { topK: 50, filter }))
+    .filter((c) => c.title.toLowerCase() !== movieName.toLowerCase());
+  emitProgress("retrieval", { source: "vector", filter, count: filtered.length });
+
+  let genreMatched;
+  if (filtered.length > 0) {
+    console.log(`   ✅ ${filtered.length} movies match the filter`);
+    genreMatched = filtered.map((c) => ({ ...c, genres: c.genres || [] }));
+  } else {
+    // ── Fallback: vectors without metadata → genre filter in Neo4j ──
+    console.log("   ⚠️ No filtered matches (index without metadata?). Filtering in Neo4j instead...");
+    const candidates = (await retrieveVectorCandidates(movieName, { topK: 50 }))
+      .filter((c) => c.title.toLowerCase() !== movieName.toLowerCase());
+
+    emitProgress("retrieval", { source: "vector", filter: null, count: candidates.length });
+    if (candidates.length === 0) {
+      return result("I couldn't find any similar movies.");
     }
-  }
+    console.log(`   ✅ Got ${candidates.length} candidates from ${vectorIndex.name}`);
 
-  console.log(`   ✅ Extracted ${candidateTitles.length} movie titles from chunks`);
+    const byTitle = Object.fromEntries(candidates.map((c) => [c.title, c]));
+    genreMatched = (await filterByGenre(candidates.map((c) => c.title), sourceGenres, cypherLog))
+      .map((m) => ({ ...byTitle[m.title], genres: m.genres }));
+    console.log(`   ✅ ${genreMatched.length} movies share at least one genre`);
+  }
 
-  // ── Step 5: Neo4j → filter by genre match ──
-  console.log("   🗄️  Filtering by genre in Neo4j...");
-  const genreMatched = await filterByGenre(candidateTitles, sourceGenres);
-  console.log(`   ✅ ${genreMatched.length} movies share at least one genre`);
+  if (genreMatched.length === 0) {
+    return result(`I found movies in the database but none share genres with "${movieName}" (${sourceGenres.join(", ")}). Try a broader search.`);
+  }
 
+  genreMatched = await personalize(genreMatched, profile, cypherLog);
   if (genreMatched.length === 0) {
-    return `I found movies in the database but none share genres with "${movieName}" (${sourceGenres.join(", ")}). Try a broader search.`;
+    return result(`You've already seen every movie I found that is similar to "${movieName}".`);
   }
 
-  // ── Step 6: LLM → pick top 10 with reasoning ──
+  // ── Step 4: LLM → pick top 10 with reasoning ──
   console.log("   🤖 LLM selecting top 10...");
 
-  const candidateList = genreMatched.map((m) => ({
-    title: m.title,
-    genres: m.genres.join(", "),
-    chunkText: chunkMap[m.title] || "",
-  }));
+  // [G1] = source movie facts, [V1..] = candidate chunks
+  const sourceFacts = graphSources([{ title: movieName, genres: sourceGenres, themes: sourceThemes }]);
+  const candidateSources = vectorSources(genreMatched);
+  const genresById = Object.fromEntries(candidateSources.map((src, i) => [src.id, genreMatched[i].genres.join(", ")]));
 
   const prompt = `The user wants movies similar to: "${movieName}"
-  - Genres: ${sourceGenres.join(", ")}
-  - Themes: ${sourceThemes.join(", ")}
+${formatSourcesForPrompt(sourceFacts)}
 
-Here are ${candidateList.length} movies that share at least one genre:
-${candidateList.map((c) => `- ${c.title} [Genres: ${c.genres}]\n  Info: ${c.chunkText}`).join("\n\n")}
+Here are ${candidateSources.length} movies that share at least one genre:
+${candidateSources.map((c) => `[${c.id}] ${c.title} [Genres: ${genresById[c.id]}]\n  Info: ${c.text}`).join("\n\n")}${tasteNotes(candidateSources, genreMatched, profile)}
 
 Pick the 10 BEST matches. Rank by:
 1. Genre overlap (most important)
@@ -180,64 +321,76 @@ Pick the 10 BEST matches. Rank by:
 
 For each pick, explain in 1-2 sentences WHY it's similar.
 Do NOT mention databases, vectors, scores, or technical terms.
-Format as a numbered list.`;
+Format as a numbered list.
+${CITATION_INSTRUCTIONS}`;
 
-  const response = await llm.invoke([
+  const answer = await generateAnswer([
     { role: "system", content: "You are a movie recommendation expert. Respond ONLY with a numbered list of movie recommendations with short explanations. Never respond with JSON." },
     { role: "human", content: prompt },
   ]);
-  let answer = response.content;
-  if (Array.isArray(answer)) {
-    answer = answer
-      .filter((block) => typeof block === "string" || block.type === "text")
-      .map((block) => (typeof block === "string" ? block : block.text))
-      .join("\n");
-  }
-  return answer.trim();
+  return result(answer, [...sourceFacts, ...candidateSources]);
 }
 
 /**
  * Fallback: When no specific movie is resolved.
  * Pure vector search + LLM ranking.
+ * trace = { cypherLog, context, profile } from handleSimilarityQuery
  */
-async function fallbackVectorSearch(query) {
+async function fallbackVectorSearch(query, filter = null, trace = {}) {
   console.log("   📐 Fallback: Pure vector search...");
+  const { cypherLog = [], context = [query], profile = null } = trace;
   const queryVector = await embedText(query);
 
-  const searchResults = await pineconeIndex.query({
+  let searchResults = await vectorIndex.query({
     vector: queryVector,
     topK: 20,
     includeMetadata: true,
+    ...(filter ? { filter } : {}),
   });
 
+  // Nothing passes the filter (or the index has no metadata) → unfiltered
+  if (filter && (!searchResults.matches || searchResults.matches.length === 0)) {
+    searchResults = await vectorIndex.query({ vector: queryVector, topK: 20, includeMetadata: true });
+  }
+
+  emitProgress("retrieval", { source: "vector", filter, count: searchResults.matches?.length || 0 });
   if (!searchResults.matches || searchResults.matches.length === 0) {
-    return "I couldn't find any matching movies.";
+    return buildAnswerResult("I couldn't find any matching movies.", { handler: "similarity", cypher: cypherLog });
   }
 
-  const candidates = searchResults.matches.map((m) => m.metadata.text);
+  const matches = await personalize(searchResults.matches.map((m) => ({
+    id: m.id,
+    title: titleOfMatch(m),
+    text: m.metadata?.text || "",
+    score: m.score,
+  })), profile, cypherLog);
+  if (matches.length === 0) {
+    return buildAnswerResult("You've already seen every movie I found for this.", { handler: "similarity", cypher: cypherLog });
+  }
+  const sources = vectorSources(matches);
 
   const prompt = `The user asked: "${query}"
 
-Here are ${candidates.length} movies from our database:
-${candidates.map((text, i) => `--- Movie ${i + 1} ---\n${text}`).join("\n\n")}
+Here are ${sources.length} movies from our database:
+${formatSourcesForPrompt(sources, { maxChunkChars: Infinity })}${tasteNotes(sources, matches, profile)}
 
 Pick the 10 BEST matches for what the user is looking for.
 For each pick, explain in 1-2 sentences WHY it fits.
 Do NOT mention databases, vectors, or technical terms.
-Format as a numbered list.`;
+Format as a numbered list.
+${CITATION_INSTRUCTIONS}`;
 
-  const response = await llm.invoke([
+  const answer = await generateAnswer([
     { role: "system", content: "You are a movie recommendation expert. Respond ONLY with a numbered list of movie recommendations with short explanations. Never respond with JSON." },
     { role: "human", content: prompt },
   ]);
-  let answer = response.content;
-  if (Array.isArray(answer)) {
-    answer = answer
-      .filter((block) => typeof block === "string" || block.type === "text")
-      .map((block) => (typeof block === "string" ? block : block.text))
-      .join("\n");
-  }
-  return answer.trim();
+  return buildAnswerResult(answer, {
+    handler: "similarity",
+    cypher: cypherLog,
+    sources,
+    aliasTable: await getAliasTable(),
+    context,
+  });
 }
 
-export { handleSimilarityQuery };
\ No newline at end of file
+export { handleSimilarityQuery, retrieveVectorCandidates, extractTitleFromChunk, getMovieFeatures };
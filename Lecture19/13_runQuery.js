@@ -7,76 +7,431 @@
 //   User Query
 //       │
 //       ▼
+//   CONVERSATION MEMORY (14_conversationMemory.js)
+//   Follow-ups → standalone question using earlier turns
+//   "What else did he direct?" → "What movies did Christopher Nolan direct?"
+//       │
+//       ▼
+//   ANSWER CACHE, exact (22_answerCache.js)
+//   Same standalone question → cached answer, done
+//       │ miss
+//       ▼
 //   ENTITY RESOLUTION (9_entityResolver.js)
 //   Extract entity names → search ALL node types in Neo4j
 //   "DiCaprio" → Actor "Leonardo DiCaprio"
 //   "Action" → Genre "Action"
+//   Typos / nicknames → fuzzy alias match; ambiguous → asks you to pick
 //       │
 //       ▼
+//   ANSWER CACHE, semantic
+//   Paraphrase about the SAME entities → cached answer, done
+//       │ miss
+//       ▼
 //   CLASSIFICATION (10_queryClassifier.js)
-//   With resolved entities, decide: graph or similarity?
+//   With resolved entities, decide: graph, similarity or hybrid?
 //   LLM now KNOWS what each entity is — no guessing
+//   Low confidence → hybrid (never drops half the question)
 //       │
-//       ├──────────────────────┐
-//       ▼                      ▼
-//   GRAPH HANDLER          SIMILARITY HANDLER
-//   (11_graphHandler.js)   (12_similarityHandler.js)
-//   Neo4j only             Pinecone → Neo4j → LLM
-//       │                      │
-//       ▼                      ▼
-//     Answer                 Answer
+//       ├──────────────────────┬──────────────────────┐
+//       ▼                      ▼                      ▼
+//   GRAPH HANDLER          SIMILARITY HANDLER     HYBRID HANDLER
+//   (11_graphHandler.js)   (12_similarityHandler) (16_hybridRetrieval.js)
+//   Neo4j only             Pinecone → Neo4j → LLM graph + vector → RRF → LLM
+//                          or strategy "graph":
+//                          shared neighbours
+//                          (29_graphRecommender)
+//       │                      │                      │
+//       ▼                      ▼                      ▼
+//     Answer + provenance (Cypher, sources, citations, unsupported names)
+//     → 19_provenance.js
+//
+// HTTP: the same processQuery() is served by 21_apiServer.js
+//   (npm run serve) — progress events via 20_progress.js
+//
+// SESSIONS:
+//   npm run query                      → new session
+//   npm run query -- --session <id>    → resume a saved session
+//   In the CLI: /history, /sessions, /new, /resume <id>, /cache [clear]
+//
+// EXPLAIN / TRACE (27_queryTrace.js):
+//   npm run query -- --explain         → stage-by-stage report per query
+//   npm run query -- --trace           → + JSON trace in data/traces/
+//   npm run query -- --replay <file>   → re-run a trace with its recorded
+//                                        LLM responses, strategy and
+//                                        profile, show what changed
+//                                        (Neo4j + vectors still live)
+//   In the CLI: /explain [on|off], /trace [on|off]
+//
+// TASTE PROFILES (28_userProfiles.js):
+//   npm run query -- --profile <id>    → use/create ./profiles/<id>.json
+//   In the CLI: /like <title>, /dislike <title>, /watched <title>,
+//               /unrate <title>, /profile [id]
+//   Similarity answers skip what you've seen and follow your taste.
+//
+// SIMILARITY STRATEGY (29_graphRecommender.js):
+//   npm run query -- --strategy graph  → "movies like X" by shared
+//                                        directors/actors/themes/genres
+//   In the CLI: /strategy [vector|graph]   (default: SIMILARITY_STRATEGY)
+//   An unknown --strategy or SIMILARITY_STRATEGY stops at startup.
 //
 // =====================================================================
 
 import readline from "readline";
+import { fileURLToPath } from "url";
 import { resolveQueryEntities } from "./9_entityResolver.js";
 import { classifyQuery } from "./10_queryClassifier.js";
 import { handleGraphQuery } from "./11_graphHandler.js";
 import { handleSimilarityQuery } from "./12_similarityHandler.js";
+import { handleHybridQuery } from "./16_hybridRetrieval.js";
+import {
+  createSession, loadSession, sessionExists, saveSession, listSessions, recordTurn, rewriteQuery,
+} from "./14_conversationMemory.js";
+import { stripCitations } from "./19_provenance.js";
+import { emitProgress } from "./20_progress.js";
+import { answerCache } from "./22_answerCache.js";
+import { traceQuery, replayTrace } from "./27_queryTrace.js";
+import {
+  SIMILARITY_STRATEGIES, DEFAULT_SIMILARITY_STRATEGY, validateStrategy, handleGraphRecommendation,
+} from "./29_graphRecommender.js";
+import {
+  DEFAULT_PROFILE, loadProfile, saveProfile, hasTaste, rateMovie, unrateMovie, resolveMovieTitle, formatProfile,
+} from "./28_userProfiles.js";
 import { closeConnections } from "./2_config.js";
 
-async function processQuery(query) {
+// options.disambiguate(searchTerm, options) → index | null
+// (see 9_entityResolver.js) — the CLI asks the user
+// options.useCache = false skips the answer cache (lookup and store)
+// options.profile → personalized recommendations (28_userProfiles.js)
+// options.strategy → "vector" | "graph" for similarity questions
+async function processQuery(
+  userQuery,
+  session = null,
+  { disambiguate = null, useCache = true, profile = null, strategy = DEFAULT_SIMILARITY_STRATEGY } = {}
+) {
+  validateStrategy(strategy);
+
   console.log("\n═══════════════════════════════════════════");
 
+  // ── Step 0: Conversation Memory ──
+  // Rewrite follow-ups ("what else did he direct?") into a standalone question
+  let query = userQuery;
+  if (session) {
+    const { standaloneQuery, rewritten } = await rewriteQuery(userQuery, session);
+    query = standaloneQuery;
+    if (rewritten) {
+      console.log("\n💭 CONVERSATION MEMORY");
+      console.log(`   Rewritten: "${query}"`);
+      emitProgress("rewrite", { query: userQuery, standaloneQuery: query });
+    }
+  }
+
+  // ── Step 0.5: Answer cache, exact level ──
+  // Keyed on the STANDALONE question → follow-ups can hit too
+  // Personalized answers depend on who asks → never shared via the cache
+  // Cached answers come from the default strategy → other strategies skip it
+  const cacheEnabled = useCache && answerCache.config.enabled && !hasTaste(profile)
+    && strategy === DEFAULT_SIMILARITY_STRATEGY;
+  if (cacheEnabled) {
+    const exact = answerCache.lookupExact(query);
+    if (exact.hit) return cacheHit({ userQuery, query, session, ...exact });
+  }
+
   // ── Step 1: Entity Resolution ──
   // Extract entities from query → resolve each in Neo4j
   // After this, we KNOW what "Nolan", "DiCaprio", "Action" etc. are
+  // Entities from earlier turns are reused without another lookup
   console.log("\n🔍 ENTITY RESOLUTION");
-  const resolved = await resolveQueryEntities(query);
+  const resolved = await resolveQueryEntities(query, {
+    knownEntities: session?.entities || [],
+    disambiguate,
+  });
+  emitProgress("entities", {
+    entities: resolved.entities, unresolved: resolved.unresolved, decisions: resolved.decisions,
+  });
+
+  // ── Step 1.5: Answer cache, semantic level ──
+  // Paraphrases only share an answer when they resolved to the same entities
+  let cacheLookup = null;
+  if (cacheEnabled) {
+    cacheLookup = await answerCache.lookup(query, { entities: resolved.entities });
+    if (cacheLookup.hit) return cacheHit({ userQuery, query, session, ...cacheLookup });
+    console.log("\n⚡ CACHE MISS");
+    emitProgress("cache", { hit: false });
+  }
 
   // ── Step 2: Classification ──
-  // With resolved entity context, classify as graph or similarity
+  // With resolved entity context, classify as graph, similarity or hybrid
   console.log("\n🧠 CLASSIFICATION");
   const classification = await classifyQuery(query, resolved);
-  console.log(`   Type: ${classification.type} | Reason: ${classification.reasoning}`);
+  console.log(`   Type: ${classification.type} (confidence ${classification.confidence}) | Reason: ${classification.reasoning}`);
+  emitProgress("classification", classification);
 
   // ── Step 3: Route to handler ──
-  let answer;
+  // Every handler returns { answer, provenance }
+  let result;
 
-  if (classification.type === "similarity") {
+  if (classification.type === "similarity" && strategy === "graph") {
+    console.log("\n🕸️  → GRAPH RECOMMENDER (shared neighbours in Neo4j)...");
+    result = await handleGraphRecommendation(query, resolved, { profile });
+    if (!result) {
+      console.log("\n📐 → SIMILARITY handler (Pinecone + Neo4j) instead...");
+      result = await handleSimilarityQuery(query, resolved, { profile });
+    }
+  } else if (classification.type === "similarity") {
     console.log("\n📐 → SIMILARITY handler (Pinecone + Neo4j)...");
-    answer = await handleSimilarityQuery(query, resolved);
+    result = await handleSimilarityQuery(query, resolved, { profile });
+  } else if (classification.type === "hybrid") {
+    console.log("\n🔀 → HYBRID handler (Neo4j + Pinecone, rank fusion)...");
+    result = await handleHybridQuery(query, resolved);
   } else {
     console.log("\n🗄️  → GRAPH handler (Neo4j)...");
-    answer = await handleGraphQuery(query, resolved);
+    result = await handleGraphQuery(query, resolved);
   }
 
+  const value = { answer: result.answer, provenance: result.provenance, type: classification.type, resolved };
+  if (cacheEnabled) answerCache.store(query, value, { embedding: cacheLookup.embedding });
+
+  return finishQuery({ userQuery, query, session, ...value, cached: null });
+}
+
+function cacheHit({ userQuery, query, session, hit, kind, similarity }) {
+  console.log(`\n⚡ CACHE HIT (${kind}${kind === "semantic" ? `, similarity ${similarity.toFixed(3)}` : ""})`);
+  if (kind === "semantic") console.log(`   Cached question: "${hit.question}"`);
+  emitProgress("cache", { hit: true, kind, similarity, cachedQuestion: hit.question });
+  return finishQuery({ userQuery, query, session, ...hit.value, cached: { kind, similarity } });
+}
+
+// Print, remember in the session, return — same for fresh and cached answers
+function finishQuery({ userQuery, query, session, answer, provenance, type, resolved, cached }) {
+  emitProgress("answer", { answer, provenance, cached });
   console.log("\n═══════════════════════════════════════════");
-  console.log("💬 Answer:\n");
+  console.log(`💬 Answer${cached ? " (cached)" : ""}:\n`);
   console.log(answer);
+  printProvenance(provenance);
   console.log("\n═══════════════════════════════════════════");
+
+  if (session) {
+    recordTurn(session, {
+      query: userQuery,
+      standaloneQuery: query,
+      type,
+      resolved,
+      answer: stripCitations(answer),
+    });
+    saveSession(session);
+  }
+
+  return { answer, provenance, type, resolved, cached };
+}
+
+// Source list under the answer + anything the evidence doesn't back up
+function printProvenance(provenance) {
+  const cited = new Set(provenance.citations.flatMap((c) => c.sources));
+  const shown = provenance.sources.filter((s) => cited.has(s.id));
+  if (shown.length > 0) {
+    console.log("\n📎 Sources:");
+    for (const s of shown) {
+      const detail = s.type === "graph"
+        ? JSON.stringify(s.record).slice(0, 120)
+        : `${s.title ?? "?"} (vector ${s.vectorId ?? "?"}, score ${s.score ?? "?"})`;
+      console.log(`   [${s.id}] ${detail}`);
+    }
+  }
+  if (provenance.unsupported.length > 0) {
+    const names = provenance.unsupported.map((u) => (u.label ? `${u.name} (${u.label})` : u.name));
+    console.log(`\n⚠️ Not found in the retrieved evidence: ${names.join(", ")}`);
+  }
+}
+
+// Parse "--session <id>" / "--replay <file>" from the command line
+function getArg(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+// "/explain" flips, "/explain on|off" sets
+function toggle(current, arg) {
+  if (arg === "on") return true;
+  if (arg === "off") return false;
+  return !current;
+}
+
+// /like, /dislike, /watched → rating stored in the profile
+const RATING_COMMANDS = { "/like": "liked", "/dislike": "disliked", "/watched": "watched" };
+
+// Movie title typed after a profile command → exact graph title (or null)
+async function titleFromCommand(command, text) {
+  if (!text) {
+    console.log(`   Usage: ${command} <movie title>`);
+    return null;
+  }
+  const { title, options } = await resolveMovieTitle(text);
+  if (options) console.log(`   ❓ "${text}" could be: ${options.join(", ")} — please be more specific`);
+  else if (!title) console.log(`   ❌ No movie called "${text}" in the graph`);
+  return title ?? null;
+}
+
+// CLI commands start with "/" so they never clash with real questions
+async function handleCommand(input, state) {
+  const [command, arg] = input.split(/\s+/);
+  const rest = input.slice(command.length).trim();   // titles have spaces
+
+  switch (command) {
+    case "/history":
+      if (state.session.turns.length === 0) {
+        console.log("   (no turns yet)");
+      }
+      for (const t of state.session.turns) {
+        const rewrite = t.standaloneQuery !== t.query ? ` → "${t.standaloneQuery}"` : "";
+        console.log(`   ${t.turn}. [${t.type}] "${t.query}"${rewrite}`);
+      }
+      break;
+
+    case "/sessions": {
+      const sessions = listSessions();
+      if (sessions.length === 0) console.log("   (no saved sessions)");
+      for (const s of sessions) {
+        console.log(`   ${s.id} — ${s.turns} turns — last: "${s.lastQuery}"`);
+      }
+      break;
+    }
+
+    case "/new":
+      state.session = createSession();
+      console.log(`   🆕 New session: ${state.session.id}`);
+      break;
+
+    case "/resume":
+      if (!arg) {
+        console.log("   Usage: /resume <session-id>");
+        break;
+      }
+      if (!/^[\w-]+$/.test(arg) || !sessionExists(arg)) {
+        console.log(`   ❌ No such session: ${arg} (see /sessions)`);
+        break;
+      }
+      state.session = loadSession(arg);
+      console.log(`   📂 Resumed session ${state.session.id} (${state.session.turns.length} turns)`);
+      break;
+
+    case "/cache": {
+      if (arg === "clear") answerCache.clear("cleared from CLI");
+      const stats = answerCache.stats();
+      console.log(
+        `   ⚡ ${stats.enabled ? "on" : "off"} | ${stats.entries} entries | ` +
+        `hits: ${stats.exactHits} exact + ${stats.semanticHits} semantic | misses: ${stats.misses} | ` +
+        `hit rate: ${Math.round(stats.hitRate * 100)}% | expired: ${stats.expired} | invalidations: ${stats.invalidations}`
+      );
+      break;
+    }
+
+    case "/explain":
+      state.explain = toggle(state.explain, arg);
+      console.log(`   🔬 Explain ${state.explain ? "on" : "off"}`);
+      break;
+
+    // Saving a trace implies explaining it
+    case "/trace":
+      state.trace = toggle(state.trace, arg);
+      if (state.trace) state.explain = true;
+      console.log(`   💾 Traces ${state.trace ? "saved to data/traces/" : "off"}`);
+      break;
+
+    case "/like":
+    case "/dislike":
+    case "/watched": {
+      const title = await titleFromCommand(command, rest);
+      if (!title) break;
+      saveProfile(rateMovie(state.profile, RATING_COMMANDS[command], title));
+      console.log(`   👤 ${title} → ${RATING_COMMANDS[command]} (profile "${state.profile.id}")`);
+      break;
+    }
+
+    case "/unrate": {
+      const title = await titleFromCommand(command, rest);
+      if (!title) break;
+      if (unrateMovie(state.profile, title)) {
+        saveProfile(state.profile);
+        console.log(`   👤 ${title} removed from profile "${state.profile.id}"`);
+      } else {
+        console.log(`   (${title} was not rated)`);
+      }
+      break;
+    }
+
+    case "/strategy":
+      if (arg && !SIMILARITY_STRATEGIES.includes(arg)) {
+        console.log(`   Usage: /strategy [${SIMILARITY_STRATEGIES.join("|")}]`);
+        break;
+      }
+      if (arg) state.strategy = arg;
+      console.log(`   🧭 Similarity strategy: ${state.strategy}`);
+      break;
+
+    case "/profile":
+      if (arg) state.profile = loadProfile(arg);
+      console.log(`   👤 Profile "${state.profile.id}"\n${formatProfile(state.profile)}`);
+      break;
+
+    default:
+      console.log(
+        "   Commands: /history, /sessions, /new, /resume <id>, /cache [clear], /explain [on|off], /trace [on|off],\n" +
+        "             /like <title>, /dislike <title>, /watched <title>, /unrate <title>, /profile [id],\n" +
+        "             /strategy [vector|graph]"
+      );
+  }
+}
+
+// Ambiguous entity → numbered list, the user picks one
+// Enter = best guess (1), 0 = none of these
+function createDisambiguator(rl) {
+  return (searchTerm, options) => new Promise((resolve) => {
+    console.log(`\n   ❓ "${searchTerm}" matches several entries:`);
+    options.forEach((o, i) => {
+      console.log(`      ${i + 1}. ${o.nodeName} (${o.labels.join(", ")}) — score ${o.score}`);
+    });
+    rl.question("   Pick a number (Enter = 1, 0 = none): ", (answer) => {
+      const trimmed = answer.trim();
+      if (trimmed === "") return resolve(0);
+      const choice = Number(trimmed);
+      resolve(Number.isInteger(choice) && choice >= 1 && choice <= options.length ? choice - 1 : null);
+    });
+  });
 }
 
 async function startCLI() {
+  // Checked before anything starts → a typo doesn't fail every question
+  const strategy = getArg("--strategy") ?? DEFAULT_SIMILARITY_STRATEGY;
+  if (!SIMILARITY_STRATEGIES.includes(strategy)) {
+    console.error(`❌ Unknown --strategy "${strategy}" (use: ${SIMILARITY_STRATEGIES.join(", ")})`);
+    process.exit(1);
+  }
+
   console.log("===========================================");
   console.log("   🎬 GraphRAG Movie Query System");
   console.log("===========================================");
-  console.log('Type your question. Type "exit" to quit.\n');
+  console.log('Type your question. Type "exit" to quit.');
+
+  const sessionId = getArg("--session");
+  const trace = process.argv.includes("--trace");
+  const state = {
+    session: sessionId ? loadSession(sessionId) : createSession(),
+    profile: loadProfile(getArg("--profile") ?? DEFAULT_PROFILE),
+    strategy,
+    explain: trace || process.argv.includes("--explain"),
+    trace,
+  };
+  console.log(
+    `💭 Session: ${state.session.id}` +
+    (state.session.turns.length > 0 ? ` (resumed, ${state.session.turns.length} turns)` : "") +
+    ` | 👤 Profile: ${state.profile.id}\n`
+  );
 
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
   });
+  const disambiguate = createDisambiguator(rl);
 
   const ask = () => {
     rl.question("🎬 You: ", async (input) => {
@@ -91,8 +446,21 @@ async function startCLI() {
 
       if (!query) { ask(); return; }
 
+      if (query.startsWith("/")) {
+        try {
+          await handleCommand(query, state);
+        } catch (err) {
+          console.error("\n❌ Error:", err.message);
+        }
+        ask();
+        return;
+      }
+
       try {
-        await processQuery(query);
+        const run = () => processQuery(query, state.session, { disambiguate, profile: state.profile, strategy: state.strategy });
+        const meta = { strategy: state.strategy, profile: state.profile.id };
+        if (state.explain) await traceQuery(query, run, { save: state.trace, meta });
+        else await run();
       } catch (err) {
         console.error("\n❌ Error:", err.message);
       }
@@ -104,4 +472,22 @@ async function startCLI() {
   ask();
 }
 
-startCLI();
+// Only start the CLI when run directly — 21_apiServer.js imports processQuery
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const replayFile = getArg("--replay");
+  if (replayFile) {
+    // No session, no cache → the recorded question runs the full pipeline,
+    // with the strategy and profile it was recorded with
+    replayTrace(replayFile, (question, { strategy, profile }) => processQuery(question, null, {
+      useCache: false,
+      strategy: strategy ?? DEFAULT_SIMILARITY_STRATEGY,
+      profile: profile ? loadProfile(profile) : null,
+    }))
+      .catch((err) => console.error("\n❌ Replay failed:", err.message))
+      .finally(() => closeConnections());
+  } else {
+    startCLI();
+  }
+}
+
+export { processQuery };
@@ -0,0 +1,222 @@
+// =====================================================================
+// 14_conversationMemory.js — MULTI-TURN CONVERSATION MEMORY
+// =====================================================================
+//
+// PROBLEM:
+//   Every query used to be handled on its own.
+//     Turn 1: "Movies directed by Christopher Nolan"   ✅
+//     Turn 2: "What else did he direct?"               ❌ who is "he"?
+//     Turn 3: "Only the ones after 2010"               ❌ which ones?
+//
+// SOLUTION: a per-session conversation store.
+//   1. Every turn is recorded (question, standalone question, route,
+//      resolved entities, answer)
+//   2. Entities resolved in earlier turns are CARRIED forward
+//      → "Christopher Nolan" does not need another Neo4j lookup
+//   3. Follow-ups are REWRITTEN into standalone questions by the LLM
+//      "What else did he direct?" → "What movies did Christopher Nolan direct?"
+//   4. Sessions are saved to disk (./sessions/<id>.json) → resumable
+//
+// The rest of the pipeline never sees pronouns — it only ever gets the
+// rewritten standalone question.
+// =====================================================================
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { llm } from "./2_config.js";
+
+// ── Constants ──
+const SESSIONS_DIR = "./sessions";
+const MAX_TURNS = 20;          // turns kept per session file
+const HISTORY_TURNS = 3;       // turns shown to the rewriter
+const MAX_ENTITIES = 30;       // carried entities kept per session
+const ANSWER_PREVIEW_CHARS = 300;
+
+// Words that usually mean "this question depends on an earlier one"
+const FOLLOW_UP_PATTERN =
+  /\b(he|she|him|her|his|hers|they|them|their|it|its|that|this|those|these|ones?|same|else|also|too|more|other|others)\b/i;
+const ELLIPSIS_START_PATTERN = /^(and|but|only|just|what about|how about|which of|any|also|or)\b/i;
+
+// =====================================================================
+// Session lifecycle: create → load → save → list
+// =====================================================================
+function createSession(id = crypto.randomUUID().slice(0, 8)) {
+  const now = new Date().toISOString();
+  return { id, createdAt: now, updatedAt: now, turns: [], entities: [] };
+}
+
+function sessionPath(id) {
+  // Session ids become file names → only allow safe characters
+  if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid session id: ${id}`);
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+/**
+ * Load a saved session from disk.
+ * Returns a fresh session with the same id if nothing was saved yet.
+ */
+function loadSession(id) {
+  const file = sessionPath(id);
+  if (!fs.existsSync(file)) return createSession(id);
+
+  const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return { ...createSession(id), ...saved };
+}
+
+// Has this id ever been saved? (/resume must not invent an empty session)
+function sessionExists(id) {
+  return fs.existsSync(sessionPath(id));
+}
+
+function saveSession(session) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  session.updatedAt = new Date().toISOString();
+  fs.writeFileSync(sessionPath(session.id), JSON.stringify(session, null, 2));
+}
+
+/**
+ * List saved sessions, most recently used first.
+ */
+function listSessions() {
+  if (!fs.existsSync(SESSIONS_DIR)) return [];
+
+  return fs.readdirSync(SESSIONS_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => {
+      const saved = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, f), "utf-8"));
+      return {
+        id: saved.id,
+        turns: saved.turns?.length || 0,
+        updatedAt: saved.updatedAt,
+        lastQuery: saved.turns?.[saved.turns.length - 1]?.query || "",
+      };
+    })
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
+
+// =====================================================================
+// Recording turns + carrying entities
+// =====================================================================
+//
+// Entities are keyed by label + nodeName. A newer mention moves the
+// entity to the front, so "he" refers to the most recently seen person.
+// =====================================================================
+function recordTurn(session, { query, standaloneQuery, type, resolved, answer }) {
+  const turnNumber = session.turns.length + 1;
+
+  session.turns.push({
+    turn: turnNumber,
+    query,
+    standaloneQuery,
+    type,
+    entities: resolved.entities.map(({ label, nodeName }) => ({ label, nodeName })),
+    answer,
+  });
+  if (session.turns.length > MAX_TURNS) {
+    session.turns = session.turns.slice(-MAX_TURNS);
+  }
+
+  for (const entity of resolved.entities) {
+    session.entities = session.entities.filter(
+      (e) => !(e.label === entity.label && e.nodeName === entity.nodeName)
+    );
+    session.entities.unshift({
+      searchTerm: entity.searchTerm,
+      label: entity.label,
+      nodeName: entity.nodeName,
+      lastTurn: turnNumber,
+    });
+  }
+  session.entities = session.entities.slice(0, MAX_ENTITIES);
+
+  return session;
+}
+
+// =====================================================================
+// Rewriting follow-ups into standalone questions
+// =====================================================================
+//
+// Cheap check first: no history, or no pronoun / ellipsis → no LLM call.
+// "Movies directed by Christopher Nolan" → already standalone, skip.
+// "What else did he direct?"             → "he" + "else" → rewrite.
+// "Only the ones after 2010"             → starts with "only" → rewrite.
+// =====================================================================
+function needsRewrite(query, session) {
+  if (session.turns.length === 0) return false;
+  return FOLLOW_UP_PATTERN.test(query) || ELLIPSIS_START_PATTERN.test(query.trim());
+}
+
+async function rewriteQuery(query, session) {
+  if (!needsRewrite(query, session)) {
+    return { standaloneQuery: query, rewritten: false };
+  }
+
+  const history = session.turns
+    .slice(-HISTORY_TURNS)
+    .map((t) => {
+      const answer = (t.answer || "").substring(0, ANSWER_PREVIEW_CHARS);
+      return `User: ${t.standaloneQuery}\nAssistant: ${answer}`;
+    })
+    .join("\n\n");
+
+  const entityContext = session.entities.length > 0
+    ? session.entities
+        .map((e) => `- ${e.label}: "${e.nodeName}" (last mentioned in turn ${e.lastTurn})`)
+        .join("\n")
+    : "- none";
+
+  const prompt = `You rewrite follow-up questions for a movie knowledge graph assistant.
+
+CONVERSATION SO FAR (oldest first):
+${history}
+
+ENTITIES MENTIONED EARLIER (most recent first):
+${entityContext}
+
+Rewrite the user's NEW question into ONE standalone question that can be
+understood without the conversation.
+
+Rules:
+- Replace pronouns (he, she, it, they, them...) with the exact entity names above
+- Fill in ellipses ("only the ones after 2010", "what about thrillers?") using
+  the previous question as the base
+- Keep constraints from the previous question unless the new question drops them
+- If the question is already standalone, return it unchanged
+- Respond ONLY with JSON: {"standalone": "the rewritten question"}
+No markdown, no backticks.`;
+
+  const response = await llm.invoke([
+    { role: "system", content: prompt },
+    { role: "human", content: query },
+  ]);
+
+  let raw = response.content;
+  if (Array.isArray(raw)) {
+    raw = raw
+      .filter((block) => typeof block === "string" || block.type === "text")
+      .map((block) => (typeof block === "string" ? block : block.text))
+      .join("\n");
+  }
+  raw = raw.trim().replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+
+  try {
+    const standalone = JSON.parse(raw).standalone?.trim();
+    if (!standalone) throw new Error("empty rewrite");
+    return { standaloneQuery: standalone, rewritten: standalone !== query };
+  } catch (err) {
+    console.warn("⚠️ Query rewrite failed, using original question");
+    return { standaloneQuery: query, rewritten: false };
+  }
+}
+
+export {
+  createSession,
+  loadSession,
+  sessionExists,
+  saveSession,
+  listSessions,
+  recordTurn,
+  rewriteQuery,
+  needsRewrite,
+};
@@ -0,0 +1,253 @@
+// =====================================================================
+// 15_indexManifest.js — CONTENT-HASH MANIFEST FOR INCREMENTAL INDEXING
+// =====================================================================
+//
+// PROBLEM:
+//   Change ONE movie in the PDF → old pipeline re-extracts 1000 movies,
+//   re-MERGEs every node and re-embeds every chunk. Crash at movie 900?
+//   Start again from movie 1.
+//
+// SOLUTION: remember what we already indexed.
+//   Every movie block gets a SHA-256 hash of its text.
+//   The manifest stores, per movie title:
+//     {
+//       hash:      "9f2c...",       ← content hash of the block
+//       position:  42,              ← order in the PDF (1-based)
+//       vectorId:  "movie-inception-3f1a9c2b",  ← stable Pinecone id
+//       extracted: true,            ← STEP 1 done (entity cached below)
+//       graph:     true,            ← STEP 2 done
+//       graphTitle: "Inception",    ← title of the node STEP 2 wrote
+//       vector:    false,           ← STEP 3 not done yet
+//       entity:    {...}            ← extracted JSON (reused on resume)
+//     }
+//
+// graphTitle is what deletes use: extraction may spell a title
+// differently from the PDF block ("Matrix, The"), and the node carries
+// the EXTRACTED spelling.
+//
+// On every run we diff the PDF against the manifest:
+//   added     → new title            → run all 3 steps
+//   changed   → same title, new hash → clear old graph, run all 3 steps
+//   unchanged → same hash            → skip (unless a step never finished)
+//   removed   → title gone from PDF  → delete graph node + vector
+//
+// Vector ids come from the TITLE, not the chunk position → re-indexing
+// a movie overwrites its own vector instead of leaving an orphan.
+// (v1 manifests used "chunk-N" ids; loadManifest() migrates them.)
+//
+// The manifest is saved after every completed batch, so a crash
+// resumes from where it stopped. Writes go to a temp file first and
+// are then renamed → a crash mid-write never corrupts the manifest.
+// =====================================================================
+
+import fs from "fs";
+import crypto from "crypto";
+import { DOMAIN, recordTitle, entityTitle } from "./26_domainSchema.js";
+
+const MANIFEST_PATH = "./data/index-manifest.json";
+const MANIFEST_VERSION = 2;
+
+function emptyManifest() {
+  return { version: MANIFEST_VERSION, updatedAt: null, movies: {} };
+}
+
+// v1 → v2: "chunk-N" ids become title-based ids. The old vector is
+// remembered as legacyVectorId so indexing can delete it, and the new
+// one is re-embedded (it also needs the metadata v1 never stored).
+function migrateV1(saved) {
+  const movies = {};
+  for (const [key, entry] of Object.entries(saved.movies || {})) {
+    movies[key] = {
+      ...entry,
+      graphTitle: entry.graph ? graphTitle(entry) : null,
+      vectorId: movieVectorId(entry.title),
+      legacyVectorId: entry.vector ? entry.vectorId : null,
+      vector: false,
+    };
+  }
+  console.log(`   🔁 Migrated manifest v1 → v${MANIFEST_VERSION} (${Object.keys(movies).length} movies get stable vector ids)`);
+  return { version: MANIFEST_VERSION, updatedAt: saved.updatedAt, movies };
+}
+
+function loadManifest(manifestPath = MANIFEST_PATH) {
+  if (!fs.existsSync(manifestPath)) return emptyManifest();
+
+  const saved = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  if (saved.version === 1) return migrateV1(saved);
+  if (saved.version !== MANIFEST_VERSION) {
+    console.warn(`   ⚠️ Manifest version ${saved.version} is outdated. Re-indexing everything.`);
+    return emptyManifest();
+  }
+  return saved;
+}
+
+function saveManifest(manifest, manifestPath = MANIFEST_PATH) {
+  manifest.updatedAt = new Date().toISOString();
+  const tmpPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+// "Movie Title: Inception\nYear: 2010..." → "Inception"
+// (the title field comes from the domain schema, 26_domainSchema.js)
+function extractTitle(block) {
+  return recordTitle(block, DOMAIN);
+}
+
+// Manifest keys are case-insensitive titles
+function movieKey(title) {
+  return title.trim().toLowerCase();
+}
+
+// "The Matrix" → "movie-the-matrix-1a2b3c4d"
+// Readable slug + short hash of the key (keeps ids unique even when two
+// titles slugify the same, e.g. non-Latin titles). Pinecone ids must be ASCII.
+function movieVectorId(title) {
+  const key = movieKey(title);
+  const slug = key
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 8);
+  return `movie-${slug ? `${slug}-` : ""}${hash}`;
+}
+
+// Whitespace is normalized so PDF re-flows don't count as changes
+function hashBlock(block) {
+  const normalized = block.replace(/\s+/g, " ").trim();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Compare the current PDF blocks against the manifest.
+ * Does NOT modify the manifest — call applyDiff() for that.
+ */
+function diffManifest(manifest, blocks) {
+  const diff = { added: [], changed: [], unchanged: [], removed: [] };
+  const seen = new Set();
+
+  blocks.forEach((block, i) => {
+    const title = extractTitle(block);
+    if (!title) return;
+
+    const key = movieKey(title);
+    if (seen.has(key)) {
+      console.warn(`   ⚠️ Duplicate movie block "${title}" — keeping the first one`);
+      return;
+    }
+    seen.add(key);
+
+    const item = { key, title, hash: hashBlock(block), position: i + 1 };
+    const entry = manifest.movies[key];
+
+    if (!entry) diff.added.push(item);
+    else if (entry.hash !== item.hash) diff.changed.push(item);
+    else diff.unchanged.push(item);
+  });
+
+  for (const [key, entry] of Object.entries(manifest.movies)) {
+    if (!seen.has(key)) diff.removed.push({ key, ...entry });
+  }
+
+  return diff;
+}
+
+/**
+ * Apply a diff to the manifest (in memory).
+ *   added   → new entry with its title-based vector id
+ *   changed → reset all step flags, keep the vector id
+ *   all     → update position (other movies may have moved)
+ * Removed entries are left in place — the caller deletes them from
+ * Neo4j/Pinecone first, then calls forgetMovies().
+ */
+function applyDiff(manifest, diff) {
+  for (const item of diff.added) {
+    manifest.movies[item.key] = {
+      title: item.title,
+      hash: item.hash,
+      position: item.position,
+      vectorId: movieVectorId(item.title),
+      extracted: false,
+      graph: false,
+      graphTitle: null,
+      vector: false,
+      needsGraphCleanup: false,
+      entity: null,
+    };
+  }
+
+  for (const item of diff.changed) {
+    const entry = manifest.movies[item.key];
+    Object.assign(entry, {
+      hash: item.hash,
+      position: item.position,
+      extracted: false,
+      // Old relationships are still in Neo4j → must be removed before re-insert
+      needsGraphCleanup: entry.needsGraphCleanup || entry.graph,
+      // ...by the node's title — remembered before the entity is dropped
+      graphTitle: entry.graph || entry.needsGraphCleanup ? graphTitle(entry) : null,
+      graph: false,
+      vector: false,
+      entity: null,
+    });
+  }
+
+  for (const item of diff.unchanged) {
+    manifest.movies[item.key].position = item.position;
+  }
+
+  return manifest;
+}
+
+// Title of the movie's node in Neo4j → what removeMovies() must match.
+// Manifests from before graphTitle: the cached entity's title, else the PDF title.
+function graphTitle(entry) {
+  return entry.graphTitle || entityTitle(entry.entity, DOMAIN) || entry.title;
+}
+
+function forgetMovies(manifest, keys) {
+  for (const key of keys) delete manifest.movies[key];
+  return manifest;
+}
+
+/**
+ * Match a batch of extracted entities back to manifest entries.
+ *
+ * Gemini usually returns the exact title → match by title.
+ * If it tweaked the title ("The Matrix" vs "Matrix, The"), fall back to
+ * the movie's position inside the requested range.
+ */
+function assignExtracted(manifest, batch, entities) {
+  const byPosition = {};
+  for (const entry of Object.values(manifest.movies)) byPosition[entry.position] = entry;
+
+  let matched = 0;
+  entities.forEach((entity, i) => {
+    const title = entityTitle(entity, DOMAIN);
+    const entry = (title && manifest.movies[movieKey(title)]) || byPosition[batch.start + i];
+    if (!entry || entry.position < batch.start || entry.position > batch.end) return;
+
+    entry.entity = entity;
+    entry.extracted = true;
+    matched++;
+  });
+
+  return matched;
+}
+
+export {
+  MANIFEST_PATH,
+  emptyManifest,
+  loadManifest,
+  saveManifest,
+  extractTitle,
+  movieKey,
+  movieVectorId,
+  hashBlock,
+  diffManifest,
+  applyDiff,
+  forgetMovies,
+  assignExtracted,
+  graphTitle,
+};
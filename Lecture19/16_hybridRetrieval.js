@@ -0,0 +1,295 @@
+// =====================================================================
+// 16_hybridRetrieval.js — GRAPH + VECTOR, MERGED WITH RANK FUSION
+// =====================================================================
+//
+// PROBLEM:
+//   "Dark sci-fi movies with Keanu Reeves"
+//     graph only      → every Keanu Reeves movie (loses "dark sci-fi")
+//     similarity only → dark sci-fi movies (loses Keanu Reeves)
+//
+// SOLUTION: run BOTH retrievals, then merge.
+//
+//   Query ──┬──► GRAPH (11_graphHandler.js)    → records → movie titles
+//           └──► VECTOR (12_similarityHandler) → chunks  → movie titles
+//                (year/genre/actor limits pushed into the Pinecone filter)
+//                        │
+//                        ▼
+//             RECIPROCAL RANK FUSION (RRF)
+//             score(title) = Σ weight_source / (k + rank_source)
+//                        │
+//                        ▼
+//             Neo4j facts for the top titles → LLM answer
+//             (facts cited as [G#], chunks as [V#] → 19_provenance.js)
+//
+// WHY RRF?
+//   Graph results have no score and Pinecone scores are cosine values —
+//   the two can't be compared directly. RRF only uses RANKS, so any
+//   two ranked lists can be merged. A movie found by BOTH sources gets
+//   both contributions and rises to the top.
+//
+// CONFIG (env):
+//   HYBRID_GRAPH_WEIGHT   weight of the graph list   (default 1.0)
+//   HYBRID_VECTOR_WEIGHT  weight of the vector list  (default 1.0)
+//   HYBRID_RRF_K          RRF damping constant       (default 60)
+//   Checked when the module loads — "1,5" would be NaN, every fused
+//   score NaN and the ranking arbitrary.
+// =====================================================================
+
+import { driver } from "./2_config.js";
+import { retrieveGraphRecords } from "./11_graphHandler.js";
+import { retrieveVectorCandidates } from "./12_similarityHandler.js";
+import { buildMetadataFilter, extractFilterCriteria } from "./17_vectorIndex.js";
+import { getAliasTable } from "./9_entityResolver.js";
+import { emitProgress, generateAnswer } from "./20_progress.js";
+import { CITATION_INSTRUCTIONS, buildAnswerResult } from "./19_provenance.js";
+
+// ── Constants ──
+const HYBRID_CONFIG = {
+  graphWeight: Number(process.env.HYBRID_GRAPH_WEIGHT || 1.0),
+  vectorWeight: Number(process.env.HYBRID_VECTOR_WEIGHT || 1.0),
+  rrfK: Number(process.env.HYBRID_RRF_K || 60),
+  vectorTopK: 50,        // Pinecone chunks fetched
+  answerCandidates: 15,  // fused titles shown to the LLM
+};
+validateHybridConfig(HYBRID_CONFIG);
+
+// =====================================================================
+// CONFIG CHECK
+// =====================================================================
+function validateHybridConfig(config) {
+  for (const [key, name] of [["graphWeight", "HYBRID_GRAPH_WEIGHT"], ["vectorWeight", "HYBRID_VECTOR_WEIGHT"]]) {
+    if (!Number.isFinite(config[key]) || config[key] < 0) throw new Error(`Invalid ${name}: ${config[key]} (use a number ≥ 0)`);
+  }
+  if (config.graphWeight === 0 && config.vectorWeight === 0) {
+    throw new Error("HYBRID_GRAPH_WEIGHT and HYBRID_VECTOR_WEIGHT cannot both be 0");
+  }
+  if (!Number.isFinite(config.rrfK) || config.rrfK < 0) throw new Error(`Invalid HYBRID_RRF_K: ${config.rrfK} (use a number ≥ 0)`);
+  for (const key of ["vectorTopK", "answerCandidates"]) {
+    if (!Number.isInteger(config[key]) || config[key] < 1) throw new Error(`Invalid ${key}: ${config[key]}`);
+  }
+  return config;
+}
+
+// =====================================================================
+// NORMALIZE: graph records → movie titles (in result order)
+// =====================================================================
+// Graph records come in many shapes:
+//   projection  → { "m.title": "Matrix", "m.year": 1999 }
+//   alias       → { "x_oscarMovie.title": "..." }
+//   describe    → { movies: [{ title, year }, ...] }
+//   path        → { pathNodes: [{ labels: ["Movie"], name: "..." }] }
+// Walk every value and collect anything that is a movie title.
+function titlesFromGraphRecords(records) {
+  const titles = [];
+
+  function visit(value, key = "") {
+    if (typeof value === "string") {
+      if (/(^|\.)title$/i.test(key)) titles.push(value);
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item) => visit(item, key));
+      return;
+    }
+    if (value && typeof value === "object") {
+      if (Array.isArray(value.labels) && value.labels.includes("Movie") && value.name) {
+        titles.push(value.name);
+        return;
+      }
+      for (const [k, v] of Object.entries(value)) visit(v, k);
+    }
+  }
+
+  for (const record of records) {
+    if (!record?.error) visit(record);
+  }
+  return dedupeTitles(titles);
+}
+
+// Keep the first occurrence of each title (case-insensitive)
+function dedupeTitles(titles) {
+  const seen = new Set();
+  return titles.filter((title) => {
+    const key = title.trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// =====================================================================
+// FUSE: weighted reciprocal rank fusion
+// =====================================================================
+// lists   = { graph: ["A", "B"], vector: ["B", "C"] }
+// weights = { graph: 1, vector: 1 }
+// → [{ title: "B", score, ranks: { graph: 2, vector: 1 } }, ...]
+function reciprocalRankFusion(lists, { k = HYBRID_CONFIG.rrfK, weights = {} } = {}) {
+  const fused = new Map();
+
+  for (const [source, titles] of Object.entries(lists)) {
+    const weight = weights[source] ?? 1;
+    titles.forEach((title, index) => {
+      const key = title.trim().toLowerCase();
+      const entry = fused.get(key) || { title, score: 0, ranks: {} };
+      entry.score += weight / (k + index + 1);
+      entry.ranks[source] = index + 1;
+      fused.set(key, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// =====================================================================
+// FACTS: Neo4j details for the fused titles (grounds the answer)
+// =====================================================================
+const MOVIE_FACTS_CYPHER = `MATCH (m:Movie) WHERE m.title IN $titles
+       OPTIONAL MATCH (d:Director)-[:DIRECTED]->(m)
+       OPTIONAL MATCH (a:Actor)-[:ACTED_IN]->(m)
+       OPTIONAL MATCH (m)-[:BELONGS_TO]->(g:Genre)
+       RETURN m.title AS title, m.year AS year,
+              collect(DISTINCT d.name) AS directors,
+              collect(DISTINCT a.name) AS actors,
+              collect(DISTINCT g.name) AS genres`;
+
+// cypherLog (optional) collects the executed query for provenance
+async function getMovieFacts(titles, cypherLog = null) {
+  if (titles.length === 0) return {};
+  const executed = { cypher: MOVIE_FACTS_CYPHER.replace(/\s+/g, " "), params: { titles } };
+  cypherLog?.push(executed);
+  emitProgress("cypher", executed);
+  const session = driver.session({ defaultAccessMode: "READ" });
+  try {
+    const result = await session.run(MOVIE_FACTS_CYPHER, { titles });
+    const facts = {};
+    for (const record of result.records) {
+      const year = record.get("year");
+      facts[record.get("title").toLowerCase()] = {
+        year: typeof year === "object" && year?.toNumber ? year.toNumber() : year,
+        directors: record.get("directors"),
+        actors: record.get("actors"),
+        genres: record.get("genres"),
+      };
+    }
+    return facts;
+  } finally {
+    await session.close();
+  }
+}
+
+// Filtered vector search; an index without metadata matches nothing
+// under a filter → retry unfiltered so the vector side still contributes
+async function retrieveFilteredCandidates(query, resolvedEntities, topK) {
+  const filter = buildMetadataFilter(extractFilterCriteria(query, resolvedEntities));
+  if (filter) {
+    const candidates = await retrieveVectorCandidates(query, { topK, filter });
+    if (candidates.length > 0) return candidates;
+    console.log("   ⚠️ No vectors match the metadata filter. Retrying unfiltered...");
+  }
+  return retrieveVectorCandidates(query, { topK });
+}
+
+// =====================================================================
+// MAIN: hybrid handler
+// =====================================================================
+// → { answer, provenance } (see 19_provenance.js)
+async function handleHybridQuery(query, resolvedEntities, options = {}) {
+  const config = validateHybridConfig({ ...HYBRID_CONFIG, ...options });
+  const context = [query, ...resolvedEntities.entities.map((e) => e.nodeName)];
+
+  // ── Step 1: Both retrievals at once ──
+  // One failing source must not sink the other
+  console.log("   🔀 Running graph + vector retrieval in parallel...");
+  const [graphResult, vectorCandidates] = await Promise.all([
+    retrieveGraphRecords(query, resolvedEntities).catch((err) => {
+      console.warn(`   ⚠️ Graph retrieval failed: ${err.message}`);
+      return { records: [], cypher: [] };
+    }),
+    retrieveFilteredCandidates(query, resolvedEntities, config.vectorTopK).catch((err) => {
+      console.warn(`   ⚠️ Vector retrieval failed: ${err.message}`);
+      return [];
+    }),
+  ]);
+
+  // ── Step 2: Normalize both to movie titles ──
+  const graphTitles = titlesFromGraphRecords(graphResult.records);
+  const vectorTitles = vectorCandidates.map((c) => c.title);
+  console.log(`   🗄️  Graph: ${graphTitles.length} movies | 📐 Vector: ${vectorTitles.length} movies`);
+
+  const cypherLog = [...(graphResult.cypher || [])];
+  if (graphTitles.length === 0 && vectorTitles.length === 0) {
+    return buildAnswerResult("I couldn't find any movies matching that.", { handler: "hybrid", cypher: cypherLog });
+  }
+
+  // ── Step 3: Reciprocal rank fusion ──
+  const fused = reciprocalRankFusion(
+    { graph: graphTitles, vector: vectorTitles },
+    { k: config.rrfK, weights: { graph: config.graphWeight, vector: config.vectorWeight } }
+  );
+  const top = fused.slice(0, config.answerCandidates);
+  const inBoth = top.filter((f) => f.ranks.graph && f.ranks.vector).length;
+  console.log(`   🔀 Fused ${fused.length} movies (weights graph=${config.graphWeight}, vector=${config.vectorWeight}, k=${config.rrfK})`);
+  console.log(`   ✅ Top ${top.length}: ${inBoth} found by both sources`);
+  emitProgress("retrieval", {
+    source: "hybrid", graph: graphTitles.length, vector: vectorTitles.length, fused: fused.length, inBoth,
+  });
+
+  // ── Step 4: Ground the shortlist in graph facts ──
+  const facts = await getMovieFacts(top.map((f) => f.title), cypherLog);
+  const chunkByTitle = Object.fromEntries(vectorCandidates.map((c) => [c.title.toLowerCase(), c]));
+
+  // Facts → [G#] sources, chunks → [V#] sources
+  const sources = [];
+  const candidateList = top.map((f, i) => {
+    const fact = facts[f.title.toLowerCase()];
+    const chunk = chunkByTitle[f.title.toLowerCase()];
+    const matchedBy = Object.keys(f.ranks).join(" + ");
+    const lines = [`${i + 1}. ${f.title} [matched by: ${matchedBy}]`];
+
+    if (fact) {
+      const id = `G${sources.filter((s) => s.type === "graph").length + 1}`;
+      sources.push({ id, type: "graph", record: { title: f.title, ...fact } });
+      lines.push(`   [${id}] Year: ${fact.year ?? "?"} | Genres: ${fact.genres.join(", ")} | Director: ${fact.directors.join(", ")} | Cast: ${fact.actors.slice(0, 6).join(", ")}`);
+    }
+    if (chunk) {
+      const id = `V${sources.filter((s) => s.type === "vector").length + 1}`;
+      const text = chunk.text.slice(0, 400);
+      sources.push({ id, type: "vector", vectorId: chunk.id ?? null, score: Math.round(chunk.score * 1000) / 1000, title: chunk.title, text });
+      lines.push(`   [${id}] Info: ${text}`);
+    }
+    return lines.join("\n");
+  });
+
+  // ── Step 5: LLM answer ──
+  console.log("   🤖 LLM writing the answer...");
+  const prompt = `The user asked: "${query}"
+
+Candidate movies, best first. "graph" = matches the exact facts in the question
+(people, genres, awards...), "vector" = matches the description/mood.
+Movies matched by BOTH are usually the best answers.
+
+${candidateList.join("\n\n")}
+
+Answer the question using ONLY these movies.
+- Respect hard constraints in the question (a named actor, director, genre, year)
+- Use the descriptions to judge mood/style words like "dark" or "feel-good"
+- For each movie you include, explain in 1 sentence why it fits
+Do NOT mention databases, vectors, graphs, scores, or technical terms.
+${CITATION_INSTRUCTIONS}`;
+
+  const answer = await generateAnswer([
+    { role: "system", content: "You are a helpful movie assistant. Respond ONLY in plain English text. Never respond with JSON or code." },
+    { role: "human", content: prompt },
+  ]);
+  return buildAnswerResult(answer, {
+    handler: "hybrid",
+    cypher: cypherLog,
+    sources,
+    aliasTable: await getAliasTable(),
+    context,
+  });
+}
+
+export {
+  handleHybridQuery, reciprocalRankFusion, titlesFromGraphRecords, validateHybridConfig, HYBRID_CONFIG,
+};
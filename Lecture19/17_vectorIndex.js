@@ -0,0 +1,318 @@
+// =====================================================================
+// 17_vectorIndex.js — VECTOR INDEX ADAPTER + METADATA FILTERS
+// =====================================================================
+//
+// Every vector now carries structured metadata (6_vectorStore.js):
+//   { text, title, year, director, genres[], themes[], actors[] }
+//
+// So instead of "top 50 from Pinecone, then ask Neo4j which match",
+// the constraints go INTO the Pinecone query as a metadata filter:
+//
+//   "Sci-fi movies like Inception from the 2000s, no horror"
+//     → { $and: [
+//          { year: { $gte: 2000 } }, { year: { $lte: 2009 } },
+//          { genres: { $in: ["Sci-Fi"] } },
+//          { genres: { $nin: ["Horror"] } },
+//        ] }
+//
+// ADAPTER:
+//   Handlers talk to a small interface instead of the Pinecone SDK:
+//     upsert(vectors) · query({ vector, topK, filter, includeMetadata })
+//     deleteMany(ids) · describeIndexStats()
+//   createPineconeAdapter()    → the real index (default)
+//   createMemoryVectorIndex()  → same interface in memory, with the
+//                                same filter semantics → offline runs
+//   createFileVectorIndex()    → the memory index, persisted to one
+//                                file → indexing + search with no
+//                                Pinecone account (~1000 chunks is
+//                                tiny for exact cosine search)
+//
+// CONFIG (env):
+//   VECTOR_STORE        "pinecone" (default) | "local"
+//   LOCAL_VECTOR_PATH   file for the local store (default data/vectors.json)
+// =====================================================================
+
+import fs from "fs";
+import { pineconeIndex, VECTOR_STORE } from "./2_config.js";
+
+const LOCAL_VECTOR_PATH = process.env.LOCAL_VECTOR_PATH || "./data/vectors.json";
+const LOCAL_VECTOR_VERSION = 1;
+
+// =====================================================================
+// ADAPTERS
+// =====================================================================
+// Without an explicit index, the CURRENT pineconeIndex is looked up on
+// every call → overrideConnections() in 2_config.js reaches it too
+function createPineconeAdapter(index = null) {
+  const target = () => index ?? pineconeIndex;
+  return {
+    name: "pinecone",
+    upsert: (vectors) => target().upsert(vectors),
+    query: (request) => target().query(request),
+    deleteMany: (ids) => target().deleteMany(ids),
+    describeIndexStats: () => target().describeIndexStats(),
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// In-memory index with Pinecone's query/filter behaviour.
+// `records` can be pre-seeded: [{ id, values, metadata }]
+function createMemoryVectorIndex(records = []) {
+  const store = new Map(records.map((r) => [r.id, r]));
+
+  return {
+    name: "memory",
+    store,
+    async upsert(vectors) {
+      for (const v of vectors) store.set(v.id, { id: v.id, values: v.values, metadata: v.metadata || {} });
+    },
+    async query({ vector, topK = 10, filter = null, includeMetadata = false }) {
+      const matches = [...store.values()]
+        .filter((r) => !filter || matchesFilter(r.metadata, filter))
+        .map((r) => ({
+          id: r.id,
+          score: cosineSimilarity(vector, r.values),
+          ...(includeMetadata ? { metadata: r.metadata } : {}),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      return { matches };
+    },
+    async deleteMany(ids) {
+      for (const id of ids) store.delete(id);
+    },
+    async describeIndexStats() {
+      const first = store.values().next().value;
+      return { totalRecordCount: store.size, dimension: first ? first.values.length : null };
+    },
+  };
+}
+
+// ── Local file store ──
+// One JSON file; each vector's values are Float32 bytes in base64
+// (3072 floats → 16 KB instead of ~60 KB as JSON numbers)
+function encodeValues(values) {
+  return Buffer.from(new Float32Array(values).buffer).toString("base64");
+}
+
+function decodeValues(encoded) {
+  // Copy → the Float32Array view needs a 4-byte aligned buffer
+  const bytes = Uint8Array.from(Buffer.from(encoded, "base64"));
+  return Array.from(new Float32Array(bytes.buffer));
+}
+
+function readVectorFile(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const file = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (file.version !== LOCAL_VECTOR_VERSION) {
+    throw new Error(`${filePath} has version ${file.version}, expected ${LOCAL_VECTOR_VERSION} — re-run npm run index:full`);
+  }
+  return file.records.map((r) => ({ id: r.id, values: decodeValues(r.values), metadata: r.metadata }));
+}
+
+// Write to a temp file, then rename → a crash never leaves half a file
+function writeVectorFile(filePath, records) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({
+    version: LOCAL_VECTOR_VERSION,
+    savedAt: new Date().toISOString(),
+    records: records.map((r) => ({ id: r.id, values: encodeValues(r.values), metadata: r.metadata })),
+  }));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Loaded on first use, saved after every upsert / delete batch
+// (6_vectorStore.js upserts 100 vectors at a time)
+function createFileVectorIndex(filePath = LOCAL_VECTOR_PATH) {
+  let memory = null;
+  const load = () => (memory ??= createMemoryVectorIndex(readVectorFile(filePath)));
+  const save = () => writeVectorFile(filePath, [...memory.store.values()]);
+
+  return {
+    name: "local",
+    filePath,
+    async upsert(vectors) {
+      await load().upsert(vectors);
+      save();
+    },
+    query: (request) => load().query(request),
+    async deleteMany(ids) {
+      const index = load();
+      const before = index.store.size;
+      await index.deleteMany(ids);
+      if (index.store.size !== before) save();
+    },
+    describeIndexStats: () => load().describeIndexStats(),
+  };
+}
+
+// =====================================================================
+// FILTER EVALUATION (Pinecone semantics, used by the memory index)
+// =====================================================================
+// A list field matches $eq/$in when ANY element matches,
+// and $ne/$nin only when NO element matches.
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") return condition.every((f) => matchesFilter(metadata, f));
+    if (key === "$or") return condition.some((f) => matchesFilter(metadata, f));
+
+    const value = metadata?.[key];
+    const ops = condition !== null && typeof condition === "object" && !Array.isArray(condition)
+      ? condition
+      : { $eq: condition };
+    return Object.entries(ops).every(([op, expected]) => matchesOperator(value, op, expected));
+  });
+}
+
+function matchesOperator(value, op, expected) {
+  const values = Array.isArray(value) ? value : value === undefined ? [] : [value];
+
+  switch (op) {
+    case "$eq": return values.some((v) => v === expected);
+    case "$ne": return !values.some((v) => v === expected);
+    case "$in": return values.some((v) => expected.includes(v));
+    case "$nin": return !values.some((v) => expected.includes(v));
+    case "$gt": return values.some((v) => v > expected);
+    case "$gte": return values.some((v) => v >= expected);
+    case "$lt": return values.some((v) => v < expected);
+    case "$lte": return values.some((v) => v <= expected);
+    case "$exists": return (value !== undefined) === expected;
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+// =====================================================================
+// FILTER BUILDING
+// =====================================================================
+// criteria = {
+//   yearFrom, yearTo,                 → year range (inclusive)
+//   includeGenres: ["Sci-Fi"],        → at least one of these genres
+//   excludeGenres: ["Horror"],        → none of these genres
+//   actors: ["Keanu Reeves"],         → ALL of these actors
+//   directors: ["Christopher Nolan"], → any of these directors
+// }
+// Returns null when there is nothing to filter on.
+function buildMetadataFilter(criteria = {}) {
+  const clauses = [];
+  const { yearFrom, yearTo, includeGenres = [], excludeGenres = [], actors = [], directors = [] } = criteria;
+
+  if (Number.isFinite(yearFrom)) clauses.push({ year: { $gte: yearFrom } });
+  if (Number.isFinite(yearTo)) clauses.push({ year: { $lte: yearTo } });
+  if (includeGenres.length > 0) clauses.push({ genres: { $in: includeGenres } });
+  if (excludeGenres.length > 0) clauses.push({ genres: { $nin: excludeGenres } });
+  for (const actor of actors) clauses.push({ actors: { $in: [actor] } });
+  if (directors.length > 0) clauses.push({ director: { $in: directors } });
+
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// =====================================================================
+// FILTER CRITERIA FROM A QUERY
+// =====================================================================
+// Uses the RESOLVED entities (exact names from the graph) plus a few
+// year patterns. "not/no/without/except <genre>" turns a genre into an
+// exclusion. No LLM call — the entities are already resolved.
+const DECADE_PATTERN = /\b(?:the\s+)?(?:(19|20)(\d)0|'?(\d)0)s\b/i;
+const BETWEEN_PATTERN = /\bbetween\s+(\d{4})\s+and\s+(\d{4})\b/i;
+const AFTER_PATTERN = /\b(?:after|since|from)\s+(\d{4})\b/i;
+const BEFORE_PATTERN = /\b(?:before|until|prior to)\s+(\d{4})\b/i;
+const IN_YEAR_PATTERN = /\bin\s+(\d{4})\b/i;
+
+function extractYearRange(query) {
+  const between = query.match(BETWEEN_PATTERN);
+  if (between) {
+    const [a, b] = [Number(between[1]), Number(between[2])].sort((x, y) => x - y);
+    return { yearFrom: a, yearTo: b };
+  }
+
+  const decade = query.match(DECADE_PATTERN);
+  if (decade) {
+    // "1990s" / "90s" ("'90s") → 1990–1999; two-digit decades ≥ 30 are 1900s
+    const start = decade[1]
+      ? Number(`${decade[1]}${decade[2]}0`)
+      : Number(decade[3]) >= 3 ? 1900 + Number(decade[3]) * 10 : 2000 + Number(decade[3]) * 10;
+    return { yearFrom: start, yearTo: start + 9 };
+  }
+
+  const range = {};
+  const after = query.match(AFTER_PATTERN);
+  const before = query.match(BEFORE_PATTERN);
+  if (after) range.yearFrom = Number(after[1]) + (/after/i.test(after[0]) ? 1 : 0);
+  if (before) range.yearTo = Number(before[1]) - 1;
+  if (!after && !before) {
+    const inYear = query.match(IN_YEAR_PATTERN);
+    if (inYear) return { yearFrom: Number(inYear[1]), yearTo: Number(inYear[1]) };
+  }
+  return range;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function extractFilterCriteria(query, resolvedEntities) {
+  const criteria = {
+    ...extractYearRange(query),
+    includeGenres: [],
+    excludeGenres: [],
+    actors: [],
+    directors: [],
+  };
+
+  for (const entity of resolvedEntities?.entities || []) {
+    if (entity.label === "Genre") {
+      const negated = new RegExp(`\\b(not|no|without|except|excluding)\\s+(any\\s+)?${escapeRegExp(entity.searchTerm)}`, "i");
+      (negated.test(query) ? criteria.excludeGenres : criteria.includeGenres).push(entity.nodeName);
+    } else if (entity.label === "Actor") {
+      criteria.actors.push(entity.nodeName);
+    } else if (entity.label === "Director") {
+      criteria.directors.push(entity.nodeName);
+    }
+  }
+
+  return criteria;
+}
+
+// VECTOR_STORE → adapter
+function createVectorIndex(backend = VECTOR_STORE) {
+  switch (backend) {
+    case "pinecone": return createPineconeAdapter();
+    case "local": return createFileVectorIndex();
+    default: throw new Error(`Unknown VECTOR_STORE "${backend}" (use "pinecone" or "local")`);
+  }
+}
+
+// The index every handler uses — swap it for offline runs:
+//   setVectorIndex(createMemoryVectorIndex(records))
+let vectorIndex = createVectorIndex();
+
+function setVectorIndex(adapter) {
+  vectorIndex = adapter;
+  return adapter;
+}
+
+export {
+  vectorIndex,
+  setVectorIndex,
+  createVectorIndex,
+  createPineconeAdapter,
+  createMemoryVectorIndex,
+  createFileVectorIndex,
+  LOCAL_VECTOR_PATH,
+  readVectorFile,
+  writeVectorFile,
+  matchesFilter,
+  buildMetadataFilter,
+  extractYearRange,
+  extractFilterCriteria,
+};
@@ -0,0 +1,309 @@
+// =====================================================================
+// 18_aliasTable.js — ALIAS TABLE + FUZZY NAME SCORING
+// =====================================================================
+//
+// PROBLEM:
+//   The graph only knows canonical names. Users type:
+//     "Christpher Nolan"  → typo
+//     "C. Nolan", "Nolan" → initials / surname only
+//     "Chris Nolan"       → nickname
+//     "Matrix"            → title without "The"
+//   An exact toLower match misses all of these, and CONTAINS turns
+//   "Chris" into whichever of dozens of actors Neo4j returns first.
+//
+// SOLUTION:
+//   1. ALIAS TABLE (built at index time, saved to data/alias-table.json)
+//      Every node name → a few normalized aliases, each with a weight:
+//        "Christopher Nolan" (Director)
+//          christopher nolan   canonical  1.00
+//          c nolan             initials   0.95
+//          chris nolan         nickname   0.95
+//        "The Matrix" (Movie)
+//          the matrix          canonical  1.00
+//          matrix              article    0.98
+//
+//   2. FUZZY SCORE per alias (0..1), best of:
+//        edit distance   "christpher nolan" ~ "christopher nolan" → 0.94
+//        tokens          "nolan christopher" = same tokens        → 1.00
+//                        "nolan" ⊂ "christopher nolan"            → 0.90
+//      score = fuzzy score × alias weight
+//
+//   3. RANKED CANDIDATES → 9_entityResolver.js decides:
+//        exact / clear winner → resolve
+//        several close scores → ambiguous (CLI asks the user)
+//        all below threshold  → unresolved
+//
+// Command: npm run aliases   → rebuild the table from Neo4j
+// =====================================================================
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { driver, closeConnections } from "./2_config.js";
+import { DOMAIN } from "./26_domainSchema.js";
+
+const ALIAS_TABLE_PATH = "./data/alias-table.json";
+const ALIAS_TABLE_VERSION = 1;
+
+// Searchable node types, from the domain schema (26_domainSchema.js):
+// the root by its key, every entity by its first property
+//   movies → Movie.title, Director.name, ..., Award.name
+const NODE_TYPES = [
+  { label: DOMAIN.root.label, property: DOMAIN.root.key },
+  ...DOMAIN.entities.map((entity) => ({ label: entity.label, property: entity.properties[0] })),
+];
+
+// Alias weights — a perfect match on a derived alias is slightly
+// weaker evidence than a perfect match on the real name
+const ALIAS_WEIGHTS = {
+  canonical: 1.0,
+  article: 0.98,   // "The Matrix" → "matrix"
+  variant: 0.98,   // "sci-fi" ↔ "science fiction"
+  initials: 0.95,  // "Christopher Nolan" → "c nolan"
+  nickname: 0.95,  // "Christopher Nolan" → "chris nolan"
+  merged: 0.98,    // name of a duplicate merged into this node (24_graphHygiene.js)
+};
+
+// Common short forms of first names (both directions are generated)
+const NICKNAMES = {
+  christopher: ["chris"], christian: ["chris"], leonardo: ["leo"],
+  thomas: ["tom"], robert: ["rob", "bob", "bobby"], william: ["will", "bill", "billy"],
+  james: ["jim", "jimmy"], michael: ["mike"], samuel: ["sam"], samantha: ["sam"],
+  benjamin: ["ben"], matthew: ["matt"], daniel: ["dan", "danny"], joseph: ["joe"],
+  jonathan: ["jon"], nicholas: ["nick"], anthony: ["tony"], stephen: ["steve"],
+  steven: ["steve"], richard: ["rick", "dick"], edward: ["ed", "eddie"],
+  alexander: ["alex"], alexandra: ["alex"], jennifer: ["jen"], elizabeth: ["liz", "beth"],
+  katherine: ["kate"], catherine: ["cate", "kate"], margaret: ["maggie"],
+  timothy: ["tim"], zachary: ["zach"], jacob: ["jake"], joshua: ["josh"],
+};
+
+// Genre spellings that don't survive plain normalization
+const GENRE_VARIANTS = {
+  "sci fi": ["science fiction", "scifi", "sf"],
+  "science fiction": ["sci fi", "scifi"],
+  "romcom": ["romantic comedy"],
+  "romantic comedy": ["romcom", "rom com"],
+  "animation": ["animated", "cartoon"],
+  "documentary": ["doc", "docs"],
+};
+
+// =====================================================================
+// NORMALIZATION
+// =====================================================================
+// "Amélie (2001)" → "amelie 2001"; "Sci-Fi" → "sci fi"
+function normalizeName(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// =====================================================================
+// ALIAS GENERATION
+// =====================================================================
+// mergedNames = the node's `aliases` property (24_graphHygiene.js)
+function aliasesFor(label, name, mergedNames = []) {
+  const canonical = normalizeName(name);
+  if (!canonical) return [];
+
+  const aliases = new Map([[canonical, "canonical"]]);
+  const add = (alias, kind) => {
+    const normalized = normalizeName(alias);
+    if (normalized && !aliases.has(normalized)) aliases.set(normalized, kind);
+  };
+  const tokens = canonical.split(" ");
+
+  if (label === DOMAIN.root.label) {
+    const withoutArticle = canonical.replace(/^(the|a|an) /, "");
+    if (withoutArticle !== canonical) add(withoutArticle, "article");
+  }
+
+  if (label === "Actor" || label === "Director") {
+    if (tokens.length >= 2) {
+      // "christopher nolan" → "c nolan"
+      add([tokens[0][0], ...tokens.slice(1)].join(" "), "initials");
+      // "christopher nolan" → "chris nolan"; "chris evans" → "christopher evans"
+      for (const nick of NICKNAMES[tokens[0]] || []) add([nick, ...tokens.slice(1)].join(" "), "nickname");
+      for (const [full, nicks] of Object.entries(NICKNAMES)) {
+        if (nicks.includes(tokens[0])) add([full, ...tokens.slice(1)].join(" "), "nickname");
+      }
+    }
+  }
+
+  if (label === "Genre") {
+    for (const variant of GENRE_VARIANTS[canonical] || []) add(variant, "variant");
+  }
+
+  for (const merged of mergedNames) add(merged, "merged");
+
+  return [...aliases].map(([alias, kind]) => ({
+    alias,
+    label,
+    nodeName: name,
+    kind,
+    weight: ALIAS_WEIGHTS[kind],
+  }));
+}
+
+// =====================================================================
+// BUILD / SAVE / LOAD
+// =====================================================================
+// Called by 7_runIndexing.js after the graph is built
+async function buildAliasTable() {
+  const session = driver.session({ defaultAccessMode: "READ" });
+  const entries = [];
+  try {
+    for (const { label, property } of NODE_TYPES) {
+      const result = await session.run(
+        `MATCH (n:${label}) WHERE n.${property} IS NOT NULL
+         WITH n.${property} AS name, collect(coalesce(n.aliases, [])) AS lists
+         RETURN name, reduce(acc = [], l IN lists | acc + l) AS aliases`
+      );
+      for (const record of result.records) {
+        entries.push(...aliasesFor(label, record.get("name"), record.get("aliases")));
+      }
+    }
+  } finally {
+    await session.close();
+  }
+  return { version: ALIAS_TABLE_VERSION, builtAt: new Date().toISOString(), entries };
+}
+
+function saveAliasTable(table, tablePath = ALIAS_TABLE_PATH) {
+  const tmpPath = `${tablePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(table));
+  fs.renameSync(tmpPath, tablePath);
+}
+
+// null when missing or outdated → caller rebuilds it
+function loadAliasTable(tablePath = ALIAS_TABLE_PATH) {
+  if (!fs.existsSync(tablePath)) return null;
+  const table = JSON.parse(fs.readFileSync(tablePath, "utf-8"));
+  return table.version === ALIAS_TABLE_VERSION ? table : null;
+}
+
+// =====================================================================
+// FUZZY SCORING
+// =====================================================================
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function editSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Single token vs single token; "c" matches any token starting with "c"
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 1 || b.length === 1) return a[0] === b[0] ? 0.9 : 0;
+  return editSimilarity(a, b);
+}
+
+// Order-insensitive token match:
+//   every query token finds its best alias token
+//   all query tokens found exactly → subset ("nolan" ⊂ "christopher nolan")
+function tokenScore(queryTokens, aliasTokens) {
+  if (queryTokens.length === 0 || aliasTokens.length === 0) return 0;
+
+  const best = queryTokens.map((q) => Math.max(...aliasTokens.map((a) => tokenSimilarity(q, a))));
+  const sum = best.reduce((total, s) => total + s, 0);
+
+  if (best.every((s) => s === 1) && queryTokens.length < aliasTokens.length) {
+    return 0.8 + 0.2 * (queryTokens.length / aliasTokens.length);
+  }
+  return sum / Math.max(queryTokens.length, aliasTokens.length);
+}
+
+// term and alias are both normalized
+function scoreAlias(term, alias) {
+  if (term === alias) return 1;
+  return Math.max(editSimilarity(term, alias), tokenScore(term.split(" "), alias.split(" ")));
+}
+
+/**
+ * Rank every node against a search term.
+ * Returns the best alias per (label, nodeName), highest score first:
+ *   [{ label, nodeName, score, matchType, alias }]
+ *   matchType: exact (canonical name) | alias (derived alias, exact)
+ *              | fuzzy (anything else)
+ */
+function rankCandidates(term, table, { limit = 10, minScore = 0.5 } = {}) {
+  const normalized = normalizeName(term);
+  if (!normalized) return [];
+
+  const best = new Map();
+  for (const entry of table.entries) {
+    // Lengths too far apart can't score well on either measure
+    if (Math.abs(entry.alias.length - normalized.length) > Math.max(normalized.length, entry.alias.length) * 0.75) {
+      if (!entry.alias.includes(normalized)) continue;
+    }
+
+    const raw = scoreAlias(normalized, entry.alias);
+    const score = Math.round(raw * entry.weight * 1000) / 1000;
+    if (score < minScore) continue;
+
+    const key = `${entry.label}:${entry.nodeName}`;
+    const matchType = raw === 1 ? (entry.kind === "canonical" ? "exact" : "alias") : "fuzzy";
+    const previous = best.get(key);
+    // On a tie, a real alias hit explains the match better than a fuzzy one
+    if (previous && (previous.score > score || (previous.score === score && matchType === "fuzzy"))) continue;
+
+    best.set(key, { label: entry.label, nodeName: entry.nodeName, score, matchType, alias: entry.alias });
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.nodeName.localeCompare(b.nodeName))
+    .slice(0, limit);
+}
+
+// npm run aliases → rebuild the table without re-indexing
+async function main() {
+  try {
+    console.log("🔤 Building alias table from Neo4j...");
+    const table = await buildAliasTable();
+    saveAliasTable(table);
+    console.log(`✅ ${table.entries.length} aliases saved to ${ALIAS_TABLE_PATH}`);
+  } finally {
+    await closeConnections();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error("❌ Alias table build failed:", err.message);
+    process.exit(1);
+  });
+}
+
+export {
+  ALIAS_TABLE_PATH,
+  NODE_TYPES,
+  normalizeName,
+  aliasesFor,
+  buildAliasTable,
+  saveAliasTable,
+  loadAliasTable,
+  levenshtein,
+  scoreAlias,
+  rankCandidates,
+};
@@ -0,0 +1,206 @@
+// =====================================================================
+// 19_provenance.js — SOURCES, CITATIONS + HALLUCINATION CHECK
+// =====================================================================
+//
+// PROBLEM:
+//   "Inception was directed by Christopher Nolan and stars Tom Cruise."
+//   Which Neo4j row says that? Which Pinecone chunk? Is Tom Cruise even
+//   in the evidence — or did the LLM make him up?
+//
+// SOLUTION: every handler returns a STRUCTURED result:
+//   {
+//     answer: "Inception (2010) was directed by Christopher Nolan [G1].",
+//     provenance: {
+//       handler:  "graph",
+//       cypher:   [{ cypher, params }],            ← what ran on Neo4j
+//       sources:  [                               ← what the LLM saw
+//         { id: "G1", type: "graph", record: {...} },
+//         { id: "V1", type: "vector", vectorId, score, title, text },
+//       ],
+//       citations: [{ sentence, sources: ["G1"] }], ← sentence → sources
+//       uncited:   ["A sentence with no marker."],
+//       unsupported: [                            ← hallucination check
+//         { name: "Tom Cruise", label: "Actor", reason: "not in evidence" },
+//       ],
+//     }
+//   }
+//
+// CITATIONS:
+//   Every source is shown to the LLM with its id ("[G1] {...}") and the
+//   prompt asks for markers after each sentence. parseCitations() maps
+//   the markers back; markers pointing nowhere are dropped.
+//
+// HALLUCINATION CHECK (no LLM call):
+//   1. Every Movie/Actor/Director name from the alias table
+//      (18_aliasTable.js) that appears in the answer must also appear
+//      in the evidence (sources + the question itself)
+//   2. Titles the answer highlights (**bold**, "quoted", "1. Title —")
+//      that are in neither the evidence nor the graph are flagged too
+// =====================================================================
+
+import { normalizeName } from "./18_aliasTable.js";
+
+// Labels the hallucination check looks at — genres/themes are too
+// generic ("Drama", "Love") to flag reliably
+const CHECKED_LABELS = ["Movie", "Actor", "Director"];
+const MIN_NAME_LENGTH = 4;   // shorter names match inside ordinary words
+const MAX_PROMPT_SOURCES = 50;
+
+const CITATION_INSTRUCTIONS = `Each source below starts with an id like [G1] or [V1].
+After every sentence, add the ids of the sources it is based on, e.g. "... in 2010 [G1][G3]."
+Only state facts that appear in the sources.`;
+
+// =====================================================================
+// SOURCES
+// =====================================================================
+function graphSources(records, { offset = 0 } = {}) {
+  return records
+    .slice(0, MAX_PROMPT_SOURCES)
+    .filter((record) => !record?.error)
+    .map((record, i) => ({ id: `G${offset + i + 1}`, type: "graph", record }));
+}
+
+// candidates = [{ id, title, text, score }] (12_similarityHandler.js)
+function vectorSources(candidates, { offset = 0 } = {}) {
+  return candidates.slice(0, MAX_PROMPT_SOURCES).map((c, i) => ({
+    id: `V${offset + i + 1}`,
+    type: "vector",
+    vectorId: c.id ?? null,
+    score: typeof c.score === "number" ? Math.round(c.score * 1000) / 1000 : null,
+    title: c.title ?? null,
+    text: c.text ?? "",
+  }));
+}
+
+// "[G1] {...}" / "[V1] Inception — <chunk text>"
+function formatSourcesForPrompt(sources, { maxChunkChars = 600 } = {}) {
+  return sources.map((s) => (s.type === "graph"
+    ? `[${s.id}] ${JSON.stringify(s.record)}`
+    : `[${s.id}] ${s.title ? `${s.title} — ` : ""}${s.text.slice(0, maxChunkChars)}`
+  )).join("\n");
+}
+
+// =====================================================================
+// CITATIONS
+// =====================================================================
+const MARKER_PATTERN = /\[([GV]\d+)\]/g;
+
+// One list item / line can hold several sentences; "1." list numbers
+// are not sentences of their own
+function splitSentences(text) {
+  return text
+    .split(/\n+/)
+    .map((line) => line.replace(/^\s*(?:\d+\.|[-*•])\s+/, ""))
+    .flatMap((line) => line.match(/[^.!?]+(?:[.!?]+(?:\s*\[[GV]\d+\])*|$)/g) || [])
+    .map((s) => s.trim())
+    .filter((s) => s.replace(MARKER_PATTERN, "").trim().length > 0);
+}
+
+function parseCitations(answer, sources) {
+  const known = new Set(sources.map((s) => s.id));
+  const citations = [];
+  const uncited = [];
+
+  for (const sentence of splitSentences(answer)) {
+    const ids = [...new Set([...sentence.matchAll(MARKER_PATTERN)].map((m) => m[1]))];
+    const valid = ids.filter((id) => known.has(id));
+    if (valid.length > 0) citations.push({ sentence, sources: valid });
+    else uncited.push(sentence);
+  }
+  return { citations, uncited };
+}
+
+function stripCitations(answer) {
+  return answer.replace(/\s*\[[GV]\d+\]/g, "");
+}
+
+// =====================================================================
+// HALLUCINATION CHECK
+// =====================================================================
+// Padded, normalized text → whole-word matching with includes()
+function padded(text) {
+  return ` ${normalizeName(text)} `;
+}
+
+function evidenceText(sources, context = []) {
+  const parts = sources.map((s) => (s.type === "graph"
+    ? JSON.stringify(s.record)
+    : `${s.title || ""} ${s.text}`));
+  return padded([...parts, ...context].join(" \n "));
+}
+
+// Titles the answer puts front and centre
+function highlightedNames(answer) {
+  const names = [];
+  for (const m of answer.matchAll(/\*\*([^*\n]+)\*\*/g)) names.push(m[1]);
+  for (const m of answer.matchAll(/"([^"\n]{2,80})"/g)) names.push(m[1]);
+  for (const m of answer.matchAll(/^\s*\d+\.\s+\**([^*\n—–:([]+?)\**\s*(?:\(\d{4}\))?\s*[—–:(-]/gm)) names.push(m[1]);
+  // Titles start with a capital or a digit — skips quoted mood words ("dark")
+  return [...new Set(names.map((n) => n.replace(MARKER_PATTERN, "").trim()).filter((n) => /^[A-Z0-9]/.test(n)))];
+}
+
+/**
+ * Names in the answer that the evidence does not back up.
+ * aliasTable = graph names (18_aliasTable.js); context = strings that
+ * count as evidence too (the question, resolved entity names).
+ */
+function findUnsupportedNames(answer, sources, { aliasTable = null, context = [] } = {}) {
+  const text = padded(stripCitations(answer));
+  const evidence = evidenceText(sources, context);
+  const unsupported = [];
+  const flagged = new Set();
+
+  // ── 1. Known graph names ──
+  const graphNames = new Set();
+  for (const entry of aliasTable?.entries || []) {
+    if (entry.kind !== "canonical" || !CHECKED_LABELS.includes(entry.label)) continue;
+    graphNames.add(entry.alias);
+    if (entry.alias.length < MIN_NAME_LENGTH || flagged.has(entry.alias)) continue;
+    if (text.includes(` ${entry.alias} `) && !evidence.includes(` ${entry.alias} `)) {
+      flagged.add(entry.alias);
+      unsupported.push({ name: entry.nodeName, label: entry.label, reason: "not in evidence" });
+    }
+  }
+
+  // ── 2. Highlighted names the graph doesn't know at all ──
+  for (const name of highlightedNames(answer)) {
+    const normalized = normalizeName(name);
+    if (normalized.length < MIN_NAME_LENGTH || flagged.has(normalized)) continue;
+    if (evidence.includes(` ${normalized} `) || graphNames.has(normalized)) continue;
+    flagged.add(normalized);
+    unsupported.push({ name, label: null, reason: "not in evidence or graph" });
+  }
+
+  return unsupported;
+}
+
+// =====================================================================
+// RESULT
+// =====================================================================
+function buildAnswerResult(answer, { handler, cypher = [], sources = [], aliasTable = null, context = [] }) {
+  const { citations, uncited } = parseCitations(answer, sources);
+  return {
+    answer,
+    provenance: {
+      handler,
+      cypher,
+      sources,
+      citations,
+      uncited,
+      unsupported: findUnsupportedNames(answer, sources, { aliasTable, context }),
+    },
+  };
+}
+
+export {
+  CITATION_INSTRUCTIONS,
+  graphSources,
+  vectorSources,
+  formatSourcesForPrompt,
+  splitSentences,
+  parseCitations,
+  stripCitations,
+  highlightedNames,
+  findUnsupportedNames,
+  buildAnswerResult,
+};
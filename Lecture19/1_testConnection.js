@@ -1,12 +1,13 @@
 // =====================================================================
 // 1_testConnection.js — RUN THIS FIRST
 // =====================================================================
-// Command: npm run test
+// Command: npm run test:connection   (npm test runs the offline tests)
 //
 // Tests all 4 services. If any fails, fix your .env file.
 // =====================================================================
 
-import { driver, pineconeIndex, llm, embedText, closeConnections } from "./2_config.js";
+import { driver, llm, embedText, closeConnections } from "./2_config.js";
+import { vectorIndex } from "./17_vectorIndex.js";
 
 async function testConnections() {
   console.log("🔍 Testing all connections...\n");
@@ -21,12 +22,12 @@ async function testConnections() {
     console.error("❌ Neo4j:", err.message);
   }
 
-  // Test 2: Pinecone
+  // Test 2: Vector store (Pinecone, or the local file with VECTOR_STORE=local)
   try {
-    const stats = await pineconeIndex.describeIndexStats();
-    console.log("✅ Pinecone: Connected | Vectors:", stats.totalRecordCount || 0);
+    const stats = await vectorIndex.describeIndexStats();
+    console.log(`✅ Vector store (${vectorIndex.name}): Connected | Vectors:`, stats.totalRecordCount || 0);
   } catch (err) {
-    console.error("❌ Pinecone:", err.message);
+    console.error(`❌ Vector store (${vectorIndex.name}):`, err.message);
   }
 
   // Test 3: Gemini LLM
@@ -0,0 +1,78 @@
+// =====================================================================
+// 20_progress.js — PROGRESS EVENTS + STREAMED ANSWERS
+// =====================================================================
+//
+// The HTTP API (21_apiServer.js) streams what the pipeline is doing:
+//
+//   rewrite → entities → cache → classification → route → plan
+//     → validation → cypher / similarity → retrieval → [table]
+//     → token, token, token... → answer
+//
+// Passing an onEvent callback through every handler would touch every
+// function signature. Instead the listener lives in AsyncLocalStorage:
+//
+//   withProgress(listener, () => processQuery(...))
+//     └─ anywhere inside: emitProgress("cypher", { cypher, params })
+//
+// Each request gets its OWN listener, even when several run at once.
+// Without a listener (the CLI) emitProgress() does nothing.
+// Explain mode (27_queryTrace.js) records the same events as a trace.
+// =====================================================================
+
+import { AsyncLocalStorage } from "async_hooks";
+import { llm } from "./2_config.js";
+
+const progressStorage = new AsyncLocalStorage();
+
+function withProgress(listener, fn) {
+  return progressStorage.run(listener, fn);
+}
+
+function currentProgressListener() {
+  return progressStorage.getStore() ?? null;
+}
+
+// A broken listener (closed connection...) must never break the query
+function emitProgress(stage, data = {}) {
+  const listener = progressStorage.getStore();
+  if (!listener) return;
+  try {
+    listener(stage, data);
+  } catch (err) {
+    console.warn(`   ⚠️ Progress listener failed: ${err.message}`);
+  }
+}
+
+// LLM content can be a string or an array of blocks
+function contentToText(content) {
+  if (!Array.isArray(content)) return content || "";
+  return content
+    .filter((block) => typeof block === "string" || block.type === "text")
+    .map((block) => (typeof block === "string" ? block : block.text))
+    .join("\n");
+}
+
+/**
+ * Final answer from the LLM.
+ * With a listener → llm.stream() and a "token" event per chunk.
+ * Without one (or an llm without .stream, or a listener that opted out
+ * with listener.streamTokens = false) → a single llm.invoke().
+ */
+async function generateAnswer(messages) {
+  const listener = progressStorage.getStore();
+  if (!listener || listener.streamTokens === false || typeof llm.stream !== "function") {
+    const response = await llm.invoke(messages);
+    return contentToText(response.content).trim();
+  }
+
+  let text = "";
+  for await (const chunk of await llm.stream(messages)) {
+    const piece = contentToText(chunk.content);
+    if (!piece) continue;
+    text += piece;
+    emitProgress("token", { text: piece });
+  }
+  return text.trim();
+}
+
+export { withProgress, currentProgressListener, emitProgress, contentToText, generateAnswer };
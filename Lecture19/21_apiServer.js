@@ -0,0 +1,345 @@
+// =====================================================================
+// 21_apiServer.js — HTTP API AROUND processQuery()
+// =====================================================================
+//
+// Command: npm run serve   (PORT, default 3019)
+//
+// ENDPOINTS:
+//   POST /api/query          { query, sessionId?, strategy? } → { answer, provenance, type, ... }
+//   GET  /api/query/stream   ?query=...&sessionId=...&strategy=...  → Server-Sent Events
+//   strategy = similarity strategy: vector | graph (29_graphRecommender.js)
+//   GET  /api/health         Neo4j + vector index reachable?
+//   GET  /api/stats          node counts per label, relationships, vectors,
+//                            answer cache counters
+//
+// STREAM (text/event-stream), one event per pipeline stage:
+//   rewrite → entities → cache → classification → plan → validation
+//     → cypher (similarity: similarity → cypher) → retrieval
+//     → table (grouped results only) → token (many)
+//     → answer → done                                      (or: error)
+//   A cache hit skips straight from cache to answer (an exact hit
+//   comes before entities, a paraphrase hit right after them).
+//
+//   event: classification
+//   data: {"type":"graph","confidence":0.92,...}
+//
+// LIMITS:
+//   API_MAX_CONCURRENT  queries running at once (default 2) → else 429
+//   queries up to 500 characters, request bodies up to 16 KB
+//
+// TESTING: everything talks to 2_config.js → overrideConnections() with
+// stubbed driver / pineconeIndex / llm, then createApiServer().
+// Plain node:http — no framework needed for five routes.
+// =====================================================================
+
+import http from "http";
+import { fileURLToPath } from "url";
+import { processQuery } from "./13_runQuery.js";
+import { loadSession } from "./14_conversationMemory.js";
+import { withProgress } from "./20_progress.js";
+import { vectorIndex } from "./17_vectorIndex.js";
+import { answerCache } from "./22_answerCache.js";
+import { SIMILARITY_STRATEGIES, DEFAULT_SIMILARITY_STRATEGY } from "./29_graphRecommender.js";
+import { driver, closeConnections } from "./2_config.js";
+import { DOMAIN } from "./26_domainSchema.js";
+
+// ── Constants ──
+const API_CONFIG = {
+  port: Number(process.env.PORT || 3019),
+  maxConcurrent: Number(process.env.API_MAX_CONCURRENT || 2),
+  corsOrigin: process.env.API_CORS_ORIGIN || "*",
+  maxQueryLength: 500,
+  maxBodyBytes: 16 * 1024,
+  keepAliveMs: 15000,   // SSE comment ping so proxies keep the stream open
+};
+
+// Labels /api/stats always reports (0 when empty) — from DOMAIN_SCHEMA
+const NODE_LABELS = DOMAIN.labels;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// =====================================================================
+// VALIDATION
+// =====================================================================
+function validateQueryInput(input, config = API_CONFIG) {
+  const query = typeof input?.query === "string" ? input.query.trim() : "";
+  if (!query) throw new ApiError(400, "\"query\" is required");
+  if (query.length > config.maxQueryLength) {
+    throw new ApiError(400, `"query" must be at most ${config.maxQueryLength} characters`);
+  }
+
+  const sessionId = input.sessionId ?? null;
+  if (sessionId !== null && (typeof sessionId !== "string" || !/^[\w-]{1,64}$/.test(sessionId))) {
+    throw new ApiError(400, "\"sessionId\" may only contain letters, digits, _ and -");
+  }
+
+  const strategy = input.strategy ?? DEFAULT_SIMILARITY_STRATEGY;
+  if (!SIMILARITY_STRATEGIES.includes(strategy)) {
+    throw new ApiError(400, `"strategy" must be one of: ${SIMILARITY_STRATEGIES.join(", ")}`);
+  }
+  return { query, sessionId, strategy };
+}
+
+// =====================================================================
+// CONCURRENCY: fixed number of slots, no queue
+// =====================================================================
+// A query costs several LLM calls — queueing would just move the wait
+// into the client's timeout. Full → 429 + Retry-After.
+function createLimiter(max) {
+  let active = 0;
+  return {
+    get active() { return active; },
+    max,
+    tryAcquire() {
+      if (active >= max) return false;
+      active++;
+      return true;
+    },
+    release() {
+      active = Math.max(0, active - 1);
+    },
+  };
+}
+
+// =====================================================================
+// HELPERS
+// =====================================================================
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Oversized bodies are drained (not destroyed) so the 413 still arrives
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxBytes) {
+        reject(new ApiError(413, "Request body too large"));
+        return;
+      }
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf-8")) : {});
+      } catch {
+        reject(new ApiError(400, "Body must be valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Neo4j Integer → number
+function toNumber(value) {
+  return typeof value === "object" && value?.toNumber ? value.toNumber() : value;
+}
+
+async function runQuery(input, { onEvent = null } = {}) {
+  const session = input.sessionId ? loadSession(input.sessionId) : null;
+  const run = () => processQuery(input.query, session, { strategy: input.strategy });
+  const result = onEvent ? await withProgress(onEvent, run) : await run();
+  return {
+    ...result,
+    sessionId: session?.id ?? null,
+  };
+}
+
+// =====================================================================
+// HEALTH + STATS
+// =====================================================================
+async function checkHealth() {
+  const checks = {};
+
+  try {
+    const session = driver.session({ defaultAccessMode: "READ" });
+    try {
+      await session.run("RETURN 1 AS ok");
+    } finally {
+      await session.close();
+    }
+    checks.neo4j = { ok: true };
+  } catch (err) {
+    checks.neo4j = { ok: false, error: err.message };
+  }
+
+  try {
+    await vectorIndex.describeIndexStats();
+    checks.vectorIndex = { ok: true, backend: vectorIndex.name };
+  } catch (err) {
+    checks.vectorIndex = { ok: false, backend: vectorIndex.name, error: err.message };
+  }
+
+  const ok = Object.values(checks).every((c) => c.ok);
+  return { status: ok ? "ok" : "degraded", checks, uptimeSeconds: Math.round(process.uptime()) };
+}
+
+async function collectStats() {
+  const session = driver.session({ defaultAccessMode: "READ" });
+  const nodes = Object.fromEntries(NODE_LABELS.map((label) => [label, 0]));
+  let relationships = 0;
+  try {
+    const nodeResult = await session.run(
+      `MATCH (n) UNWIND labels(n) AS label
+       RETURN label, count(*) AS count`
+    );
+    for (const record of nodeResult.records) {
+      nodes[record.get("label")] = toNumber(record.get("count"));
+    }
+    const relResult = await session.run("MATCH ()-[r]->() RETURN count(r) AS count");
+    relationships = toNumber(relResult.records[0]?.get("count") ?? 0);
+  } finally {
+    await session.close();
+  }
+
+  const indexStats = await vectorIndex.describeIndexStats();
+  return {
+    nodes,
+    relationships,
+    vectors: {
+      backend: vectorIndex.name,
+      count: indexStats.totalRecordCount ?? 0,
+      dimension: indexStats.dimension ?? null,
+    },
+    cache: answerCache.stats(),
+  };
+}
+
+// =====================================================================
+// ROUTES
+// =====================================================================
+async function handleQuery(req, res, { limiter, config }) {
+  const input = validateQueryInput(await readJsonBody(req, config.maxBodyBytes), config);
+  if (!limiter.tryAcquire()) throw new ApiError(429, "Too many queries in progress. Try again shortly.");
+
+  try {
+    sendJson(res, 200, await runQuery(input));
+  } finally {
+    limiter.release();
+  }
+}
+
+async function handleStream(req, res, url, { limiter, config }) {
+  const input = validateQueryInput({
+    query: url.searchParams.get("query") ?? "",
+    sessionId: url.searchParams.get("sessionId"),
+    strategy: url.searchParams.get("strategy"),
+  }, config);
+  if (!limiter.tryAcquire()) throw new ApiError(429, "Too many queries in progress. Try again shortly.");
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  let closed = false;
+  req.on("close", () => { closed = true; });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const keepAlive = setInterval(() => { if (!closed) res.write(": ping\n\n"); }, config.keepAliveMs);
+
+  try {
+    // The query keeps running if the client leaves — the slot is only
+    // freed when it finishes, so disconnects can't bypass the limit
+    const result = await runQuery(input, { onEvent: send });
+    send("done", { type: result.type, sessionId: result.sessionId });
+  } catch (err) {
+    console.error("❌ Stream query failed:", err.message);
+    send("error", { error: err.message });
+  } finally {
+    clearInterval(keepAlive);
+    limiter.release();
+    res.end();
+  }
+}
+
+/**
+ * Build the server (not listening yet).
+ * options override API_CONFIG — tests use a small maxConcurrent.
+ */
+function createApiServer(options = {}) {
+  const config = { ...API_CONFIG, ...options };
+  const limiter = createLimiter(config.maxConcurrent);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    res.setHeader("Access-Control-Allow-Origin", config.corsOrigin);
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+    try {
+      const route = `${req.method} ${url.pathname}`;
+      switch (route) {
+        case "OPTIONS /api/query":
+        case "OPTIONS /api/query/stream":
+          res.writeHead(204);
+          res.end();
+          return;
+        case "POST /api/query":
+          return await handleQuery(req, res, { limiter, config });
+        case "GET /api/query/stream":
+          return await handleStream(req, res, url, { limiter, config });
+        case "GET /api/health": {
+          const health = await checkHealth();
+          return sendJson(res, health.status === "ok" ? 200 : 503, health);
+        }
+        case "GET /api/stats":
+          return sendJson(res, 200, await collectStats());
+        default:
+          throw new ApiError(404, `No route for ${route}`);
+      }
+    } catch (err) {
+      const status = err instanceof ApiError ? err.status : 500;
+      if (status === 500) console.error("❌ API error:", err.message);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, status, { error: err.message }, status === 429 ? { "Retry-After": "5" } : {});
+    }
+  });
+
+  server.limiter = limiter;
+  return server;
+}
+
+// npm run serve
+function startServer() {
+  const server = createApiServer();
+  server.listen(API_CONFIG.port, () => {
+    console.log("===========================================");
+    console.log("   🎬 GraphRAG Movie API");
+    console.log("===========================================");
+    console.log(`🌐 http://localhost:${API_CONFIG.port}/api/health`);
+    console.log(`   Max concurrent queries: ${API_CONFIG.maxConcurrent}`);
+  });
+
+  const shutdown = () => {
+    console.log("\n👋 Shutting down...");
+    server.close(async () => {
+      await closeConnections();
+      process.exit(0);
+    });
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+  return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer();
+}
+
+export { createApiServer, startServer, validateQueryInput, createLimiter, ApiError, API_CONFIG };
@@ -0,0 +1,263 @@
+// =====================================================================
+// 22_answerCache.js — SEMANTIC ANSWER CACHE
+// =====================================================================
+//
+// PROBLEM:
+//   "Movies directed by Christopher Nolan" asked twice → entity
+//   extraction, classification, planning and the answer are all paid
+//   for twice. "Which films did Christopher Nolan direct?" → same again.
+//
+// SOLUTION: two-level cache in front of the pipeline (13_runQuery.js)
+//
+//   standalone question
+//       │
+//       ▼
+//   1. EXACT    normalized text ("movies directed by christopher nolan")
+//       │ miss
+//       ▼
+//       │ miss → entity resolution (13_runQuery.js)
+//       ▼
+//   2. SEMANTIC embedText(question) · cosine ≥ threshold against cached
+//               questions — AND the same guard:
+//                 numbers    "before 2000" never answers "before 2010"
+//                 entities   "with Tom Hanks" never answers "with Tom
+//                            Cruise" (resolved label + name, exact)
+//                 negations  "not directed by Nolan" never answers
+//                            "directed by Nolan"
+//       │ miss
+//       ▼
+//   run the pipeline → store { answer, provenance, type, resolved }
+//
+// INVALIDATION:
+//   TTL       entries expire after ANSWER_CACHE_TTL_MS
+//   re-index  7_runIndexing.js bumps data/index-generation.json when
+//             the graph changed → every lookup compares generations and
+//             drops the whole cache (works across processes)
+//
+// CONFIG (env):
+//   ANSWER_CACHE            "off" disables the cache
+//   ANSWER_CACHE_TTL_MS     entry lifetime        (default 1 hour)
+//   ANSWER_CACHE_THRESHOLD  paraphrase similarity (default 0.95)
+//
+// COUNTERS: exactHits, semanticHits, misses, expired, invalidations
+//   → CLI /cache command, GET /api/stats
+// =====================================================================
+
+import fs from "fs";
+import { embedText } from "./2_config.js";
+import { normalizeName } from "./18_aliasTable.js";
+
+const INDEX_GENERATION_PATH = "./data/index-generation.json";
+
+const CACHE_CONFIG = {
+  enabled: process.env.ANSWER_CACHE !== "off",
+  ttlMs: Number(process.env.ANSWER_CACHE_TTL_MS || 60 * 60 * 1000),
+  threshold: Number(process.env.ANSWER_CACHE_THRESHOLD || 0.95),
+  maxEntries: 200,
+};
+
+// =====================================================================
+// INDEX GENERATION (shared with 7_runIndexing.js)
+// =====================================================================
+function readIndexGeneration(generationPath = INDEX_GENERATION_PATH) {
+  if (!fs.existsSync(generationPath)) return 0;
+  try {
+    return JSON.parse(fs.readFileSync(generationPath, "utf-8")).generation || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function bumpIndexGeneration(generationPath = INDEX_GENERATION_PATH) {
+  const generation = readIndexGeneration(generationPath) + 1;
+  fs.writeFileSync(generationPath, JSON.stringify({ generation, changedAt: new Date().toISOString() }));
+  return generation;
+}
+
+// =====================================================================
+// KEYS
+// =====================================================================
+// "Movies directed by Christopher Nolan?" → "movies directed by christopher nolan"
+function normalizeQuestion(question) {
+  return normalizeName(question);
+}
+
+// Years, counts, "top 5" — paraphrases must agree on every number
+function numbersIn(question) {
+  return [...new Set(question.match(/\d+/g) || [])].sort().join(",");
+}
+
+// Entity names and negations barely move an embedding but flip the answer
+const NEGATION_PATTERN = /\b(?:not|no|without|except|excluding|never|none)\b|n't\b/gi;
+
+function negationsIn(question) {
+  return (question.match(NEGATION_PATTERN) || []).map((word) => word.toLowerCase()).sort().join(",");
+}
+
+function entitiesKey(entities = []) {
+  return [...new Set(entities.map((e) => `${e.label}:${normalizeName(e.nodeName)}`))].sort().join(",");
+}
+
+// A semantic hit needs the SAME guard as the cached question
+function guardOf(question, entities) {
+  return [numbersIn(question), negationsIn(question), entitiesKey(entities)].join("|");
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// =====================================================================
+// CACHE
+// =====================================================================
+function createAnswerCache(options = {}) {
+  const config = {
+    ...CACHE_CONFIG,
+    embed: (text) => embedText(text),
+    generation: () => readIndexGeneration(),
+    now: () => Date.now(),
+    ...options,
+  };
+  const entries = new Map(); // normalized question → entry
+  const counters = { exactHits: 0, semanticHits: 0, misses: 0, expired: 0, invalidations: 0 };
+  let generation = config.generation();
+
+  function clear(reason = "manual") {
+    if (entries.size === 0) return;
+    counters.invalidations++;
+    console.log(`   🧹 Answer cache cleared (${reason}, ${entries.size} entries)`);
+    entries.clear();
+  }
+
+  // Re-indexed since the entries were stored → all of them are stale
+  function checkGeneration() {
+    const current = config.generation();
+    if (current !== generation) {
+      generation = current;
+      clear("re-index");
+    }
+  }
+
+  function dropExpired() {
+    const now = config.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+        counters.expired++;
+      }
+    }
+  }
+
+  /**
+   * Exact level only — cheap, runs before entity resolution.
+   * → { hit: entry | null, kind: "exact" | null, similarity }
+   */
+  function lookupExact(question) {
+    checkGeneration();
+    dropExpired();
+
+    const exact = entries.get(normalizeQuestion(question));
+    if (!exact) return { hit: null, kind: null, similarity: 0 };
+    counters.exactHits++;
+    return { hit: exact, kind: "exact", similarity: 1, embedding: exact.embedding };
+  }
+
+  /**
+   * Exact, then semantic among entries with the same guard.
+   * entities = the question's resolved entities ({ label, nodeName }).
+   * → { hit: entry | null, kind: "exact" | "semantic" | null,
+   *     similarity, embedding }
+   * The embedding is returned so store() doesn't compute it twice.
+   */
+  async function lookup(question, { entities = [] } = {}) {
+    const exact = lookupExact(question);
+    if (exact.hit) return exact;
+
+    let embedding = null;
+    try {
+      embedding = await config.embed(question);
+    } catch (err) {
+      // No embedding → exact matching only, never a failed query
+      console.warn(`   ⚠️ Cache embedding failed: ${err.message}`);
+    }
+
+    if (embedding) {
+      const guard = guardOf(question, entities);
+      let best = null;
+      let bestSimilarity = 0;
+      for (const entry of entries.values()) {
+        if (!entry.embedding || entry.guard !== guard) continue;
+        const similarity = cosineSimilarity(embedding, entry.embedding);
+        if (similarity > bestSimilarity) {
+          best = entry;
+          bestSimilarity = similarity;
+        }
+      }
+      if (best && bestSimilarity >= config.threshold) {
+        counters.semanticHits++;
+        return { hit: best, kind: "semantic", similarity: bestSimilarity, embedding };
+      }
+    }
+
+    counters.misses++;
+    return { hit: null, kind: null, similarity: 0, embedding };
+  }
+
+  // value.resolved.entities → the guard later lookups must match
+  function store(question, value, { embedding = null } = {}) {
+    const key = normalizeQuestion(question);
+    if (!key) return null;
+
+    entries.delete(key); // re-insert → newest last
+    const entry = {
+      question,
+      key,
+      guard: guardOf(question, value.resolved?.entities),
+      embedding,
+      value,
+      storedAt: config.now(),
+      expiresAt: config.now() + config.ttlMs,
+    };
+    entries.set(key, entry);
+
+    // Map keeps insertion order → the first key is the oldest
+    while (entries.size > config.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  function stats() {
+    const lookups = counters.exactHits + counters.semanticHits + counters.misses;
+    return {
+      enabled: config.enabled,
+      entries: entries.size,
+      ...counters,
+      hitRate: lookups ? Math.round(((counters.exactHits + counters.semanticHits) / lookups) * 100) / 100 : 0,
+      ttlMs: config.ttlMs,
+      threshold: config.threshold,
+      generation,
+    };
+  }
+
+  return { config, lookupExact, lookup, store, clear, stats };
+}
+
+// The cache processQuery() uses
+const answerCache = createAnswerCache();
+
+export {
+  INDEX_GENERATION_PATH,
+  CACHE_CONFIG,
+  answerCache,
+  createAnswerCache,
+  normalizeQuestion,
+  readIndexGeneration,
+  bumpIndexGeneration,
+};
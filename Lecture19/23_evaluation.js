@@ -0,0 +1,508 @@
+// =====================================================================
+// 23_evaluation.js — OFFLINE EVALUATION HARNESS
+// =====================================================================
+//
+// PROBLEM:
+//   A prompt tweak in extractEntities, classifyQuery or createQueryPlan
+//   "looks better" on the two questions you tried by hand. Did it break
+//   the other twenty? Nobody knows.
+//
+// SOLUTION: a gold dataset + a replayable run
+//
+//   data/eval/gold.json            questions with expected route,
+//                                  entities and answer items
+//   data/eval/fixture-graph.json   small graph (extractor format) →
+//                                  alias table for entity resolution
+//   data/eval/recordings.json      every LLM / Neo4j / vector response
+//                                  of the last --record run
+//
+//   npm run eval -- --record   live run against the real services,
+//                              saves every response  (needs the fixture
+//                              graph in Neo4j: --load-fixture)
+//   npm run eval               REPLAY → no network, no .env, same
+//                              answers again
+//
+//   The shipped recordings.json was made against the fixture graph
+//   with scripted model responses → a baseline for the harness itself;
+//   re-record to measure the real prompts.
+//
+//   A changed prompt = a new request → "no recording" for exactly the
+//   stages it touches → re-record, then compare with the previous run.
+//
+// PER CASE: processQuery() (13_runQuery.js, no cache, no session)
+//   + createQueryPlan() for graph / hybrid cases
+//
+// METRICS:
+//   classifier accuracy        predicted route = gold route
+//   entity precision / recall  resolved (label, name) vs gold entities
+//   plan validation pass rate  buildCypher() accepts the plan (every step
+//                              AND the plan-level rules of validatePlan())
+//   answer-item recall         gold items found in the answer text
+//
+// DIFF: every run is compared with data/eval/last-run.json, then
+// replaces it → metric deltas + cases that got better or worse.
+//
+// Command: npm run eval   [-- --record | --load-fixture | --verbose]
+// =====================================================================
+
+import fs from "fs";
+import crypto from "crypto";
+import neo4j from "neo4j-driver";
+import { fileURLToPath } from "url";
+import { driver, llm, embedText, overrideConnections, closeConnections } from "./2_config.js";
+import { buildGraph } from "./5_graphBuilder.js";
+import { buildCypher, ALLOWED_LABELS } from "./8_cypherTemplates.js";
+import { setAliasTable } from "./9_entityResolver.js";
+import { createQueryPlan } from "./11_graphHandler.js";
+import { processQuery } from "./13_runQuery.js";
+import { vectorIndex, setVectorIndex } from "./17_vectorIndex.js";
+import { NODE_TYPES, aliasesFor, normalizeName } from "./18_aliasTable.js";
+import { stripCitations } from "./19_provenance.js";
+import { contentToText } from "./20_progress.js";
+
+// ── Constants ──
+const EVAL_DIR = "./data/eval";
+const GOLD_PATH = `${EVAL_DIR}/gold.json`;
+const FIXTURE_PATH = `${EVAL_DIR}/fixture-graph.json`;
+const RECORDINGS_PATH = `${EVAL_DIR}/recordings.json`;
+const LAST_RUN_PATH = `${EVAL_DIR}/last-run.json`;
+const RECORDINGS_VERSION = 1;
+
+class MissingRecordingError extends Error {
+  constructor(kind, key) {
+    super(`No recorded ${kind} response (${key}) — run: npm run eval -- --record`);
+    this.kind = kind;
+  }
+}
+
+// =====================================================================
+// FIXTURE GRAPH → ALIAS TABLE
+// =====================================================================
+function loadJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+// Node names exactly as 5_graphBuilder.js would create them
+function fixtureNodes(fixture) {
+  const nodes = { Movie: [], Director: [], Actor: [], Genre: [], Theme: [], Award: [] };
+  for (const entity of fixture.movies) {
+    nodes.Movie.push(entity.movie.title);
+    nodes.Director.push(entity.director.name);
+    nodes.Actor.push(...entity.actors);
+    nodes.Genre.push(...entity.genres);
+    nodes.Theme.push(...entity.themes);
+    // "Oscar (Best Picture)" → Award "Oscar"
+    for (const award of entity.awards) {
+      const match = award.match(/^(.+?)\s*\((.+)\)$/);
+      if (match) nodes.Award.push(match[1].trim());
+    }
+  }
+  return nodes;
+}
+
+function buildFixtureAliasTable(fixture) {
+  const nodes = fixtureNodes(fixture);
+  const entries = NODE_TYPES.flatMap(({ label }) => [...new Set(nodes[label])].flatMap((name) => aliasesFor(label, name)));
+  return { version: 1, builtAt: "fixture", entries };
+}
+
+// =====================================================================
+// RECORD / REPLAY
+// =====================================================================
+// Same request → same key. Keys only need to be stable, not secret.
+function hashKey(value) {
+  return crypto.createHash("sha1").update(JSON.stringify(value)).digest("hex").slice(0, 16);
+}
+
+// Neo4j Integers survive JSON as { $int: "2010" } → revived as Integers,
+// so recordToObject() and the prompts see exactly what a live run saw
+function serializeValue(value) {
+  if (neo4j.isInt(value)) return { $int: value.toString() };
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeValue(v)]));
+  }
+  return value;
+}
+
+function reviveValue(value) {
+  if (Array.isArray(value)) return value.map(reviveValue);
+  if (value && typeof value === "object") {
+    if (typeof value.$int === "string") return neo4j.int(value.$int);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, reviveValue(v)]));
+  }
+  return value;
+}
+
+// Just enough of a neo4j Record for the handlers: keys, get(), toObject()
+function replayRecord({ keys, values }) {
+  const revived = values.map(reviveValue);
+  return {
+    keys,
+    get: (key) => revived[keys.indexOf(key)],
+    toObject: () => Object.fromEntries(keys.map((k, i) => [k, revived[i]])),
+  };
+}
+
+function emptyRecordings() {
+  return { version: RECORDINGS_VERSION, recordedAt: null, llm: {}, cypher: {}, vectors: {} };
+}
+
+/**
+ * Stand-ins for llm / driver / embedText / vectorIndex.
+ *   record: true  → call the live service, store the response
+ *   record: false → answer from `recordings`, MissingRecordingError if absent
+ * A request already answered in this run is answered the same way again
+ * (createQueryPlan runs twice for graph cases).
+ */
+function createRecorder(recordings, { record = false, live = {} } = {}) {
+  // Vector queries carry the embedding, not the text → remember which
+  // text each embedding came from and key on that
+  const textOfVector = new WeakMap();
+
+  async function respond(kind, key, fetchLive) {
+    if (key in recordings[kind]) return recordings[kind][key];
+    if (!record) throw new MissingRecordingError(kind, key);
+    recordings[kind][key] = await fetchLive();
+    return recordings[kind][key];
+  }
+
+  const llmStub = {
+    async invoke(messages) {
+      const key = hashKey(messages.map((m) => [m.role, contentToText(m.content)]));
+      const content = await respond("llm", key, async () => contentToText((await live.llm.invoke(messages)).content));
+      return { content };
+    },
+  };
+
+  const driverStub = {
+    session(options) {
+      let liveSession = null;
+      return {
+        async run(cypher, params = {}) {
+          const key = hashKey({ cypher: cypher.replace(/\s+/g, " ").trim(), params });
+          const rows = await respond("cypher", key, async () => {
+            liveSession ??= live.driver.session(options);
+            const result = await liveSession.run(cypher, params);
+            return result.records.map((r) => ({ keys: r.keys, values: r.keys.map((k) => serializeValue(r.get(k))) }));
+          });
+          return { records: rows.map(replayRecord) };
+        },
+        async close() {
+          if (liveSession) await liveSession.close();
+        },
+      };
+    },
+    async close() {},
+  };
+
+  async function embedStub(text) {
+    const vector = record ? await live.embedText(text) : [1];
+    textOfVector.set(vector, text);
+    return vector;
+  }
+
+  const vectorStub = {
+    name: "recorded",
+    async query(request) {
+      const { vector, ...rest } = request;
+      const key = hashKey({ text: textOfVector.get(vector) ?? null, ...rest });
+      return respond("vectors", key, () => live.vectorIndex.query(request));
+    },
+    async describeIndexStats() {
+      return { totalRecordCount: 0 };
+    },
+    async upsert() {
+      throw new Error("The evaluation harness never writes vectors");
+    },
+    async deleteMany() {
+      throw new Error("The evaluation harness never deletes vectors");
+    },
+  };
+
+  return { llm: llmStub, driver: driverStub, embedText: embedStub, vectorIndex: vectorStub };
+}
+
+// =====================================================================
+// PLAN VALIDATION
+// =====================================================================
+// describe / path plans skip buildCypher() → check their fields here.
+// Everything else passes only if buildCypher() would run it — a plan of
+// valid steps can still fail as a whole (two aggregations, a sort out of
+// scope, a disconnected label).
+function validatePlan(plan) {
+  try {
+    if (!Array.isArray(plan?.steps) || plan.steps.length === 0) throw new Error("Plan has no steps");
+    const first = plan.steps[0];
+
+    if (first.type === "describe") {
+      if (!ALLOWED_LABELS.has(first.label) || !first.name) throw new Error("describe needs a valid label and name");
+    } else if (first.type === "path") {
+      if (!ALLOWED_LABELS.has(first.fromLabel) || !ALLOWED_LABELS.has(first.toLabel) || !first.fromName || !first.toName) {
+        throw new Error("path needs valid labels and names on both ends");
+      }
+    } else {
+      buildCypher(plan);
+    }
+    return { valid: true, error: null };
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+}
+
+// =====================================================================
+// SCORING
+// =====================================================================
+const entityKey = (label, name) => `${label}:${normalizeName(name)}`;
+
+function scoreEntities(goldEntities, resolvedEntities) {
+  const expected = new Set(goldEntities.map((e) => entityKey(e.label, e.name)));
+  const predicted = new Set(resolvedEntities.map((e) => entityKey(e.label, e.nodeName)));
+  const truePositives = [...predicted].filter((k) => expected.has(k));
+  return {
+    truePositives: truePositives.length,
+    falsePositives: [...predicted].filter((k) => !expected.has(k)),
+    missed: [...expected].filter((k) => !predicted.has(k)),
+  };
+}
+
+// Whole-word, normalized: "Movie 0006" is found in "...Movie 0006 (2011)..."
+function scoreAnswerItems(items, answer) {
+  const text = ` ${normalizeName(stripCitations(answer || ""))} `;
+  const found = items.filter((item) => text.includes(` ${normalizeName(item)} `));
+  return { expected: items.length, found: found.length, missing: items.filter((item) => !found.includes(item)) };
+}
+
+const ratio = (num, den) => (den === 0 ? null : Math.round((num / den) * 1000) / 1000);
+
+function computeMetrics(results) {
+  const sum = (f) => results.reduce((total, r) => total + f(r), 0);
+  const planned = results.filter((r) => r.plan);
+  const truePositives = sum((r) => r.entities?.truePositives ?? 0);
+
+  return {
+    cases: results.length,
+    errors: results.filter((r) => r.error).length,
+    classifierAccuracy: ratio(results.filter((r) => r.route?.correct).length, results.length),
+    entityPrecision: ratio(truePositives, truePositives + sum((r) => r.entities?.falsePositives.length ?? 0)),
+    entityRecall: ratio(truePositives, truePositives + sum((r) => r.entities?.missed.length ?? r.expectedEntities)),
+    planPassRate: ratio(planned.filter((r) => r.plan.valid).length, planned.length),
+    answerItemRecall: ratio(sum((r) => r.answerItems?.found ?? 0), sum((r) => r.expectedItems)),
+  };
+}
+
+// =====================================================================
+// RUN ONE CASE
+// =====================================================================
+async function evaluateCase(gold, { verbose = false } = {}) {
+  const result = {
+    id: gold.id,
+    question: gold.question,
+    expectedEntities: gold.entities.length,
+    expectedItems: gold.answerItems.length,
+    route: null,
+    entities: null,
+    plan: null,
+    answerItems: null,
+    error: null,
+  };
+
+  // The pipeline logs every step — only useful with --verbose
+  const log = console.log;
+  if (!verbose) console.log = () => {};
+  try {
+    const { type, resolved, answer } = await processQuery(gold.question, null, { useCache: false });
+    result.route = { expected: gold.route, predicted: type, correct: type === gold.route };
+    result.entities = scoreEntities(gold.entities, resolved.entities);
+    result.answerItems = scoreAnswerItems(gold.answerItems, answer);
+
+    if (gold.route !== "similarity") {
+      try {
+        result.plan = validatePlan(await createQueryPlan(gold.question, resolved));
+      } catch (err) {
+        if (err instanceof MissingRecordingError) throw err;
+        result.plan = { valid: false, error: err.message };
+      }
+    }
+  } catch (err) {
+    result.error = err.message;
+  } finally {
+    console.log = log;
+  }
+  return result;
+}
+
+// =====================================================================
+// DIFF AGAINST THE PREVIOUS RUN
+// =====================================================================
+const METRIC_NAMES = ["classifierAccuracy", "entityPrecision", "entityRecall", "planPassRate", "answerItemRecall"];
+
+function caseScore(r) {
+  return {
+    error: Boolean(r.error),
+    route: r.route?.correct ?? false,
+    plan: r.plan ? r.plan.valid : null,
+    items: r.answerItems ? ratio(r.answerItems.found, r.answerItems.expected) : null,
+    missedEntities: r.entities ? r.entities.missed.length + r.entities.falsePositives.length : null,
+  };
+}
+
+function diffRuns(previous, current) {
+  if (!previous) return null;
+
+  const metrics = Object.fromEntries(METRIC_NAMES.map((name) => {
+    const before = previous.metrics[name];
+    const after = current.metrics[name];
+    const delta = before === null || after === null ? null : Math.round((after - before) * 1000) / 1000;
+    return [name, { before, after, delta }];
+  }));
+
+  const previousCases = new Map(previous.results.map((r) => [r.id, caseScore(r)]));
+  const cases = [];
+  for (const r of current.results) {
+    const before = previousCases.get(r.id);
+    if (!before) {
+      cases.push({ id: r.id, change: "new" });
+      continue;
+    }
+    const after = caseScore(r);
+    for (const field of Object.keys(after)) {
+      if (before[field] !== after[field]) cases.push({ id: r.id, field, before: before[field], after: after[field] });
+    }
+  }
+  return { previousRunAt: previous.runAt, metrics, cases };
+}
+
+// =====================================================================
+// REPORT
+// =====================================================================
+const percent = (value) => (value === null ? "  n/a" : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function printReport(run, diff) {
+  console.log("\n===========================================");
+  console.log("   📊 Evaluation Report");
+  console.log("===========================================");
+
+  for (const r of run.results) {
+    if (r.error) {
+      console.log(`❌ ${r.id}: ${r.error}`);
+      continue;
+    }
+    const notes = [];
+    if (!r.route.correct) notes.push(`route ${r.route.predicted} ≠ ${r.route.expected}`);
+    if (r.entities.missed.length) notes.push(`missed ${r.entities.missed.join(", ")}`);
+    if (r.entities.falsePositives.length) notes.push(`extra ${r.entities.falsePositives.join(", ")}`);
+    if (r.plan && !r.plan.valid) notes.push(`invalid plan: ${r.plan.error}`);
+    if (r.answerItems.missing.length) notes.push(`answer lacks ${r.answerItems.missing.join(", ")}`);
+    console.log(`${notes.length ? "⚠️ " : "✅"} ${r.id}${notes.length ? `: ${notes.join(" | ")}` : ""}`);
+  }
+
+  const m = run.metrics;
+  console.log("\n── Metrics ──");
+  console.log(`   Classifier accuracy   ${percent(m.classifierAccuracy)}`);
+  console.log(`   Entity precision      ${percent(m.entityPrecision)}`);
+  console.log(`   Entity recall         ${percent(m.entityRecall)}`);
+  console.log(`   Plan pass rate        ${percent(m.planPassRate)}`);
+  console.log(`   Answer-item recall    ${percent(m.answerItemRecall)}`);
+  console.log(`   ${m.cases} cases, ${m.errors} errors (${run.mode})`);
+
+  if (!diff) {
+    console.log("\n   (no previous run to compare with)");
+    return;
+  }
+
+  console.log(`\n── Compared with ${diff.previousRunAt} ──`);
+  for (const [name, { before, after, delta }] of Object.entries(diff.metrics)) {
+    const arrow = delta === null || delta === 0 ? "  " : delta > 0 ? "📈" : "📉";
+    const change = delta === null ? "" : ` (${delta > 0 ? "+" : ""}${(delta * 100).toFixed(1)} pts)`;
+    console.log(`   ${arrow} ${name.padEnd(20)} ${percent(before)} → ${percent(after)}${change}`);
+  }
+  if (diff.cases.length === 0) console.log("   No case changed.");
+  for (const c of diff.cases) {
+    console.log(c.change === "new"
+      ? `   ➕ ${c.id}: new case`
+      : `   🔁 ${c.id}: ${c.field} ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`);
+  }
+}
+
+// =====================================================================
+// MAIN
+// =====================================================================
+async function runEvaluation({ record = false, verbose = false } = {}) {
+  const gold = loadJson(GOLD_PATH);
+  setAliasTable(buildFixtureAliasTable(loadJson(FIXTURE_PATH)));
+
+  const recordings = record || !fs.existsSync(RECORDINGS_PATH) ? emptyRecordings() : loadJson(RECORDINGS_PATH);
+  if (!record && recordings.recordedAt === null) {
+    console.warn(`⚠️ No recordings at ${RECORDINGS_PATH} — every case will fail. Run: npm run eval -- --record`);
+  }
+
+  // Keep the live connections for recording, then swap everything
+  const recorder = createRecorder(recordings, { record, live: { llm, driver, embedText, vectorIndex } });
+  overrideConnections({ llm: recorder.llm, driver: recorder.driver, embedText: recorder.embedText });
+  setVectorIndex(recorder.vectorIndex);
+
+  console.log(`🧪 Evaluating ${gold.cases.length} cases (${record ? "RECORDING live responses" : "replaying recordings"})...`);
+  const results = [];
+  for (const goldCase of gold.cases) {
+    results.push(await evaluateCase(goldCase, { verbose }));
+  }
+
+  if (record) {
+    recordings.recordedAt = new Date().toISOString();
+    fs.writeFileSync(RECORDINGS_PATH, JSON.stringify(recordings, null, 2));
+    console.log(`💾 Recorded responses saved to ${RECORDINGS_PATH}`);
+  }
+
+  const run = { runAt: new Date().toISOString(), mode: record ? "record" : "replay", metrics: computeMetrics(results), results };
+  const previous = fs.existsSync(LAST_RUN_PATH) ? loadJson(LAST_RUN_PATH) : null;
+  const diff = diffRuns(previous, run);
+  printReport(run, diff);
+  fs.writeFileSync(LAST_RUN_PATH, JSON.stringify(run, null, 2));
+  return { run, diff };
+}
+
+// npm run eval -- --load-fixture → MERGE the fixture movies into the
+// CONFIGURED Neo4j (use a scratch database) before recording
+async function loadFixtureGraph() {
+  const fixture = loadJson(FIXTURE_PATH);
+  console.log(`⚠️ Writing ${fixture.movies.length} fixture movies into ${process.env.NEO4J_URI}`);
+  await buildGraph(fixture.movies);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const liveDriver = driver;   // runEvaluation() swaps the live binding
+  try {
+    if (args.includes("--load-fixture")) {
+      await loadFixtureGraph();
+      return;
+    }
+    const { run } = await runEvaluation({ record: args.includes("--record"), verbose: args.includes("--verbose") });
+    if (run.metrics.errors > 0) process.exitCode = 1;
+  } finally {
+    // The live driver is still open underneath the recorder
+    overrideConnections({ driver: liveDriver });
+    await closeConnections();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error("❌ Evaluation failed:", err.message);
+    process.exit(1);
+  });
+}
+
+export {
+  MissingRecordingError,
+  buildFixtureAliasTable,
+  createRecorder,
+  validatePlan,
+  scoreEntities,
+  scoreAnswerItems,
+  computeMetrics,
+  diffRuns,
+  evaluateCase,
+  runEvaluation,
+};
@@ -0,0 +1,427 @@
+// =====================================================================
+// 24_graphHygiene.js — FIND + MERGE DUPLICATE NODES
+// =====================================================================
+//
+// PROBLEM:
+//   insertMovieGraph() (5_graphBuilder.js) MERGEs on the EXACT name.
+//   The extractor writes what the PDF says, so one person can become
+//   several nodes:
+//     (:Director {name: "Christopher Nolan"})  (:Director {name: "Chris Nolan"})
+//     (:Genre {name: "Sci-Fi"})                (:Genre {name: "Science Fiction"})
+//     (:Award {name: "Oscar", ...})            (:Award {name: "Oscar.", ...})
+//   Half of Nolan's movies hang off each node → every traversal
+//   ("movies directed by Christopher Nolan") silently misses the rest.
+//
+// SOLUTION: scan → review → apply
+//
+//   1. SCAN (read-only)              npm run hygiene
+//      Per label, pairs of nodes that look like the same thing:
+//        same normalized name   "Sci-Fi" = "sci fi" = "SCI FI"
+//        shared alias           "Chris Nolan" = nickname of "Christopher Nolan"
+//                               "Science Fiction" = variant of "Sci-Fi"
+//        edit similarity ≥ 0.9  "Christpher Nolan" (typos)
+//      Numbers must agree → "Movie 0001" is never "Movie 0002".
+//      Pairs → groups → data/merge-plan.json, every group "approved": false
+//
+//   2. REVIEW: edit the plan → "approved": true, change "keep" if the
+//      other name is the right one, delete names that don't belong
+//
+//   3. APPLY                         npm run hygiene -- --apply
+//      For every approved group, in ONE transaction per group:
+//        re-point each relationship of a duplicate to the kept node
+//        keep.aliases += duplicate names   (→ alias table, resolver)
+//        delete the duplicate
+//      npm run hygiene -- --apply --dry-run → same report, no writes
+//
+//   Afterwards: alias table rebuilt, cached answers invalidated
+//   (22_answerCache.js). Re-indexing a movie whose PDF text still says
+//   "Chris Nolan" re-creates that node → run the scan again.
+//
+// CONFIG (env):
+//   HYGIENE_MIN_SCORE   fuzzy threshold for a pair (default 0.9)
+// =====================================================================
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { driver, closeConnections } from "./2_config.js";
+import { RELATIONSHIP_ENDPOINTS } from "./8_cypherTemplates.js";
+import { NODE_TYPES, aliasesFor, normalizeName, levenshtein, buildAliasTable, saveAliasTable } from "./18_aliasTable.js";
+import { bumpIndexGeneration } from "./22_answerCache.js";
+import { DOMAIN } from "./26_domainSchema.js";
+
+const MERGE_PLAN_PATH = "./data/merge-plan.json";
+const MERGE_PLAN_VERSION = 1;
+
+const HYGIENE_CONFIG = {
+  minScore: Number(process.env.HYGIENE_MIN_SCORE || 0.9),
+};
+
+// Properties that identify a node (the MERGE keys of 26_domainSchema.js)
+//   Movie → title, Director → name, Award → (name, category)
+const KEY_PROPERTIES = Object.fromEntries([
+  [DOMAIN.root.label, [DOMAIN.root.key]],
+  ...DOMAIN.entities.map((entity) => [entity.label, entity.properties]),
+]);
+
+// Root properties a merged duplicate can fill in (Movie → year)
+const ROOT_EXTRA_PROPERTIES = Object.keys(DOMAIN.root.properties).filter((p) => p !== DOMAIN.root.key);
+
+// =====================================================================
+// HELPERS
+// =====================================================================
+// Neo4j Integer → number
+function toNumber(value) {
+  return typeof value === "object" && value?.toNumber ? value.toNumber() : value;
+}
+
+// { name: "Oscar", category: "Best Picture" } → "Oscar (Best Picture)"
+function displayName(label, key) {
+  const [first, ...rest] = KEY_PROPERTIES[label].map((p) => key[p]);
+  const extra = rest.filter(Boolean);
+  return extra.length > 0 ? `${first} (${extra.join(", ")})` : first;
+}
+
+// "n.name = $prefix.name AND n.category = $prefix.category"
+function keyCondition(label, variable, param) {
+  return KEY_PROPERTIES[label].map((p) => `${variable}.${p} = $${param}.${p}`).join(" AND ");
+}
+
+function numbersIn(text) {
+  return (text.match(/\d+/g) || []).join(",");
+}
+
+// =====================================================================
+// 1. SCAN
+// =====================================================================
+async function fetchNodes(label) {
+  const props = KEY_PROPERTIES[label];
+  const session = driver.session({ defaultAccessMode: "READ" });
+  try {
+    const result = await session.run(
+      `MATCH (n:${label}) WHERE n.${props[0]} IS NOT NULL
+       RETURN ${props.map((p) => `n.${p} AS ${p}`).join(", ")},
+              coalesce(n.aliases, []) AS aliases,
+              COUNT { (n)--() } AS degree`
+    );
+    return result.records.map((record) => {
+      const key = Object.fromEntries(props.map((p) => [p, record.get(p)]));
+      return { label, key, name: displayName(label, key), aliases: record.get("aliases"), degree: toNumber(record.get("degree")) };
+    });
+  } finally {
+    await session.close();
+  }
+}
+
+// Everything compareNodes() needs, computed once per node
+function prepareNode(node) {
+  const normalized = normalizeName(node.name);
+  // Derived aliases (nickname, initials, article, genre variant) and
+  // aliases kept by earlier merges
+  const aliases = new Map(aliasesFor(node.label, node.name).map((e) => [e.alias, e.kind]));
+  node.aliases.forEach((alias) => aliases.set(normalizeName(alias), "merged"));
+  return { ...node, normalized, numbers: numbersIn(normalized), aliasMap: aliases };
+}
+
+// Why two (prepared) nodes look alike → { score, reason } or null
+function compareNodes(a, b, { minScore = HYGIENE_CONFIG.minScore } = {}) {
+  if (a.numbers !== b.numbers) return null;
+  if (a.normalized === b.normalized) return { score: 1, reason: "same normalized name" };
+
+  // Initials are too weak: "c nolan" is Christopher AND Charles Nolan
+  for (const [alias, kind] of a.aliasMap) {
+    if (kind === "initials") continue;
+    if (b.aliasMap.has(alias) && b.aliasMap.get(alias) !== "initials") {
+      const kinds = [...new Set([kind, b.aliasMap.get(alias)].filter((k) => k !== "canonical"))];
+      return { score: 0.98, reason: `shared alias "${alias}" (${kinds.join(" / ")})` };
+    }
+  }
+
+  // Same reason for fuzzy matching names written with initials
+  if (a.label === "Actor" || a.label === "Director") {
+    const hasInitial = (n) => n.normalized.split(" ").some((t) => t.length === 1);
+    if (hasInitial(a) || hasInitial(b)) return null;
+  }
+
+  // Edit distance only — the resolver's token-subset score would call
+  // "Thriller" a duplicate of "Psychological Thriller"
+  const longest = Math.max(a.normalized.length, b.normalized.length);
+  const score = Math.round((1 - levenshtein(a.normalized, b.normalized) / longest) * 1000) / 1000;
+  return score >= minScore ? { score, reason: `fuzzy ${score}` } : null;
+}
+
+// Pairs → connected groups (union-find). Kept node: most relationships,
+// then the fullest name ("Christopher" > "Chris"), then the least
+// punctuation ("Oscar" > "Oscar.")
+function groupDuplicates(nodes, pairs) {
+  const parent = nodes.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (const { i, j } of pairs) parent[find(i)] = find(j);
+
+  const groups = new Map();
+  for (const { i, j, score, reason } of pairs) {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), evidence: [] });
+    const group = groups.get(root);
+    group.members.add(i).add(j);
+    group.evidence.push({ a: nodes[i].name, b: nodes[j].name, score, reason });
+  }
+
+  return [...groups.values()].map(({ members, evidence }) => {
+    const sorted = [...members]
+      .map((i) => nodes[i])
+      .sort((x, y) => y.degree - x.degree
+        || y.normalized.length - x.normalized.length
+        || x.name.length - y.name.length
+        || x.name.localeCompare(y.name));
+    return {
+      keep: sorted[0],
+      duplicates: sorted.slice(1),
+      score: Math.min(...evidence.map((e) => e.score)),
+      evidence,
+    };
+  });
+}
+
+function findDuplicates(rawNodes, options = {}) {
+  const nodes = rawNodes.map(prepareNode);
+  const pairs = [];
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const match = compareNodes(nodes[i], nodes[j], options);
+      if (match) pairs.push({ i, j, ...match });
+    }
+  }
+  return groupDuplicates(nodes, pairs);
+}
+
+async function scanGraph(options = {}) {
+  const groups = [];
+  for (const { label } of NODE_TYPES) {
+    const nodes = await fetchNodes(label);
+    const found = findDuplicates(nodes, options);
+    console.log(`   ${found.length > 0 ? "⚠️ " : "✅"} ${label}: ${nodes.length} nodes, ${found.length} duplicate groups`);
+    found.forEach((group, n) => groups.push({
+      id: `${label}-${n + 1}`,
+      label,
+      approved: false,
+      keep: group.keep.key,
+      duplicates: group.duplicates.map((d) => ({ ...d.key, degree: d.degree })),
+      keepDegree: group.keep.degree,
+      score: group.score,
+      evidence: group.evidence,
+    }));
+  }
+
+  return {
+    version: MERGE_PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    minScore: options.minScore ?? HYGIENE_CONFIG.minScore,
+    groups,
+  };
+}
+
+function saveMergePlan(plan, planPath = MERGE_PLAN_PATH) {
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+}
+
+function loadMergePlan(planPath = MERGE_PLAN_PATH) {
+  if (!fs.existsSync(planPath)) throw new Error(`No merge plan at ${planPath} — run: npm run hygiene`);
+  const plan = JSON.parse(fs.readFileSync(planPath, "utf-8"));
+  if (plan.version !== MERGE_PLAN_VERSION) throw new Error(`Merge plan version ${plan.version} is not supported`);
+  return plan;
+}
+
+// =====================================================================
+// 2. APPLY
+// =====================================================================
+// Relationship types a label takes part in, with the label's side
+function relationshipsOf(label) {
+  return Object.entries(RELATIONSHIP_ENDPOINTS).flatMap(([type, [from, to]]) => [
+    ...(from === label ? [{ type, outgoing: true }] : []),
+    ...(to === label ? [{ type, outgoing: false }] : []),
+  ]);
+}
+
+const pickKey = (label, entry) => Object.fromEntries(KEY_PROPERTIES[label].map((p) => [p, entry[p]]));
+
+// Merge ONE duplicate into the kept node inside `tx`.
+// Relationships carry no properties (5_graphBuilder.js) → MERGE the
+// same edge onto `keep`, delete the old one. Returns edges re-pointed.
+async function mergeNode(tx, label, keep, dup, { dryRun = false } = {}) {
+  let moved = 0;
+  for (const { type, outgoing } of relationshipsOf(label)) {
+    const pattern = outgoing ? `(dup)-[r:${type}]->(other)` : `(dup)<-[r:${type}]-(other)`;
+    const newEdge = outgoing ? `(keep)-[:${type}]->(other)` : `(keep)<-[:${type}]-(other)`;
+    const result = await tx.run(
+      `MATCH (keep:${label}) WHERE ${keyCondition(label, "keep", "keep")}
+       MATCH (dup:${label}) WHERE ${keyCondition(label, "dup", "dup")}
+       MATCH ${pattern}
+       ${dryRun ? "" : `MERGE ${newEdge} DELETE r`}
+       RETURN count(*) AS count`,
+      { keep, dup }
+    );
+    moved += toNumber(result.records[0].get("count"));
+  }
+
+  if (!dryRun) {
+    // aliases = the name property only (an Award's category stays as is)
+    const nameProperty = KEY_PROPERTIES[label][0];
+    const fill = label === DOMAIN.root.label
+      ? ROOT_EXTRA_PROPERTIES.map((p) => `keep.${p} = coalesce(keep.${p}, dup.${p})`).join(", ")
+      : "";
+    await tx.run(
+      `MATCH (keep:${label}) WHERE ${keyCondition(label, "keep", "keep")}
+       MATCH (dup:${label}) WHERE ${keyCondition(label, "dup", "dup")}
+       WITH keep, dup, coalesce(keep.aliases, []) + [$dupName] + coalesce(dup.aliases, []) AS names
+       SET keep.aliases = reduce(acc = [], a IN names |
+             CASE WHEN a = $keepName OR a IN acc THEN acc ELSE acc + a END)
+       ${fill ? `SET ${fill}` : ""}
+       DETACH DELETE dup`,
+      { keep, dup, dupName: dup[nameProperty], keepName: keep[nameProperty] }
+    );
+  }
+  return moved;
+}
+
+async function countGraph() {
+  const session = driver.session({ defaultAccessMode: "READ" });
+  try {
+    const counts = {};
+    for (const { label } of NODE_TYPES) {
+      const result = await session.run(`MATCH (n:${label}) RETURN count(n) AS count`);
+      counts[label] = toNumber(result.records[0].get("count"));
+    }
+    const rels = await session.run("MATCH ()-[r]->() RETURN count(r) AS count");
+    counts.relationships = toNumber(rels.records[0].get("count"));
+    return counts;
+  } finally {
+    await session.close();
+  }
+}
+
+function printCounts(before, after) {
+  console.log("\n   Label          Before    After");
+  for (const key of Object.keys(before)) {
+    const name = key === "relationships" ? "Relationships" : key;
+    const change = after[key] !== before[key] ? `  (${after[key] - before[key]})` : "";
+    console.log(`   ${name.padEnd(14)} ${String(before[key]).padStart(6)}   ${String(after[key]).padStart(6)}${change}`);
+  }
+}
+
+/**
+ * Apply the approved groups of a merge plan.
+ * dryRun → count what would move (read-only), change nothing.
+ * → { merged, moved, skipped: [{ id, error }], before, after }
+ */
+async function applyMergePlan(plan, { dryRun = false } = {}) {
+  const approved = plan.groups.filter((g) => g.approved === true);
+  console.log(`\n🧹 ${approved.length}/${plan.groups.length} groups approved${dryRun ? " (DRY RUN — nothing is written)" : ""}`);
+
+  const before = await countGraph();
+  let merged = 0;
+  let moved = 0;
+  const skipped = [];
+
+  for (const group of approved) {
+    const keep = pickKey(group.label, group.keep);
+    const dups = group.duplicates.map((d) => pickKey(group.label, d))
+      .filter((d) => displayName(group.label, d) !== displayName(group.label, keep));
+
+    const session = driver.session({ defaultAccessMode: dryRun ? "READ" : "WRITE" });
+    try {
+      // One group = one transaction → a failed group changes nothing
+      const run = dryRun ? session.executeRead.bind(session) : session.executeWrite.bind(session);
+      const groupMoved = await run(async (tx) => {
+        const exists = await tx.run(
+          `MATCH (keep:${group.label}) WHERE ${keyCondition(group.label, "keep", "keep")} RETURN count(keep) AS count`,
+          { keep }
+        );
+        if (toNumber(exists.records[0].get("count")) === 0) {
+          throw new Error(`kept node "${displayName(group.label, keep)}" not found`);
+        }
+        let total = 0;
+        for (const dup of dups) total += await mergeNode(tx, group.label, keep, dup, { dryRun });
+        return total;
+      });
+
+      merged += dups.length;
+      moved += groupMoved;
+      console.log(
+        `   ${dryRun ? "🔎" : "🔀"} ${group.id}: ${dups.map((d) => `"${displayName(group.label, d)}"`).join(", ")} → ` +
+        `"${displayName(group.label, keep)}" (${groupMoved} relationships)`
+      );
+    } catch (err) {
+      skipped.push({ id: group.id, error: err.message });
+      console.error(`   ❌ ${group.id}: ${err.message}`);
+    } finally {
+      await session.close();
+    }
+  }
+
+  const after = dryRun ? before : await countGraph();
+  printCounts(before, after);
+  console.log(
+    `\n${dryRun ? "🔎 Would merge" : "✅ Merged"} ${merged} nodes, ${moved} relationships re-pointed` +
+    (skipped.length > 0 ? `, ${skipped.length} groups skipped` : "")
+  );
+  return { merged, moved, skipped, before, after };
+}
+
+// =====================================================================
+// CLI
+// =====================================================================
+//   npm run hygiene                       → scan, write the plan
+//   npm run hygiene -- --apply --dry-run  → what the approved merges do
+//   npm run hygiene -- --apply            → apply them
+async function main() {
+  const args = process.argv.slice(2);
+  try {
+    if (!args.includes("--apply")) {
+      console.log("🔍 Scanning for duplicate nodes...");
+      const resolved = await scanGraph();
+      saveMergePlan(resolved);
+      console.log(`\n📝 ${resolved.groups.length} duplicate groups written to ${MERGE_PLAN_PATH}`);
+      for (const group of resolved.groups) {
+        const names = group.duplicates.map((d) => `"${displayName(group.label, d)}"`).join(", ");
+        console.log(`   ${group.id}: ${names} → "${displayName(group.label, group.keep)}" [${group.evidence[0].reason}]`);
+      }
+      if (resolved.groups.length > 0) {
+        console.log('\n   Review the plan, set "approved": true, then: npm run hygiene -- --apply --dry-run');
+      }
+      return;
+    }
+
+    const dryRun = args.includes("--dry-run");
+    const result = await applyMergePlan(loadMergePlan(), { dryRun });
+
+    if (!dryRun && result.merged > 0) {
+      // Merged names live on as aliases → the resolver still finds them
+      const aliasTable = await buildAliasTable();
+      saveAliasTable(aliasTable);
+      console.log(`   🔤 Alias table rebuilt (${aliasTable.entries.length} aliases)`);
+      const generation = bumpIndexGeneration();
+      console.log(`   ⚡ Index generation ${generation} — cached answers invalidated`);
+    }
+  } finally {
+    await closeConnections();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error("❌ Graph hygiene failed:", err.message);
+    process.exit(1);
+  });
+}
+
+export {
+  MERGE_PLAN_PATH,
+  HYGIENE_CONFIG,
+  prepareNode,
+  compareNodes,
+  findDuplicates,
+  scanGraph,
+  loadMergePlan,
+  saveMergePlan,
+  applyMergePlan,
+};
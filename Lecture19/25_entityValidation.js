@@ -0,0 +1,367 @@
+// =====================================================================
+// 25_entityValidation.js — VALIDATE EXTRACTED ENTITIES + QUARANTINE
+// =====================================================================
+//
+// PROBLEM:
+//   extractAllEntities() (4_entityExtractor.js) returns whatever JSON
+//   Gemini wrote. buildGraph() then MERGEs it as fact:
+//     { "movie": { "title": "Movie 0042", "year": "20l0" } }   ← string year
+//     { "movie": { "title": "Movie 1042" }, ... }               ← not in the PDF
+//     { "genres": ["Science Fiction"] }                         ← "Sci-Fi" elsewhere
+//     { "director": "Ridley Scott" }                            ← wrong shape
+//
+// SOLUTION: a gate between STEP 1 (extract) and STEP 2 (graph)
+//
+//   extracted record
+//       │
+//       ▼
+//   1. SCHEMA   exactly movie / director / actors / genres / themes /
+//               awards, right types, year 1888 … now+5, awards like
+//               "Oscar (Best Picture)"
+//   2. SOURCE   the title must be a block from parsePDF(); year and
+//               director must match that block, every actor must
+//               appear in it
+//   3. GENRES   mapped onto the genre vocabulary ("science fiction" → "Sci-Fi")
+//
+// All of these rules are read from the domain schema
+// (26_domainSchema.js: types, min, sourceField, inSource, vocabulary,
+// format) → books are checked the same way.
+//       │
+//       ├─ valid       → normalized entity → manifest → buildGraph()
+//       └─ invalid     → data/quarantine.json with the reasons
+//
+// Quarantined movies stay "not extracted" in the manifest:
+//   npm run index:quarantine   → re-extract ONLY the quarantined movies
+//   npm run quarantine         → summary of what is in quarantine
+// =====================================================================
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { movieKey } from "./15_indexManifest.js";
+import { normalizeName } from "./18_aliasTable.js";
+import { DOMAIN, YEARS_AHEAD, readField, recordTitle, entityTitle } from "./26_domainSchema.js";
+
+const QUARANTINE_PATH = "./data/quarantine.json";
+
+// Controlled vocabularies come from the domain schema (26_domainSchema.js)
+//   movies: genres → Action, Sci-Fi, ... + synonyms ("science fiction" → "Sci-Fi")
+// Built once per compiled schema
+const VOCABULARY_LOOKUPS = new WeakMap();
+
+function vocabularyLookups(domain) {
+  if (!VOCABULARY_LOOKUPS.has(domain)) {
+    VOCABULARY_LOOKUPS.set(domain, new Map(
+      domain.entities.filter((def) => def.vocabulary).map((def) => [def.field, new Map([
+        ...def.vocabulary.terms.map((term) => [normalizeName(term), term]),
+        ...Object.entries(def.vocabulary.synonyms || {}).map(([from, to]) => [normalizeName(from), to]),
+      ])])
+    ));
+  }
+  return VOCABULARY_LOOKUPS.get(domain);
+}
+
+// =====================================================================
+// SOURCE INDEX (what the PDF really says)
+// =====================================================================
+// blocks from parsePDF() → Map(movieKey → { title, position, fields, text })
+//   fields = every schema "sourceField" read from the block
+//            (movies: "Release Year" → year, "Director" → director)
+function buildSourceIndex(blocks, domain = DOMAIN) {
+  const sourceFields = [
+    ...Object.entries(domain.root.properties).map(([prop, def]) => [prop, def.sourceField]),
+    ...domain.entities.map((def) => [def.field, def.sourceField]),
+  ].filter(([, sourceField]) => sourceField);
+
+  const index = new Map();
+  blocks.forEach((block, i) => {
+    const title = recordTitle(block, domain);
+    if (!title || index.has(movieKey(title))) return;
+    index.set(movieKey(title), {
+      title,
+      position: i + 1,
+      fields: Object.fromEntries(sourceFields.map(([field, sourceField]) => [field, readField(block, sourceField)])),
+      text: ` ${normalizeName(block)} `,
+    });
+  });
+  return index;
+}
+
+// =====================================================================
+// CHECKS
+// =====================================================================
+function normalizeTerm(field, value, domain = DOMAIN) {
+  return vocabularyLookups(domain).get(field)?.get(normalizeName(value)) ?? null;
+}
+
+// Trimmed, non-empty, de-duplicated strings — or a reason why not
+function cleanStringList(value, field, reasons) {
+  if (!Array.isArray(value)) {
+    reasons.push(`${field} must be an array`);
+    return [];
+  }
+  const cleaned = [];
+  for (const item of value) {
+    if (typeof item !== "string" || !item.trim()) {
+      reasons.push(`${field} contains a non-string or empty value`);
+      continue;
+    }
+    if (!cleaned.includes(item.trim())) cleaned.push(item.trim());
+  }
+  return cleaned;
+}
+
+// One root property (movie.title, movie.year) against its schema type
+function checkProperty(path, value, def, reasons) {
+  if (def.type === "string") {
+    if (typeof value !== "string" || !value.trim()) reasons.push(`${path} is missing`);
+    return typeof value === "string" ? value.trim() : "";
+  }
+  if (!Number.isInteger(value)) {
+    reasons.push(`${path} must be an integer (got ${JSON.stringify(value)})`);
+    return value;
+  }
+  const min = def.min ?? -Infinity;
+  const max = def.type === "year" ? new Date().getFullYear() + YEARS_AHEAD : (def.max ?? Infinity);
+  if (value < min || value > max) reasons.push(`${path} ${value} is outside ${min}–${max}`);
+  return value;
+}
+
+// One entity list (actors, genres, awards) against its schema entry
+function checkList(record, def, reasons, domain) {
+  // "None" means an empty list (EXTRACTION_PROMPT asks for [] but not always)
+  const isNone = (item) => typeof item === "string" && item.trim().toLowerCase() === def.none.toLowerCase();
+  const value = def.none && isNone(record[def.field]) ? [] : record[def.field];
+  const items = cleanStringList(value, def.field, reasons)
+    .filter((item) => !def.none || !isNone(item));
+
+  const cleaned = [];
+  for (const item of items) {
+    if (def.formatPattern && !def.formatPattern.test(item)) {
+      reasons.push(`${def.field} "${item}" is not like "${def.format.example}"`);
+      continue;
+    }
+    const term = def.vocabulary ? normalizeTerm(def.field, item, domain) : item;
+    if (!term) reasons.push(`unknown ${def.field} "${item}"`);
+    else if (!cleaned.includes(term)) cleaned.push(term);
+  }
+  if (def.minItems && Array.isArray(record[def.field]) && record[def.field].length < def.minItems) {
+    reasons.push(`${def.field} needs at least ${def.minItems}`);
+  }
+  return cleaned;
+}
+
+/**
+ * Check ONE extracted record against the domain schema.
+ *   sourceIndex = buildSourceIndex(blocks) → null skips the source check
+ * → { valid, entity (normalized, null when invalid), reasons: [...] }
+ */
+function validateEntity(record, sourceIndex = null, domain = DOMAIN) {
+  const reasons = [];
+  const { root } = domain;
+
+  // ── 1. Schema + 3. vocabularies ──
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return { valid: false, entity: null, reasons: ["record is not an object"] };
+  }
+  const allowed = [root.field, ...domain.entities.map((def) => def.field)];
+  const extra = Object.keys(record).filter((k) => !allowed.includes(k));
+  if (extra.length > 0) reasons.push(`unexpected fields: ${extra.join(", ")}`);
+
+  const rootValues = {};
+  for (const [prop, def] of Object.entries(root.properties)) {
+    rootValues[prop] = checkProperty(`${root.field}.${prop}`, record[root.field]?.[prop], def, reasons);
+  }
+  const entity = { [root.field]: rootValues };
+
+  for (const def of domain.entities) {
+    if (def.cardinality === "one") {
+      const name = record[def.field]?.name;
+      if (typeof name !== "string" || !name.trim()) reasons.push(`${def.field}.name is missing`);
+      entity[def.field] = { name: typeof name === "string" ? name.trim() : "" };
+    } else {
+      entity[def.field] = checkList(record, def, reasons, domain);
+    }
+  }
+
+  // ── 2. Cross-check against the PDF block ──
+  const title = rootValues[root.key];
+  if (sourceIndex && title) {
+    const source = sourceIndex.get(movieKey(title));
+    if (!source) {
+      reasons.push(`"${title}" is not a ${domain.record.noun} in the PDF`);
+    } else {
+      for (const [prop, def] of Object.entries(root.properties)) {
+        const expected = source.fields[prop];
+        const actual = rootValues[prop];
+        if (prop === root.key || expected == null || !def.sourceField) continue;
+        if (normalizeName(String(expected)) !== normalizeName(String(actual))) {
+          reasons.push(`${prop} ${actual} does not match the PDF (${expected})`);
+        }
+      }
+      for (const def of domain.entities) {
+        const expected = source.fields[def.field];
+        if (def.cardinality === "one" && expected && entity[def.field].name &&
+            normalizeName(expected) !== normalizeName(entity[def.field].name)) {
+          reasons.push(`${def.field} "${entity[def.field].name}" does not match the PDF ("${expected}")`);
+        }
+        if (def.inSource) {
+          const missing = entity[def.field].filter((v) => !source.text.includes(` ${normalizeName(v)} `));
+          if (missing.length > 0) reasons.push(`${def.field} not in the PDF block: ${missing.join(", ")}`);
+        }
+      }
+    }
+  }
+
+  if (reasons.length > 0) return { valid: false, entity: null, reasons };
+  return { valid: true, entity, reasons: [] };
+}
+
+/**
+ * Split one extraction batch.
+ * → { valid: [entity], quarantined: [{ key, title, position, reasons, record }] }
+ */
+function validateBatch(records, sourceIndex) {
+  const valid = [];
+  const quarantined = [];
+  for (const record of records) {
+    const result = validateEntity(record, sourceIndex);
+    if (result.valid) {
+      valid.push(result.entity);
+      continue;
+    }
+    const title = entityTitle(record)?.trim() || null;
+    const source = title ? sourceIndex?.get(movieKey(title)) : null;
+    quarantined.push({
+      key: source ? movieKey(title) : `unmatched:${title ?? "?"}`,
+      title,
+      position: source?.position ?? null,
+      reasons: result.reasons,
+      record,
+    });
+  }
+  return { valid, quarantined };
+}
+
+// =====================================================================
+// QUARANTINE FILE
+// =====================================================================
+//   { updatedAt, items: { "<movie key>": { title, position, reasons,
+//                                          record, attempts, quarantinedAt } } }
+// "unmatched:<title>" items name no PDF movie → nothing to re-extract
+function loadQuarantine(quarantinePath = QUARANTINE_PATH) {
+  if (!fs.existsSync(quarantinePath)) return { updatedAt: null, items: {} };
+  return JSON.parse(fs.readFileSync(quarantinePath, "utf-8"));
+}
+
+function saveQuarantine(quarantine, quarantinePath = QUARANTINE_PATH) {
+  quarantine.updatedAt = new Date().toISOString();
+  const tmpPath = `${quarantinePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(quarantine, null, 2));
+  fs.renameSync(tmpPath, quarantinePath);
+}
+
+function addToQuarantine(quarantine, items) {
+  for (const item of items) {
+    const previous = quarantine.items[item.key];
+    quarantine.items[item.key] = {
+      ...item,
+      attempts: (previous?.attempts ?? 0) + 1,
+      quarantinedAt: new Date().toISOString(),
+    };
+  }
+  return quarantine;
+}
+
+// Passed validation (or left the PDF) → out of quarantine
+function releaseFromQuarantine(quarantine, keys) {
+  let released = 0;
+  for (const key of keys) {
+    if (quarantine.items[key]) {
+      delete quarantine.items[key];
+      released++;
+    }
+  }
+  return released;
+}
+
+// Positions the re-extract command targets
+function quarantinedPositions(quarantine) {
+  return Object.values(quarantine.items)
+    .map((item) => item.position)
+    .filter((position) => Number.isInteger(position));
+}
+
+// =====================================================================
+// REPORT
+// =====================================================================
+// "movie.year 2150 is outside 1888–2031" → "movie.year is outside …"
+// so the same problem on different movies counts once
+function reasonKind(reason) {
+  return reason
+    .replace(/"[^"]*"/g, '"…"')
+    .replace(/\([^)]*\)/g, "(…)")
+    .replace(/\d+/g, "N")
+    .replace(/:.*$/, "");
+}
+
+function summarizeQuarantine(quarantine) {
+  const items = Object.values(quarantine.items);
+  const byReason = {};
+  for (const item of items) {
+    for (const kind of new Set(item.reasons.map(reasonKind))) byReason[kind] = (byReason[kind] || 0) + 1;
+  }
+  return {
+    total: items.length,
+    retryable: items.filter((i) => Number.isInteger(i.position)).length,
+    unmatched: items.filter((i) => !Number.isInteger(i.position)).length,
+    byReason: Object.entries(byReason).sort((a, b) => b[1] - a[1]),
+  };
+}
+
+function printValidationReport({ valid, quarantined, released = 0 }, quarantine) {
+  console.log(`   🧪 Validation: ${valid} valid | 🚧 ${quarantined} quarantined | ✅ ${released} released from quarantine`);
+  const summary = summarizeQuarantine(quarantine);
+  if (summary.total === 0) return;
+  console.log(`   🚧 In quarantine: ${summary.total} (${summary.retryable} re-extractable, ${summary.unmatched} not in the PDF)`);
+  for (const [kind, count] of summary.byReason.slice(0, 5)) console.log(`      ${String(count).padStart(4)} × ${kind}`);
+  console.log("      → npm run index:quarantine   re-extracts only these movies");
+}
+
+// npm run quarantine → what is in quarantine and why
+function main() {
+  const quarantine = loadQuarantine();
+  const summary = summarizeQuarantine(quarantine);
+  console.log("===========================================");
+  console.log("   🚧 Extraction Quarantine");
+  console.log("===========================================");
+  if (summary.total === 0) {
+    console.log("✅ Nothing in quarantine.");
+    return;
+  }
+  console.log(`${summary.total} records (${summary.retryable} re-extractable, ${summary.unmatched} not in the PDF)\n`);
+  for (const [kind, count] of summary.byReason) console.log(`   ${String(count).padStart(4)} × ${kind}`);
+  console.log("");
+  for (const item of Object.values(quarantine.items).sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))) {
+    console.log(`   #${item.position ?? "?"} ${item.title ?? "(no title)"} [attempt ${item.attempts}]`);
+    item.reasons.forEach((reason) => console.log(`      - ${reason}`));
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export {
+  QUARANTINE_PATH,
+  buildSourceIndex,
+  normalizeTerm,
+  validateEntity,
+  validateBatch,
+  loadQuarantine,
+  saveQuarantine,
+  addToQuarantine,
+  releaseFromQuarantine,
+  quarantinedPositions,
+  summarizeQuarantine,
+  printValidationReport,
+};
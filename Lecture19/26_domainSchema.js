@@ -0,0 +1,346 @@
+// =====================================================================
+// 26_domainSchema.js — DECLARATIVE DOMAIN SCHEMA (movies, books, ...)
+// =====================================================================
+//
+// PROBLEM:
+//   "Movie Title", Movie/Director/Actor, DIRECTED/ACTED_IN ... were
+//   hardcoded in the parser, the extraction prompt, the MERGE statements
+//   and the Cypher whitelists. A book catalog meant editing five files.
+//
+// SOLUTION: ONE JSON file describes the domain → everything else is
+// generated from it
+//
+//   schemas/movies.json  (default)        schemas/books.json
+//       │
+//       ▼
+//   loadDomainSchema()  → checks the file, compiles it
+//       │
+//       ├─ record       separator + title field → 3_pdfParser.js,
+//       │               15_indexManifest.js
+//       ├─ prompt       extraction JSON shape + rules → 4_entityExtractor.js
+//       ├─ graph        MERGE statements, indexes, orphan labels
+//       │               → 5_graphBuilder.js
+//       ├─ whitelists   labels, relationships, properties, endpoints
+//       │               → 8_cypherTemplates.js
+//       └─ validation   types, year ranges, vocabularies, source fields
+//                       → 25_entityValidation.js
+//
+// SCHEMA FILE:
+//   source   the document to index (.pdf, or plain text)
+//   record   { noun, plural, separator (regex), titleField }
+//   root     the node every record becomes:
+//            { field, label, var, key, properties: { name: { type,
+//              min, sourceField } } }   type = string | integer | year
+//   entities one per extracted field:
+//            { field, label, var, cardinality: one | many,
+//              relationship, direction: in (entity → root) | out,
+//              sourceField / inSource   cross-check against the record
+//              minItems, none ("None" = empty list), vocabulary
+//              { terms, synonyms }, format { pattern, properties,
+//              example }   "Oscar (Best Picture)" → name + category }
+//
+// Labels, relationships, properties and variables end up INSIDE Cypher
+// strings → the loader only accepts plain identifiers.
+//
+// CONFIG (env):
+//   DOMAIN_SCHEMA   schema name in ./schemas or a path (default "movies")
+//
+// The query side (classifier/planner prompts, vector metadata filters)
+// still speaks about movies — only indexing, the whitelists, the alias
+// table labels (18_aliasTable.js) and /api/stats are generated.
+// =====================================================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "schemas");
+
+const LABEL_PATTERN = /^[A-Z][A-Za-z0-9_]*$/;
+const RELATIONSHIP_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const PROPERTY_PATTERN = /^[a-z][A-Za-z0-9_]*$/;
+const VAR_PATTERN = /^[a-z][a-z0-9]{0,3}$/;
+const PROPERTY_TYPES = ["string", "integer", "year"];
+const YEARS_AHEAD = 5;   // "year" properties may be announced releases
+
+// =====================================================================
+// LOADING
+// =====================================================================
+function check(condition, message) {
+  if (!condition) throw new Error(`Invalid domain schema: ${message}`);
+}
+
+// Fail on load, not halfway through an indexing run
+function checkSchema(schema) {
+  check(schema && typeof schema === "object", "not a JSON object");
+  check(typeof schema.name === "string" && schema.name, "name is missing");
+  check(typeof schema.source === "string" && schema.source, "source is missing");
+
+  const { record, root, entities } = schema;
+  check(record && typeof record.separator === "string" && record.titleField, "record needs separator and titleField");
+  check(root && root.field && root.properties?.[root.key], "root needs field, key and a property for the key");
+  check(Array.isArray(entities) && entities.length > 0, "entities must be a non-empty array");
+
+  const labels = new Set();
+  const vars = new Set();
+  const fields = new Set();
+  for (const node of [root, ...entities]) {
+    check(LABEL_PATTERN.test(node.label ?? ""), `label "${node.label}" is not an identifier`);
+    check(VAR_PATTERN.test(node.var ?? ""), `var "${node.var}" must be 1-4 lowercase characters`);
+    check(!labels.has(node.label), `label ${node.label} is used twice`);
+    check(!vars.has(node.var), `var ${node.var} is used twice`);
+    check(!fields.has(node.field), `field ${node.field} is used twice`);
+    labels.add(node.label);
+    vars.add(node.var);
+    fields.add(node.field);
+  }
+
+  for (const [prop, def] of Object.entries(root.properties)) {
+    check(PROPERTY_PATTERN.test(prop) && prop !== "key", `property "${prop}" is not an identifier (or is "key")`);
+    check(PROPERTY_TYPES.includes(def.type), `${root.label}.${prop} type must be one of ${PROPERTY_TYPES.join(", ")}`);
+  }
+
+  const relationships = new Set();
+  for (const entity of entities) {
+    check(["one", "many"].includes(entity.cardinality), `${entity.field}.cardinality must be one or many`);
+    check(RELATIONSHIP_PATTERN.test(entity.relationship ?? ""), `relationship "${entity.relationship}" is not an identifier`);
+    check(!relationships.has(entity.relationship), `relationship ${entity.relationship} is used twice`);
+    check(["in", "out"].includes(entity.direction), `${entity.field}.direction must be in or out`);
+    relationships.add(entity.relationship);
+    if (entity.format) {
+      check(Array.isArray(entity.format.properties) && entity.format.properties.every((p) => PROPERTY_PATTERN.test(p) && p !== "key"),
+        `${entity.field}.format.properties must be identifiers (not "key")`);
+      check(typeof entity.format.pattern === "string" && entity.format.pattern, `${entity.field}.format.pattern is missing`);
+    }
+  }
+}
+
+/**
+ * Read + check + compile one schema.
+ *   nameOrPath = "books" → ./schemas/books.json, or a path to a .json file
+ */
+function loadDomainSchema(nameOrPath = "movies") {
+  const file = nameOrPath.endsWith(".json") ? nameOrPath : path.join(SCHEMA_DIR, `${nameOrPath}.json`);
+  if (!fs.existsSync(file)) throw new Error(`Domain schema not found: ${file}`);
+  const schema = JSON.parse(fs.readFileSync(file, "utf-8"));
+  checkSchema(schema);
+  return compileSchema(schema);
+}
+
+// =====================================================================
+// COMPILING
+// =====================================================================
+function compileSchema(schema) {
+  const { root } = schema;
+  const entities = schema.entities.map((entity) => ({
+    ...entity,
+    properties: entity.format ? entity.format.properties : ["name"],
+    formatPattern: entity.format ? new RegExp(entity.format.pattern) : null,
+  }));
+
+  // Whitelists for 8_cypherTemplates.js
+  const labels = [root.label, ...entities.map((e) => e.label)];
+  const properties = { [root.label]: Object.keys(root.properties) };
+  // Numeric properties → the only ones that can be bucketed (decade, ...)
+  const numeric = {
+    [root.label]: Object.entries(root.properties).filter(([, def]) => def.type !== "string").map(([prop]) => prop),
+  };
+  const varMap = { [root.label]: root.var };
+  const endpoints = {};
+  for (const entity of entities) {
+    properties[entity.label] = entity.properties;
+    varMap[entity.label] = entity.var;
+    endpoints[entity.relationship] = entity.direction === "in"
+      ? [entity.label, root.label]
+      : [root.label, entity.label];
+  }
+
+  return {
+    name: schema.name,
+    description: schema.description || `${schema.record.noun} knowledge graph`,
+    source: schema.source,
+    record: {
+      noun: schema.record.noun || root.label.toLowerCase(),
+      plural: schema.record.plural || `${schema.record.noun || root.label.toLowerCase()}s`,
+      separator: new RegExp(schema.record.separator),
+      titleField: schema.record.titleField,
+    },
+    root,
+    entities,
+    labels,
+    properties,
+    numeric,
+    varMap,
+    endpoints,
+  };
+}
+
+// =====================================================================
+// RECORDS (parser + manifest)
+// =====================================================================
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "Director: Christopher Nolan" → "Christopher Nolan" (null if absent)
+function readField(block, fieldName) {
+  const match = block.match(new RegExp(`${escapeRegExp(fieldName)}:\\s*(.+)`, "i"));
+  return match ? match[1].trim() : null;
+}
+
+// Full document text → record blocks that carry a title
+function splitRecords(text, domain = DOMAIN) {
+  return text
+    .split(domain.record.separator)
+    .map((block) => block.trim())
+    .filter((block) => block.length > 0 && block.includes(domain.record.titleField));
+}
+
+function recordTitle(block, domain = DOMAIN) {
+  return readField(block, domain.record.titleField);
+}
+
+// Extracted entity → its title ({ movie: { title } } → title)
+function entityTitle(entity, domain = DOMAIN) {
+  const value = entity?.[domain.root.field]?.[domain.root.key];
+  return typeof value === "string" ? value : null;
+}
+
+// =====================================================================
+// EXTRACTION PROMPT (4_entityExtractor.js)
+// =====================================================================
+function jsonShape(domain) {
+  const rootProps = Object.entries(domain.root.properties)
+    .map(([prop, def]) => `"${prop}": ${def.type === "string" ? '"string"' : "number"}`)
+    .join(", ");
+  const lines = [`  "${domain.root.field}": {${rootProps}}`];
+  for (const entity of domain.entities) {
+    lines.push(entity.cardinality === "one"
+      ? `  "${entity.field}": {"name": "string"}`
+      : `  "${entity.field}": ["string"]`);
+  }
+  return `{\n${lines.join(",\n")}\n}`;
+}
+
+function buildExtractionPrompt(domain = DOMAIN) {
+  const { noun, plural } = domain.record;
+  const rules = [];
+  for (const entity of domain.entities) {
+    if (entity.none) rules.push(`- If ${entity.field} say "${entity.none}", return ${entity.field} as empty array []`);
+  }
+  rules.push("- Keep exact names as written in the document");
+  for (const entity of domain.entities) {
+    if (entity.format) rules.push(`- Write each of ${entity.field} like "${entity.format.example}"`);
+    if (entity.vocabulary) rules.push(`- ${entity.field} must be from: ${entity.vocabulary.terms.join(", ")}`);
+  }
+  const numeric = Object.entries(domain.root.properties).filter(([, def]) => def.type !== "string");
+  for (const [prop] of numeric) rules.push(`- ${prop[0].toUpperCase()}${prop.slice(1)} must be a number, not string`);
+  rules.push("- Return a JSON ARRAY of objects: [{...}, {...}, ...]");
+  rules.push("- Return ONLY valid JSON. No markdown, no backticks, no explanation.");
+
+  return `You are a precise entity extractor for a ${domain.description}.
+
+From the attached document, extract ${plural} {START} through {END} (by their order in the document).
+
+For EACH ${noun}, output this EXACT JSON structure:
+${jsonShape(domain)}
+
+Rules:
+${rules.join("\n")}`;
+}
+
+// =====================================================================
+// GRAPH STATEMENTS (5_graphBuilder.js)
+// =====================================================================
+// One extracted entity → [{ cypher, params }], run in one transaction
+//   (m:Movie {title})  SET m.year
+//   (d:Director {name}) -[:DIRECTED]-> (m)
+//   (m) -[:WON]-> (aw:Award {name, category})  ← via format.pattern
+function graphStatements(entity, domain = DOMAIN) {
+  const { root } = domain;
+  const key = entity[root.field][root.key];
+  const rootMatch = `(${root.var}:${root.label} {${root.key}: $key})`;
+  const statements = [];
+
+  const extra = Object.keys(root.properties).filter((p) => p !== root.key);
+  statements.push({
+    cypher: [`MERGE ${rootMatch}`, extra.length ? `SET ${extra.map((p) => `${root.var}.${p} = $${p}`).join(", ")}` : ""]
+      .filter(Boolean).join("\n"),
+    params: { key, ...Object.fromEntries(extra.map((p) => [p, entity[root.field][p] ?? null])) },
+  });
+
+  for (const def of domain.entities) {
+    const raw = entity[def.field];
+    const values = def.cardinality === "one"
+      ? [typeof raw === "string" ? raw : raw?.name]
+      : (Array.isArray(raw) ? raw : []);
+
+    for (const value of values) {
+      if (typeof value !== "string" || !value.trim()) continue;
+
+      // "Oscar (Best Cinematography)" → name: "Oscar", category: "Best Cinematography"
+      let props;
+      if (def.formatPattern) {
+        const match = value.match(def.formatPattern);
+        if (!match) continue;
+        props = Object.fromEntries(def.properties.map((p, i) => [p, match[i + 1].trim()]));
+      } else {
+        props = { name: value };
+      }
+
+      const nodeProps = Object.keys(props).map((p) => `${p}: $${p}`).join(", ");
+      const edge = def.direction === "in"
+        ? `(${def.var})-[:${def.relationship}]->(${root.var})`
+        : `(${root.var})-[:${def.relationship}]->(${def.var})`;
+      statements.push({
+        cypher: `MERGE (${def.var}:${def.label} {${nodeProps}})\nMERGE ${rootMatch}\nMERGE ${edge}`,
+        params: { ...props, key },
+      });
+    }
+  }
+  return statements;
+}
+
+// CREATE INDEX for every MERGE key
+function indexStatements(domain = DOMAIN) {
+  return [domain.root, ...domain.entities].map((node) => {
+    const props = node === domain.root ? [node.key] : node.properties;
+    return `CREATE INDEX IF NOT EXISTS FOR (${node.var}:${node.label}) ON (${props.map((p) => `${node.var}.${p}`).join(", ")})`;
+  });
+}
+
+// The domain every module uses (DOMAIN_SCHEMA)
+const DOMAIN = loadDomainSchema(process.env.DOMAIN_SCHEMA || "movies");
+
+// npm run schema [-- books] → what the schema generates
+function main() {
+  const domain = process.argv[2] ? loadDomainSchema(process.argv[2]) : DOMAIN;
+  console.log("===========================================");
+  console.log(`   🧩 Domain schema: ${domain.name}`);
+  console.log("===========================================");
+  console.log(`📄 Source: ${domain.source} (records split on /${domain.record.separator.source}/, title "${domain.record.titleField}")`);
+  console.log(`🏷️  Labels: ${domain.labels.join(", ")}`);
+  for (const [rel, [from, to]] of Object.entries(domain.endpoints)) console.log(`   (${from})-[:${rel}]->(${to})`);
+  console.log(`🔑 Properties: ${Object.entries(domain.properties).map(([l, p]) => `${l}{${p.join(",")}}`).join(" ")}`);
+  console.log("\n📝 Extraction prompt:\n");
+  console.log(buildExtractionPrompt(domain));
+  console.log("\n📇 Indexes:");
+  indexStatements(domain).forEach((s) => console.log(`   ${s}`));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export {
+  DOMAIN,
+  YEARS_AHEAD,
+  loadDomainSchema,
+  readField,
+  splitRecords,
+  recordTitle,
+  entityTitle,
+  buildExtractionPrompt,
+  graphStatements,
+  indexStatements,
+};
@@ -0,0 +1,431 @@
+// =====================================================================
+// 27_queryTrace.js — EXPLAIN MODE + JSON QUERY TRACES
+// =====================================================================
+//
+// PROBLEM:
+//   A wrong answer says nothing about WHERE it went wrong:
+//     misclassified?            → classifyQuery (10_queryClassifier.js)
+//     wrong node picked?        → resolveEntity (9_entityResolver.js)
+//     plan rejected?            → buildCypher (8_cypherTemplates.js)
+//     similarity fed bad genres? → handleSimilarityQuery (12)
+//
+// SOLUTION: record every stage of ONE processQuery() run
+//
+//   withTrace(trace, () => processQuery(...))
+//       │
+//       ├─ progress events (20_progress.js) → one STAGE each:
+//       │    rewrite, cache, entities, classification, plan, validation,
+//       │    cypher, similarity, retrieval, table, answer
+//       │    (timing = time since the previous stage finished)
+//       ├─ every llm.invoke()/stream() → prompt, response, ms, tokens
+//       │    (usage_metadata from Gemini; ~4 chars/token when missing)
+//       │    → attached to the stage it led to
+//       └─ every embedText() → count + ms
+//
+//   printExplain(trace)  → stage-by-stage report under the answer
+//   saveTrace(trace)     → data/traces/<time>-<id>.json
+//                          (+ the run's options: strategy, profile id)
+//   replayTrace(file)    → re-run the question with the RECORDED LLM
+//                          responses and the recorded strategy /
+//                          profile, then show what changed:
+//                          classification, entities, plan, Cypher, answer
+//
+// REPLAY IS NOT OFFLINE: only the LLM is replayed. Neo4j, the vector
+// index and the embedding model are queried live, and the profile is
+// loaded as it is NOW (./profiles/<id>.json). A graph, index or profile
+// that changed since the trace shows up as a diff — that is the point,
+// but it also means replay needs the same connections as a normal run.
+//
+// CLI (13_runQuery.js):
+//   npm run query -- --explain          explain every query
+//   npm run query -- --trace            + save a JSON trace per query
+//   npm run query -- --replay <file>    replay a saved trace
+//   /explain [on|off], /trace [on|off]  toggle while running
+// =====================================================================
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { llm, embedText, overrideConnections } from "./2_config.js";
+import { withProgress, currentProgressListener, contentToText } from "./20_progress.js";
+
+const TRACE_DIR = "./data/traces";
+const TRACE_VERSION = 1;
+const CHARS_PER_TOKEN = 4;   // rough estimate when the model reports no usage
+
+const traceStorage = new AsyncLocalStorage();
+
+// =====================================================================
+// TRACE OBJECT
+// =====================================================================
+function createTrace(query, meta = {}) {
+  return {
+    version: TRACE_VERSION,
+    id: crypto.randomBytes(4).toString("hex"),
+    query,
+    ...meta,
+    startedAt: new Date().toISOString(),
+    start: Date.now(),
+    last: Date.now(),
+    totalMs: null,
+    stages: [],
+    pendingLlm: [],   // calls not yet attached to a stage
+    embeddings: { calls: 0, ms: 0 },
+    streamedTokens: 0,
+    result: null,
+    error: null,
+  };
+}
+
+// A progress event closes a stage: everything since the previous one
+// (LLM calls included) was spent producing it
+function recordStage(trace, stage, data) {
+  if (stage === "token") {
+    trace.streamedTokens++;
+    return;
+  }
+  const now = Date.now();
+  trace.stages.push({
+    stage,
+    atMs: now - trace.start,
+    durationMs: now - trace.last,
+    data: toPlain(data),
+    llm: trace.pendingLlm,
+  });
+  trace.pendingLlm = [];
+  trace.last = now;
+}
+
+// Neo4j Integers, Dates... → JSON-safe values (the trace is saved as JSON)
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value ?? null, (key, v) => (v && typeof v.toNumber === "function" ? v.toNumber() : v)));
+}
+
+// =====================================================================
+// INSTRUMENTATION (LLM + embeddings)
+// =====================================================================
+function hashMessages(messages) {
+  return crypto.createHash("sha1").update(JSON.stringify(messages)).digest("hex");
+}
+
+function messagesLength(messages) {
+  if (typeof messages === "string") return messages.length;
+  return messages.reduce((sum, m) => sum + String(contentToText(m.content ?? m)).length, 0);
+}
+
+// usage_metadata → exact counts; otherwise estimate from the text length
+function tokenCounts(messages, responseText, usage) {
+  if (usage?.input_tokens !== undefined) {
+    return { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens ?? 0, estimated: false };
+  }
+  return {
+    inputTokens: Math.ceil(messagesLength(messages) / CHARS_PER_TOKEN),
+    outputTokens: Math.ceil(responseText.length / CHARS_PER_TOKEN),
+    estimated: true,
+  };
+}
+
+function recordLlmCall(messages, responseText, usage, ms) {
+  const trace = traceStorage.getStore();
+  if (!trace) return;
+  trace.pendingLlm.push({
+    requestHash: hashMessages(messages),
+    ms,
+    ...tokenCounts(messages, responseText, usage),
+    messages,
+    response: responseText,
+  });
+}
+
+// Same interface as the LangChain model; records only inside withTrace()
+function instrumentLlm(model) {
+  if (model.traced) return model;
+  return {
+    traced: true,
+    model,
+    async invoke(messages, ...rest) {
+      const started = Date.now();
+      const response = await model.invoke(messages, ...rest);
+      recordLlmCall(messages, contentToText(response.content), response.usage_metadata, Date.now() - started);
+      return response;
+    },
+    ...(typeof model.stream === "function" ? {
+      async *stream(messages, ...rest) {
+        const started = Date.now();
+        let text = "";
+        let usage = null;
+        for await (const chunk of await model.stream(messages, ...rest)) {
+          text += contentToText(chunk.content);
+          if (chunk.usage_metadata) usage = chunk.usage_metadata;
+          yield chunk;
+        }
+        recordLlmCall(messages, text, usage, Date.now() - started);
+      },
+    } : {}),
+  };
+}
+
+function instrumentEmbed(embed) {
+  if (embed.traced) return embed;
+  const traced = async (text) => {
+    const started = Date.now();
+    try {
+      return await embed(text);
+    } finally {
+      const trace = traceStorage.getStore();
+      if (trace) {
+        trace.embeddings.calls++;
+        trace.embeddings.ms += Date.now() - started;
+      }
+    }
+  };
+  traced.traced = true;
+  return traced;
+}
+
+// Once per process — outside withTrace() the wrappers only pass through
+function enableTracing() {
+  overrideConnections({ llm: instrumentLlm(llm), embedText: instrumentEmbed(embedText) });
+}
+
+// =====================================================================
+// RUNNING
+// =====================================================================
+/**
+ * Run fn with the trace recording. Progress events still reach an outer
+ * listener (the HTTP stream) when there is one.
+ */
+function withTrace(trace, fn) {
+  const outer = currentProgressListener();
+  const listener = (stage, data) => {
+    recordStage(trace, stage, data);
+    if (outer) outer(stage, data);
+  };
+  // No outer listener → no token streaming (the CLI prints the full answer)
+  listener.streamTokens = outer ? outer.streamTokens !== false : false;
+  return traceStorage.run(trace, () => withProgress(listener, fn));
+}
+
+/**
+ * processQuery wrapper used by the CLI.
+ *   explain → print the report, save → write the JSON trace
+ * Errors are recorded (and reported) too, then rethrown.
+ */
+async function traceQuery(query, fn, { explain = true, save = false, meta = {}, trace = createTrace(query, meta) } = {}) {
+  enableTracing();
+  try {
+    const result = await withTrace(trace, fn);
+    trace.result = toPlain({ answer: result.answer, type: result.type, cached: result.cached });
+    return result;
+  } catch (err) {
+    trace.error = { message: err.message, afterStage: trace.stages.at(-1)?.stage ?? null };
+    throw err;
+  } finally {
+    finishTrace(trace);
+    if (explain) printExplain(trace);
+    if (save) console.log(`   💾 Trace saved: ${saveTrace(trace)}`);
+  }
+}
+
+function finishTrace(trace) {
+  trace.totalMs = Date.now() - trace.start;
+  // LLM calls after the last event (e.g. a failed plan) → own stage
+  if (trace.pendingLlm.length > 0) recordStage(trace, trace.error ? "failed" : "unattributed", null);
+  trace.finishedAt = new Date().toISOString();
+}
+
+function llmTotals(trace) {
+  const calls = trace.stages.flatMap((s) => s.llm);
+  return {
+    calls: calls.length,
+    inputTokens: calls.reduce((sum, c) => sum + c.inputTokens, 0),
+    outputTokens: calls.reduce((sum, c) => sum + c.outputTokens, 0),
+    estimated: calls.some((c) => c.estimated),
+    ms: calls.reduce((sum, c) => sum + c.ms, 0),
+  };
+}
+
+function saveTrace(trace, dir = TRACE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${trace.startedAt.replace(/[:.]/g, "-")}-${trace.id}.json`);
+  const { start, last, pendingLlm, ...saved } = trace;
+  fs.writeFileSync(file, JSON.stringify({ ...saved, llmTotals: llmTotals(trace) }, null, 2));
+  return file;
+}
+
+function loadTrace(file) {
+  const trace = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (trace.version !== TRACE_VERSION) throw new Error(`Unsupported trace version ${trace.version} in ${file}`);
+  return trace;
+}
+
+// =====================================================================
+// REPORT
+// =====================================================================
+function clip(text, max = 110) {
+  const flat = String(text).replace(/\s+/g, " ").trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+// One line per stage: what came out of it
+function summarizeStage({ stage, data }) {
+  if (!data) return "";
+  switch (stage) {
+    case "rewrite":
+      return `"${data.query}" → "${data.standaloneQuery}"`;
+    case "cache":
+      return data.hit ? `HIT (${data.kind}) ← "${data.cachedQuestion}"` : "miss";
+    case "entities": {
+      const picked = (data.decisions || []).map((d) => {
+        const chosen = (d.chosen || []).map((c) => `${c.label} "${c.nodeName}"`).join(" | ") || "—";
+        return `${d.searchTerm} → ${chosen} (${d.status}${d.confidence !== undefined ? `, ${d.confidence}` : ""})`;
+      });
+      const unresolved = data.unresolved?.length ? ` | not found: ${data.unresolved.join(", ")}` : "";
+      return (picked.join("; ") || "no entities") + unresolved;
+    }
+    case "classification":
+      return `${data.type} (confidence ${data.confidence}) — ${data.reasoning ?? ""}`;
+    case "plan":
+      return (data.plan?.steps || []).map((s) => s.type).join(" → ");
+    case "validation":
+      return data.ok ? "plan OK" : `REJECTED: ${data.error}`;
+    case "cypher":
+      return `${data.cypher} ${JSON.stringify(data.params ?? {})}`;
+    case "similarity":
+      return `source "${data.source}" | genres [${(data.genres || []).join(", ")}] | themes [${(data.themes || []).join(", ")}]`;
+    case "personalization":
+      return `profile "${data.profile}" | ${data.excluded} already seen | top: ${(data.top || []).slice(0, 3).map((t) => t.title).join(", ")}`;
+    case "retrieval":
+      return `${data.source}: ${data.count} results${data.filter ? ` | filter ${JSON.stringify(data.filter)}` : ""}`;
+    case "table":
+      return `${data.rows} rows × ${data.columns.length} columns`;
+    case "answer":
+      return `${data.provenance?.citations?.length ?? 0} cited sentences, ${data.provenance?.unsupported?.length ?? 0} unsupported names`;
+    default:
+      return JSON.stringify(data);
+  }
+}
+
+function formatTokens({ inputTokens, outputTokens, estimated }) {
+  return `${estimated ? "~" : ""}${inputTokens} in / ${outputTokens} out`;
+}
+
+function printExplain(trace) {
+  const totals = llmTotals(trace);
+  console.log("\n🔬 EXPLAIN");
+  console.log(
+    `   ${trace.totalMs} ms | ${totals.calls} LLM calls (${totals.ms} ms, ${formatTokens(totals)} tokens) | ` +
+    `${trace.embeddings.calls} embeddings (${trace.embeddings.ms} ms)`
+  );
+  trace.stages.forEach((s, i) => {
+    const llmInfo = s.llm.length
+      ? ` | LLM ×${s.llm.length} ${formatTokens({
+        inputTokens: s.llm.reduce((sum, c) => sum + c.inputTokens, 0),
+        outputTokens: s.llm.reduce((sum, c) => sum + c.outputTokens, 0),
+        estimated: s.llm.some((c) => c.estimated),
+      })}`
+      : "";
+    console.log(`   ${String(i + 1).padStart(2)}. ${s.stage.padEnd(14)} ${String(s.durationMs).padStart(6)} ms${llmInfo}`);
+    const summary = summarizeStage(s);
+    if (summary) console.log(`       ${clip(summary)}`);
+  });
+  if (trace.error) console.log(`   ❌ Failed after "${trace.error.afterStage ?? "start"}": ${trace.error.message}`);
+}
+
+// =====================================================================
+// REPLAY
+// =====================================================================
+// Recorded responses by request hash; a prompt that changed since the
+// trace falls back to the next unused response in recorded order.
+function createReplayLlm(trace) {
+  const calls = trace.stages.flatMap((s) => s.llm.map((c) => ({ ...c, stage: s.stage })));
+  const used = new Set();
+  const divergences = [];
+
+  const respond = (messages) => {
+    const hash = hashMessages(messages);
+    let index = calls.findIndex((c, i) => !used.has(i) && c.requestHash === hash);
+    if (index === -1) {
+      index = calls.findIndex((c, i) => !used.has(i) && c.stage !== "rewrite");
+      if (index === -1) throw new Error("Replay ran out of recorded LLM responses");
+      divergences.push(`prompt changed for the call recorded at "${calls[index].stage}"`);
+    }
+    used.add(index);
+    return { content: calls[index].response };
+  };
+
+  return {
+    divergences,
+    llm: {
+      invoke: async (messages) => respond(messages),
+      async *stream(messages) {
+        yield respond(messages);
+      },
+    },
+  };
+}
+
+// What the user would want compared between two runs
+function keyOutputs(trace) {
+  const data = (stage) => trace.stages.find((s) => s.stage === stage)?.data;
+  return {
+    classification: data("classification")?.type ?? null,
+    entities: (data("entities")?.entities || []).map((e) => `${e.label}:${e.nodeName}`).sort().join(", "),
+    plan: JSON.stringify(data("plan")?.plan ?? null),
+    cypher: trace.stages.filter((s) => s.stage === "cypher").map((s) => s.data.cypher).join(" ; "),
+    answer: trace.result?.answer ?? null,
+    error: trace.error?.message ?? null,
+  };
+}
+
+/**
+ * Re-run a saved trace's (standalone) question with the recorded LLM
+ * responses, then print what changed.
+ *   runQuery(question, { strategy, profile }) → processQuery without
+ *   session/cache, with the recorded strategy and profile id (null when
+ *   the trace has none → the caller's defaults)
+ */
+async function replayTrace(file, runQuery) {
+  const recorded = loadTrace(file);
+  const question = recorded.stages.find((s) => s.stage === "rewrite")?.data.standaloneQuery ?? recorded.query;
+  const options = { strategy: recorded.strategy ?? null, profile: recorded.profile ?? null };
+  console.log(`🔁 Replaying trace ${recorded.id} (${recorded.startedAt}): "${question}"`);
+  console.log(`   strategy: ${options.strategy ?? "default"} | profile: ${options.profile ?? "none"} | Neo4j, vectors and embeddings are live`);
+
+  const replay = createReplayLlm(recorded);
+  overrideConnections({ llm: replay.llm });
+
+  const trace = createTrace(question, { replayOf: recorded.id, ...options });
+  try {
+    await traceQuery(question, () => runQuery(question, options), { trace });
+  } catch {
+    // recorded in trace.error → shows up in the diff
+  }
+  printReplayDiff(recorded, trace, replay.divergences);
+  return trace;
+}
+
+function printReplayDiff(recorded, replayed, divergences) {
+  const before = keyOutputs(recorded);
+  const after = keyOutputs(replayed);
+  console.log("\n🔁 REPLAY DIFF");
+  for (const key of Object.keys(before)) {
+    const same = before[key] === after[key];
+    console.log(`   ${same ? "✅" : "❌"} ${key}${same ? "" : `\n       recorded: ${clip(before[key] ?? "—")}\n       replayed: ${clip(after[key] ?? "—")}`}`);
+  }
+  divergences.forEach((d) => console.log(`   ⚠️ ${d}`));
+}
+
+export {
+  TRACE_DIR,
+  createTrace,
+  withTrace,
+  traceQuery,
+  enableTracing,
+  instrumentLlm,
+  saveTrace,
+  loadTrace,
+  printExplain,
+  replayTrace,
+};
@@ -0,0 +1,213 @@
+// =====================================================================
+// 28_userProfiles.js — USER TASTE PROFILES FOR RECOMMENDATIONS
+// =====================================================================
+//
+// PROBLEM:
+//   "Movies like Inception" → the same ten picks for everyone, even
+//   movies the user has already seen or told us they hated.
+//
+// SOLUTION: a persistent profile per user (./profiles/<id>.json)
+//
+//   /like Interstellar      → liked    (also counts as watched)
+//   /dislike Tenet          → disliked (also counts as watched)
+//   /watched Memento        → watched  (no opinion)
+//   /unrate Tenet           → forget it again
+//
+//   Titles are checked against the graph (alias table, 18_aliasTable.js)
+//   → "interstelar" is stored as "Interstellar".
+//
+// RE-RANKING (12_similarityHandler.js):
+//
+//   liked movies ──► Neo4j ──► directors ×3, actors ×1.5, genres ×1, themes ×1
+//   disliked     ──► Neo4j ──► same features, NEGATIVE weight
+//                                   │
+//   candidates (Pinecone) ──► their features ──► taste score
+//                                   │
+//   final = vector score + TASTE_BLEND × taste score
+//   watched / liked / disliked titles → dropped
+//   best-overlapping liked movie → "because you liked Interstellar
+//                                   (Christopher Nolan, Sci-Fi)"
+//
+// Profiles with no ratings change nothing.
+// =====================================================================
+
+import fs from "fs";
+import path from "path";
+import { resolveEntity, decideResolution } from "./9_entityResolver.js";
+
+// ── Constants ──
+const PROFILES_DIR = "./profiles";
+const DEFAULT_PROFILE = "default";
+const RATINGS = ["liked", "disliked", "watched"];
+
+// Points per shared feature — a shared director says more than a genre
+const TASTE_WEIGHTS = { directors: 3, actors: 1.5, genres: 1, themes: 1 };
+const TASTE_BLEND = 0.1;        // taste points → vector score units
+const MAX_REASON_FEATURES = 2;  // names shown in "because you liked…"
+
+// =====================================================================
+// Profile lifecycle: create → load → save
+// =====================================================================
+function createProfile(id = DEFAULT_PROFILE) {
+  const now = new Date().toISOString();
+  return { id, createdAt: now, updatedAt: now, liked: [], disliked: [], watched: [] };
+}
+
+function profilePath(id) {
+  // Profile ids become file names → only allow safe characters
+  if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid profile id: ${id}`);
+  return path.join(PROFILES_DIR, `${id}.json`);
+}
+
+/**
+ * Load a saved profile from disk.
+ * Returns an empty profile with the same id if nothing was saved yet.
+ */
+function loadProfile(id = DEFAULT_PROFILE) {
+  const file = profilePath(id);
+  if (!fs.existsSync(file)) return createProfile(id);
+
+  const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return { ...createProfile(id), ...saved };
+}
+
+function saveProfile(profile) {
+  fs.mkdirSync(PROFILES_DIR, { recursive: true });
+  profile.updatedAt = new Date().toISOString();
+  fs.writeFileSync(profilePath(profile.id), JSON.stringify(profile, null, 2));
+}
+
+function hasTaste(profile) {
+  return Boolean(profile) && RATINGS.some((rating) => profile[rating].length > 0);
+}
+
+// =====================================================================
+// Ratings
+// =====================================================================
+//
+// liked and disliked exclude each other; both imply watched.
+// =====================================================================
+function withoutTitle(titles, title) {
+  return titles.filter((t) => t.toLowerCase() !== title.toLowerCase());
+}
+
+function rateMovie(profile, rating, title) {
+  if (!RATINGS.includes(rating)) throw new Error(`Unknown rating: ${rating}`);
+  if (rating !== "watched") {
+    profile.liked = withoutTitle(profile.liked, title);
+    profile.disliked = withoutTitle(profile.disliked, title);
+    profile[rating].push(title);
+  }
+  profile.watched = [...withoutTitle(profile.watched, title), title];
+  return profile;
+}
+
+function unrateMovie(profile, title) {
+  const before = RATINGS.reduce((sum, rating) => sum + profile[rating].length, 0);
+  for (const rating of RATINGS) profile[rating] = withoutTitle(profile[rating], title);
+  return before !== RATINGS.reduce((sum, rating) => sum + profile[rating].length, 0);
+}
+
+/**
+ * User-typed title → the Movie node's exact title.
+ * → { title } | { options: [titles] } (ambiguous) | { title: null }
+ */
+async function resolveMovieTitle(text) {
+  const candidates = (await resolveEntity(text)).filter((c) => c.label === "Movie");
+  const decision = decideResolution(text, candidates);
+  if (decision.status === "resolved") return { title: decision.chosen[0].nodeName };
+  if (decision.status === "ambiguous") return { options: decision.options.map((o) => o.nodeName) };
+  return { title: null };
+}
+
+// =====================================================================
+// Taste → re-ranking
+// =====================================================================
+//
+// features = { title → { genres, themes, actors, directors } } from Neo4j
+// (getMovieFeatures() in 12_similarityHandler.js).
+// =====================================================================
+function featureKey(kind, name) {
+  return `${kind}:${name.toLowerCase()}`;
+}
+
+/**
+ * Weighted features of the profile's liked (+) and disliked (−) movies.
+ * → Map featureKey → { kind, name, weight, likedIn: [titles] }
+ */
+function buildTaste(profile, features) {
+  const taste = new Map();
+  const add = (title, sign) => {
+    for (const [kind, weight] of Object.entries(TASTE_WEIGHTS)) {
+      for (const name of features[title]?.[kind] || []) {
+        const key = featureKey(kind, name);
+        const entry = taste.get(key) || { kind, name, weight: 0, likedIn: [] };
+        entry.weight += sign * weight;
+        if (sign > 0) entry.likedIn.push(title);
+        taste.set(key, entry);
+      }
+    }
+  };
+  profile.liked.forEach((title) => add(title, 1));
+  profile.disliked.forEach((title) => add(title, -1));
+  return taste;
+}
+
+// The liked movie sharing the most (weighted) features with a candidate
+function becauseYouLiked(matched) {
+  const byLiked = new Map();
+  for (const feature of matched.filter((f) => f.weight > 0)) {
+    for (const title of feature.likedIn) {
+      const entry = byLiked.get(title) || { title, points: 0, features: [] };
+      entry.points += TASTE_WEIGHTS[feature.kind];
+      entry.features.push(feature);
+      byLiked.set(title, entry);
+    }
+  }
+  const best = [...byLiked.values()].sort((a, b) => b.points - a.points)[0];
+  if (!best) return null;
+  const names = best.features
+    .sort((a, b) => TASTE_WEIGHTS[b.kind] - TASTE_WEIGHTS[a.kind])
+    .slice(0, MAX_REASON_FEATURES)
+    .map((f) => f.name);
+  return `because you liked ${best.title} (${names.join(", ")})`;
+}
+
+/**
+ * Drop already-seen movies, then re-rank by vector score + taste.
+ * candidates: [{ title, score, ... }] → same objects, plus
+ *   tasteScore and reason ("because you liked …" or null)
+ */
+function rankForProfile(candidates, profile, { taste, features }) {
+  const seen = new Set(profile.watched.concat(profile.liked, profile.disliked).map((t) => t.toLowerCase()));
+  return candidates
+    .filter((c) => !seen.has((c.title || "").toLowerCase()))
+    .map((c) => {
+      const matched = Object.keys(TASTE_WEIGHTS)
+        .flatMap((kind) => (features[c.title]?.[kind] || []).map((name) => taste.get(featureKey(kind, name))))
+        .filter(Boolean);
+      const tasteScore = matched.reduce((sum, f) => sum + f.weight, 0);
+      return { ...c, tasteScore, rankScore: (c.score ?? 0) + TASTE_BLEND * tasteScore, reason: becauseYouLiked(matched) };
+    })
+    .sort((a, b) => b.rankScore - a.rankScore);
+}
+
+function formatProfile(profile) {
+  return RATINGS.map((rating) => `   ${rating}: ${profile[rating].length ? profile[rating].join(", ") : "—"}`).join("\n");
+}
+
+export {
+  PROFILES_DIR,
+  DEFAULT_PROFILE,
+  RATINGS,
+  createProfile,
+  loadProfile,
+  saveProfile,
+  hasTaste,
+  rateMovie,
+  unrateMovie,
+  resolveMovieTitle,
+  buildTaste,
+  rankForProfile,
+  formatProfile,
+};
@@ -0,0 +1,240 @@
+// =====================================================================
+// 29_graphRecommender.js — GRAPH-NATIVE "MOVIES LIKE X"
+// =====================================================================
+//
+// PROBLEM:
+//   12_similarityHandler.js ranks by EMBEDDING distance. Two movies with
+//   the same director, three shared actors and the same themes can rank
+//   below a movie whose plot summary merely sounds alike.
+//
+// SOLUTION: score candidates by the NEIGHBOURS they share in the graph
+//
+//   (Inception)──DIRECTED──(Christopher Nolan)──DIRECTED──(Interstellar)
+//   (Inception)──EXPLORES──(Dreams)──EXPLORES──(Paprika)
+//
+//   Per relationship type, per candidate movie m (all in ONE Cypher query):
+//
+//     adamic-adar  Σ over shared neighbours n of  1 / log(degree(n))
+//                  → sharing a rare theme counts more than sharing "Drama"
+//     jaccard      |shared| / |neighbours(source) ∪ neighbours(m)|
+//                  → overlap relative to how much each movie has
+//
+//   score(m) = Σ weight[type] × overlap[type]
+//
+//   Top candidates + what they share → LLM answer, citing [G#] records.
+//   Watched / liked / disliked titles from the user's profile
+//   (28_userProfiles.js) are excluded inside the query.
+//
+// SELECTED BY processQuery() (13_runQuery.js):
+//   strategy "vector" (default) → 12_similarityHandler.js
+//   strategy "graph"            → this module
+//   No movie resolved, or nothing shares a neighbour → vector handler.
+//
+// CONFIG (env):
+//   SIMILARITY_STRATEGY      default strategy: vector | graph
+//   GRAPH_REC_METHOD         adamic-adar | jaccard    (default adamic-adar)
+//   GRAPH_REC_WEIGHT_DIRECTOR  weight of a shared Director (default 3)
+//   GRAPH_REC_WEIGHT_ACTOR     weight of a shared Actor    (default 2)
+//   GRAPH_REC_WEIGHT_THEME     weight of a shared Theme    (default 1.5)
+//   GRAPH_REC_WEIGHT_GENRE     weight of a shared Genre    (default 1)
+//   Checked when the module loads → a typo fails at startup, not on
+//   every query.
+// =====================================================================
+
+import { driver } from "./2_config.js";
+import { getAliasTable } from "./9_entityResolver.js";
+import { emitProgress, generateAnswer } from "./20_progress.js";
+import { CITATION_INSTRUCTIONS, graphSources, formatSourcesForPrompt, buildAnswerResult } from "./19_provenance.js";
+
+// ── Constants ──
+const SIMILARITY_STRATEGIES = ["vector", "graph"];
+const DEFAULT_SIMILARITY_STRATEGY = validateStrategy(process.env.SIMILARITY_STRATEGY || "vector", "SIMILARITY_STRATEGY");
+const SCORING_METHODS = ["adamic-adar", "jaccard"];
+
+// Neighbour label → relationship that connects it to a Movie
+const NEIGHBOUR_RELATIONSHIPS = {
+  Director: "DIRECTED",
+  Actor: "ACTED_IN",
+  Theme: "EXPLORES",
+  Genre: "BELONGS_TO",
+};
+
+const RECOMMENDER_CONFIG = {
+  method: process.env.GRAPH_REC_METHOD || "adamic-adar",
+  weights: {
+    Director: Number(process.env.GRAPH_REC_WEIGHT_DIRECTOR || 3),
+    Actor: Number(process.env.GRAPH_REC_WEIGHT_ACTOR || 2),
+    Theme: Number(process.env.GRAPH_REC_WEIGHT_THEME || 1.5),
+    Genre: Number(process.env.GRAPH_REC_WEIGHT_GENRE || 1),
+  },
+  limit: 15,          // candidates shown to the LLM
+  sharedNames: 5,     // shared neighbour names kept per relationship
+};
+validateConfig(RECOMMENDER_CONFIG);
+
+// =====================================================================
+// CONFIG CHECK
+// =====================================================================
+// `source` names where the value came from (env var, CLI flag, ...)
+function validateStrategy(strategy, source = "similarity strategy") {
+  if (!SIMILARITY_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown ${source} "${strategy}" (use: ${SIMILARITY_STRATEGIES.join(", ")})`);
+  }
+  return strategy;
+}
+
+// Weights end up as Cypher parameters; the method picks a CASE branch
+// and the limits are inlined → reject anything unexpected up front.
+function validateConfig(config) {
+  if (!SCORING_METHODS.includes(config.method)) {
+    throw new Error(`Unknown GRAPH_REC_METHOD "${config.method}" (use: ${SCORING_METHODS.join(", ")})`);
+  }
+  for (const [label, weight] of Object.entries(config.weights)) {
+    if (!NEIGHBOUR_RELATIONSHIPS[label]) throw new Error(`Unknown neighbour label for a weight: ${label}`);
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`Invalid weight for ${label}: ${weight}`);
+  }
+  for (const key of ["limit", "sharedNames"]) {
+    if (!Number.isInteger(config[key]) || config[key] < 1) throw new Error(`Invalid ${key}: ${config[key]}`);
+  }
+  return config;
+}
+
+// { Director: 3, ... } → { DIRECTED: 3, ... } (zero weights are skipped)
+function relationshipWeights(weights) {
+  return Object.fromEntries(
+    Object.entries(weights)
+      .filter(([, weight]) => weight > 0)
+      .map(([label, weight]) => [NEIGHBOUR_RELATIONSHIPS[label], weight])
+  );
+}
+
+// =====================================================================
+// CYPHER: shared neighbours → score
+// =====================================================================
+// degree(n) ≥ 2 whenever n is shared (source + candidate) → log > 0.
+// Same relationship type on both sides: an actor who also directed is a
+// different node (:Director) in this graph.
+function buildRecommendationCypher({ method, limit, sharedNames }) {
+  const overlap = method === "jaccard" ? "jaccard" : "adamicAdar";
+  return `MATCH (src:Movie {title: $title})-[r1]-(n)-[r2]-(m:Movie)
+     WHERE m <> src AND type(r1) IN keys($weights) AND type(r2) = type(r1)
+       AND NOT toLower(m.title) IN $exclude
+     WITH src, m, type(r1) AS rel, n, size([(n)--(:Movie) | 1]) AS degree
+     WITH src, m, rel,
+          count(DISTINCT n) AS shared,
+          sum(1.0 / log(degree)) AS adamicAdar,
+          collect(DISTINCT n.name)[0..${sharedNames}] AS names
+     WITH m, rel, shared, adamicAdar, names,
+          toFloat(shared) / (size([(src)-[x]-() WHERE type(x) = rel | 1])
+            + size([(m)-[y]-() WHERE type(y) = rel | 1]) - shared) AS jaccard
+     WITH m, sum($weights[rel] * ${overlap}) AS score,
+          collect({ relationship: rel, shared: shared, names: names }) AS overlaps
+     RETURN m.title AS title, m.year AS year, score, overlaps
+     ORDER BY score DESC, title
+     LIMIT ${limit}`;
+}
+
+// Neo4j Integer → number
+function toNumber(value) {
+  return typeof value === "object" && value?.toNumber ? value.toNumber() : value;
+}
+
+/**
+ * Movies sharing the most (weighted) neighbours with `title`, best first.
+ * → [{ title, year, score, shared: { Director: [names], Actor: [...] } }]
+ * cypherLog (optional) collects the executed query for provenance.
+ */
+async function recommendByNeighbours(title, options = {}, cypherLog = null) {
+  const config = validateConfig({ ...RECOMMENDER_CONFIG, ...options, weights: { ...RECOMMENDER_CONFIG.weights, ...options.weights } });
+  const cypher = buildRecommendationCypher(config);
+  const params = {
+    title,
+    weights: relationshipWeights(config.weights),
+    exclude: (options.exclude || []).map((t) => t.toLowerCase()),
+  };
+  const executed = { cypher: cypher.replace(/\s+/g, " "), params };
+  cypherLog?.push(executed);
+  emitProgress("cypher", executed);
+
+  const labelOf = Object.fromEntries(Object.entries(NEIGHBOUR_RELATIONSHIPS).map(([label, rel]) => [rel, label]));
+  const session = driver.session({ defaultAccessMode: "READ" });
+  try {
+    const result = await session.run(cypher, params);
+    return result.records.map((record) => ({
+      title: record.get("title"),
+      year: toNumber(record.get("year")),
+      score: Math.round(record.get("score") * 1000) / 1000,
+      shared: Object.fromEntries(record.get("overlaps").map((o) => [labelOf[o.relationship], o.names])),
+    }));
+  } finally {
+    await session.close();
+  }
+}
+
+// =====================================================================
+// MAIN: graph recommendation handler
+// =====================================================================
+// → { answer, provenance } | null (nothing to go on → caller falls back
+//   to the vector handler)
+async function handleGraphRecommendation(query, resolvedEntities, { profile = null, ...options } = {}) {
+  const movieEntity = resolvedEntities.entities.find((e) => e.label === "Movie");
+  if (!movieEntity) {
+    console.log("   ⚠️ No movie entity resolved — graph recommender needs a source movie.");
+    return null;
+  }
+
+  const movieName = movieEntity.nodeName;
+  const method = options.method ?? RECOMMENDER_CONFIG.method;
+  console.log(`   🕸️  Movies sharing neighbours with "${movieName}" (${method})...`);
+
+  const cypherLog = [];
+  const exclude = profile ? [...profile.watched, ...profile.liked, ...profile.disliked] : [];
+  const recommendations = await recommendByNeighbours(movieName, { ...options, exclude }, cypherLog);
+  emitProgress("retrieval", { source: "graph-neighbours", method, count: recommendations.length });
+
+  if (recommendations.length === 0) {
+    console.log(`   ⚠️ No movie shares a weighted neighbour with "${movieName}".`);
+    return null;
+  }
+  console.log(`   ✅ ${recommendations.length} candidates, top: ${recommendations.slice(0, 3).map((r) => `${r.title} (${r.score})`).join(", ")}`);
+
+  // ── LLM: explain the ranking from the shared neighbours ──
+  console.log("   🤖 LLM writing the answer...");
+  const sources = graphSources(recommendations);
+  const prompt = `The user wants movies similar to: "${movieName}"
+
+Candidates, best first. "shared" lists what each movie has in common with
+"${movieName}" in the knowledge graph (same director, actors, themes, genres).
+
+${formatSourcesForPrompt(sources)}
+
+Recommend up to 10 of these, keeping the order.
+For each pick, explain in 1 sentence what it shares with "${movieName}",
+naming the shared director, actors or themes.
+Do NOT mention databases, graphs, scores, or technical terms.
+Format as a numbered list.
+${CITATION_INSTRUCTIONS}`;
+
+  const answer = await generateAnswer([
+    { role: "system", content: "You are a movie recommendation expert. Respond ONLY with a numbered list of movie recommendations with short explanations. Never respond with JSON." },
+    { role: "human", content: prompt },
+  ]);
+  return buildAnswerResult(answer, {
+    handler: "graph-recommender",
+    cypher: cypherLog,
+    sources,
+    aliasTable: await getAliasTable(),
+    context: [query, movieName],
+  });
+}
+
+export {
+  SIMILARITY_STRATEGIES,
+  DEFAULT_SIMILARITY_STRATEGY,
+  RECOMMENDER_CONFIG,
+  validateStrategy,
+  validateConfig,
+  buildRecommendationCypher,
+  recommendByNeighbours,
+  handleGraphRecommendation,
+};
@@ -5,11 +5,17 @@
 // This file sets up 4 connections:
 //   1. Neo4j     → Graph Database (stores facts + relationships)
 //   2. Pinecone  → Vector Database (stores embeddings for similarity)
+//                  skipped with VECTOR_STORE=local (17_vectorIndex.js)
 //   3. Gemini LLM → Language Model (understands text, creates plans)
 //   4. Gemini Embeddings → Converts text to 768-dim vectors
 //
 // Every other file imports from THIS file.
 // If a key changes, you change it in ONE place.
+// Tests / offline runs swap them with overrideConnections() (section 6).
+//
+// Every client is created on FIRST USE (lazyConnection below) →
+// importing this file needs no keys, so offline runs (npm test,
+// npm run eval) work without a .env.
 // =====================================================================
 
 import dotenv from "dotenv";
@@ -21,25 +27,55 @@ import { GoogleGenAI } from "@google/genai";
 // Load .env file → puts values into process.env
 dotenv.config();
 
+// =====================================================================
+// LAZY CONNECTIONS
+// =====================================================================
+// lazyConnection(() => neo4j.driver(...)) → a stand-in object; the real
+// client is built the first time any property is read (driver.session).
+// isConnected(x) → false if a lazy stand-in was never used (stubs → true).
+// =====================================================================
+const CREATED = Symbol("created");
+
+function lazyConnection(create) {
+  let instance = null;
+  return new Proxy({}, {
+    get(_, prop) {
+      if (prop === CREATED) return instance !== null;
+      instance ??= create();
+      const value = instance[prop];
+      return typeof value === "function" ? value.bind(instance) : value;
+    },
+  });
+}
+
+function isConnected(connection) {
+  return connection?.[CREATED] !== false;
+}
+
 // =====================================================================
 // 1. NEO4J
 // =====================================================================
 // neo4j.driver() creates a connection pool (not single connection)
 // neo4j+s:// = Bolt protocol with TLS (required for Aura cloud)
 // =====================================================================
-const driver = neo4j.driver(
+let driver = lazyConnection(() => neo4j.driver(
   process.env.NEO4J_URI,
   neo4j.auth.basic(process.env.NEO4J_USERNAME, process.env.NEO4J_PASSWORD)
-);
+));
 
 // =====================================================================
 // 2. PINECONE
 // =====================================================================
 // Pinecone() = the client
 // pinecone.index() = points to one specific index (like a table)
+//
+// VECTOR_STORE=local → vectors live in a file instead (17_vectorIndex.js)
+// and no Pinecone key is needed at all → pinecone / pineconeIndex = null
 // =====================================================================
-const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const pineconeIndex = pinecone.index(process.env.PINECONE_INDEX_NAME);
+const VECTOR_STORE = (process.env.VECTOR_STORE || "pinecone").toLowerCase();
+
+const pinecone = VECTOR_STORE === "pinecone" ? lazyConnection(() => new Pinecone({ apiKey: process.env.PINECONE_API_KEY })) : null;
+let pineconeIndex = pinecone ? lazyConnection(() => pinecone.index(process.env.PINECONE_INDEX_NAME)) : null;
 
 // =====================================================================
 // 3. GEMINI LLM (via LangChain)
@@ -51,11 +87,11 @@ const pineconeIndex = pinecone.index(process.env.PINECONE_INDEX_NAME);
 // WHY gemini-2.5-flash?
 // Paid tier has high limits (1000+ RPM). No need for older models.
 // 2.5-flash = better quality + fast + cheap on paid tier.
-const llm = new ChatGoogleGenerativeAI({
+let llm = lazyConnection(() => new ChatGoogleGenerativeAI({
   model: "gemini-2.5-flash",
   apiKey: process.env.GEMINI_API_KEY,
   temperature: 0,
-});
+}));
 
 // =====================================================================
 // 4. GOOGLE GENAI SDK (needed for embeddings + PDF file uploads)
@@ -63,7 +99,7 @@ const llm = new ChatGoogleGenerativeAI({
 // Must be initialized BEFORE embedText/embedTexts functions below.
 // Used by: embeddings (this file), PDF upload (4_entityExtractor.js)
 // =====================================================================
-const genai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+const genai = lazyConnection(() => new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY }));
 
 // =====================================================================
 // 5. GEMINI EMBEDDINGS (via @google/genai SDK)
@@ -104,10 +140,29 @@ async function embedTexts(texts) {
   return response.embeddings.map((e) => e.values);
 }
 
-// Close all connections when done
+// =====================================================================
+// 6. OVERRIDES (tests, offline runs)
+// =====================================================================
+// ES module exports are LIVE bindings → after this call every file that
+// imported driver / pineconeIndex / llm / embedText uses the stub.
+//   overrideConnections({
+//     driver: { session: () => ({ run, close }) },
+//     llm: { invoke: async (messages) => ({ content: "..." }) },
+//   })
+// =====================================================================
+function overrideConnections(overrides = {}) {
+  if (overrides.driver) driver = overrides.driver;
+  if (overrides.pineconeIndex) pineconeIndex = overrides.pineconeIndex;
+  if (overrides.llm) llm = overrides.llm;
+  if (overrides.embedText) embedText = overrides.embedText;
+}
+
+// Close all connections when done (a driver never used was never opened)
 async function closeConnections() {
-  await driver.close();
+  if (isConnected(driver)) await driver.close();
   console.log("✅ All connections closed.");
 }
 
-export { driver, pinecone, pineconeIndex, llm, genai, embedText, embedTexts, closeConnections };
+export {
+  driver, pinecone, pineconeIndex, VECTOR_STORE, llm, genai, embedText, embedTexts, closeConnections, overrideConnections,
+};
@@ -4,8 +4,10 @@
 //
 // What it does:
 //   1. Reads PDF file from disk (as binary bytes)
+//      (plain-text sources, e.g. ./data/books.txt, are read as UTF-8)
 //   2. Extracts all text from all pages
-//   3. Splits by dash separator into individual movie blocks
+//   3. Splits by the domain's record separator into individual blocks
+//      (26_domainSchema.js — dashes + "Movie Title" for movies)
 //
 // Input:  "./data/movies.pdf"
 // Output: ["Movie Title: Movie 0001\n...", "Movie Title: Movie 0002\n...", ...]
@@ -13,26 +15,34 @@
 
 import fs from "fs";
 import pdf from "pdf-parse";
+import { DOMAIN, splitRecords } from "./26_domainSchema.js";
+
+// PDF → text of all pages; anything else is already text
+async function readDocumentText(filePath) {
+  if (!filePath.toLowerCase().endsWith(".pdf")) {
+    const text = fs.readFileSync(filePath, "utf-8");
+    console.log(`📄 Text parsed: ${text.length} characters`);
+    return text;
+  }
 
-async function parsePDF(pdfPath) {
   // Read PDF as binary buffer (PDFs are binary, not text)
-  const dataBuffer = fs.readFileSync(pdfPath);
+  const dataBuffer = fs.readFileSync(filePath);
 
   // Extract text from all pages
   const pdfData = await pdf(dataBuffer);
-  const rawText = pdfData.text;
+  console.log(`📄 PDF parsed: ${pdfData.numpages} pages, ${pdfData.text.length} characters`);
+  return pdfData.text;
+}
 
-  console.log(`📄 PDF parsed: ${pdfData.numpages} pages, ${rawText.length} characters`);
+async function parsePDF(pdfPath, domain = DOMAIN) {
+  const rawText = await readDocumentText(pdfPath);
 
-  // Split by separator (10+ dashes in a row)
+  // Split by separator (movies: 10+ dashes in a row)
   // Each movie is separated by: ----------------------------------------
-  const movieBlocks = rawText
-    .split(/-{10,}/)
-    .map((block) => block.trim())
-    .filter((block) => block.length > 0 && block.includes("Movie Title"));
+  const blocks = splitRecords(rawText, domain);
 
-  console.log(`🎬 Found ${movieBlocks.length} movie blocks`);
-  return movieBlocks;
+  console.log(`🎬 Found ${blocks.length} ${domain.record.noun} blocks`);
+  return blocks;
 }
 
-export { parsePDF };
+export { parsePDF, readDocumentText };
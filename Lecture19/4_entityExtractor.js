@@ -15,28 +15,12 @@
 // =====================================================================
 
 import { genai } from "./2_config.js";
+import { DOMAIN, buildExtractionPrompt } from "./26_domainSchema.js";
 import { createPartFromUri } from "@google/genai";
 
-const EXTRACTION_PROMPT = `You are a precise entity extractor for a movie knowledge graph.
-
-From the attached PDF, extract movies {START} through {END} (by their order in the document).
-
-For EACH movie, output this EXACT JSON structure:
-{
-  "movie": {"title": "string", "year": number},
-  "director": {"name": "string"},
-  "actors": ["string"],
-  "genres": ["string"],
-  "themes": ["string"],
-  "awards": ["string"]
-}
-
-Rules:
-- If awards say "None", return awards as empty array []
-- Keep exact names as written in the PDF
-- Year must be a number, not string
-- Return a JSON ARRAY of objects: [{...}, {...}, ...]
-- Return ONLY valid JSON. No markdown, no backticks, no explanation.`;
+// Generated from the domain schema (26_domainSchema.js) — for movies:
+// {"movie": {"title", "year"}, "director": {"name"}, "actors": [...], ...}
+const EXTRACTION_PROMPT = buildExtractionPrompt(DOMAIN);
 
 /**
  * Upload PDF to Gemini Files API.
@@ -45,9 +29,11 @@ Rules:
 async function uploadPDF(pdfPath) {
   console.log("   📤 Uploading PDF to Gemini Files API...");
 
+  // Plain-text sources (e.g. ./data/books.txt) upload as text
+  const mimeType = pdfPath.toLowerCase().endsWith(".pdf") ? "application/pdf" : "text/plain";
   const file = await genai.files.upload({
     file: pdfPath,
-    config: { mimeType: "application/pdf" },
+    config: { mimeType },
   });
 
   // Wait until processing completes
@@ -118,6 +104,27 @@ async function extractBatch(fileInfo, start, end, attempt = 1) {
   }
 }
 
+/**
+ * Group movie positions into contiguous ranges of at most batchSize.
+ *   [1,2,3,7,8,20] with batchSize 50 → [{1-3}, {7-8}, {20-20}]
+ * Used by incremental indexing: only changed movies are re-extracted.
+ */
+function buildBatches(positions, batchSize) {
+  const sorted = [...new Set(positions)].sort((a, b) => a - b);
+  const batches = [];
+
+  for (const pos of sorted) {
+    const last = batches[batches.length - 1];
+    if (last && pos === last.end + 1 && last.end - last.start + 1 < batchSize) {
+      last.end = pos;
+    } else {
+      batches.push({ start: pos, end: pos });
+    }
+  }
+
+  return batches;
+}
+
 /**
  * Extract ALL entities from PDF.
  *
@@ -126,22 +133,30 @@ async function extractBatch(fileInfo, start, end, attempt = 1) {
  *   - No delays needed (1000+ RPM on paid tier)
  *   - 20 batches ÷ 5 parallel = 4 rounds ≈ 1-2 minutes total
  *   - Pass 2: Retry any failed batches
+ *
+ * INCREMENTAL OPTIONS:
+ *   - positions: only extract these movies (1-based order in the PDF)
+ *   - onBatchComplete(batch, results): called after every successful
+ *     batch → lets the caller checkpoint progress
  */
-async function extractAllEntities(pdfPath, totalMovies = 1000, batchSize = 50) {
-  // Upload PDF once
-  const fileInfo = await uploadPDF(pdfPath);
-
-  const allBatches = [];
-  const totalBatches = Math.ceil(totalMovies / batchSize);
+async function extractAllEntities(pdfPath, totalMovies = 1000, batchSize = 50, options = {}) {
+  const { positions = null, onBatchComplete = null } = options;
 
   // Build batch list
-  for (let i = 0; i < totalBatches; i++) {
-    allBatches.push({
-      start: i * batchSize + 1,
-      end: Math.min((i + 1) * batchSize, totalMovies),
-    });
+  const allBatches = positions
+    ? buildBatches(positions, batchSize)
+    : buildBatches(Array.from({ length: totalMovies }, (_, i) => i + 1), batchSize);
+  const totalBatches = allBatches.length;
+  const targetMovies = positions ? new Set(positions).size : totalMovies;
+
+  if (totalBatches === 0) {
+    console.log("   ✅ Nothing to extract — all movies are up to date");
+    return [];
   }
 
+  // Upload PDF once
+  const fileInfo = await uploadPDF(pdfPath);
+
   // ── PASS 1: Run 5 batches in parallel ──
   const CONCURRENCY = 5;
   const results = [];
@@ -167,6 +182,7 @@ async function extractAllEntities(pdfPath, totalMovies = 1000, batchSize = 50) {
     for (const { batch, results: res } of batchResults) {
       if (res.length > 0) {
         results.push(...res);
+        if (onBatchComplete) await onBatchComplete(batch, res);
       } else {
         failedBatches.push(batch);
       }
@@ -192,6 +208,7 @@ async function extractAllEntities(pdfPath, totalMovies = 1000, batchSize = 50) {
 
       if (batchResults.length > 0) {
         results.push(...batchResults);
+        if (onBatchComplete) await onBatchComplete(batch, batchResults);
         console.log(`   ✅ Retry success! Got ${batchResults.length} movies (total: ${results.length})`);
       } else {
         console.error(`   ❌ Movies ${batch.start}-${batch.end} permanently failed.`);
@@ -207,12 +224,12 @@ async function extractAllEntities(pdfPath, totalMovies = 1000, batchSize = 50) {
     console.log("   🗑️ PDF deleted from Gemini servers");
   } catch (e) { /* auto-deletes in 48h anyway */ }
 
-  console.log(`\n✅ Total extracted: ${results.length}/${totalMovies} movies`);
-  if (results.length < totalMovies) {
-    console.warn(`⚠️ ${totalMovies - results.length} movies missing. You can re-run indexing to fill gaps.`);
+  console.log(`\n✅ Total extracted: ${results.length}/${targetMovies} movies`);
+  if (results.length < targetMovies) {
+    console.warn(`⚠️ ${targetMovies - results.length} movies missing. You can re-run indexing to fill gaps.`);
   }
 
   return results;
 }
 
-export { extractAllEntities, uploadPDF };
+export { extractAllEntities, uploadPDF, buildBatches };
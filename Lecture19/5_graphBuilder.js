@@ -21,109 +21,98 @@
 // INDEXES:
 //   Without index → MERGE scans ALL nodes to find match (slow)
 //   With index    → MERGE uses lookup table (fast)
+//
+// Labels, relationships and indexes come from the domain schema
+// (26_domainSchema.js) → the same code builds a movie or a book graph.
 // =====================================================================
 
 import { driver } from "./2_config.js";
+import { DOMAIN, graphStatements, indexStatements } from "./26_domainSchema.js";
 
 // Insert ONE movie's entities and relationships
+// The MERGE statements come from the domain schema (26_domainSchema.js):
+//   MERGE (m:Movie {title}) SET m.year
+//   MERGE (d:Director {name}) ... MERGE (d)-[:DIRECTED]->(m)
+//   "Oscar (Best Cinematography)" → (:Award {name: "Oscar", category: "Best Cinematography"})
 async function insertMovieGraph(entity) {
   const session = driver.session();
 
   try {
     // executeWrite wraps everything in a TRANSACTION (all-or-nothing)
     await session.executeWrite(async (tx) => {
-
-      // Movie node
-      await tx.run(
-        `MERGE (m:Movie {title: $title})
-         SET m.year = $year`,
-        { title: entity.movie.title, year: entity.movie.year }
-      );
-
-      // Director node + DIRECTED relationship
-      await tx.run(
-        `MERGE (d:Director {name: $name})
-         MERGE (m:Movie {title: $title})
-         MERGE (d)-[:DIRECTED]->(m)`,
-        { name: entity.director.name, title: entity.movie.title }
-      );
-
-      // Actor nodes + ACTED_IN relationships
-      for (const actorName of entity.actors) {
-        await tx.run(
-          `MERGE (a:Actor {name: $name})
-           MERGE (m:Movie {title: $title})
-           MERGE (a)-[:ACTED_IN]->(m)`,
-          { name: actorName, title: entity.movie.title }
-        );
-      }
-
-      // Genre nodes + BELONGS_TO relationships
-      for (const genreName of entity.genres) {
-        await tx.run(
-          `MERGE (g:Genre {name: $name})
-           MERGE (m:Movie {title: $title})
-           MERGE (m)-[:BELONGS_TO]->(g)`,
-          { name: genreName, title: entity.movie.title }
-        );
+      for (const { cypher, params } of graphStatements(entity, DOMAIN)) {
+        await tx.run(cypher, params);
       }
+    });
+  } finally {
+    await session.close();
+  }
+}
 
-      // Theme nodes + EXPLORES relationships
-      for (const themeName of entity.themes) {
-        await tx.run(
-          `MERGE (t:Theme {name: $name})
-           MERGE (m:Movie {title: $title})
-           MERGE (m)-[:EXPLORES]->(t)`,
-          { name: themeName, title: entity.movie.title }
-        );
-      }
+// Remove movies (and everything only they were connected to)
+//
+// Used by incremental indexing:
+//   removed movie → gone from the PDF → delete it
+//   changed movie → DETACH DELETE drops its old relationships,
+//                   then insertMovieGraph() re-creates the new ones
+//
+// After that, people/genres/themes/awards with NO relationships left
+// are orphans → delete them too.
+async function removeMovies(titles) {
+  if (titles.length === 0) return;
 
-      // Award nodes + WON relationships
-      // "Oscar (Best Cinematography)" → type: "Oscar", category: "Best Cinematography"
-      for (const awardName of entity.awards) {
-        const match = awardName.match(/^(.+?)\s*\((.+)\)$/);
-        if (match) {
-          await tx.run(
-            `MERGE (aw:Award {name: $awardType, category: $category})
-             MERGE (m:Movie {title: $title})
-             MERGE (m)-[:WON]->(aw)`,
-            {
-              awardType: match[1].trim(),
-              category: match[2].trim(),
-              title: entity.movie.title,
-            }
-          );
-        }
-      }
+  const { root } = DOMAIN;
+  const session = driver.session();
+  try {
+    const deleted = await session.executeWrite(async (tx) => {
+      const movies = await tx.run(
+        `MATCH (m:${root.label}) WHERE m.${root.key} IN $titles
+         DETACH DELETE m
+         RETURN count(*) AS count`,
+        { titles }
+      );
+      const orphans = await tx.run(
+        `MATCH (n)
+         WHERE (${DOMAIN.entities.map((e) => `n:${e.label}`).join(" OR ")})
+           AND NOT (n)--()
+         DELETE n
+         RETURN count(*) AS count`
+      );
+      return {
+        movies: movies.records[0].get("count").toNumber(),
+        orphans: orphans.records[0].get("count").toNumber(),
+      };
     });
+    console.log(`   🗑️ Removed ${deleted.movies} ${DOMAIN.record.plural} + ${deleted.orphans} orphaned nodes`);
   } finally {
     await session.close();
   }
 }
 
 // Build complete graph for ALL movies
-async function buildGraph(entities) {
-  console.log(`\n🔨 Building graph for ${entities.length} movies...\n`);
+//
+// onBatchInserted(batch) is called after every 50 inserted movies
+// (and at the end) → lets the caller checkpoint progress.
+async function buildGraph(entities, { onBatchInserted = null } = {}) {
+  console.log(`\n🔨 Building graph for ${entities.length} ${DOMAIN.record.plural}...\n`);
 
   // Step 1: Create indexes for fast MERGE
   const session = driver.session();
   try {
-    await session.run("CREATE INDEX IF NOT EXISTS FOR (m:Movie) ON (m.title)");
-    await session.run("CREATE INDEX IF NOT EXISTS FOR (d:Director) ON (d.name)");
-    await session.run("CREATE INDEX IF NOT EXISTS FOR (a:Actor) ON (a.name)");
-    await session.run("CREATE INDEX IF NOT EXISTS FOR (g:Genre) ON (g.name)");
-    await session.run("CREATE INDEX IF NOT EXISTS FOR (t:Theme) ON (t.name)");
-    await session.run("CREATE INDEX IF NOT EXISTS FOR (aw:Award) ON (aw.name, aw.category)");
+    for (const statement of indexStatements(DOMAIN)) await session.run(statement);
     console.log("📇 Indexes created.");
   } finally {
     await session.close();
   }
 
   // Step 2: Insert movies one by one
+  let batchStart = 0;
   for (let i = 0; i < entities.length; i++) {
     await insertMovieGraph(entities[i]);
     if ((i + 1) % 50 === 0 || i === entities.length - 1) {
-      console.log(`   📊 Inserted ${i + 1}/${entities.length} movies`);
+      console.log(`   📊 Inserted ${i + 1}/${entities.length} ${DOMAIN.record.plural}`);
+      if (onBatchInserted) await onBatchInserted(entities.slice(batchStart, i + 1));
+      batchStart = i + 1;
     }
   }
 
@@ -140,4 +129,4 @@ async function buildGraph(entities) {
   }
 }
 
-export { insertMovieGraph, buildGraph };
+export { insertMovieGraph, removeMovies, buildGraph };
@@ -1,12 +1,16 @@
 // =====================================================================
-// 6_vectorStore.js — PDF → Chunks → Embeddings → Pinecone
+// 6_vectorStore.js — PDF → Chunks → Embeddings → Vector store
 // =====================================================================
 //
 // FLOW:
 //   1. Parse PDF → raw text
 //   2. Split text into chunks (by separator)
 //   3. Embed each chunk using Gemini embedding API
-//   4. Upsert to Pinecone
+//   4. Upsert to the vector store (every 100 embedded chunks) with metadata:
+//        { text, title, year, director, genres[], themes[], actors[] }
+//      joined from the extracted entities → filterable at query time
+//      (see 17_vectorIndex.js)
+//   The store is Pinecone, or a local file with VECTOR_STORE=local
 //
 // WHY NOT @langchain/pinecone?
 //   @langchain/pinecone requires @langchain/core < 0.4.0
@@ -16,7 +20,9 @@
 
 import fs from "fs";
 import pdf from "pdf-parse/lib/pdf-parse.js";
-import { embedText, pineconeIndex } from "./2_config.js";
+import { embedText } from "./2_config.js";
+import { vectorIndex } from "./17_vectorIndex.js";
+import { DOMAIN, entityTitle } from "./26_domainSchema.js";
 
 // ── Constants ──
 const EMBED_CONCURRENCY = 5;
@@ -27,6 +33,9 @@ const UPSERT_BATCH_SIZE = 100;
 // STEP 1: Parse PDF → Raw Text
 // =====================================================================
 async function parsePDF(pdfPath) {
+  // Plain-text sources (e.g. ./data/books.txt) need no PDF parsing
+  if (!pdfPath.toLowerCase().endsWith(".pdf")) return fs.readFileSync(pdfPath, "utf-8");
+
   const buffer = fs.readFileSync(pdfPath);
   const data = await pdf(buffer);
   console.log(`   📄 Parsed PDF: ${data.numpages} pages, ~${data.text.length} characters`);
@@ -37,7 +46,8 @@ async function parsePDF(pdfPath) {
 // STEP 2: Chunk Text
 // =====================================================================
 function chunkText(rawText) {
-  const blocks = rawText.split(/\n-{5,}\n/);
+  // Same record separator as 3_pdfParser.js (26_domainSchema.js)
+  const blocks = rawText.split(DOMAIN.record.separator);
 
   const chunks = [];
   for (const block of blocks) {
@@ -70,10 +80,65 @@ async function embedWithRetry(text, maxRetries = 3) {
   }
 }
 
+// =====================================================================
+// Chunk metadata from an extracted entity (4_entityExtractor.js)
+// =====================================================================
+// Pinecone metadata values must be strings, numbers, booleans or lists
+// of strings — nulls are not allowed, so missing fields are left out.
+function buildChunkMetadata(entity, text) {
+  const metadata = { text };
+  if (!entity) return metadata;
+
+  const names = (list) => (Array.isArray(list) ? list : [])
+    .map((item) => (typeof item === "string" ? item : item?.name))
+    .filter((name) => typeof name === "string" && name.trim())
+    .map((name) => name.trim());
+
+  const title = entityTitle(entity, DOMAIN);
+  const year = Number(entity[DOMAIN.root.field]?.year);
+  const director = typeof entity.director === "string" ? entity.director : entity.director?.name;
+
+  if (title) metadata.title = title.trim();
+  if (Number.isFinite(year) && year > 0) metadata.year = year;
+  if (director) metadata.director = director.trim();
+  metadata.genres = names(entity.genres);
+  metadata.themes = names(entity.themes);
+  metadata.actors = names(entity.actors);
+  return metadata;
+}
+
+// =====================================================================
+// Delete vectors by id (removed movies in incremental indexing)
+// =====================================================================
+async function deleteVectors(ids) {
+  if (ids.length === 0) return;
+
+  for (let i = 0; i < ids.length; i += UPSERT_BATCH_SIZE) {
+    await vectorIndex.deleteMany(ids.slice(i, i + UPSERT_BATCH_SIZE));
+  }
+  console.log(`   🗑️ Deleted ${ids.length} vectors from Pinecone`);
+}
+
 // =====================================================================
 // MAIN: Parse → Chunk → Embed → Upsert
 // =====================================================================
-async function buildVectorStore(pdfPath) {
+//
+// Options (used by incremental indexing):
+//   selectChunk(text, i) → vector id to embed this chunk under,
+//                          or null to skip it (already up to date)
+//   metadataFor(text, id) → metadata for that vector
+//                          (default: { text } only)
+//   onBatchUpserted(ids) → called after every Pinecone upsert batch
+//
+// Without options every chunk is embedded as chunk-${i}.
+// =====================================================================
+async function buildVectorStore(pdfPath, options = {}) {
+  const {
+    selectChunk = (text, i) => `chunk-${i}`,
+    metadataFor = (text) => ({ text }),
+    onBatchUpserted = null,
+  } = options;
+
   console.log(`\n📐 Building vector store from PDF...`);
   console.log(`   ⚡ Concurrency: ${EMBED_CONCURRENCY} parallel embeddings\n`);
 
@@ -85,20 +150,56 @@ async function buildVectorStore(pdfPath) {
 
   // Step 2: Chunk
   console.log("   ✂️  Step 2: Chunking text...");
-  const chunks = chunkText(rawText);
-  console.log(`   ✅ Created ${chunks.length} chunks`);
+  const allChunks = chunkText(rawText);
+  console.log(`   ✅ Created ${allChunks.length} chunks`);
 
-  if (chunks.length === 0) {
+  if (allChunks.length === 0) {
     console.error("   ❌ No chunks created! Check PDF format.");
     return;
   }
 
-  // Step 3: Embed all chunks (5 concurrent)
+  // Keep only the chunks that need (re-)embedding
+  const chunks = [];
+  allChunks.forEach((text, i) => {
+    const id = selectChunk(text, i);
+    if (id) chunks.push({ id, text });
+  });
+
+  if (chunks.length < allChunks.length) {
+    console.log(`   ⏭️  Skipping ${allChunks.length - chunks.length} unchanged chunks`);
+  }
+  if (chunks.length === 0) {
+    console.log("   ✅ Vector store is up to date");
+    return;
+  }
+
+  // Step 3 + 4: Embed chunks (5 concurrent) → upsert every 100 vectors
+  // Upserting as we go (not all at the end) means a crash loses at most
+  // one batch of embeddings — the rest is already safe in Pinecone.
   console.log(`\n   🧠 Step 3: Embedding ${chunks.length} chunks...`);
 
-  const vectors = []; // { id, values, metadata }
+  let pending = []; // { id, values, metadata } waiting for upsert
+  let embeddedCount = 0;
+  let upsertedCount = 0;
+  let batchNum = 0;
   let failCount = 0;
 
+  // Pinecone SDK v5 format: pineconeIndex.upsert(arrayOfVectors)
+  // Each vector: { id: string, values: number[], metadata?: object }
+  const flush = async () => {
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    batchNum++;
+
+    console.log(`   📦 Upsert batch ${batchNum} (${batch.length} vectors)...`);
+
+    // Pinecone v5: .upsert() takes an array of vectors directly
+    await vectorIndex.upsert(batch);
+    upsertedCount += batch.length;
+    if (onBatchUpserted) await onBatchUpserted(batch.map((v) => v.id));
+  };
+
   for (let i = 0; i < chunks.length; i += EMBED_CONCURRENCY) {
     const batch = chunks.slice(i, i + EMBED_CONCURRENCY);
     const roundNum = Math.floor(i / EMBED_CONCURRENCY) + 1;
@@ -109,54 +210,46 @@ async function buildVectorStore(pdfPath) {
     }
 
     const results = await Promise.all(
-      batch.map(async (text, j) => {
+      batch.map(async ({ id, text }) => {
         const embedding = await embedWithRetry(text);
         if (!embedding) return null;
         return {
-          id: `chunk-${i + j}`,
+          id,
           values: embedding,
-          metadata: { text },
+          metadata: metadataFor(text, id),
         };
       })
     );
 
     for (const r of results) {
-      if (r) vectors.push(r);
-      else failCount++;
+      if (r) {
+        pending.push(r);
+        embeddedCount++;
+      } else {
+        failCount++;
+      }
     }
 
+    if (pending.length >= UPSERT_BATCH_SIZE) await flush();
+
     // Rate limit pause between rounds
     if (i + EMBED_CONCURRENCY < chunks.length) {
       await new Promise((r) => setTimeout(r, EMBED_DELAY_MS));
     }
   }
+  await flush();
 
   const embedTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  console.log(`\n   ✅ Embedded ${vectors.length}/${chunks.length} in ${embedTime}s (${failCount} failed)`);
+  console.log(`\n   ✅ Embedded ${embeddedCount}/${chunks.length} in ${embedTime}s (${failCount} failed)`);
 
-  if (vectors.length === 0) {
-    console.error("   ❌ No vectors to upsert!");
+  if (upsertedCount === 0) {
+    console.error("   ❌ No vectors were upserted!");
     return;
   }
 
-  // Step 4: Upsert to Pinecone
-  // Pinecone SDK v5 format: pineconeIndex.upsert(arrayOfVectors)
-  // Each vector: { id: string, values: number[], metadata?: object }
-  console.log(`\n   📦 Step 4: Upserting to Pinecone...`);
-  for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
-    const batch = vectors.slice(i, i + UPSERT_BATCH_SIZE);
-    const batchNum = Math.floor(i / UPSERT_BATCH_SIZE) + 1;
-    const totalBatches = Math.ceil(vectors.length / UPSERT_BATCH_SIZE);
-
-    console.log(`   📦 Batch ${batchNum}/${totalBatches} (${batch.length} vectors)...`);
-
-    // Pinecone v5: .upsert() takes an array of vectors directly
-    await pineconeIndex.upsert(batch);
-  }
-
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  const stats = await pineconeIndex.describeIndexStats();
+  const stats = await vectorIndex.describeIndexStats();
   console.log(`\n✅ Vector store built in ${totalTime}s! Total vectors: ${stats.totalRecordCount}`);
 }
 
-export { buildVectorStore };
\ No newline at end of file
+export { buildVectorStore, deleteVectors, chunkText, buildChunkMetadata };
\ No newline at end of file
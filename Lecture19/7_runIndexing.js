@@ -2,40 +2,187 @@
 // 7_runIndexing.js — RUNS THE COMPLETE INDEXING PIPELINE
 // =====================================================================
 //
-// Command: npm run index -- ./data/movies.pdf
+// Command: npm run index                 → incremental (only changes)
+//          npm run index -- --full       → ignore manifest, index everything
+//          npm run index:quarantine      → re-extract only quarantined movies
 //
 // Flow:
-//   Step 1: PDF → Gemini → extract entities (structured JSON)
-//   Step 2: entities → Neo4j (graph relationships)
-//   Step 3: PDF → parse text → chunk → embed → Pinecone (vectors)
+//   Step 0: PDF → movie blocks → diff against manifest (15_indexManifest.js)
+//           removed movies → delete graph nodes + their vectors
+//   Step 1: PDF → Gemini → extract entities (only new/changed movies)
+//           → validate against the schema + the PDF blocks
+//           (25_entityValidation.js); invalid records go to
+//           data/quarantine.json and are NOT put in the graph
+//   Step 2: entities → Neo4j (only new/changed movies)
+//           then rebuild the alias table for fuzzy entity resolution
+//           (18_aliasTable.js)
+//   Step 3: PDF → parse text → chunk → embed → Pinecone (only new/changed)
+//           (or the local file store: VECTOR_STORE=local)
+//           each vector carries the movie's extracted metadata
+//           (title, year, director, genres, themes, actors)
 //
-// That's it. No caching, no flags. Just run everything.
+// CACHE INVALIDATION:
+//   Anything written to Neo4j or Pinecone → bump data/index-generation.json
+//   → cached answers (22_answerCache.js) are dropped on the next lookup.
+//   Also after a crash: whatever was written before it is already live.
+//
+// RESUMABLE:
+//   The manifest is saved after every completed batch. If the run
+//   crashes, just run it again — finished movies are skipped.
 // =====================================================================
 
+import fs from "fs";
+import { parsePDF } from "./3_pdfParser.js";
 import { extractAllEntities } from "./4_entityExtractor.js";
-import { buildGraph } from "./5_graphBuilder.js";
-import { buildVectorStore } from "./6_vectorStore.js";
+import { buildGraph, removeMovies } from "./5_graphBuilder.js";
+import { buildVectorStore, deleteVectors, buildChunkMetadata } from "./6_vectorStore.js";
+import {
+  emptyManifest, loadManifest, saveManifest, extractTitle, movieKey,
+  diffManifest, applyDiff, forgetMovies, assignExtracted, graphTitle,
+} from "./15_indexManifest.js";
+import { buildAliasTable, saveAliasTable } from "./18_aliasTable.js";
+import { vectorIndex } from "./17_vectorIndex.js";
+import { bumpIndexGeneration } from "./22_answerCache.js";
+import {
+  buildSourceIndex, validateBatch, loadQuarantine, saveQuarantine, addToQuarantine,
+  releaseFromQuarantine, quarantinedPositions, printValidationReport,
+} from "./25_entityValidation.js";
+import { DOMAIN, entityTitle } from "./26_domainSchema.js";
 import { closeConnections } from "./2_config.js";
 
-async function runIndexing(pdfPath) {
+async function runIndexing(pdfPath, { full = false, onlyQuarantined = false } = {}) {
   console.log("===========================================");
   console.log("   🎬 GraphRAG Indexing Pipeline");
   console.log("===========================================\n");
 
   const startTime = Date.now();
+  let graphChanged = false;   // → invalidate cached answers
 
   try {
+    // ── STEP 0: Diff PDF against manifest ──
+    console.log("── STEP 0: Checking for changes (manifest) ──");
+    const blocks = await parsePDF(pdfPath);
+    const manifest = full ? emptyManifest() : loadManifest();
+    const diff = diffManifest(manifest, blocks);
+    const quarantine = loadQuarantine();
+
+    console.log(
+      `   ➕ ${diff.added.length} added | ✏️  ${diff.changed.length} changed | ` +
+      `✅ ${diff.unchanged.length} unchanged | ➖ ${diff.removed.length} removed`
+    );
+
+    // Removed movies → delete from Neo4j + Pinecone, then forget them
+    if (diff.removed.length > 0) {
+      graphChanged = true;
+      console.log(`\n   🗑️ Removing ${diff.removed.length} movies that left the PDF...`);
+      await removeMovies(diff.removed.map(graphTitle));
+      await deleteVectors(diff.removed.flatMap((e) => [e.vectorId, e.legacyVectorId].filter(Boolean)));
+      forgetMovies(manifest, diff.removed.map((e) => e.key));
+      releaseFromQuarantine(quarantine, diff.removed.map((e) => e.key));
+      saveQuarantine(quarantine);
+    }
+
+    applyDiff(manifest, diff);
+    saveManifest(manifest);
+
+    const entries = Object.values(manifest.movies);
+
     // ── STEP 1: Extract Entities from PDF (Gemini) ──
-    console.log("── STEP 1: Extracting Entities (Gemini + PDF Upload) ──");
-    const entities = await extractAllEntities(pdfPath);
+    console.log("\n── STEP 1: Extracting Entities (Gemini + PDF Upload) ──");
+    const retry = new Set(quarantinedPositions(quarantine));
+    const toExtract = entries.filter((e) => !e.extracted && (!onlyQuarantined || retry.has(e.position)));
+    console.log(`   ⏭️  ${entries.length - toExtract.length} movies already extracted${onlyQuarantined ? " (or not quarantined)" : ""}`);
+
+    const sourceIndex = buildSourceIndex(blocks);
+    const validation = { valid: 0, quarantined: 0, released: 0 };
+
+    await extractAllEntities(pdfPath, blocks.length, 50, {
+      positions: toExtract.map((e) => e.position),
+      onBatchComplete: (batch, results) => {
+        // Only records that pass validation reach the manifest (→ graph)
+        const { valid, quarantined } = validateBatch(results, sourceIndex);
+        const matched = assignExtracted(manifest, batch, valid);
+        if (matched < valid.length) {
+          console.warn(`   ⚠️ ${valid.length - matched} extracted movies did not match a PDF block`);
+        }
+        if (quarantined.length > 0) {
+          console.warn(`   🚧 ${quarantined.length} records quarantined (${quarantined.map((q) => q.title ?? "?").join(", ")})`);
+        }
+        addToQuarantine(quarantine, quarantined);
+        validation.released += releaseFromQuarantine(quarantine, valid.map((e) => movieKey(entityTitle(e))));
+        validation.valid += valid.length;
+        validation.quarantined += quarantined.length;
+        saveManifest(manifest);
+        saveQuarantine(quarantine);
+      },
+    });
+    printValidationReport(validation, quarantine);
 
     // ── STEP 2: Build Neo4j Graph ──
     console.log("\n── STEP 2: Building Graph (Neo4j) ──");
-    await buildGraph(entities);
+
+    // Changed movies still have their OLD relationships → drop them first
+    const stale = entries.filter((e) => e.needsGraphCleanup);
+    if (stale.length > 0) {
+      graphChanged = true;
+      await removeMovies(stale.map(graphTitle));
+      stale.forEach((e) => { e.needsGraphCleanup = false; e.graphTitle = null; });
+      saveManifest(manifest);
+    }
+
+    const toInsert = entries.filter((e) => e.extracted && !e.graph);
+    console.log(`   ⏭️  ${entries.length - toInsert.length} movies already in graph (or not extracted)`);
+
+    if (toInsert.length > 0) {
+      graphChanged = true;
+      const byEntity = new Map(toInsert.map((e) => [e.entity, e]));
+      await buildGraph(toInsert.map((e) => e.entity), {
+        onBatchInserted: (batch) => {
+          batch.forEach((entity) => {
+            const entry = byEntity.get(entity);
+            entry.graph = true;
+            entry.graphTitle = entityTitle(entity);
+          });
+          saveManifest(manifest);
+        },
+      });
+    }
+
+    // Names in the graph may have changed → fresh aliases for the resolver
+    const aliasTable = await buildAliasTable();
+    saveAliasTable(aliasTable);
+    console.log(`   🔤 Alias table rebuilt (${aliasTable.entries.length} aliases)`);
 
     // ── STEP 3: Build Vector Store (Parse PDF → Chunk → Embed → Pinecone) ──
-    console.log("\n── STEP 3: Building Vector Store (Pinecone) ──");
-    await buildVectorStore(pdfPath);
+    console.log(`\n── STEP 3: Building Vector Store (${vectorIndex.name}) ──`);
+
+    // Vectors from a v1 manifest ("chunk-N") → drop before re-embedding
+    const legacy = entries.filter((e) => e.legacyVectorId);
+    if (legacy.length > 0) {
+      graphChanged = true;
+      console.log(`   🗑️ Deleting ${legacy.length} legacy chunk-* vectors...`);
+      await deleteVectors(legacy.map((e) => e.legacyVectorId));
+      legacy.forEach((e) => { e.legacyVectorId = null; });
+      saveManifest(manifest);
+    }
+
+    const byVectorId = new Map(entries.map((e) => [e.vectorId, e]));
+
+    await buildVectorStore(pdfPath, {
+      // Only embed chunks whose movie is new/changed/unfinished
+      selectChunk: (text) => {
+        const title = extractTitle(text);
+        const entry = title && manifest.movies[movieKey(title)];
+        return entry && !entry.vector ? entry.vectorId : null;
+      },
+      // Filterable fields come from the entity extracted in STEP 1
+      metadataFor: (text, id) => buildChunkMetadata(byVectorId.get(id)?.entity, text),
+      onBatchUpserted: (ids) => {
+        graphChanged = true;
+        ids.forEach((id) => { byVectorId.get(id).vector = true; });
+        saveManifest(manifest);
+      },
+    });
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log("\n===========================================");
@@ -43,16 +190,30 @@ async function runIndexing(pdfPath) {
     console.log("===========================================");
   } catch (err) {
     console.error("\n❌ Indexing failed:", err.message);
+    console.error("   Progress is saved — re-run to resume from the last completed batch.");
     console.error(err.stack);
   } finally {
+    if (graphChanged) {
+      const generation = bumpIndexGeneration();
+      console.log(`   ⚡ Index generation ${generation} — cached answers invalidated`);
+    }
     await closeConnections();
   }
 }
 
-const pdfPath = './data/movies.pdf';
-if (!pdfPath) {
-  console.error("Usage: npm run index -- ./data/movies.pdf");
+// The document to index comes from the domain schema, not the command
+// line: DOMAIN_SCHEMA picks the schema, its "source" names the file
+const pdfPath = DOMAIN.source;
+const extraArgs = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+if (extraArgs.length > 0 || !fs.existsSync(pdfPath)) {
+  if (extraArgs.length > 0) console.error(`Unexpected argument: ${extraArgs.join(" ")}`);
+  else console.error(`Source document not found: ${pdfPath}`);
+  console.error("Usage: [DOMAIN_SCHEMA=<name or path>] npm run index [-- --full | --quarantined]");
+  console.error(`   The document to index is the schema's "source" (${DOMAIN.name}: ${pdfPath}) — edit it to index another file.`);
   process.exit(1);
 }
 
-runIndexing(pdfPath);
+runIndexing(pdfPath, {
+  full: process.argv.includes("--full"),
+  onlyQuarantined: process.argv.includes("--quarantined"),
+});
@@ -11,27 +11,34 @@
 // Anything NOT on the list is rejected.
 //
 // This guarantees: no DELETE, no SET, no CREATE can ever reach Neo4j.
+//
+// SUPPORTED:
+//   - single hops:        Director -[:DIRECTED]-> Movie
+//   - multi-hop chains:   Actor → Movie → Director → Movie(alias) → Award
+//   - variable length:    Actor -[:ACTED_IN*2..4]- Actor (max 6 hops)
+//   - filter logic:       nested AND / OR / NOT groups
+//   - analytics:          group-by keys, decade/century buckets, several
+//                         aggregates, per-node averages, HAVING filters
+// Labels, relationships and properties are ALWAYS checked against the
+// whitelists below, and every value is passed as a $param.
 // =====================================================================
 
+import { DOMAIN } from "./26_domainSchema.js";
+
+// Labels, relationships, properties, variables and endpoints are
+// generated from the domain schema (26_domainSchema.js) — for movies:
+//   Movie, Director, Actor, Genre, Theme, Award
+//   DIRECTED, ACTED_IN, BELONGS_TO, EXPLORES, WON
+
 // ── What labels (node types) are allowed ──
-const ALLOWED_LABELS = new Set([
-  "Movie", "Director", "Actor", "Genre", "Theme", "Award",
-]);
+const ALLOWED_LABELS = new Set(DOMAIN.labels);
 
 // ── What relationships are allowed ──
-const ALLOWED_RELATIONSHIPS = new Set([
-  "DIRECTED", "ACTED_IN", "BELONGS_TO", "EXPLORES", "WON",
-]);
+const ALLOWED_RELATIONSHIPS = new Set(Object.keys(DOMAIN.endpoints));
 
 // ── What properties each label can access ──
-const ALLOWED_PROPERTIES = {
-  Movie: ["title", "year"],
-  Director: ["name"],
-  Actor: ["name"],
-  Genre: ["name"],
-  Theme: ["name"],
-  Award: ["name", "category"],
-};
+//   Movie: ["title", "year"], Award: ["name", "category"], others: ["name"]
+const ALLOWED_PROPERTIES = DOMAIN.properties;
 
 // ── What filter operators are allowed ──
 const ALLOWED_OPERATORS = new Set([
@@ -39,45 +46,241 @@ const ALLOWED_OPERATORS = new Set([
 ]);
 
 // ── Short variable names for each label ──
-const LABEL_VAR_MAP = {
-  Movie: "m", Director: "d", Actor: "a",
-  Genre: "g", Theme: "t", Award: "aw",
-};
+//   Movie → m, Director → d, Actor → a, Genre → g, Theme → t, Award → aw
+const LABEL_VAR_MAP = DOMAIN.varMap;
+
+// ── Which labels each relationship connects (start → end) ──
+// Used to pick the arrow direction inside multi-hop chains:
+//   Movie → Director via DIRECTED  =  (m)<-[:DIRECTED]-(d)
+const RELATIONSHIP_ENDPOINTS = DOMAIN.endpoints;
+
+// ── What aggregations are allowed ──
+const AGGREGATE_FUNCTIONS = new Set(["count", "collect", "sum", "avg", "min", "max"]);
+const NESTED_OUTER_FUNCTIONS = new Set(["sum", "avg", "min", "max"]);
+
+// ── Derived group-by buckets (numeric properties only) ──
+//   {"field":"Movie.year","bucket":"decade"} → 1994 → 1990
+const BUCKETS = { decade: 10, century: 100 };
+
+// ── Safety limits ──
+const MAX_HOP_DEPTH = 6;      // total hops in one traversal (same as path's *..6)
+const MAX_FILTER_DEPTH = 5;   // nesting of AND/OR/NOT groups
+const MAX_AGGREGATES = 5;     // aggregates in one aggregation step
+const ALIAS_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,19}$/;
+const COLUMN_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,29}$/;
+// Column names are written into RETURN/WITH/ORDER BY → no Cypher keywords
+const RESERVED_COLUMNS = new Set([
+  "all", "and", "as", "asc", "ascending", "by", "call", "case", "create", "delete", "desc",
+  "descending", "detach", "distinct", "else", "end", "exists", "false", "in", "is", "limit",
+  "match", "merge", "not", "null", "optional", "or", "order", "remove", "return", "set",
+  "skip", "then", "true", "union", "unwind", "when", "where", "with", "xor", "yield",
+]);
+
+// =====================================================================
+// ALIASES
+// =====================================================================
+// By default every label has ONE variable (Movie → m), so two
+// traversals that both touch Movie talk about the SAME movie.
+// "Actors who worked with directors who won an Oscar" needs TWO movies:
+//   the one the actor was in, and the one that won the Oscar.
+// A hop can declare an alias: {"rel":"DIRECTED","to":"Movie","as":"oscarMovie"}
+// Filters/projections then use "oscarMovie.title" like a label.
+// Aliases become Cypher variables with an x_ prefix (x_oscarMovie).
+// =====================================================================
+
+// Legacy single hop {from, rel, to} keeps its exact old meaning: from → to.
+// Only that synthesized hop carries the marker — a Symbol can't come out
+// of JSON, so a plan saying "forward": true is ignored like any unknown key
+const LEGACY_HOP = Symbol("legacyHop");
+
+function getHops(step) {
+  if (!step.hops) return [{ rel: step.rel, to: step.to, as: step.as, [LEGACY_HOP]: true }];
+  return step.hops;
+}
+
+function checkHopShape(hop) {
+  if (!hop || typeof hop !== "object" || Array.isArray(hop)) throw new Error("Each hop must be an object");
+}
+
+// alias → label (a Map, so "constructor" is just another alias)
+function collectAliases(steps) {
+  const aliases = new Map();
+  for (const step of steps) {
+    if (step.type !== "traversal" || (!step.hops && !step.as)) continue;
+    if (step.hops && !Array.isArray(step.hops)) throw new Error("Traversal hops must be an array");
+
+    for (const hop of getHops(step)) {
+      checkHopShape(hop);
+      if (!hop.as) continue;
+      if (!ALIAS_PATTERN.test(hop.as)) throw new Error(`Invalid alias: ${hop.as}`);
+      if (ALLOWED_LABELS.has(hop.as)) throw new Error(`Alias cannot be a label name: ${hop.as}`);
+      if (aliases.has(hop.as) && aliases.get(hop.as) !== hop.to) {
+        throw new Error(`Alias ${hop.as} used for both ${aliases.get(hop.as)} and ${hop.to}`);
+      }
+      aliases.set(hop.as, hop.to);
+    }
+  }
+  return aliases;
+}
+
+// "Movie" → { label: "Movie", varName: "m" }
+// "oscarMovie" (alias) → { label: "Movie", varName: "x_oscarMovie" }
+function resolveRef(name, aliases = new Map()) {
+  if (ALLOWED_LABELS.has(name)) return { label: name, varName: LABEL_VAR_MAP[name] };
+  if (aliases.has(name) && ALLOWED_LABELS.has(aliases.get(name))) {
+    return { label: aliases.get(name), varName: `x_${name}` };
+  }
+  throw new Error(`Invalid label: ${name}`);
+}
+
+// "Movie.year" → { label: "Movie", varName: "m", prop: "year" }
+function resolveField(field, aliases = new Map()) {
+  const parts = String(field).split(".");
+  if (parts.length !== 2) throw new Error(`Invalid field: ${field}`);
+  const ref = resolveRef(parts[0], aliases);
+  if (!ALLOWED_PROPERTIES[ref.label]?.includes(parts[1])) throw new Error(`Invalid property: ${field}`);
+  return { ...ref, prop: parts[1] };
+}
+
+// Arrow for a single relationship between two labels, or null if the
+// relationship cannot connect them in either direction
+function relationshipArrow(rel, fromLabel, toLabel) {
+  const [start, end] = RELATIONSHIP_ENDPOINTS[rel];
+  if (start === fromLabel && end === toLabel) return `-[:${rel}]->`;
+  if (start === toLabel && end === fromLabel) return `<-[:${rel}]-`;
+  return null;
+}
+
+function isVariableLength(hop) {
+  return hop.minHops !== undefined || hop.maxHops !== undefined;
+}
+
+// =====================================================================
+// VALIDATION
+// =====================================================================
+
+// (a:Actor)-[:ACTED_IN*2..4]-(a:Actor) only matches cycles → a hop back
+// to the label it starts from needs "as" for a second node
+function checkDistinctEnd(current, hop, aliases) {
+  const next = hop.as ? resolveRef(hop.as, aliases) : resolveRef(hop.to, aliases);
+  if (next.varName === current.varName) {
+    throw new Error(`Hop ${current.label} → ${hop.to} needs an alias ("as") for the second ${hop.to}`);
+  }
+  return next;
+}
+
+function validateHops(step, aliases) {
+  if (!ALLOWED_LABELS.has(step.from) && !aliases.has(step.from)) {
+    throw new Error(`Invalid label: ${step.from}`);
+  }
+
+  // Legacy single hop
+  if (!step.hops) {
+    if (!ALLOWED_LABELS.has(step.to)) throw new Error(`Invalid label: ${step.to}`);
+    if (!ALLOWED_RELATIONSHIPS.has(step.rel)) throw new Error(`Invalid relationship: ${step.rel}`);
+    checkDistinctEnd(resolveRef(step.from, aliases), getHops(step)[0], aliases);
+    return;
+  }
+
+  if (!Array.isArray(step.hops)) throw new Error("Traversal hops must be an array");
+  if (step.hops.length === 0) throw new Error("Traversal needs at least one hop");
+
+  let current = resolveRef(step.from, aliases);
+  let depth = 0;
+
+  for (const hop of step.hops) {
+    checkHopShape(hop);
+    if (!ALLOWED_LABELS.has(hop.to)) throw new Error(`Invalid label: ${hop.to}`);
+    const rels = Array.isArray(hop.rel) ? hop.rel : [hop.rel];
+    if (rels.length === 0) throw new Error("Hop needs a relationship");
+    for (const rel of rels) {
+      if (!ALLOWED_RELATIONSHIPS.has(rel)) throw new Error(`Invalid relationship: ${rel}`);
+    }
+
+    if (isVariableLength(hop)) {
+      // Variable-length: (a)-[:ACTED_IN*2..4]-(b), undirected, bounded
+      const min = hop.minHops ?? 1;
+      const max = hop.maxHops ?? min;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > MAX_HOP_DEPTH) {
+        throw new Error(`Invalid hop range: ${hop.minHops}..${hop.maxHops} (allowed 1..${MAX_HOP_DEPTH})`);
+      }
+      depth += max;
+    } else {
+      if (rels.length > 1) throw new Error("Multiple relationship types need minHops/maxHops");
+      if (!relationshipArrow(rels[0], current.label, hop.to)) {
+        throw new Error(`Relationship ${rels[0]} does not connect ${current.label} and ${hop.to}`);
+      }
+      depth += 1;
+    }
+    current = checkDistinctEnd(current, hop, aliases);
+  }
+
+  if (depth > MAX_HOP_DEPTH) throw new Error(`Traversal too deep: ${depth} hops (max ${MAX_HOP_DEPTH})`);
+}
+
+// ONE filter condition — a leaf or an AND/OR/NOT group
+//
+// Leaf:     {"field":"Movie.year","op":">","value":2010}
+// Leaf via: {"field":"Genre.name","op":"=","value":"Comedy","via":{"from":"Movie","rel":"BELONGS_TO"}}
+//           → checked as "Movie has SOME Comedy genre" (EXISTS subquery),
+//             not against the single Genre row of the current match
+// Groups:   {"and":[...]}, {"or":[...]}, {"not":{...}}
+function validateCondition(cond, aliases, depth = 0) {
+  if (depth > MAX_FILTER_DEPTH) throw new Error(`Filter nested too deep (max ${MAX_FILTER_DEPTH})`);
+  if (!cond || typeof cond !== "object") throw new Error("Invalid filter condition");
+
+  const kinds = ["and", "or", "not", "field"].filter((k) => cond[k] !== undefined);
+  if (kinds.length !== 1) throw new Error("Filter must have exactly one of: field, and, or, not");
+
+  if (cond.and || cond.or) {
+    const group = cond.and || cond.or;
+    if (!Array.isArray(group) || group.length === 0) throw new Error("Filter group must be a non-empty array");
+    group.forEach((c) => validateCondition(c, aliases, depth + 1));
+    return;
+  }
+
+  if (cond.not) {
+    validateCondition(cond.not, aliases, depth + 1);
+    return;
+  }
+
+  const { label } = resolveField(cond.field, aliases);
+  if (!ALLOWED_OPERATORS.has(cond.op)) throw new Error(`Invalid operator: ${cond.op}`);
+
+  if (cond.via) {
+    const from = resolveRef(cond.via.from, aliases);
+    if (!ALLOWED_RELATIONSHIPS.has(cond.via.rel)) throw new Error(`Invalid relationship: ${cond.via.rel}`);
+    if (!relationshipArrow(cond.via.rel, from.label, label)) {
+      throw new Error(`Relationship ${cond.via.rel} does not connect ${from.label} and ${label}`);
+    }
+  }
+}
 
 // Validate ONE step from the plan
-function validateStep(step) {
+// (aliases = alias → label Map declared by the plan's traversals)
+function validateStep(step, aliases = new Map()) {
   switch (step.type) {
     case "traversal":
-      if (!ALLOWED_LABELS.has(step.from)) throw new Error(`Invalid label: ${step.from}`);
-      if (!ALLOWED_LABELS.has(step.to)) throw new Error(`Invalid label: ${step.to}`);
-      if (!ALLOWED_RELATIONSHIPS.has(step.rel)) throw new Error(`Invalid relationship: ${step.rel}`);
+      validateHops(step, aliases);
       break;
 
-    case "filter": {
-      const [label, prop] = step.field.split(".");
-      if (!ALLOWED_LABELS.has(label)) throw new Error(`Invalid label: ${label}`);
-      if (!ALLOWED_PROPERTIES[label]?.includes(prop)) throw new Error(`Invalid property: ${step.field}`);
-      if (!ALLOWED_OPERATORS.has(step.op)) throw new Error(`Invalid operator: ${step.op}`);
+    case "filter":
+      validateCondition(step, aliases);
       break;
-    }
 
     case "projection":
-      for (const field of step.fields) {
-        const [lbl, prp] = field.split(".");
-        if (!ALLOWED_LABELS.has(lbl)) throw new Error(`Invalid label: ${lbl}`);
-        if (!ALLOWED_PROPERTIES[lbl]?.includes(prp)) throw new Error(`Invalid property: ${field}`);
-      }
+      for (const field of step.fields) resolveField(field, aliases);
       break;
 
-    case "aggregation": {
-      const validAggs = ["count", "collect", "sum", "avg", "min", "max"];
-      if (!validAggs.includes(step.function)) throw new Error(`Invalid aggregation: ${step.function}`);
+    case "aggregation":
+      validateAggregation(step, aliases);
       break;
-    }
 
     case "sort": {
-      const [sLabel, sProp] = step.field.split(".");
-      if (!ALLOWED_LABELS.has(sLabel)) throw new Error(`Invalid label: ${sLabel}`);
+      // "Label.property", or a result column of the aggregation ("movie_count")
+      if (typeof step.field !== "string") throw new Error(`Invalid sort field: ${step.field}`);
+      if (step.field.includes(".")) resolveField(step.field, aliases);
+      else if (!COLUMN_PATTERN.test(step.field)) throw new Error(`Invalid sort field: ${step.field}`);
       if (!["ASC", "DESC"].includes(step.direction?.toUpperCase())) throw new Error(`Invalid direction: ${step.direction}`);
       break;
     }
@@ -92,48 +295,424 @@ function validateStep(step) {
   }
 }
 
+// =====================================================================
+// AGGREGATION (analytics)
+// =====================================================================
+// Legacy form (still accepted):
+//   {"type":"aggregation","function":"count","field":"Movie.title","alias":"n","groupBy":"Genre.name"}
+//
+// Full form:
+//   {"type":"aggregation",
+//    "groupBy":["Genre.name", {"field":"Movie.year","bucket":"decade","as":"decade"}],
+//    "aggregates":[
+//      {"function":"count","field":"Movie","distinct":true,"alias":"movies"},
+//      {"function":"avg","alias":"avg_cast","of":{"function":"count","field":"Actor","distinct":true,"per":"Movie"}}
+//    ],
+//    "having":{"field":"movies","op":">=","value":3}}
+//
+// "of" = aggregate per node first, then over those values:
+//   WITH d, m, count(DISTINCT a) AS inner0    ← cast size per movie
+//   RETURN d.name AS director_name, avg(inner0) AS avg_cast
+// "having" filters on result columns (and/or/not groups like filters).
+// Result columns can be sorted on: {"type":"sort","field":"movies","direction":"DESC"}
+// =====================================================================
+
+function normalizeAggregation(step) {
+  const groupBy = step.groupBy === undefined ? [] : (Array.isArray(step.groupBy) ? step.groupBy : [step.groupBy]);
+  const aggregates = step.aggregates ?? [{
+    function: step.function, field: step.field, alias: step.alias, distinct: step.distinct,
+  }];
+  return {
+    groupBy: groupBy.map((g) => (typeof g === "string" ? { field: g } : g)),
+    aggregates,
+    having: step.having ?? null,
+  };
+}
+
+// "Movie" → node, "Movie.year" → property
+function resolveTarget(field, aliases) {
+  if (String(field).includes(".")) return resolveField(field, aliases);
+  return { ...resolveRef(field, aliases), prop: null };
+}
+
+function isNumericField(target) {
+  return target.prop !== null && (DOMAIN.numeric[target.label] || []).includes(target.prop);
+}
+
+// "Director.name" → "director_name", decade bucket → "decade"
+function groupColumn(group) {
+  if (group.as) return group.as;
+  if (group.bucket) return group.bucket;
+  const [ref, prop] = String(group.field).split(".");
+  return `${ref.toLowerCase()}_${prop}`;
+}
+
+function aggregateColumn(agg, i) {
+  if (agg.alias) return agg.alias;
+  return i === 0 ? `${agg.function}_result` : `${agg.function}_result_${i}`;
+}
+
+// Result columns in order → [{ name, kind: "group" | "aggregate", field }]
+function aggregationColumns(step) {
+  const { groupBy, aggregates } = normalizeAggregation(step);
+  return [
+    ...groupBy.map((g) => ({ name: groupColumn(g), kind: "group", field: g.bucket ? null : g.field })),
+    ...aggregates.map((a, i) => ({ name: aggregateColumn(a, i), kind: "aggregate", field: null })),
+  ];
+}
+
+// One aggregate's function + target; nested = inside "of"
+function validateAggregate(agg, aliases, nested = false) {
+  if (!agg || typeof agg !== "object") throw new Error("Invalid aggregate");
+  if (!AGGREGATE_FUNCTIONS.has(agg.function)) throw new Error(`Invalid aggregation: ${agg.function}`);
+
+  if (agg.of) {
+    if (nested) throw new Error("Aggregates can only be nested once");
+    if (!NESTED_OUTER_FUNCTIONS.has(agg.function)) throw new Error(`Cannot ${agg.function} a per-node aggregate`);
+    if (agg.field !== undefined) throw new Error("Aggregate has both field and of");
+    if (agg.of.function === "collect") throw new Error("Per-node aggregate cannot be collect");
+    resolveRef(agg.of.per, aliases);
+    validateAggregate(agg.of, aliases, true);
+    return;
+  }
+
+  if (agg.field === undefined || agg.field === "*") {
+    if (agg.function !== "count") throw new Error(`${agg.function} needs a field`);
+    return;
+  }
+  const target = resolveTarget(agg.field, aliases);
+  if (agg.function !== "count" && target.prop === null) throw new Error(`${agg.function} needs a property, not a node: ${agg.field}`);
+  if ((agg.function === "sum" || agg.function === "avg") && !isNumericField(target)) {
+    throw new Error(`${agg.function} needs a numeric property: ${agg.field}`);
+  }
+}
+
+// HAVING leaf: {"field":"<result column>","op":">","value":3}
+function validateHaving(cond, columns, depth = 0) {
+  if (depth > MAX_FILTER_DEPTH) throw new Error(`Having nested too deep (max ${MAX_FILTER_DEPTH})`);
+  if (!cond || typeof cond !== "object") throw new Error("Invalid having condition");
+  const kinds = ["and", "or", "not", "field"].filter((k) => cond[k] !== undefined);
+  if (kinds.length !== 1) throw new Error("Having must have exactly one of: field, and, or, not");
+
+  if (cond.and || cond.or) {
+    const group = cond.and || cond.or;
+    if (!Array.isArray(group) || group.length === 0) throw new Error("Having group must be a non-empty array");
+    group.forEach((c) => validateHaving(c, columns, depth + 1));
+    return;
+  }
+  if (cond.not) {
+    validateHaving(cond.not, columns, depth + 1);
+    return;
+  }
+  if (!columns.includes(cond.field)) throw new Error(`Having uses unknown column: ${cond.field}`);
+  if (!ALLOWED_OPERATORS.has(cond.op)) throw new Error(`Invalid operator: ${cond.op}`);
+}
+
+function validateAggregation(step, aliases) {
+  const { groupBy, aggregates, having } = normalizeAggregation(step);
+
+  for (const group of groupBy) {
+    const field = resolveField(group.field, aliases);
+    if (group.bucket !== undefined) {
+      if (!Object.hasOwn(BUCKETS, group.bucket)) throw new Error(`Invalid bucket: ${group.bucket}`);
+      if (!isNumericField(field)) throw new Error(`Bucket ${group.bucket} needs a numeric property: ${group.field}`);
+    }
+  }
+
+  if (!Array.isArray(aggregates) || aggregates.length === 0) throw new Error("Aggregation needs at least one aggregate");
+  if (aggregates.length > MAX_AGGREGATES) throw new Error(`Too many aggregates (max ${MAX_AGGREGATES})`);
+  aggregates.forEach((agg) => validateAggregate(agg, aliases));
+
+  // Per-node aggregates run in a WITH stage that keeps only the group-by
+  // nodes and the "per" node → every other aggregate must use those too
+  const pers = [...new Set(aggregates.filter((a) => a.of).map((a) => resolveRef(a.of.per, aliases).varName))];
+  if (pers.length > 1) throw new Error("All per-node aggregates must use the same per");
+  if (pers.length === 1) {
+    const kept = new Set([pers[0], ...groupBy.map((g) => resolveField(g.field, aliases).varName)]);
+    for (const agg of aggregates.filter((a) => !a.of && a.field !== undefined && a.field !== "*")) {
+      if (!kept.has(resolveTarget(agg.field, aliases).varName)) {
+        throw new Error(`${agg.field} is not available next to a per-node aggregate (group by it or use its per node)`);
+      }
+    }
+  }
+
+  const columns = aggregationColumns(step).map((c) => c.name);
+  for (const column of columns) {
+    if (!COLUMN_PATTERN.test(column) || RESERVED_COLUMNS.has(column.toLowerCase())) {
+      throw new Error(`Invalid column name: ${column}`);
+    }
+  }
+  if (new Set(columns).size !== columns.length) throw new Error(`Duplicate column names: ${columns.join(", ")}`);
+  if (having) validateHaving(having, columns);
+}
+
+// =====================================================================
+// PLAN-LEVEL RULES
+// =====================================================================
+// validateStep() checks ONE step. Some plans have only valid steps and
+// still can't run:
+//   - two aggregation steps (only one RETURN)
+//   - sorting on Movie.year after an aggregation (only result columns
+//     are in scope after WITH/RETURN)
+//   - a label no traversal reaches → silent Cartesian product
+// validatePlan() checks those too — buildCypher() and the evaluation
+// harness both call it, so "valid" means "buildCypher() accepts it".
+// =====================================================================
+
+// Which variables the plan MATCHes (bound), uses in filters, projections,
+// aggregates and sorts (referenced), and which "via" filters start from
+// (standalone — those may be MATCHed on their own)
+function planScope(steps, aliases) {
+  const bound = new Set();
+  const referenced = new Map();
+  const standalone = new Map();
+  const use = ({ varName, label }) => referenced.set(varName, label);
+
+  const useCondition = (cond) => {
+    if (cond.and || cond.or) return (cond.and || cond.or).forEach(useCondition);
+    if (cond.not) return useCondition(cond.not);
+    if (cond.via) {
+      const from = resolveRef(cond.via.from, aliases);
+      return standalone.set(from.varName, from.label);
+    }
+    use(resolveField(cond.field, aliases));
+  };
+  const useAggregate = (agg) => {
+    if (agg.of) {
+      use(resolveRef(agg.of.per, aliases));
+      return useAggregate(agg.of);
+    }
+    if (agg.field !== undefined && agg.field !== "*") use(resolveTarget(agg.field, aliases));
+  };
+
+  for (const step of steps) {
+    switch (step.type) {
+      case "traversal": {
+        bound.add(resolveRef(step.from, aliases).varName);
+        for (const hop of getHops(step)) bound.add(resolveRef(hop.as || hop.to, aliases).varName);
+        break;
+      }
+      case "filter":
+        useCondition(step);
+        break;
+      case "projection":
+        step.fields.forEach((f) => use(resolveField(f, aliases)));
+        break;
+      case "aggregation": {
+        const { groupBy, aggregates } = normalizeAggregation(step);
+        groupBy.forEach((g) => use(resolveField(g.field, aliases)));
+        aggregates.forEach(useAggregate);
+        break;
+      }
+      case "sort":
+        if (step.field.includes(".")) use(resolveField(step.field, aliases));
+        break;
+    }
+  }
+  return { bound, referenced, standalone };
+}
+
+// Validate a whole plan → what buildCypher() needs to render it:
+//   aliases   alias → label
+//   columns   sortable result columns of the aggregation
+//             ("movies" → movies, "Genre.name" → genre_name)
+//   unbound   variables to MATCH on their own (varName → label)
+function validatePlan(plan) {
+  if (!plan || !Array.isArray(plan.steps) || plan.steps.length === 0) throw new Error("Plan needs a non-empty steps array");
+  const steps = plan.steps;
+  steps.forEach((step) => {
+    if (!step || typeof step !== "object") throw new Error("Each step must be an object");
+  });
+
+  const aliases = collectAliases(steps);
+  steps.forEach((step) => validateStep(step, aliases));
+
+  const aggregations = steps.filter((s) => s.type === "aggregation");
+  if (aggregations.length > 1) throw new Error("Only one aggregation step is allowed");
+  const columns = new Map();
+  for (const column of aggregations.length ? aggregationColumns(aggregations[0]) : []) {
+    columns.set(column.name, column.name);
+    if (column.field) columns.set(column.field, column.name);
+  }
+
+  for (const step of steps.filter((s) => s.type === "sort")) {
+    if (columns.has(step.field)) continue;
+    if (!step.field.includes(".")) throw new Error(`Unknown sort column: ${step.field}`);
+    // After WITH/RETURN aggregation only the result columns are in scope
+    if (aggregations.length > 0) throw new Error(`Sort field ${step.field} is not a result column of the aggregation`);
+  }
+
+  // "via" filters may start from a node no traversal matched
+  // ("Thriller OR Horror movies" has no traversal at all) → MATCH it alone.
+  // A plan without traversals may also scan its ONE label ("movies after 2010").
+  // Any other unmatched label would be a silent Cartesian product
+  // (every actor counted for every movie) → reject the plan.
+  const { bound, referenced, standalone } = planScope(steps, aliases);
+  const unbound = new Map([...standalone].filter(([varName]) => !bound.has(varName)));
+  if (bound.size === 0 && unbound.size === 0 && referenced.size === 1) {
+    unbound.set(...[...referenced][0]);
+  }
+  for (const [varName, label] of referenced) {
+    if (!bound.has(varName) && !unbound.has(varName)) {
+      throw new Error(`${label} is not connected to the rest of the plan — add a traversal hop to it`);
+    }
+  }
+
+  return { aliases, columns, unbound };
+}
+
+// =====================================================================
+// BUILDING
+// =====================================================================
+
+// Turn ONE validated condition into a WHERE expression.
+// Every value goes into params — never into the Cypher string.
+function renderCondition(cond, ctx) {
+  if (cond.and || cond.or) {
+    const joiner = cond.and ? " AND " : " OR ";
+    const parts = (cond.and || cond.or).map((c) => renderCondition(c, ctx));
+    return parts.length === 1 ? parts[0] : `(${parts.join(joiner)})`;
+  }
+
+  if (cond.not) return `NOT (${renderCondition(cond.not, ctx)})`;
+
+  const { label, varName, prop } = resolveField(cond.field, ctx.aliases);
+  const paramName = `p${ctx.paramCounter++}`;
+  ctx.params[paramName] = cond.value;
+
+  if (cond.via) {
+    const from = resolveRef(cond.via.from, ctx.aliases);
+    const arrow = relationshipArrow(cond.via.rel, from.label, label);
+    const subVar = `s${ctx.subCounter++}`;
+    return `EXISTS { MATCH (${from.varName})${arrow}(${subVar}:${label}) WHERE ${subVar}.${prop} ${cond.op} $${paramName} }`;
+  }
+
+  return `${varName}.${prop} ${cond.op} $${paramName}`;
+}
+
+// count(DISTINCT m), avg(m.year), count(*)
+function renderAggregate(agg, ctx) {
+  const distinct = agg.distinct ? "DISTINCT " : "";
+  if (agg.field === undefined || agg.field === "*") return `${agg.function}(*)`;
+  const { varName, prop } = resolveTarget(agg.field, ctx.aliases);
+  return `${agg.function}(${distinct}${prop ? `${varName}.${prop}` : varName})`;
+}
+
+// HAVING → WHERE on result columns, values as $params
+function renderHaving(cond, ctx) {
+  if (cond.and || cond.or) {
+    const parts = (cond.and || cond.or).map((c) => renderHaving(c, ctx));
+    return parts.length === 1 ? parts[0] : `(${parts.join(cond.and ? " AND " : " OR ")})`;
+  }
+  if (cond.not) return `NOT (${renderHaving(cond.not, ctx)})`;
+  const paramName = `p${ctx.paramCounter++}`;
+  ctx.params[paramName] = cond.value;
+  return `${cond.field} ${cond.op} $${paramName}`;
+}
+
+// Aggregation step → [WITH per-node stage] + RETURN (or WITH ... WHERE having + RETURN)
+function renderAggregation(step, ctx) {
+  const { groupBy, aggregates, having } = normalizeAggregation(step);
+  const lines = [];
+
+  const groups = groupBy.map((group) => {
+    const { varName, prop } = resolveField(group.field, ctx.aliases);
+    const size = BUCKETS[group.bucket];
+    return {
+      varName,
+      expr: size ? `toInteger(${varName}.${prop} / ${size}) * ${size}` : `${varName}.${prop}`,
+      column: groupColumn(group),
+    };
+  });
+
+  // Per-node stage: WITH <group nodes>, <per node>, inner aggregates
+  const nested = aggregates.filter((a) => a.of);
+  const innerNames = new Map();
+  if (nested.length > 0) {
+    const per = resolveRef(nested[0].of.per, ctx.aliases);
+    const kept = [...new Set([...groups.map((g) => g.varName), per.varName])];
+    const inner = nested.map((agg, i) => {
+      innerNames.set(agg, `inner${i}`);
+      return `${renderAggregate(agg.of, ctx)} AS inner${i}`;
+    });
+    lines.push(`WITH ${[...kept, ...inner].join(", ")}`);
+  }
+
+  const columns = [
+    ...groups.map((g) => `${g.expr} AS ${g.column}`),
+    ...aggregates.map((agg, i) => {
+      const expr = agg.of ? `${agg.function}(${innerNames.get(agg)})` : renderAggregate(agg, ctx);
+      return `${expr} AS ${aggregateColumn(agg, i)}`;
+    }),
+  ];
+
+  if (having) {
+    const names = aggregationColumns(step).map((c) => c.name);
+    lines.push(`WITH ${columns.join(", ")}`, `WHERE ${renderHaving(having, ctx)}`, `RETURN ${names.join(", ")}`);
+  } else {
+    lines.push(`RETURN ${columns.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
 // Build safe Cypher from a validated plan
 //
 // Input:  { steps: [{ type: "traversal", from: "Director", ... }, ...] }
 // Output: { cypher: "MATCH (d:Director)...", params: { p0: "James Cameron" } }
 function buildCypher(plan) {
+  // Validate ALL steps and the plan as a whole first
+  const { aliases, columns, unbound } = validatePlan(plan);
   const steps = plan.steps;
 
-  // Validate ALL steps first
-  steps.forEach(validateStep);
-
   const matchClauses = [];
   const whereClauses = [];
   let returnClause = "";
   let orderClause = "";
   let limitClause = "";
   const params = {};
-  let paramCounter = 0;
+
+  // Shared state for rendering: params and subquery counters
+  const ctx = { aliases, params, paramCounter: 0, subCounter: 0 };
 
   for (const step of steps) {
     switch (step.type) {
       case "traversal": {
-        const fromVar = LABEL_VAR_MAP[step.from];
-        const toVar = LABEL_VAR_MAP[step.to];
-        matchClauses.push(
-          `MATCH (${fromVar}:${step.from})-[:${step.rel}]->(${toVar}:${step.to})`
-        );
+        let current = resolveRef(step.from, aliases);
+
+        // One MATCH per hop → Neo4j's "each relationship once per MATCH"
+        // rule never hides results (e.g. the same DIRECTED edge on two hops)
+        for (const hop of getHops(step)) {
+          const next = hop.as ? resolveRef(hop.as, aliases) : resolveRef(hop.to, aliases);
+          const rels = Array.isArray(hop.rel) ? hop.rel : [hop.rel];
+
+          let pattern;
+          if (hop[LEGACY_HOP]) {
+            pattern = `-[:${hop.rel}]->`;
+          } else if (isVariableLength(hop)) {
+            const min = hop.minHops ?? 1;
+            const max = hop.maxHops ?? min;
+            pattern = `-[:${rels.join("|")}*${min}..${max}]-`;
+          } else {
+            pattern = relationshipArrow(rels[0], current.label, next.label);
+          }
+
+          matchClauses.push(
+            `MATCH (${current.varName}:${current.label})${pattern}(${next.varName}:${next.label})`
+          );
+          current = next;
+        }
         break;
       }
 
       case "filter": {
-        const [label, prop] = step.field.split(".");
-        const varName = LABEL_VAR_MAP[label];
-        const paramName = `p${paramCounter++}`;
-        params[paramName] = step.value;
-        whereClauses.push(`${varName}.${prop} ${step.op} $${paramName}`);
+        whereClauses.push(renderCondition(step, ctx));
         break;
       }
 
       case "projection": {
         const fields = step.fields.map((f) => {
-          const [lbl, prp] = f.split(".");
-          return `${LABEL_VAR_MAP[lbl]}.${prp}`;
+          const { varName, prop } = resolveField(f, aliases);
+          return `${varName}.${prop}`;
         });
         const distinct = step.distinct ? "DISTINCT " : "";
         returnClause = `RETURN ${distinct}${fields.join(", ")}`;
@@ -141,29 +720,19 @@ function buildCypher(plan) {
       }
 
       case "aggregation": {
-        const alias = step.alias || `${step.function}_result`;
-        if (step.groupBy) {
-          const [grpLabel, grpProp] = step.groupBy.split(".");
-          const grpVar = LABEL_VAR_MAP[grpLabel];
-          const [aggLabel] = (step.field || "").split(".");
-          const aggTarget = LABEL_VAR_MAP[aggLabel] || "*";
-          returnClause = `RETURN ${grpVar}.${grpProp}, ${step.function}(${aggTarget}) AS ${alias}`;
-        } else {
-          const [aggLabel] = (step.field || "").split(".");
-          const aggTarget = LABEL_VAR_MAP[aggLabel] || "*";
-          returnClause = `RETURN ${step.function}(${aggTarget}) AS ${alias}`;
-        }
+        returnClause = renderAggregation(step, ctx);
         break;
       }
 
       case "sort": {
-        const [sLabel, sProp] = step.field.split(".");
-        const sVar = LABEL_VAR_MAP[sLabel];
-        if (returnClause.includes(` AS ${sProp}`)) {
-          orderClause = `ORDER BY ${sProp} ${step.direction.toUpperCase()}`;
-        } else {
-          orderClause = `ORDER BY ${sVar}.${sProp} ${step.direction.toUpperCase()}`;
+        // Sorting on a result column (after an aggregation) → ORDER BY column
+        const column = columns.get(step.field);
+        if (column) {
+          orderClause = `ORDER BY ${column} ${step.direction.toUpperCase()}`;
+          break;
         }
+        const { varName: sVar, prop: sProp } = resolveField(step.field, aliases);
+        orderClause = `ORDER BY ${sVar}.${sProp} ${step.direction.toUpperCase()}`;
         break;
       }
 
@@ -174,7 +743,10 @@ function buildCypher(plan) {
     }
   }
 
+  const standaloneMatches = [...unbound].map(([varName, label]) => `MATCH (${varName}:${label})`);
+
   const cypher = [
+    ...standaloneMatches,
     ...matchClauses,
     whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "",
     returnClause,
@@ -185,4 +757,14 @@ function buildCypher(plan) {
   return { cypher, params };
 }
 
-export { buildCypher, validateStep, ALLOWED_LABELS, ALLOWED_RELATIONSHIPS };
+export {
+  buildCypher,
+  validatePlan,
+  validateStep,
+  collectAliases,
+  aggregationColumns,
+  ALLOWED_LABELS,
+  ALLOWED_RELATIONSHIPS,
+  RELATIONSHIP_ENDPOINTS,
+  MAX_HOP_DEPTH,
+};
@@ -17,33 +17,48 @@
 //   Step 1: LLM extracts entity names from the query
 //           "Action movies with Tom Hardy" → ["Action", "Tom Hardy"]
 //
-//   Step 2: For EACH entity, search ALL 6 node types in Neo4j
+//   Step 2: For EACH entity, rank names of ALL 6 node types
 //           "Tom Hardy" → Actor ✅, Director ❌, Movie ❌, Genre ❌...
 //           "Action" → Genre ✅, Actor ❌, Director ❌, Movie ❌...
 //
-//   Step 3: Return resolved entities with their labels
+//   Step 3: Decide (resolved / ambiguous / unresolved) and return
+//           resolved entities with their labels
 //           [
 //             { name: "Tom Hardy", searchTerm: "Tom Hardy", label: "Actor", nodeName: "Tom Hardy" },
 //             { name: "Action", searchTerm: "Action", label: "Genre", nodeName: "Action" }
 //           ]
 //
-// FUZZY MATCHING:
-//   User might say "Nolan" but graph has "Christopher Nolan".
-//   We use CONTAINS for partial matching.
-//   If exact match exists, prefer it over partial match.
+// FUZZY MATCHING (18_aliasTable.js):
+//   User might say "Nolan", "Chris Nolan" or "Christpher Nolan" but the
+//   graph has "Christopher Nolan". Every name is scored against an
+//   alias table (initials, nicknames, "The ...") with edit-distance and
+//   token scoring → a RANKED candidate list with scores.
+//
+//   Decision per entity:
+//     exact name match          → resolved, confidence 1
+//     one clear winner ≥ 0.8    → resolved, confidence = its score
+//     several close candidates  → AMBIGUOUS ("Chris" → 12 actors)
+//                                 the CLI asks the user to pick;
+//                                 otherwise the best one is used with
+//                                 reduced confidence
+//     nothing ≥ 0.8             → unresolved
+//
+// CONFIG (env):
+//   ENTITY_MIN_SCORE         lowest score that still resolves (default 0.8)
+//   ENTITY_AMBIGUITY_MARGIN  scores this close to the best are "close"
+//                            (default 0.05)
 // =====================================================================
 
-import { llm, driver } from "./2_config.js";
+import { llm } from "./2_config.js";
+import {
+  loadAliasTable, buildAliasTable, saveAliasTable, rankCandidates,
+} from "./18_aliasTable.js";
 
-// All node types in our graph and their searchable properties
-const NODE_TYPES = [
-  { label: "Movie", property: "title" },
-  { label: "Director", property: "name" },
-  { label: "Actor", property: "name" },
-  { label: "Genre", property: "name" },
-  { label: "Theme", property: "name" },
-  { label: "Award", property: "name" },
-];
+const RESOLVER_CONFIG = {
+  minScore: Number(process.env.ENTITY_MIN_SCORE || 0.8),
+  ambiguityMargin: Number(process.env.ENTITY_AMBIGUITY_MARGIN || 0.05),
+  maxCandidates: 5,   // candidates kept per entity (and shown to the user)
+};
 
 // =====================================================================
 // Step 1: LLM extracts entity names from query
@@ -92,74 +107,92 @@ Examples:
 }
 
 // =====================================================================
-// Step 2: Resolve ONE entity across ALL node types in Neo4j
+// Step 2: Rank candidates for ONE entity across ALL node types
 // =====================================================================
 //
-// Search strategy:
-//   1. Try EXACT match first (case-insensitive)
-//      "Inception" = "Inception" ✅
-//
-//   2. If no exact match, try CONTAINS (partial match)
-//      "Nolan" CONTAINS in "Christopher Nolan" ✅
-//
-//   3. If multiple matches across labels, return ALL
-//      (e.g. "Jordan" could be Actor AND Director)
+// The alias table is built at index time (7_runIndexing.js). If it is
+// missing (graph built by an older version), build it once from Neo4j.
 //
+// Returns candidates, best first:
+//   [{ searchTerm, label, nodeName, score, matchType, alias }]
+//   matchType: exact | alias | fuzzy
 // =====================================================================
-async function resolveEntity(entityName) {
-  const session = driver.session({ defaultAccessMode: "READ" });
-  const matches = [];
+let aliasTable = null;
 
-  try {
-    for (const { label, property } of NODE_TYPES) {
-      // First try exact match (case-insensitive)
-      const exactResult = await session.run(
-        `MATCH (n:${label})
-         WHERE toLower(n.${property}) = toLower($name)
-         RETURN n.${property} AS nodeName, labels(n)[0] AS label
-         LIMIT 5`,
-        { name: entityName }
-      );
+async function getAliasTable() {
+  if (aliasTable) return aliasTable;
+  aliasTable = loadAliasTable();
+  if (!aliasTable) {
+    console.log("   🔤 No alias table found. Building it from Neo4j...");
+    aliasTable = await buildAliasTable();
+    saveAliasTable(aliasTable);
+  }
+  return aliasTable;
+}
 
-      if (exactResult.records.length > 0) {
-        for (const record of exactResult.records) {
-          matches.push({
-            searchTerm: entityName,
-            label: record.get("label"),
-            nodeName: record.get("nodeName"),
-            matchType: "exact",
-          });
-        }
-        continue; // Got exact match for this label, skip CONTAINS
-      }
+// Swap the table (offline runs, or after re-indexing in the same process)
+function setAliasTable(table) {
+  aliasTable = table;
+}
 
-      // No exact match → try CONTAINS (partial/fuzzy)
-      const partialResult = await session.run(
-        `MATCH (n:${label})
-         WHERE toLower(n.${property}) CONTAINS toLower($name)
-         RETURN n.${property} AS nodeName, labels(n)[0] AS label
-         LIMIT 5`,
-        { name: entityName }
-      );
+async function resolveEntity(entityName, { limit = RESOLVER_CONFIG.maxCandidates * 2 } = {}) {
+  const table = await getAliasTable();
+  return rankCandidates(entityName, table, { limit })
+    .map((candidate) => ({ searchTerm: entityName, ...candidate }));
+}
 
-      for (const record of partialResult.records) {
-        matches.push({
-          searchTerm: entityName,
-          label: record.get("label"),
-          nodeName: record.get("nodeName"),
-          matchType: "partial",
-        });
-      }
-    }
-  } finally {
-    await session.close();
+// =====================================================================
+// Step 3: Decide what the ranked candidates mean
+// =====================================================================
+// Candidates with the SAME name but different labels are not ambiguous
+// ("Christopher Nolan" the Director and the Actor) → keep them all,
+// like the exact match always did. Ambiguity = different NAMES scoring
+// within ambiguityMargin of the best one.
+//
+// → { searchTerm, status: resolved | ambiguous | unresolved,
+//     chosen: [candidates], confidence, options: [{ nodeName, labels, score }],
+//     candidates: [top candidates] }
+function decideResolution(searchTerm, candidates, config = RESOLVER_CONFIG) {
+  const usable = candidates.filter((c) => c.score >= config.minScore);
+  const decision = {
+    searchTerm,
+    status: "unresolved",
+    chosen: [],
+    confidence: 0,
+    options: [],
+    candidates: candidates.slice(0, config.maxCandidates),
+  };
+  if (usable.length === 0) return decision;
+
+  const exact = usable.filter((c) => c.matchType === "exact");
+  if (exact.length > 0) {
+    return { ...decision, status: "resolved", chosen: exact, confidence: 1 };
   }
 
-  // Prefer exact matches over partial
-  const exactMatches = matches.filter((m) => m.matchType === "exact");
-  if (exactMatches.length > 0) return exactMatches;
+  const top = usable[0];
+  const close = usable.filter((c) => top.score - c.score <= config.ambiguityMargin);
 
-  return matches;
+  // Group close candidates by name → one option per distinct node name
+  const options = [];
+  for (const c of close) {
+    const option = options.find((o) => o.nodeName === c.nodeName);
+    if (option) option.labels.push(c.label);
+    else options.push({ nodeName: c.nodeName, labels: [c.label], score: c.score });
+  }
+  const chosen = close.filter((c) => c.nodeName === top.nodeName);
+
+  if (options.length === 1) {
+    return { ...decision, status: "resolved", chosen, confidence: top.score, options };
+  }
+
+  // Best guess, but split the confidence between the look-alikes
+  return {
+    ...decision,
+    status: "ambiguous",
+    chosen,
+    confidence: Math.round((top.score / options.length) * 100) / 100,
+    options: options.slice(0, config.maxCandidates),
+  };
 }
 
 // =====================================================================
@@ -170,42 +203,115 @@ async function resolveEntity(entityName) {
 //   {
 //     query: "Action movies with Tom Hardy",
 //     entities: [
-//       { searchTerm: "Action", label: "Genre", nodeName: "Action", matchType: "exact" },
-//       { searchTerm: "Tom Hardy", label: "Actor", nodeName: "Tom Hardy", matchType: "exact" }
+//       { searchTerm: "Action", label: "Genre", nodeName: "Action", matchType: "exact", score: 1, confidence: 1 },
+//       { searchTerm: "Tom Hardy", label: "Actor", nodeName: "Tom Hardy", matchType: "exact", score: 1, confidence: 1 }
 //     ],
-//     unresolved: []  // entities not found in graph
+//     unresolved: [],  // entities not found in graph
+//     decisions: [     // one per extracted name: what was picked and why
+//       { searchTerm: "Action", status: "resolved", confidence: 1, chosen: [...], candidates: [...] },
+//       ...
+//     ]
 //   }
+//
+// knownEntities (optional) = entities carried from earlier turns of the
+// conversation (14_conversationMemory.js). If an extracted name matches
+// one of them, we reuse it instead of searching Neo4j again — every label
+// the name had in the most RECENT turn that mentioned it ("Clint
+// Eastwood" as Actor + Director stays both; a later re-resolution wins).
+//
+// disambiguate (optional) = async (searchTerm, options) → index | null
+// Called for AMBIGUOUS entities (the CLI asks the user). null means
+// "none of these" → the entity counts as unresolved.
 // =====================================================================
-async function resolveQueryEntities(query) {
+function findKnownEntities(name, knownEntities) {
+  const lower = name.toLowerCase();
+  const matches = knownEntities.filter(
+    (e) => e.nodeName.toLowerCase() === lower || e.searchTerm?.toLowerCase() === lower
+  );
+  const latest = Math.max(...matches.map((e) => e.lastTurn ?? 0));
+  return matches.filter((e) => (e.lastTurn ?? 0) === latest);
+}
+
+async function resolveQueryEntities(query, { knownEntities = [], disambiguate = null } = {}) {
   console.log("   🔍 Step 1: Extracting entities from query...");
   const entityNames = await extractEntities(query);
   console.log(`   ✅ Found: [${entityNames.join(", ")}]`);
 
   if (entityNames.length === 0) {
-    return { query, entities: [], unresolved: [] };
+    return { query, entities: [], unresolved: [], decisions: [] };
   }
 
-  console.log("   🗄️  Step 2: Resolving entities in Neo4j...");
+  console.log("   🗄️  Step 2: Resolving entities (alias table + fuzzy match)...");
   const resolved = [];
   const unresolved = [];
+  const decisions = [];
 
   for (const name of entityNames) {
-    const matches = await resolveEntity(name);
-
-    if (matches.length > 0) {
-      for (const match of matches) {
-        resolved.push(match);
-        console.log(
-          `   ✅ "${name}" → ${match.label} (${match.nodeName}) [${match.matchType}]`
-        );
+    const known = findKnownEntities(name, knownEntities);
+    if (known.length > 0) {
+      const chosen = known.map((e) => ({
+        searchTerm: name,
+        label: e.label,
+        nodeName: e.nodeName,
+        matchType: "memory",
+        score: 1,
+        confidence: 1,
+      }));
+      resolved.push(...chosen);
+      decisions.push({ searchTerm: name, status: "memory", chosen, confidence: 1, options: [], candidates: [] });
+      console.log(`   ✅ "${name}" → ${chosen.map((e) => `${e.label} (${e.nodeName})`).join(", ")} [memory]`);
+      continue;
+    }
+
+    const decision = decideResolution(name, await resolveEntity(name));
+
+    // ── Ambiguous → let the caller (CLI) pick ──
+    if (decision.status === "ambiguous" && disambiguate) {
+      const choice = await disambiguate(name, decision.options);
+      const picked = Number.isInteger(choice) ? decision.options[choice] : null;
+      if (picked) {
+        decision.status = "user-choice";
+        decision.confidence = 1;
+        decision.chosen = picked.labels.map((label) => ({
+          label, nodeName: picked.nodeName, score: picked.score, matchType: "user",
+        }));
+      } else {
+        decision.status = "unresolved";
+        decision.confidence = 0;
+        decision.chosen = [];
       }
-    } else {
+    }
+    decisions.push(decision);
+
+    if (decision.chosen.length === 0) {
       unresolved.push(name);
-      console.log(`   ❌ "${name}" → not found in graph`);
+      const best = decision.candidates[0];
+      console.log(`   ❌ "${name}" → not found in graph${best ? ` (closest: ${best.nodeName}, ${best.score})` : ""}`);
+      continue;
+    }
+
+    for (const match of decision.chosen) {
+      resolved.push({
+        searchTerm: name,
+        label: match.label,
+        nodeName: match.nodeName,
+        matchType: match.matchType,
+        score: match.score,
+        confidence: decision.confidence,
+      });
+      console.log(
+        `   ✅ "${name}" → ${match.label} (${match.nodeName}) [${match.matchType}, score ${match.score}, confidence ${decision.confidence}]`
+      );
+    }
+    if (decision.status === "ambiguous") {
+      const others = decision.options.slice(1).map((o) => o.nodeName).join(", ");
+      console.log(`   ⚠️ "${name}" is ambiguous — also close: ${others}`);
     }
   }
 
-  return { query, entities: resolved, unresolved };
+  return { query, entities: resolved, unresolved, decisions };
 }
 
-export { resolveQueryEntities, resolveEntity };
+export {
+  resolveQueryEntities, resolveEntity, decideResolution, findKnownEntities, getAliasTable, setAliasTable, RESOLVER_CONFIG,
+};
@@ -0,0 +1,114 @@
+/**
+ * test-answer-cache.js — Test the Answer Cache (no Gemini needed)
+ * Run: node tests/test-answer-cache.js
+ *
+ * createAnswerCache() with a stub embed that maps EVERY question to the
+ * same vector — the worst case for paraphrase matching. Only the guard
+ * (numbers, resolved entities, negations) keeps different questions
+ * apart. Also checks exact hits, TTL, re-index invalidation and a
+ * failing embed.
+ */
+
+import { createAnswerCache } from "../22_answerCache.js";
+
+console.log("\n🧪 TEST: Answer Cache (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const hanks = [{ label: "Actor", nodeName: "Tom Hanks" }];
+const cruise = [{ label: "Actor", nodeName: "Tom Cruise" }];
+const nolan = [{ label: "Director", nodeName: "Christopher Nolan" }];
+
+const answer = (text, entities) => ({ answer: text, provenance: {}, type: "graph", resolved: { entities, unresolved: [] } });
+
+async function runTest() {
+  let clock = 0;
+  let generation = 1;
+  let embedCalls = 0;
+  const cache = createAnswerCache({
+    enabled: true,
+    ttlMs: 1000,
+    threshold: 0.95,
+    embed: async () => { embedCalls++; return [1, 0, 0]; },
+    generation: () => generation,
+    now: () => clock,
+  });
+
+  console.log("── Exact level ──");
+
+  const first = await cache.lookup("Movies with Tom Hanks", { entities: hanks });
+  assert(first.hit === null && first.embedding.length === 3, "Empty cache → miss, embedding returned");
+  cache.store("Movies with Tom Hanks", answer("Hanks movies", hanks), { embedding: first.embedding });
+
+  const exact = cache.lookupExact("movies with tom hanks?");
+  assert(exact.kind === "exact" && exact.hit.value.answer === "Hanks movies", "Normalized text → exact hit");
+  assert(cache.lookupExact("Movies with Tom Cruise").hit === null, "lookupExact never falls back to embeddings");
+
+  console.log("\n── Semantic guard ──");
+
+  const paraphrase = await cache.lookup("Which films star Tom Hanks?", { entities: hanks });
+  assert(paraphrase.kind === "semantic" && paraphrase.hit.value.answer === "Hanks movies", "Paraphrase about the same entity → semantic hit");
+
+  const otherActor = await cache.lookup("Movies with Tom Cruise", { entities: cruise });
+  assert(otherActor.hit === null, "Same wording, different resolved actor → miss");
+
+  const noEntities = await cache.lookup("Movies with Tom Cruise");
+  assert(noEntities.hit === null, "Unresolved question never reuses an entity answer");
+
+  cache.store("Movies directed by Christopher Nolan", answer("Nolan movies", nolan), { embedding: [1, 0, 0] });
+  const negated = await cache.lookup("Movies not directed by Christopher Nolan", { entities: nolan });
+  assert(negated.hit === null, "Negated question → miss");
+  const without = await cache.lookup("Movies without Christopher Nolan", { entities: nolan });
+  assert(without.hit === null, "\"without\" counts as a negation");
+  const rephrased = await cache.lookup("Films by Christopher Nolan", { entities: nolan });
+  assert(rephrased.kind === "semantic" && rephrased.hit.value.answer === "Nolan movies", "Same entity, no negation → hit");
+
+  cache.store("Nolan movies before 2000", answer("Early Nolan", nolan), { embedding: [1, 0, 0] });
+  const otherYear = await cache.lookup("Nolan movies before 2010", { entities: nolan });
+  assert(otherYear.hit === null, "Different number → miss");
+  const sameYear = await cache.lookup("Christopher Nolan films from before 2000", { entities: nolan });
+  assert(sameYear.hit?.value.answer === "Early Nolan", "Same number and entity → hit");
+
+  const lowercased = await cache.lookup("Films starring Tom Hanks", {
+    entities: [{ label: "Actor", nodeName: "tom hanks" }],
+  });
+  assert(lowercased.kind === "semantic", "Entity names compared normalized");
+
+  console.log("\n── Invalidation ──");
+
+  clock = 1500;
+  const expired = await cache.lookup("Movies with Tom Hanks", { entities: hanks });
+  assert(expired.hit === null && cache.stats().expired === 3, "Entries expire after the TTL");
+
+  cache.store("Movies with Tom Hanks", answer("Hanks movies", hanks), { embedding: [1, 0, 0] });
+  generation = 2;
+  assert(cache.lookupExact("Movies with Tom Hanks").hit === null && cache.stats().invalidations === 1,
+    "Re-index (new generation) drops every entry");
+
+  console.log("\n── Embedding failure ──");
+
+  const failing = createAnswerCache({
+    embed: async () => { throw new Error("quota exceeded"); },
+    generation: () => 0,
+  });
+  failing.store("Movies with Tom Hanks", answer("Hanks movies", hanks));
+  const warn = console.warn;
+  console.warn = () => {};
+  const fallback = await failing.lookup("Which films star Tom Hanks?", { entities: hanks });
+  console.warn = warn;
+  assert(fallback.hit === null && fallback.embedding === null, "No embedding → exact matching only");
+  assert((await failing.lookup("Movies with Tom Hanks")).kind === "exact", "Exact hits still work");
+
+  const stats = cache.stats();
+  assert(stats.semanticHits === 4 && stats.exactHits === 1 && embedCalls === stats.misses + stats.semanticHits,
+    "Counters track every lookup");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
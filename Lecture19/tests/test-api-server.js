@@ -0,0 +1,225 @@
+/**
+ * test-api-server.js — Test the HTTP API (no Neo4j, no Pinecone, no Gemini)
+ * Run: node tests/test-api-server.js
+ *
+ * Stubs driver / pineconeIndex / llm / embedText through
+ * overrideConnections(), starts createApiServer() on an ephemeral port
+ * and calls every route: POST /api/query, the SSE stream, /api/health,
+ * /api/stats, plus the 400 / 404 / 429 / 503 paths.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { overrideConnections } from "../2_config.js";
+import { setAliasTable } from "../9_entityResolver.js";
+import { aliasesFor } from "../18_aliasTable.js";
+import { createApiServer } from "../21_apiServer.js";
+
+// The pipeline logs every step → keep the output to PASS / FAIL lines
+const print = console.log;
+console.log = () => {};
+
+print("\n🧪 TEST: API Server (No API keys needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { print(`  ✅ PASS: ${m}`); passed++; } else { print(`  ❌ FAIL: ${m}`); failed++; } }
+
+// sessions/ and data/ are relative to the working directory
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-api-"));
+const originalCwd = process.cwd();
+process.chdir(tmpRoot);
+
+// ── Stubs ──
+const NOLAN_PLAN = {
+  steps: [
+    { type: "traversal", from: "Director", rel: "DIRECTED", to: "Movie" },
+    { type: "filter", field: "Director.name", op: "=", value: "Christopher Nolan" },
+    { type: "projection", fields: ["Movie.title", "Movie.year"], distinct: true },
+  ],
+};
+const ANSWER = "Christopher Nolan directed Inception (2010) [G1] and Interstellar (2014) [G2].";
+
+function reply(messages) {
+  const system = messages[0].content;
+  if (system.startsWith("You extract entity names")) return '["Christopher Nolan"]';
+  if (system.startsWith("You are a query classifier")) return '{"type":"graph","confidence":0.95,"reasoning":"Director filter"}';
+  if (system.includes('"steps"')) return JSON.stringify(NOLAN_PLAN);
+  return ANSWER;
+}
+
+const llmStub = {
+  async invoke(messages) {
+    return { content: reply(messages) };
+  },
+  async *stream(messages) {
+    for (const word of reply(messages).split(/(?<= )/)) yield { content: word };
+  },
+};
+
+const records = (keys, rows) => ({
+  records: rows.map((row) => ({ keys, get: (key) => row[keys.indexOf(key)] })),
+});
+
+let neo4jUp = true;
+const driverStub = {
+  session: () => ({
+    async run(cypher) {
+      if (!neo4jUp) throw new Error("Neo4j unavailable");
+      if (cypher.startsWith("RETURN 1")) return records(["ok"], [[1]]);
+      if (cypher.includes("UNWIND labels(n)")) return records(["label", "count"], [["Movie", 2], ["Director", 1]]);
+      if (cypher.includes("()-[r]->()")) return records(["count"], [[{ toNumber: () => 3 }]]);
+      if (cypher.includes("(d:Director)-[:DIRECTED]->(m:Movie)")) {
+        return records(["m.title", "m.year"], [["Inception", 2010], ["Interstellar", 2014]]);
+      }
+      throw new Error(`Unexpected Cypher: ${cypher}`);
+    },
+    async close() {},
+  }),
+  async close() {},
+};
+
+const pineconeStub = {
+  async describeIndexStats() {
+    return { totalRecordCount: 42, dimension: 3072 };
+  },
+  async query() {
+    return { matches: [] };
+  },
+};
+
+// Bag of words → only (nearly) the same question hits the semantic cache
+async function embedStub(text) {
+  const vector = new Array(64).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[[...word].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) % 64, 0)] += 1;
+  }
+  return vector;
+}
+
+overrideConnections({ driver: driverStub, pineconeIndex: pineconeStub, llm: llmStub, embedText: embedStub });
+setAliasTable({ version: 1, builtAt: "test", entries: aliasesFor("Director", "Christopher Nolan") });
+
+// ── HTTP helpers ──
+function request(server, method, urlPath, body = null) {
+  const { port } = server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port, method, path: urlPath, headers: { "Content-Type": "application/json" } }, (res) => {
+      let text = "";
+      res.setEncoding("utf-8");
+      res.on("data", (chunk) => { text += chunk; });
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on("error", reject);
+    req.end(body === null ? undefined : typeof body === "string" ? body : JSON.stringify(body));
+  });
+}
+
+// "event: x\ndata: {...}\n\n" → [{ event, data }]
+function parseEvents(text) {
+  return text.split("\n\n")
+    .map((block) => block.match(/^event: (.+)\ndata: (.+)$/))
+    .filter(Boolean)
+    .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+async function runTest() {
+  const server = createApiServer({ maxConcurrent: 2 });
+  await listen(server);
+
+  try {
+    print("── GET /api/health ──");
+
+    const health = await request(server, "GET", "/api/health");
+    const healthBody = JSON.parse(health.text);
+    assert(health.status === 200 && healthBody.status === "ok", "Both backends reachable → 200 ok");
+    assert(healthBody.checks.vectorIndex.backend === "pinecone", "Reports the vector backend");
+
+    neo4jUp = false;
+    const degraded = await request(server, "GET", "/api/health");
+    assert(degraded.status === 503 && JSON.parse(degraded.text).checks.neo4j.ok === false, "Neo4j down → 503 degraded");
+    neo4jUp = true;
+
+    print("\n── POST /api/query ──");
+
+    const query = await request(server, "POST", "/api/query", { query: "Movies directed by Christopher Nolan" });
+    const result = JSON.parse(query.text);
+    assert(query.status === 200 && result.answer === ANSWER, "Returns the answer");
+    assert(result.type === "graph" && result.resolved.entities[0].nodeName === "Christopher Nolan", "Returns route and resolved entities");
+    assert(result.provenance.cypher.some((c) => c.params.p0 === "Christopher Nolan"), "Provenance holds the executed Cypher");
+    assert(result.provenance.citations.length > 0, "Citations point at the graph rows");
+    assert(query.headers["access-control-allow-origin"] === "*", "CORS header set");
+
+    const again = JSON.parse((await request(server, "POST", "/api/query", { query: "Movies directed by Christopher Nolan" })).text);
+    assert(again.cached?.kind === "exact", "Same question again → answer cache hit");
+
+    const missing = await request(server, "POST", "/api/query", { query: "  " });
+    assert(missing.status === 400 && /required/.test(JSON.parse(missing.text).error), "Empty query → 400");
+    const badStrategy = await request(server, "POST", "/api/query", { query: "Movies like Inception", strategy: "magic" });
+    assert(badStrategy.status === 400 && /strategy/.test(JSON.parse(badStrategy.text).error), "Unknown strategy → 400");
+    const badSession = await request(server, "POST", "/api/query", { query: "Hi", sessionId: "../x" });
+    assert(badSession.status === 400, "Path-like sessionId → 400");
+    const badJson = await request(server, "POST", "/api/query", "{not json");
+    assert(badJson.status === 400 && /valid JSON/.test(JSON.parse(badJson.text).error), "Broken JSON → 400");
+    const tooBig = await request(server, "POST", "/api/query", { query: "x".repeat(20 * 1024) });
+    assert(tooBig.status === 413, "Oversized body → 413");
+    const unknown = await request(server, "GET", "/api/nothing");
+    assert(unknown.status === 404, "Unknown route → 404");
+
+    print("\n── GET /api/query/stream ──");
+
+    const stream = await request(server, "GET", `/api/query/stream?query=${encodeURIComponent("Which films did Christopher Nolan direct?")}&sessionId=s1`);
+    const events = parseEvents(stream.text);
+    const names = events.map((e) => e.event);
+    assert(stream.status === 200 && stream.headers["content-type"].startsWith("text/event-stream"), "Served as text/event-stream");
+    assert(["cache", "entities", "classification", "plan", "validation", "cypher", "retrieval", "answer", "done"].every((n) => names.includes(n)),
+      "One event per pipeline stage");
+    assert(names.indexOf("classification") < names.indexOf("plan") && names.at(-1) === "done", "Stages arrive in pipeline order");
+    const tokens = events.filter((e) => e.event === "token").map((e) => e.data.text).join("");
+    assert(tokens.length > 0 && tokens.trim() === ANSWER, "Answer streamed as tokens");
+    assert(events.at(-1).data.sessionId === "s1" && fs.existsSync(path.join(tmpRoot, "sessions", "s1.json")), "Session saved for sessionId");
+
+    const badStream = await request(server, "GET", "/api/query/stream");
+    assert(badStream.status === 400, "Stream without query → 400");
+
+    print("\n── GET /api/stats ──");
+
+    const stats = JSON.parse((await request(server, "GET", "/api/stats")).text);
+    assert(stats.nodes.Movie === 2 && stats.nodes.Actor === 0, "Node counts per label (missing labels → 0)");
+    assert(stats.relationships === 3, "Relationship count as a number");
+    assert(stats.vectors.count === 42 && stats.vectors.dimension === 3072, "Vector index stats");
+    assert(stats.cache.exactHits === 1 && stats.cache.misses === 2, "Answer cache counters");
+  } finally {
+    await close(server);
+  }
+
+  print("\n── Concurrency limit ──");
+
+  const full = createApiServer({ maxConcurrent: 0 });
+  await listen(full);
+  try {
+    const busy = await request(full, "POST", "/api/query", { query: "Movies directed by Christopher Nolan" });
+    assert(busy.status === 429 && busy.headers["retry-after"] === "5", "No free slot → 429 + Retry-After");
+  } finally {
+    await close(full);
+  }
+
+  print(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,137 @@
+/**
+ * test-conversation-memory.js — Test Multi-Turn Memory (no Neo4j, no Gemini)
+ * Run: node tests/test-conversation-memory.js
+ *
+ * Stubs the LLM through overrideConnections() and checks recordTurn()
+ * (entity carry-over), rewriteQuery() (when the LLM is asked, what it
+ * sees, how its answer is parsed), saving / loading sessions in a
+ * throwaway directory and which remembered entity a repeated name reuses.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { overrideConnections } from "../2_config.js";
+import {
+  createSession, loadSession, sessionExists, saveSession, listSessions, recordTurn, rewriteQuery, needsRewrite,
+} from "../14_conversationMemory.js";
+import { findKnownEntities } from "../9_entityResolver.js";
+
+console.log("\n🧪 TEST: Conversation Memory (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+// sessions/ is relative to the working directory → run in a temp dir
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-memory-"));
+const originalCwd = process.cwd();
+process.chdir(tmpRoot);
+
+// Stub LLM: records every call, answers with the next scripted reply
+const llmCalls = [];
+let replies = [];
+overrideConnections({
+  llm: {
+    async invoke(messages) {
+      llmCalls.push(messages);
+      return { content: replies.shift() ?? "" };
+    },
+  },
+});
+
+const nolan = { searchTerm: "Nolan", label: "Director", nodeName: "Christopher Nolan" };
+const bale = { searchTerm: "Bale", label: "Actor", nodeName: "Christian Bale" };
+
+function turn(session, query, entities, answer = "Inception, Interstellar, Tenet") {
+  return recordTurn(session, {
+    query, standaloneQuery: query, type: "graph", resolved: { entities, unresolved: [] }, answer,
+  });
+}
+
+async function runTest() {
+  console.log("── recordTurn ──");
+
+  const session = createSession("test-session");
+  turn(session, "Movies directed by Christopher Nolan", [nolan]);
+  turn(session, "Movies with Christian Bale", [bale]);
+  turn(session, "Nolan movies with Bale", [nolan, bale]);
+
+  assert(session.turns.length === 3 && session.turns[2].turn === 3, "Turns are numbered in order");
+  assert(session.turns[0].entities[0].nodeName === "Christopher Nolan", "Turn keeps its resolved entities");
+  assert(session.entities.length === 2, "Entities are carried once per label + name");
+  assert(session.entities[0].nodeName === "Christian Bale" && session.entities[0].lastTurn === 3,
+    "Most recent mention first, with its turn");
+
+  for (let i = 0; i < 25; i++) turn(session, `Question ${i}`, []);
+  assert(session.turns.length === 20 && session.turns[19].query === "Question 24", "Only the last 20 turns are kept");
+
+  console.log("\n── rewriteQuery ──");
+
+  const fresh = createSession("fresh");
+  const first = await rewriteQuery("What else did he direct?", fresh);
+  assert(!first.rewritten && llmCalls.length === 0, "No history → no LLM call");
+
+  const history = createSession("history");
+  turn(history, "Movies directed by Christopher Nolan", [nolan]);
+  assert(!needsRewrite("Movies with Tom Hardy", history), "Standalone question needs no rewrite");
+  const standalone = await rewriteQuery("Movies with Tom Hardy", history);
+  assert(standalone.standaloneQuery === "Movies with Tom Hardy" && llmCalls.length === 0, "Standalone question → no LLM call");
+
+  replies = ['```json\n{"standalone": "What movies did Christopher Nolan direct besides Inception?"}\n```'];
+  const followUp = await rewriteQuery("What else did he direct?", history);
+  const prompt = llmCalls[0]?.[0].content || "";
+  assert(llmCalls.length === 1 && llmCalls[0][1].content === "What else did he direct?", "Follow-up → LLM sees the new question");
+  assert(prompt.includes('Director: "Christopher Nolan"') && prompt.includes("User: Movies directed by Christopher Nolan"),
+    "Prompt carries earlier entities and history");
+  assert(followUp.rewritten && followUp.standaloneQuery === "What movies did Christopher Nolan direct besides Inception?",
+    "Fenced JSON reply → standalone question");
+
+  replies = ["Sorry, I can't help with that."];
+  const broken = await rewriteQuery("Only the ones after 2010", history);
+  assert(!broken.rewritten && broken.standaloneQuery === "Only the ones after 2010", "Unparseable reply → original question");
+
+  console.log("\n── loadSession / saveSession ──");
+
+  const unsaved = loadSession("never-saved");
+  assert(unsaved.id === "never-saved" && unsaved.turns.length === 0, "Unknown id → fresh session with that id");
+  assert(!sessionExists("never-saved"), "…but it does not count as an existing session (/resume refuses it)");
+
+  saveSession(history);
+  const loaded = loadSession("history");
+  assert(fs.existsSync(path.join(tmpRoot, "sessions", "history.json")), "Saved to sessions/<id>.json");
+  assert(loaded.turns[0].query === "Movies directed by Christopher Nolan" && loaded.entities[0].nodeName === "Christopher Nolan",
+    "Turns and entities survive a reload");
+
+  assert(sessionExists("history"), "Saved session exists");
+
+  const listed = listSessions();
+  assert(listed.length === 1 && listed[0].id === "history" && listed[0].turns === 1, "listSessions shows the saved session");
+
+  const badId = (() => { try { loadSession("../etc/passwd"); } catch (e) { return e; } })();
+  assert(badId instanceof Error && /Invalid session id/.test(badId.message), "Path-like ids are rejected");
+
+  console.log("\n── findKnownEntities ──");
+
+  // Most recent first, as recordTurn keeps them
+  const known = [
+    { label: "Director", nodeName: "Clint Eastwood", searchTerm: "Eastwood", lastTurn: 3 },
+    { label: "Actor", nodeName: "Clint Eastwood", searchTerm: "Clint Eastwood", lastTurn: 2 },
+    { label: "Actor", nodeName: "Tom Hanks", searchTerm: "Hanks", lastTurn: 2 },
+    { label: "Director", nodeName: "Tom Hanks", searchTerm: "Tom Hanks", lastTurn: 2 },
+  ];
+  const eastwood = findKnownEntities("clint eastwood", known);
+  assert(eastwood.length === 1 && eastwood[0].label === "Director", "Ambiguous name → label from the most recent turn");
+  const hanks = findKnownEntities("Tom Hanks", known);
+  assert(hanks.map((e) => e.label).join() === "Actor,Director", "Several labels in that turn → all of them reused");
+  assert(findKnownEntities("Keanu Reeves", known).length === 0, "Unknown name → normal resolution");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,295 @@
+/**
+ * test-cypher-templates.js — Test the Safe Cypher Builder (no Neo4j)
+ * Run: node tests/test-cypher-templates.js
+ *
+ * The exact Cypher + params buildCypher() writes for multi-hop chains,
+ * variable-length hops, a second node of the same label (alias) and
+ * nested AND/OR/NOT filters. Untrusted plans: a plan-set "forward" flag
+ * is ignored, aliases named like Object.prototype keys work, null hops
+ * and impossible hops are rejected. Analytics: the Cypher for the three
+ * example questions (per decade, highest average cast, top 5 themes),
+ * plan-level rules in validatePlan(), and renderTable().
+ */
+
+import { buildCypher, validatePlan, validateStep, collectAliases } from "../8_cypherTemplates.js";
+import { renderTable } from "../11_graphHandler.js";
+
+console.log("\n🧪 TEST: Cypher Templates (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const errorOf = (fn) => { try { fn(); } catch (e) { return e; } return null; };
+const cypherOf = (steps) => buildCypher({ steps }).cypher;
+const lines = (...parts) => parts.join("\n");
+
+async function runTest() {
+  console.log("── Traversals ──");
+
+  const legacy = buildCypher({ steps: [
+    { type: "traversal", from: "Director", rel: "DIRECTED", to: "Movie" },
+    { type: "filter", field: "Director.name", op: "=", value: "James Cameron" },
+    { type: "projection", fields: ["Movie.title"] },
+  ] });
+  assert(legacy.cypher === lines("MATCH (d:Director)-[:DIRECTED]->(m:Movie)", "WHERE d.name = $p0", "RETURN m.title"),
+    "Legacy single hop keeps from → to");
+  assert(legacy.params.p0 === "James Cameron", "Filter value passed as a parameter");
+
+  const chain = cypherOf([
+    { type: "traversal", from: "Actor", hops: [
+      { rel: "ACTED_IN", to: "Movie" },
+      { rel: "DIRECTED", to: "Director" },
+      { rel: "DIRECTED", to: "Movie", as: "oscarMovie" },
+      { rel: "WON", to: "Award" },
+    ] },
+    { type: "filter", field: "Award.name", op: "CONTAINS", value: "Oscar" },
+    { type: "projection", fields: ["Actor.name"], distinct: true },
+  ]);
+  assert(chain === lines(
+    "MATCH (a:Actor)-[:ACTED_IN]->(m:Movie)",
+    "MATCH (m:Movie)<-[:DIRECTED]-(d:Director)",
+    "MATCH (d:Director)-[:DIRECTED]->(x_oscarMovie:Movie)",
+    "MATCH (x_oscarMovie:Movie)-[:WON]->(aw:Award)",
+    "WHERE aw.name CONTAINS $p0",
+    "RETURN DISTINCT a.name",
+  ), "Multi-hop chain: one MATCH per hop, arrows from the endpoints, alias for the second Movie");
+
+  const coStars = buildCypher({ steps: [
+    { type: "traversal", from: "Actor", hops: [{ rel: ["ACTED_IN"], to: "Actor", as: "coStar", minHops: 2, maxHops: 4 }] },
+    { type: "filter", field: "Actor.name", op: "=", value: "Tom Hanks" },
+    { type: "projection", fields: ["coStar.name"] },
+    { type: "limit", value: 10 },
+  ] });
+  assert(coStars.cypher === lines(
+    "MATCH (a:Actor)-[:ACTED_IN*2..4]-(x_coStar:Actor)",
+    "WHERE a.name = $p0",
+    "RETURN x_coStar.name",
+    "LIMIT 10",
+  ), "Variable-length hop: undirected, bounded, same label via alias");
+
+  const either = cypherOf([
+    { type: "traversal", from: "Actor", hops: [{ rel: ["ACTED_IN", "DIRECTED"], to: "Director", minHops: 2, maxHops: 3 }] },
+    { type: "projection", fields: ["Director.name"] },
+  ]);
+  assert(either === lines("MATCH (a:Actor)-[:ACTED_IN|DIRECTED*2..3]-(d:Director)", "RETURN d.name"),
+    "Several relationship types joined with |");
+
+  console.log("\n── Filters ──");
+
+  const nested = buildCypher({ steps: [
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "filter", or: [
+      { and: [{ field: "Movie.year", op: ">=", value: 1990 }, { field: "Movie.year", op: "<", value: 2000 }] },
+      { not: { field: "Genre.name", op: "=", value: "Drama" } },
+    ] },
+    { type: "projection", fields: ["Movie.title"] },
+  ] });
+  assert(nested.cypher === lines(
+    "MATCH (m:Movie)-[:BELONGS_TO]->(g:Genre)",
+    "WHERE ((m.year >= $p0 AND m.year < $p1) OR NOT (g.name = $p2))",
+    "RETURN m.title",
+  ), "Nested AND / OR / NOT keep their grouping");
+  assert(JSON.stringify(nested.params) === JSON.stringify({ p0: 1990, p1: 2000, p2: "Drama" }), "One parameter per leaf, in order");
+
+  const via = cypherOf([
+    { type: "filter", or: [
+      { field: "Genre.name", op: "=", value: "Thriller", via: { from: "Movie", rel: "BELONGS_TO" } },
+      { field: "Genre.name", op: "=", value: "Horror", via: { from: "Movie", rel: "BELONGS_TO" } },
+    ] },
+    { type: "projection", fields: ["Movie.title"] },
+  ]);
+  assert(via === lines(
+    "MATCH (m:Movie)",
+    "WHERE (EXISTS { MATCH (m)-[:BELONGS_TO]->(s0:Genre) WHERE s0.name = $p0 } OR EXISTS { MATCH (m)-[:BELONGS_TO]->(s1:Genre) WHERE s1.name = $p1 })",
+    "RETURN m.title",
+  ), "\"via\" leaves become EXISTS subqueries on a standalone MATCH");
+
+  const tooDeep = errorOf(() => cypherOf([
+    { type: "filter", not: { not: { not: { not: { not: { not: { field: "Movie.year", op: ">", value: 1 } } } } } } },
+    { type: "projection", fields: ["Movie.title"] },
+  ]));
+  assert(/nested too deep/.test(tooDeep?.message), "Filter nesting is bounded");
+
+  console.log("\n── Untrusted plans ──");
+
+  const forwardRange = cypherOf([
+    { type: "traversal", from: "Actor", hops: [{ rel: ["ACTED_IN", "DIRECTED"], to: "Director", forward: true, minHops: 2, maxHops: 3 }] },
+    { type: "projection", fields: ["Director.name"] },
+  ]);
+  assert(forwardRange === either, "Plan-set \"forward\" on a variable-length hop is ignored (range and | kept)");
+
+  const forwardBackwards = cypherOf([
+    { type: "traversal", from: "Movie", hops: [{ rel: "DIRECTED", to: "Director", forward: true }] },
+    { type: "projection", fields: ["Director.name"] },
+  ]);
+  assert(forwardBackwards === lines("MATCH (m:Movie)<-[:DIRECTED]-(d:Director)", "RETURN d.name"),
+    "Plan-set \"forward\" cannot flip an arrow");
+
+  const prototypeAlias = cypherOf([
+    { type: "traversal", from: "Movie", hops: [{ rel: "DIRECTED", to: "Director", as: "constructor" }] },
+    { type: "projection", fields: ["constructor.name"] },
+  ]);
+  assert(prototypeAlias === lines("MATCH (m:Movie)<-[:DIRECTED]-(x_constructor:Director)", "RETURN x_constructor.name"),
+    "Alias named \"constructor\" is an ordinary alias");
+  assert(collectAliases([{ type: "traversal", from: "Movie", hops: [{ rel: "DIRECTED", to: "Director", as: "toString" }] }]).get("toString") === "Director",
+    "\"toString\" alias collected");
+  assert(/Invalid label: constructor/.test(errorOf(() => cypherOf([{ type: "projection", fields: ["constructor.name"] }]))?.message),
+    "Undeclared \"constructor\" is not a label");
+
+  const conflict = errorOf(() => collectAliases([
+    { type: "traversal", from: "Movie", hops: [{ rel: "DIRECTED", to: "Director", as: "other" }] },
+    { type: "traversal", from: "Movie", hops: [{ rel: "WON", to: "Award", as: "other" }] },
+  ]));
+  assert(conflict?.message === "Alias other used for both Director and Award", "One alias for two labels rejected");
+
+  assert(errorOf(() => cypherOf([{ type: "traversal", from: "Movie", hops: [null] }]))?.message === "Each hop must be an object",
+    "null hop → validation error, not a TypeError");
+  assert(errorOf(() => cypherOf([{ type: "traversal", from: "Movie", hops: ["DIRECTED"] }]))?.message === "Each hop must be an object",
+    "String hop rejected");
+  assert(/needs an alias/.test(errorOf(() => cypherOf([
+    { type: "traversal", from: "Actor", hops: [{ rel: "ACTED_IN", to: "Actor", minHops: 2, maxHops: 4 }] },
+  ]))?.message), "Same label without an alias rejected (would only match cycles)");
+  assert(/Invalid hop range/.test(errorOf(() => cypherOf([
+    { type: "traversal", from: "Actor", hops: [{ rel: "ACTED_IN", to: "Actor", as: "b", minHops: 1, maxHops: 7 }] },
+  ]))?.message), "maxHops above the limit rejected");
+  assert(/does not connect Movie and Actor/.test(errorOf(() => cypherOf([
+    { type: "traversal", from: "Movie", hops: [{ rel: "DIRECTED", to: "Actor" }] },
+  ]))?.message), "Relationship that cannot join the labels rejected");
+  assert(/Multiple relationship types need minHops/.test(errorOf(() => cypherOf([
+    { type: "traversal", from: "Actor", hops: [{ rel: ["ACTED_IN", "DIRECTED"], to: "Movie" }] },
+  ]))?.message), "Several types on a fixed hop rejected");
+
+  console.log("\n── Analytics ──");
+
+  // "How many thrillers per decade?"
+  const perDecade = buildCypher({ steps: [
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "filter", field: "Genre.name", op: "=", value: "Thriller" },
+    { type: "aggregation", groupBy: [{ field: "Movie.year", bucket: "decade" }],
+      aggregates: [{ function: "count", field: "Movie", distinct: true, alias: "thrillers" }] },
+    { type: "sort", field: "decade", direction: "ASC" },
+  ] });
+  assert(perDecade.cypher === lines(
+    "MATCH (m:Movie)-[:BELONGS_TO]->(g:Genre)",
+    "WHERE g.name = $p0",
+    "RETURN toInteger(m.year / 10) * 10 AS decade, count(DISTINCT m) AS thrillers",
+    "ORDER BY decade ASC",
+  ), "Thrillers per decade: decade bucket as group key, sort on it");
+
+  // "Which director has the highest average cast size?" (at least 2 movies)
+  const avgCast = buildCypher({ steps: [
+    { type: "traversal", from: "Director", hops: [{ rel: "DIRECTED", to: "Movie" }, { rel: "ACTED_IN", to: "Actor" }] },
+    { type: "aggregation", groupBy: ["Director.name"],
+      aggregates: [
+        { function: "avg", alias: "avg_cast", of: { function: "count", field: "Actor", distinct: true, per: "Movie" } },
+        { function: "count", field: "Movie", distinct: true, alias: "movies" },
+      ],
+      having: { field: "movies", op: ">=", value: 2 } },
+    { type: "sort", field: "avg_cast", direction: "DESC" },
+    { type: "limit", value: 1 },
+  ] });
+  assert(avgCast.cypher === lines(
+    "MATCH (d:Director)-[:DIRECTED]->(m:Movie)",
+    "MATCH (m:Movie)<-[:ACTED_IN]-(a:Actor)",
+    "WITH d, m, count(DISTINCT a) AS inner0",
+    "WITH d.name AS director_name, avg(inner0) AS avg_cast, count(DISTINCT m) AS movies",
+    "WHERE movies >= $p0",
+    "RETURN director_name, avg_cast, movies",
+    "ORDER BY avg_cast DESC",
+    "LIMIT 1",
+  ), "Highest average cast: per-movie count, two aggregates, HAVING");
+  assert(avgCast.params.p0 === 2, "HAVING value passed as a parameter");
+
+  // "Top 5 themes since 2000"
+  const topThemes = cypherOf([
+    { type: "traversal", from: "Movie", hops: [{ rel: "EXPLORES", to: "Theme" }] },
+    { type: "filter", field: "Movie.year", op: ">=", value: 2000 },
+    { type: "aggregation", groupBy: ["Theme.name"], aggregates: [{ function: "count", field: "Movie", distinct: true, alias: "movies" }] },
+    { type: "sort", field: "movies", direction: "DESC" },
+    { type: "limit", value: 5 },
+  ]);
+  assert(topThemes === lines(
+    "MATCH (m:Movie)-[:EXPLORES]->(t:Theme)",
+    "WHERE m.year >= $p0",
+    "RETURN t.name AS theme_name, count(DISTINCT m) AS movies",
+    "ORDER BY movies DESC",
+    "LIMIT 5",
+  ), "Top 5 themes since 2000: group key column named from the field");
+
+  const legacyCount = cypherOf([
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "aggregation", function: "count", field: "Movie.title", alias: "n", groupBy: "Genre.name" },
+    { type: "sort", field: "Genre.name", direction: "ASC" },
+  ]);
+  assert(legacyCount.endsWith("RETURN g.name AS genre_name, count(m.title) AS n\nORDER BY genre_name ASC"),
+    "Legacy aggregation form; sort on a group field maps to its column");
+
+  assert(/sum needs a numeric property/.test(errorOf(() => validateStep(
+    { type: "aggregation", aggregates: [{ function: "sum", field: "Movie.title" }] }))?.message), "sum over a string rejected");
+  assert(/Invalid column name: order/.test(errorOf(() => validateStep(
+    { type: "aggregation", aggregates: [{ function: "count", alias: "order" }] }))?.message), "Cypher keyword as column rejected");
+  assert(/Having uses unknown column: total/.test(errorOf(() => validateStep(
+    { type: "aggregation", aggregates: [{ function: "count", alias: "n" }], having: { field: "total", op: ">", value: 1 } }))?.message),
+    "HAVING on an unknown column rejected");
+
+  console.log("\n── validatePlan ──");
+
+  // Every step is valid on its own, the plan is not
+  const rejected = (steps) => {
+    const aliases = collectAliases(steps);
+    steps.forEach((step) => validateStep(step, aliases));
+    return errorOf(() => validatePlan({ steps }))?.message;
+  };
+  assert(rejected([
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "aggregation", aggregates: [{ function: "count", alias: "n" }] },
+    { type: "aggregation", aggregates: [{ function: "count", alias: "k" }] },
+  ]) === "Only one aggregation step is allowed", "Two aggregation steps rejected");
+  assert(rejected([
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "aggregation", groupBy: ["Genre.name"], aggregates: [{ function: "count", alias: "n" }] },
+    { type: "sort", field: "Movie.year", direction: "DESC" },
+  ]) === "Sort field Movie.year is not a result column of the aggregation", "Sort on a field out of scope after aggregation rejected");
+  assert(rejected([
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "aggregation", aggregates: [{ function: "count", alias: "n" }] },
+    { type: "sort", field: "total", direction: "DESC" },
+  ]) === "Unknown sort column: total", "Sort on an unknown column rejected");
+  assert(rejected([
+    { type: "traversal", from: "Movie", hops: [{ rel: "BELONGS_TO", to: "Genre" }] },
+    { type: "aggregation", groupBy: ["Genre.name"], aggregates: [{ function: "count", field: "Actor", alias: "actors" }] },
+  ]) === "Actor is not connected to the rest of the plan — add a traversal hop to it", "Disconnected label rejected");
+  assert(/is not connected to the rest of the plan/.test(rejected([
+    { type: "filter", field: "Movie.year", op: ">", value: 2010 },
+    { type: "sort", field: "Actor.name", direction: "ASC" },
+  ])), "Sort on an unmatched label rejected");
+  assert(errorOf(() => validatePlan({ steps: [null] }))?.message === "Each step must be an object", "null step rejected");
+  assert(errorOf(() => validatePlan({}))?.message === "Plan needs a non-empty steps array", "Plan without steps rejected");
+
+  const scan = validatePlan({ steps: [{ type: "filter", field: "Movie.year", op: ">", value: 2010 }, { type: "projection", fields: ["Movie.title"] }] });
+  assert(JSON.stringify([...scan.unbound]) === JSON.stringify([["m", "Movie"]]), "One label without traversal → scanned on its own");
+
+  console.log("\n── renderTable ──");
+
+  const table = renderTable([{ decade: 1990, thrillers: 12, avg_cast: 3.456 }, { decade: 2000, thrillers: 7, avg_cast: null }]);
+  assert(table === lines(
+    "| decade | thrillers | avg_cast |",
+    "|-------:|----------:|---------:|",
+    "|   1990 |        12 |     3.46 |",
+    "|   2000 |         7 |        — |",
+  ), "Numbers right-aligned, averages with 2 decimals, null as —");
+  assert(renderTable([{ theme_name: "Time|Space", movies: 3 }]) === lines(
+    "| theme_name  | movies |",
+    "|-------------|-------:|",
+    "| Time\\|Space |      3 |",
+  ), "Text left-aligned, pipes escaped");
+  assert(renderTable([{ a: "x", b: 1 }, { a: "y", b: 2 }, { a: "z", b: 3 }], 2).endsWith("\n… and 1 more rows"), "Extra rows summarized");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,113 @@
+/**
+ * test-domain-schema.js — Test a Non-Movie Domain Schema (no APIs)
+ * Run: node tests/test-domain-schema.js
+ *
+ * schemas/books.json end to end: the parser splits data/books.txt into
+ * records, the extraction prompt describes books, graphStatements()
+ * writes Book / Author / Award nodes, and with DOMAIN_SCHEMA=books the
+ * alias table indexes the book labels instead of the movie ones.
+ */
+
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  loadDomainSchema, recordTitle, readField, buildExtractionPrompt, graphStatements, indexStatements,
+} from "../26_domainSchema.js";
+import { parsePDF } from "../3_pdfParser.js";
+
+console.log("\n🧪 TEST: Domain Schema (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const books = loadDomainSchema("books");
+
+// Runs a module snippet in a child process with the given env → parsed stdout
+function evalWith(code, env) {
+  const result = spawnSync(process.execPath, ["--input-type=module", "-e", code], {
+    cwd: path.join(here, ".."),
+    env: { PATH: process.env.PATH, DOTENV_CONFIG_PATH: "/nonexistent", ...env },
+    encoding: "utf-8",
+    timeout: 30000,
+  });
+  if (result.status !== 0) throw new Error(result.stderr || `exit ${result.status}`);
+  return JSON.parse(result.stdout.trim().split("\n").at(-1));
+}
+
+async function runTest() {
+  console.log("── Parser ──");
+
+  const log = console.log;
+  console.log = () => {};
+  const blocks = await parsePDF(path.join(here, "..", books.source), books);
+  console.log = log;
+  assert(blocks.length === 6, "data/books.txt → 6 book records");
+  assert(recordTitle(blocks[0], books) === "The Hobbit" && recordTitle(blocks[1], books) === "Dune", "Titles read from \"Book Title\"");
+  assert(readField(blocks[1], "Awards") === "Hugo Award (Best Novel), Nebula Award (Best Novel)", "Other fields readable by name");
+
+  console.log("\n── Extraction prompt ──");
+
+  const prompt = buildExtractionPrompt(books);
+  assert(prompt.includes("book catalog knowledge graph") && prompt.includes("extract books {START} through {END}"),
+    "Prompt speaks about books");
+  assert(prompt.includes('"book": {"title": "string", "year": number, "pages": number}')
+    && prompt.includes('"author": {"name": "string"}') && prompt.includes('"subjects": ["string"]'), "JSON shape from root + entities");
+  assert(prompt.includes('If series say "None", return series as empty array []')
+    && prompt.includes('Write each of awards like "Hugo Award (Best Novel)"'), "None and format rules");
+  assert(prompt.includes("subjects must be from: Fantasy, Science Fiction") && prompt.includes("- Pages must be a number"),
+    "Vocabulary and numeric rules");
+  assert(!/\b(movies?|directors?|actors?)\b/i.test(prompt), "No movie wording left");
+
+  console.log("\n── Graph statements ──");
+
+  const dune = {
+    book: { title: "Dune", year: 1965, pages: 412 },
+    author: { name: "Frank Herbert" },
+    publisher: "Chilton Books",
+    subjects: ["Science Fiction"],
+    series: [],
+    awards: ["Hugo Award (Best Novel)", "not an award format"],
+  };
+  const statements = graphStatements(dune, books);
+  assert(statements[0].cypher === "MERGE (b:Book {title: $key})\nSET b.year = $year, b.pages = $pages"
+    && statements[0].params.key === "Dune" && statements[0].params.pages === 412, "Root MERGE with its properties");
+  const cyphers = statements.map((s) => s.cypher);
+  assert(cyphers.includes("MERGE (au:Author {name: $name})\nMERGE (b:Book {title: $key})\nMERGE (au)-[:WROTE]->(b)"),
+    "Author → WROTE → Book (direction in)");
+  assert(cyphers.some((c) => c.endsWith("MERGE (b)-[:PUBLISHED_BY]->(p)")) && cyphers.some((c) => c.endsWith("MERGE (b)-[:ABOUT]->(s)")),
+    "Publisher as a plain string, subjects as a list");
+  const award = statements.find((s) => s.cypher.includes(":Award"));
+  assert(award.params.name === "Hugo Award" && award.params.category === "Best Novel"
+    && statements.filter((s) => s.cypher.includes(":Award")).length === 1, "Award split by format, unparseable one skipped");
+  assert(statements.length === 5 && !cyphers.some((c) => c.includes(":Series")), "Empty series → no Series node");
+  assert(indexStatements(books)[0] === "CREATE INDEX IF NOT EXISTS FOR (b:Book) ON (b.title)"
+    && indexStatements(books).at(-1) === "CREATE INDEX IF NOT EXISTS FOR (aw:Award) ON (aw.name, aw.category)", "Index per MERGE key");
+
+  console.log("\n── DOMAIN_SCHEMA=books ──");
+
+  const aliasTable = evalWith(
+    `const { NODE_TYPES, aliasesFor } = await import("./18_aliasTable.js");
+     console.log(JSON.stringify({ types: NODE_TYPES, hobbit: aliasesFor("Book", "The Hobbit").map((a) => a.alias) }));`,
+    { DOMAIN_SCHEMA: "books" }
+  );
+  assert(aliasTable.types.map((t) => `${t.label}.${t.property}`).join() === "Book.title,Author.name,Publisher.name,Subject.name,Series.name,Award.name",
+    "Alias table indexes the book labels");
+  assert(aliasTable.hobbit.join() === "the hobbit,hobbit", "Root titles get the article alias");
+
+  const movies = evalWith(
+    `const { NODE_TYPES } = await import("./18_aliasTable.js");
+     console.log(JSON.stringify(NODE_TYPES.map((t) => t.label)));`,
+    {}
+  );
+  assert(movies.join() === "Movie,Director,Actor,Genre,Theme,Award", "Default schema → movie labels");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,150 @@
+/**
+ * test-entity-validation.js — Test the Extraction Gate (no APIs)
+ * Run: node tests/test-entity-validation.js
+ *
+ * buildSourceIndex() over PDF-style blocks and validateEntity() on the
+ * records Gemini gets wrong: string years, titles that are not in the
+ * PDF, genre synonyms, "None" award lists, an actor the block never
+ * mentions — plus validateBatch() quarantine keys and the books schema.
+ */
+
+import {
+  buildSourceIndex, normalizeTerm, validateEntity, validateBatch,
+} from "../25_entityValidation.js";
+import { loadDomainSchema } from "../26_domainSchema.js";
+
+console.log("\n🧪 TEST: Entity Validation (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+// Blocks as parsePDF() returns them
+const BLOCKS = [
+  `Movie Title: Movie 0042
+Release Year: 2010
+Director: Christopher Nolan
+Cast: Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page
+Genre: Science Fiction, Thriller
+Awards: Oscar (Best Cinematography)`,
+  `Movie Title: Movie 0043
+Release Year: 1999
+Director: Lana Wachowski
+Cast: Keanu Reeves
+Awards: None`,
+  `Movie Title: movie 0042
+Release Year: 2011
+Director: Someone Else`,
+];
+
+// A correct extraction of BLOCKS[0]; tests override one field at a time
+const good = (overrides = {}) => ({
+  movie: { title: "Movie 0042", year: 2010 },
+  director: { name: "Christopher Nolan" },
+  actors: ["Leonardo DiCaprio", "Elliot Page"],
+  genres: ["Sci-Fi", "Thriller"],
+  themes: ["dreams"],
+  awards: ["Oscar (Best Cinematography)"],
+  ...overrides,
+});
+
+async function runTest() {
+  console.log("── buildSourceIndex ──");
+
+  const index = buildSourceIndex(BLOCKS);
+  assert(index.size === 2 && index.get("movie 0042").position === 1 && index.get("movie 0043").position === 2,
+    "One entry per title (case-insensitive), first block wins");
+  assert(index.get("movie 0042").fields.year === "2010" && index.get("movie 0042").fields.director === "Christopher Nolan",
+    "Schema source fields read from the block");
+  assert(index.get("movie 0042").fields.title === "Movie 0042" && !("actors" in index.get("movie 0042").fields),
+    "Fields without a sourceField are not read");
+  assert(index.get("movie 0043").text.includes(" keanu reeves "), "Block text kept normalized for in-source checks");
+  assert(buildSourceIndex(["no title here", ""]).size === 0, "Blocks without a title skipped");
+
+  console.log("\n── validateEntity: schema ──");
+
+  const ok = validateEntity(good(), index);
+  assert(ok.valid && ok.reasons.length === 0 && ok.entity.movie.year === 2010, "Correct record → valid");
+  assert(ok.entity.director.name === "Christopher Nolan" && ok.entity.awards[0] === "Oscar (Best Cinematography)",
+    "Normalized entity returned");
+
+  const stringYear = validateEntity(good({ movie: { title: "Movie 0042", year: "2010" } }), index);
+  assert(!stringYear.valid && stringYear.entity === null && stringYear.reasons.includes('movie.year must be an integer (got "2010")'),
+    "String year rejected");
+  assert(validateEntity(good({ movie: { title: "Movie 0042", year: "20l0" } })).reasons[0] === 'movie.year must be an integer (got "20l0")',
+    "OCR-garbled year rejected without a source index too");
+  assert(/movie\.year 1850 is outside 1888–\d{4}/.test(validateEntity(good({ movie: { title: "Movie 0042", year: 1850 } })).reasons[0]),
+    "Year before the first movie rejected");
+
+  const flatDirector = validateEntity(good({ director: "Christopher Nolan" }), index);
+  assert(flatDirector.reasons.join() === "director.name is missing", "Director as a plain string → wrong shape");
+  assert(validateEntity(good({ rating: 9 }), index).reasons.join() === "unexpected fields: rating", "Unknown fields rejected");
+  assert(validateEntity(["not", "an", "object"]).reasons.join() === "record is not an object", "Non-object record rejected");
+
+  console.log("\n── validateEntity: genres / None lists / awards ──");
+
+  const synonyms = validateEntity(good({ genres: ["science fiction", "SCI-FI", "psych thriller"] }), index);
+  assert(synonyms.valid && synonyms.entity.genres.join() === "Sci-Fi,Psychological Thriller", "Genre synonyms → vocabulary terms, deduped");
+  assert(normalizeTerm("genres", "Romantic") === "Romance" && normalizeTerm("genres", "Space Opera") === null, "normalizeTerm lookups");
+  assert(validateEntity(good({ genres: ["Space Opera"] }), index).reasons.join() === 'unknown genres "Space Opera"', "Unknown genre rejected");
+  assert(validateEntity(good({ genres: [] }), index).reasons.join() === "genres needs at least 1", "Empty genres rejected");
+
+  const none = validateEntity(good({ awards: ["None"] }), index);
+  assert(none.valid && none.entity.awards.length === 0, "[\"None\"] awards → empty list");
+  const noneString = validateEntity(good({ awards: "none" }), index);
+  assert(noneString.valid && noneString.entity.awards.length === 0, "\"None\" instead of a list → empty list");
+  assert(validateEntity(good({ themes: "None" }), index).reasons.join() === "themes must be an array", "Only lists with a \"none\" rule accept it");
+  assert(validateEntity(good({ awards: ["Best Picture"] }), index).reasons.join() === 'awards "Best Picture" is not like "Oscar (Best Picture)"',
+    "Award without a category rejected");
+
+  console.log("\n── validateEntity: source cross-check ──");
+
+  const missing = validateEntity(good({ movie: { title: "Movie 1042", year: 2010 } }), index);
+  assert(!missing.valid && missing.reasons.join() === '"Movie 1042" is not a movie in the PDF', "Title missing from the PDF rejected");
+  assert(validateEntity(good({ movie: { title: "Movie 1042", year: 2010 } })).valid, "No source index → source check skipped");
+
+  const wrongYear = validateEntity(good({ movie: { title: "movie 0042", year: 2011 } }), index);
+  assert(wrongYear.reasons.join() === "year 2011 does not match the PDF (2010)", "Year checked against the first block with the title");
+  assert(validateEntity(good({ director: { name: "Chris Nolan" } }), index).reasons.join()
+    === 'director "Chris Nolan" does not match the PDF ("Christopher Nolan")', "Director checked against the block");
+
+  const invented = validateEntity(good({ actors: ["Leonardo DiCaprio", "Tom Cruise"] }), index);
+  assert(invented.reasons.join() === "actors not in the PDF block: Tom Cruise", "Actor not in the block rejected");
+  assert(validateEntity(good({ actors: ["Keanu Reeves"] }), index).reasons.join() === "actors not in the PDF block: Keanu Reeves",
+    "Actor from another movie's block rejected");
+
+  console.log("\n── validateBatch ──");
+
+  const batch = validateBatch([good(), good({ movie: { title: "Movie 0043", year: "1999" } }), good({ movie: { title: "Movie 9999", year: 2010 } })], index);
+  assert(batch.valid.length === 1 && batch.quarantined.length === 2, "Valid records pass, the rest are quarantined");
+  assert(batch.quarantined[0].key === "movie 0043" && batch.quarantined[0].position === 2, "PDF movie → keyed by title with its position");
+  assert(batch.quarantined[1].key === "unmatched:Movie 9999" && batch.quarantined[1].position === null, "Unknown title → unmatched key");
+
+  console.log("\n── Books schema ──");
+
+  const books = loadDomainSchema("books");
+  const bookIndex = buildSourceIndex([
+    "Book Title: Dune\nPublished: 1965\nPages: 412\nAuthor: Frank Herbert\nPublisher: Chilton Books\nSeries: Dune Chronicles",
+  ], books);
+  assert(bookIndex.get("dune")?.fields.author === "Frank Herbert", "Source index uses the schema's title field");
+  const dune = {
+    book: { title: "Dune", year: 1965, pages: 412 },
+    author: { name: "Frank Herbert" },
+    publisher: { name: "Chilton Books" },
+    subjects: ["sci-fi"],
+    series: ["Dune Chronicles", "Foundation"],
+    awards: "None",
+  };
+  const bookResult = validateEntity(dune, bookIndex, books);
+  assert(bookResult.reasons.join() === "series not in the PDF block: Foundation", "Book rules come from books.json");
+  const bookOk = validateEntity({ ...dune, series: ["Dune Chronicles"] }, bookIndex, books);
+  assert(bookOk.valid && bookOk.entity.subjects.join() === "Science Fiction" && bookOk.entity.awards.length === 0,
+    "Book vocabulary and \"None\" rule applied");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,149 @@
+/**
+ * test-graph-hygiene.js — Test Duplicate Detection + the Merge Plan (no Neo4j)
+ * Run: node tests/test-graph-hygiene.js
+ *
+ * compareNodes() on the examples from 24_graphHygiene.js (Chris vs
+ * Christopher Nolan, Sci-Fi vs Science Fiction, "Oscar" vs "Oscar."),
+ * findDuplicates() grouping and the kept node, and the merge plan
+ * scanGraph() writes — against a stubbed driver.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { overrideConnections } from "../2_config.js";
+import {
+  prepareNode, compareNodes, findDuplicates, scanGraph, saveMergePlan, loadMergePlan, HYGIENE_CONFIG,
+} from "../24_graphHygiene.js";
+
+console.log("\n🧪 TEST: Graph Hygiene (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const errorOf = (fn) => { try { fn(); } catch (e) { return e; } return null; };
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-hygiene-"));
+
+// Node as fetchNodes() returns it
+const node = (label, name, { degree = 1, aliases = [], key = { name } } = {}) => ({ label, key, name, aliases, degree });
+const award = (name, category, degree = 1) => node("Award", `${name} (${category})`, { degree, key: { name, category } });
+const compare = (a, b, options) => compareNodes(prepareNode(a), prepareNode(b), options);
+
+// Stub driver: one list of rows per label
+const GRAPH = {
+  Movie: [{ title: "The Matrix", degree: 8 }, { title: "Matrix", degree: 1 }, { title: "Movie 0001", degree: 3 }, { title: "Movie 0002", degree: 3 }],
+  Director: [{ name: "Christopher Nolan", degree: 4 }, { name: "Chris Nolan", degree: 2 }],
+  Actor: [{ name: "Keanu Reeves", degree: 3 }],
+  Genre: [{ name: "Science Fiction", degree: 6, aliases: ["SF"] }, { name: "Sci-Fi", degree: 9 }],
+  Theme: [],
+  Award: [{ name: "Oscar", category: "Best Picture", degree: 2 }, { name: "Oscar.", category: "Best Picture", degree: 1 },
+    { name: "Oscar", category: "Best Director", degree: 1 }],
+};
+const ran = [];
+overrideConnections({
+  driver: {
+    session: () => ({
+      async run(cypher) {
+        ran.push(cypher);
+        const label = cypher.match(/MATCH \(n:(\w+)\)/)?.[1];
+        if (!GRAPH[label]) throw new Error(`Unexpected Cypher: ${cypher}`);
+        return {
+          records: GRAPH[label].map((row) => ({
+            get: (key) => (key === "aliases" ? row.aliases || [] : key === "degree" ? { toNumber: () => row.degree } : row[key]),
+          })),
+        };
+      },
+      async close() {},
+    }),
+    async close() {},
+  },
+});
+
+async function runTest() {
+  console.log("── compareNodes ──");
+
+  const nolan = compare(node("Director", "Chris Nolan"), node("Director", "Christopher Nolan"));
+  assert(nolan?.score === 0.98 && nolan.reason === 'shared alias "chris nolan" (nickname)', "Chris ↔ Christopher Nolan via the nickname alias");
+  const scifi = compare(node("Genre", "Sci-Fi"), node("Genre", "Science Fiction"));
+  assert(scifi?.score === 0.98 && scifi.reason.includes("(variant)"), "Sci-Fi ↔ Science Fiction via the genre variant");
+  const oscar = compare(award("Oscar", "Best Picture"), award("Oscar.", "Best Picture"));
+  assert(oscar?.score === 1 && oscar.reason === "same normalized name", "\"Oscar\" ↔ \"Oscar.\" → same normalized name");
+  assert(compare(node("Genre", "SCI FI"), node("Genre", "sci-fi"))?.score === 1, "Case and punctuation ignored");
+
+  const typo = compare(node("Director", "Christpher Nolan"), node("Director", "Christopher Nolan"));
+  assert(typo?.reason === "fuzzy 0.941", "Typo → fuzzy match with its score");
+  assert(compare(node("Director", "Christpher Nolan"), node("Director", "Christopher Nolan"), { minScore: 0.95 }) === null,
+    "Fuzzy score below minScore → no pair");
+
+  assert(compare(node("Director", "C. Nolan"), node("Director", "Christopher Nolan")) === null, "Initials alone never match");
+  assert(compare(node("Director", "C. Nolan"), node("Director", "C. Nolen")) === null, "No fuzzy match on names with initials");
+  assert(compare(node("Movie", "Movie 0001", { key: { title: "Movie 0001" } }), node("Movie", "Movie 0002", { key: { title: "Movie 0002" } })) === null,
+    "Different numbers → never the same");
+  assert(compare(node("Genre", "Thriller"), node("Genre", "Psychological Thriller")) === null, "Token subset is not a duplicate");
+  assert(compare(node("Genre", "Noir", { aliases: ["Film Noir"] }), node("Genre", "Film Noir"))?.reason === 'shared alias "film noir" (merged)',
+    "Names kept by an earlier merge count as aliases");
+
+  console.log("\n── findDuplicates ──");
+
+  const groups = findDuplicates([
+    node("Director", "Chris Nolan", { degree: 2 }),
+    node("Director", "Christopher Nolan", { degree: 2 }),
+    node("Director", "Christpher Nolan", { degree: 5 }),
+    node("Director", "Charles Nolan", { degree: 1 }),
+  ]);
+  assert(groups.length === 1 && groups[0].duplicates.length === 2, "Pairs chained into one group, Charles left out");
+  assert(groups[0].keep.name === "Christpher Nolan", "Most relationships wins, even a typo (review fixes keep)");
+  assert(groups[0].score === 0.941 && groups[0].evidence.length === 2, "Group score = weakest pair, every pair as evidence");
+
+  const tie = findDuplicates([node("Director", "Chris Nolan", { degree: 2 }), node("Director", "Christopher Nolan", { degree: 2 })]);
+  assert(tie[0].keep.name === "Christopher Nolan", "Same degree → the fuller name");
+  const punct = findDuplicates([award("Oscar.", "Best Picture"), award("Oscar", "Best Picture")]);
+  assert(punct[0].keep.key.name === "Oscar" && punct[0].duplicates[0].key.name === "Oscar.", "Same name → the one without punctuation");
+  assert(findDuplicates([award("Oscar", "Best Picture"), award("Oscar", "Best Director")]).length === 0,
+    "Same award, other category → not a duplicate");
+  assert(findDuplicates([]).length === 0, "No nodes → no groups");
+
+  console.log("\n── scanGraph / merge plan ──");
+
+  const log = console.log;
+  console.log = () => {};
+  const plan = await scanGraph();
+  console.log = log;
+
+  assert(plan.version === 1 && !Number.isNaN(Date.parse(plan.createdAt)) && plan.minScore === HYGIENE_CONFIG.minScore,
+    "Plan header: version, createdAt, minScore");
+  assert(plan.groups.map((g) => g.id).join() === "Movie-1,Director-1,Genre-1,Award-1", "One id per group, numbered per label");
+  assert(plan.groups.every((g) => g.approved === false), "Every group starts unapproved");
+
+  const movie = plan.groups.find((g) => g.label === "Movie");
+  assert(JSON.stringify(movie.keep) === JSON.stringify({ title: "The Matrix" }) && movie.duplicates[0].title === "Matrix"
+    && movie.duplicates[0].degree === 1 && movie.keepDegree === 8, "Movie: \"Matrix\" (article alias) into \"The Matrix\", keyed by title");
+  const director = plan.groups.find((g) => g.label === "Director");
+  assert(director.keep.name === "Christopher Nolan" && director.duplicates.map((d) => d.name).join() === "Chris Nolan"
+    && director.evidence[0].reason.includes("nickname"), "Director: Chris Nolan merges into Christopher Nolan");
+  const genre = plan.groups.find((g) => g.label === "Genre");
+  assert(genre.keep.name === "Sci-Fi" && genre.duplicates[0].name === "Science Fiction", "Genre: better-connected Sci-Fi kept");
+  const oscarGroup = plan.groups.find((g) => g.label === "Award");
+  assert(JSON.stringify(oscarGroup.keep) === JSON.stringify({ name: "Oscar", category: "Best Picture" })
+    && JSON.stringify(oscarGroup.duplicates) === JSON.stringify([{ name: "Oscar.", category: "Best Picture", degree: 1 }]),
+    "Award: key is (name, category)");
+  assert(ran.some((c) => c.includes("n.name AS name, n.category AS category")), "Award rows fetched with both key properties");
+
+  const planPath = path.join(tmpRoot, "merge-plan.json");
+  saveMergePlan(plan, planPath);
+  assert(JSON.stringify(loadMergePlan(planPath)) === JSON.stringify(plan), "Plan survives save / load");
+  fs.writeFileSync(planPath, JSON.stringify({ ...plan, version: 2 }));
+  assert(/version 2 is not supported/.test(errorOf(() => loadMergePlan(planPath))?.message), "Unknown plan version rejected");
+  assert(/run: npm run hygiene/.test(errorOf(() => loadMergePlan(path.join(tmpRoot, "missing.json")))?.message),
+    "Missing plan → tells you to scan first");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,140 @@
+/**
+ * test-graph-recommender.js — Test the Graph Recommender Config + Cypher (no Neo4j)
+ * Run: node tests/test-graph-recommender.js
+ *
+ * validateStrategy() / validateConfig() (strategy, scoring method,
+ * weights, limits), buildRecommendationCypher() for both scoring
+ * methods, the parameters recommendByNeighbours() sends to a stubbed
+ * driver, and that a bad SIMILARITY_STRATEGY / GRAPH_REC_METHOD stops
+ * the module from loading.
+ */
+
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { overrideConnections } from "../2_config.js";
+import {
+  RECOMMENDER_CONFIG, validateStrategy, validateConfig, buildRecommendationCypher, recommendByNeighbours,
+} from "../29_graphRecommender.js";
+
+console.log("\n🧪 TEST: Graph Recommender (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const errorOf = (fn) => { try { fn(); } catch (e) { return e; } return null; };
+const config = (overrides = {}) => ({ ...RECOMMENDER_CONFIG, ...overrides, weights: { ...RECOMMENDER_CONFIG.weights, ...overrides.weights } });
+
+// Stub driver: records the query, answers with one candidate
+const runs = [];
+overrideConnections({
+  driver: {
+    session: () => ({
+      async run(cypher, params) {
+        runs.push({ cypher, params });
+        const row = {
+          title: "Interstellar",
+          year: { toNumber: () => 2014 },
+          score: 3.14159,
+          overlaps: [
+            { relationship: "DIRECTED", shared: 1, names: ["Christopher Nolan"] },
+            { relationship: "EXPLORES", shared: 2, names: ["Time", "Dreams"] },
+          ],
+        };
+        return { records: [{ get: (key) => row[key] }] };
+      },
+      async close() {},
+    }),
+  },
+});
+
+// Imports the module in a child process with the given env
+function loadWith(env) {
+  const moduleUrl = new URL("../29_graphRecommender.js", import.meta.url).href;
+  return spawnSync(process.execPath, ["--input-type=module", "-e", `await import(${JSON.stringify(moduleUrl)});`], {
+    cwd: path.dirname(fileURLToPath(import.meta.url)),
+    env: { PATH: process.env.PATH, DOTENV_CONFIG_PATH: "/nonexistent", ...env },
+    encoding: "utf-8",
+    timeout: 30000,
+  });
+}
+
+async function runTest() {
+  console.log("── validateStrategy ──");
+
+  assert(validateStrategy("graph") === "graph" && validateStrategy("vector") === "vector", "Known strategies pass through");
+  const typo = errorOf(() => validateStrategy("grpah", "--strategy"));
+  assert(typo && typo.message === 'Unknown --strategy "grpah" (use: vector, graph)', "Typo → error naming the source and the choices");
+
+  console.log("\n── validateConfig ──");
+
+  assert(validateConfig(config()) && validateConfig(config({ method: "jaccard" })), "Default config and jaccard are valid");
+  assert(/Unknown GRAPH_REC_METHOD "cosine"/.test(errorOf(() => validateConfig(config({ method: "cosine" })))?.message),
+    "Unknown scoring method rejected");
+  assert(/Invalid weight for Actor: -1/.test(errorOf(() => validateConfig(config({ weights: { Actor: -1 } })))?.message),
+    "Negative weight rejected");
+  assert(/Invalid weight for Theme: NaN/.test(errorOf(() => validateConfig(config({ weights: { Theme: Number("high") } })))?.message),
+    "Non-numeric weight (e.g. GRAPH_REC_WEIGHT_THEME=high) rejected");
+  assert(/Unknown neighbour label for a weight: Studio/.test(errorOf(() => validateConfig(config({ weights: { Studio: 1 } })))?.message),
+    "Weight for an unknown label rejected");
+  assert(validateConfig(config({ weights: { Genre: 0 } })).weights.Genre === 0, "Zero weight allowed (turns a relationship off)");
+  assert(/Invalid limit: 0/.test(errorOf(() => validateConfig(config({ limit: 0 })))?.message), "limit < 1 rejected");
+  assert(/Invalid sharedNames: 2.5/.test(errorOf(() => validateConfig(config({ sharedNames: 2.5 })))?.message),
+    "Non-integer sharedNames rejected");
+  assert(/Invalid limit: 10; MATCH/.test(errorOf(() => validateConfig(config({ limit: "10; MATCH (n) DETACH DELETE n" })))?.message),
+    "String limit (would be inlined into Cypher) rejected");
+
+  console.log("\n── buildRecommendationCypher ──");
+
+  const adamic = buildRecommendationCypher({ method: "adamic-adar", limit: 15, sharedNames: 5 });
+  const jaccard = buildRecommendationCypher({ method: "jaccard", limit: 7, sharedNames: 3 });
+  assert(adamic.includes("sum($weights[rel] * adamicAdar) AS score"), "adamic-adar → score from Σ 1/log(degree)");
+  assert(jaccard.includes("sum($weights[rel] * jaccard) AS score"), "jaccard → score from the overlap ratio");
+  assert(adamic.includes("LIMIT 15") && adamic.includes("[0..5]"), "limit and sharedNames inlined");
+  assert(jaccard.includes("LIMIT 7") && jaccard.includes("[0..3]"), "Other limits inlined as given");
+  assert(adamic.includes("{title: $title}") && adamic.includes("NOT toLower(m.title) IN $exclude") && adamic.includes("keys($weights)"),
+    "Title, exclusions and weights stay parameters");
+  assert(adamic.includes("type(r2) = type(r1)") && adamic.includes("m <> src"), "Same relationship type on both sides, source excluded");
+
+  console.log("\n── recommendByNeighbours ──");
+
+  const cypherLog = [];
+  const results = await recommendByNeighbours("Inception", {
+    method: "jaccard",
+    weights: { Genre: 0, Actor: 4 },
+    exclude: ["The Prestige", "TENET"],
+  }, cypherLog);
+  const { cypher, params } = runs[0];
+  assert(cypher.includes("* jaccard) AS score"), "Options override the configured method");
+  assert(JSON.stringify(params.weights) === JSON.stringify({ DIRECTED: 3, ACTED_IN: 4, EXPLORES: 1.5 }),
+    "Weights keyed by relationship, zero weights dropped, overrides merged");
+  assert(params.title === "Inception" && params.exclude.join("|") === "the prestige|tenet", "Exclusions lower-cased");
+  assert(cypherLog.length === 1 && !cypherLog[0].cypher.includes("\n"), "Executed query logged for provenance");
+  assert(results[0].year === 2014 && results[0].score === 3.142, "Neo4j integers converted, score rounded");
+  assert(results[0].shared.Director[0] === "Christopher Nolan" && results[0].shared.Theme.length === 2,
+    "Shared names grouped by neighbour label");
+
+  const rejected = await recommendByNeighbours("Inception", { method: "cosine" }).then(() => null, (e) => e);
+  assert(rejected instanceof Error && runs.length === 1, "Invalid options → no query sent");
+
+  console.log("\n── Validation at load time ──");
+
+  const ok = loadWith({ SIMILARITY_STRATEGY: "graph" });
+  assert(ok.status === 0, "Valid SIMILARITY_STRATEGY loads");
+  const badStrategy = loadWith({ SIMILARITY_STRATEGY: "grpah" });
+  assert(badStrategy.status !== 0 && badStrategy.stderr.includes('Unknown SIMILARITY_STRATEGY "grpah" (use: vector, graph)'),
+    "Bad SIMILARITY_STRATEGY → import fails with a clear message");
+  const badMethod = loadWith({ GRAPH_REC_METHOD: "cosine" });
+  assert(badMethod.status !== 0 && badMethod.stderr.includes('Unknown GRAPH_REC_METHOD "cosine"'),
+    "Bad GRAPH_REC_METHOD → import fails");
+  const badWeight = loadWith({ GRAPH_REC_WEIGHT_ACTOR: "-2" });
+  assert(badWeight.status !== 0 && badWeight.stderr.includes("Invalid weight for Actor: -2"), "Bad GRAPH_REC_WEIGHT_* → import fails");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,121 @@
+/**
+ * test-hybrid-retrieval.js — Test Rank Fusion + Classifier Confidence (no APIs)
+ * Run: node tests/test-hybrid-retrieval.js
+ *
+ * reciprocalRankFusion() (ranks, weights, case-insensitive merge),
+ * titlesFromGraphRecords() for every record shape, applyConfidence()
+ * (borderline → hybrid, missing confidence keeps the type), and that
+ * bad HYBRID_* values stop the modules from loading.
+ */
+
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  reciprocalRankFusion, titlesFromGraphRecords, validateHybridConfig, HYBRID_CONFIG,
+} from "../16_hybridRetrieval.js";
+import { applyConfidence, validateThreshold, HYBRID_CONFIDENCE_THRESHOLD } from "../10_queryClassifier.js";
+
+console.log("\n🧪 TEST: Hybrid Retrieval (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const errorOf = (fn) => { try { fn(); } catch (e) { return e; } return null; };
+const close = (a, b) => Math.abs(a - b) < 1e-12;
+
+// Imports a module in a child process with the given env
+function loadWith(file, env) {
+  const moduleUrl = new URL(`../${file}`, import.meta.url).href;
+  return spawnSync(process.execPath, ["--input-type=module", "-e", `await import(${JSON.stringify(moduleUrl)});`], {
+    cwd: path.dirname(fileURLToPath(import.meta.url)),
+    env: { PATH: process.env.PATH, DOTENV_CONFIG_PATH: "/nonexistent", ...env },
+    encoding: "utf-8",
+    timeout: 30000,
+  });
+}
+
+async function runTest() {
+  console.log("── reciprocalRankFusion ──");
+
+  const fused = reciprocalRankFusion({ graph: ["Inception", "The Matrix"], vector: ["the matrix", "Arrival"] }, { k: 60 });
+  assert(fused.map((f) => f.title).join("|") === "The Matrix|Inception|Arrival", "Found by both sources → ranked first");
+  assert(close(fused[0].score, 1 / 62 + 1 / 61), "Score = Σ weight / (k + rank)");
+  assert(fused[0].ranks.graph === 2 && fused[0].ranks.vector === 1, "Ranks per source kept");
+  assert(fused.length === 3, "Titles merged case-insensitively, first spelling kept");
+
+  const weighted = reciprocalRankFusion({ graph: ["A"], vector: ["B"] }, { k: 60, weights: { graph: 1, vector: 2 } });
+  assert(weighted[0].title === "B" && close(weighted[0].score, 2 / 61), "Weights scale each source");
+  const muted = reciprocalRankFusion({ graph: ["A", "B"], vector: ["C"] }, { k: 0, weights: { vector: 0 } });
+  assert(muted.map((f) => f.title).join("|") === "A|B|C" && muted[2].score === 0, "Weight 0 mutes a source, k = 0 allowed");
+  assert(reciprocalRankFusion({ graph: [], vector: [] }).length === 0, "Nothing to fuse → empty");
+  assert(reciprocalRankFusion({ graph: ["A"] })[0].score === 1 / (HYBRID_CONFIG.rrfK + 1), "k defaults to the configured value");
+
+  console.log("\n── titlesFromGraphRecords ──");
+
+  const titles = titlesFromGraphRecords([
+    { "m.title": "The Matrix", "m.year": 1999 },
+    { "x_oscarMovie.title": "Titanic" },
+    { movies: [{ title: "Inception", year: 2010 }, { title: "the matrix" }] },
+    { pathNodes: [{ labels: ["Actor"], name: "Keanu Reeves" }, { labels: ["Movie"], name: "Speed" }] },
+    { error: "Query failed", "m.title": "Ignored" },
+    { subtitle: "Not a title", "d.name": "Christopher Nolan" },
+    null,
+  ]);
+  assert(titles.join("|") === "The Matrix|Titanic|Inception|Speed",
+    "Projection, alias, describe and path shapes → titles in order, deduped, errors skipped");
+  assert(titlesFromGraphRecords([{ "a.name": "Keanu Reeves" }]).length === 0, "Records without movies → no titles");
+
+  console.log("\n── applyConfidence ──");
+
+  const sure = applyConfidence({ type: "graph", confidence: 0.9, reasoning: "Director filter" }, 0.6);
+  assert(sure.type === "graph" && sure.predictedType === "graph" && sure.reasoning === "Director filter", "Confident → type kept");
+
+  const unsure = applyConfidence({ type: "similarity", confidence: 0.4, reasoning: "Could be either" }, 0.6);
+  assert(unsure.type === "hybrid" && unsure.predictedType === "similarity", "Below the threshold → hybrid");
+  assert(unsure.reasoning === "Could be either (confidence 0.4 < 0.6 → hybrid)", "Reason says why");
+
+  assert(applyConfidence({ type: "graph" }, 0.6).type === "graph" && applyConfidence({ type: "graph" }, 0.6).confidence === 1,
+    "Missing confidence keeps the type");
+  assert(applyConfidence({ type: "graph", confidence: null }).type === "graph"
+    && applyConfidence({ type: "graph", confidence: "high" }).type === "graph", "null / non-numeric confidence keeps the type");
+  assert(applyConfidence({ type: "graph", confidence: "0.3" }, 0.6).type === "hybrid", "Numeric string parsed");
+  assert(applyConfidence({ type: "graph", confidence: 7 }).confidence === 1 && applyConfidence({ type: "graph", confidence: -1 }).confidence === 0,
+    "Confidence clamped to 0..1");
+  assert(applyConfidence({ type: "hybrid", confidence: 0.1 }).reasoning === "", "Hybrid stays hybrid without a note");
+  assert(applyConfidence({ type: "sql", confidence: 0.9 }).type === "graph", "Unknown type → graph");
+
+  console.log("\n── Config validation ──");
+
+  assert(HYBRID_CONFIDENCE_THRESHOLD === 0.6 && validateThreshold(0) === 0 && validateThreshold(1) === 1, "Threshold 0..1 accepted");
+  assert(/Invalid HYBRID_CONFIDENCE_THRESHOLD: NaN/.test(errorOf(() => validateThreshold(Number("0,6")))?.message), "Typo threshold rejected");
+  assert(/Invalid HYBRID_CONFIDENCE_THRESHOLD: 60/.test(errorOf(() => validateThreshold(60))?.message), "Percent instead of fraction rejected");
+
+  assert(validateHybridConfig({ ...HYBRID_CONFIG }) && validateHybridConfig({ ...HYBRID_CONFIG, vectorWeight: 0 }), "Defaults and a muted source are valid");
+  assert(/Invalid HYBRID_GRAPH_WEIGHT: NaN/.test(errorOf(() => validateHybridConfig({ ...HYBRID_CONFIG, graphWeight: Number("1,5") }))?.message),
+    "NaN weight rejected");
+  assert(/Invalid HYBRID_VECTOR_WEIGHT: -1/.test(errorOf(() => validateHybridConfig({ ...HYBRID_CONFIG, vectorWeight: -1 }))?.message),
+    "Negative weight rejected");
+  assert(/cannot both be 0/.test(errorOf(() => validateHybridConfig({ ...HYBRID_CONFIG, graphWeight: 0, vectorWeight: 0 }))?.message),
+    "Both weights 0 rejected");
+  assert(/Invalid HYBRID_RRF_K: NaN/.test(errorOf(() => validateHybridConfig({ ...HYBRID_CONFIG, rrfK: NaN }))?.message), "NaN k rejected");
+  assert(/Invalid vectorTopK: 0/.test(errorOf(() => validateHybridConfig({ ...HYBRID_CONFIG, vectorTopK: 0 }))?.message), "Bad option rejected");
+
+  const ok = loadWith("16_hybridRetrieval.js", { HYBRID_GRAPH_WEIGHT: "2", HYBRID_RRF_K: "30" });
+  assert(ok.status === 0, "Valid HYBRID_* values load");
+  const badWeight = loadWith("16_hybridRetrieval.js", { HYBRID_VECTOR_WEIGHT: "heavy" });
+  assert(badWeight.status !== 0 && badWeight.stderr.includes("Invalid HYBRID_VECTOR_WEIGHT: NaN"), "Bad HYBRID_VECTOR_WEIGHT → import fails");
+  const badK = loadWith("16_hybridRetrieval.js", { HYBRID_RRF_K: "sixty" });
+  assert(badK.status !== 0 && badK.stderr.includes("Invalid HYBRID_RRF_K: NaN"), "Bad HYBRID_RRF_K → import fails");
+  const badThreshold = loadWith("10_queryClassifier.js", { HYBRID_CONFIDENCE_THRESHOLD: "high" });
+  assert(badThreshold.status !== 0 && badThreshold.stderr.includes("Invalid HYBRID_CONFIDENCE_THRESHOLD: NaN"),
+    "Bad HYBRID_CONFIDENCE_THRESHOLD → import fails");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
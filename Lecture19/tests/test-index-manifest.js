@@ -0,0 +1,119 @@
+/**
+ * test-index-manifest.js — Test the Incremental Indexing Manifest (no APIs)
+ * Run: node tests/test-index-manifest.js
+ *
+ * diffManifest() (added / changed / unchanged / removed, duplicates,
+ * PDF re-flows), applyDiff() step flags, assignExtracted() by title and
+ * by position, graphTitle() (deletes use the node's extracted title),
+ * the v1 → v2 migration and the atomic save, in a throwaway directory.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  emptyManifest, loadManifest, saveManifest, movieVectorId, diffManifest,
+  applyDiff, forgetMovies, assignExtracted, graphTitle,
+} from "../15_indexManifest.js";
+
+console.log("\n🧪 TEST: Index Manifest (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-manifest-"));
+const block = (title, year, extra = "") => `Movie Title: ${title}\nRelease Year: ${year}\nDirector: Someone${extra}`;
+const entity = (title) => ({ movie: { title, year: 1999 }, director: "Someone", actors: [], genres: [] });
+
+async function runTest() {
+  console.log("── diffManifest / applyDiff ──");
+
+  const manifest = emptyManifest();
+  const first = diffManifest(manifest, [block("The Matrix", 1999), block("Inception", 2010), "no title here"]);
+  assert(first.added.map((i) => i.title).join("|") === "The Matrix|Inception" && first.added[1].position === 2,
+    "New titles added with their 1-based position, blocks without a title skipped");
+  applyDiff(manifest, first);
+  const matrix = manifest.movies["the matrix"];
+  assert(matrix && !matrix.extracted && !matrix.graph && !matrix.vector && matrix.graphTitle === null,
+    "Added entries start with every step pending");
+  assert(matrix.vectorId === movieVectorId("THE MATRIX ") && /^movie-the-matrix-[0-9a-f]{8}$/.test(matrix.vectorId),
+    "Vector id from the title (case-insensitive, readable slug + hash)");
+
+  // Extraction returned "Matrix, The" → matched by position
+  const matched = assignExtracted(manifest, { start: 1, end: 2 }, [entity("Matrix, The"), entity("Inception")]);
+  assert(matched === 2 && matrix.entity.movie.title === "Matrix, The", "Tweaked title matched by position");
+  assert(assignExtracted(manifest, { start: 2, end: 2 }, [entity("The Matrix")]) === 0, "Title outside the batch range ignored");
+  matrix.graph = true;
+  matrix.graphTitle = "Matrix, The";
+  manifest.movies.inception.graph = true;
+
+  const reflowed = diffManifest(manifest, [block("Inception", 2010).replace(/\n/g, "\n\n  "), block("The Matrix", 1999, "\nNote: remastered")]);
+  assert(reflowed.unchanged.map((i) => i.title).join() === "Inception" && reflowed.changed.map((i) => i.title).join() === "The Matrix",
+    "Whitespace re-flow unchanged, new text changed");
+
+  applyDiff(manifest, reflowed);
+  assert(matrix.needsGraphCleanup && !matrix.graph && !matrix.extracted && matrix.entity === null && matrix.position === 2,
+    "Changed → steps reset, old graph marked for cleanup, position updated");
+  assert(graphTitle(matrix) === "Matrix, The", "Cleanup deletes the node by the title it was written with");
+  assert(manifest.movies.inception.position === 1, "Unchanged entries follow their new position");
+
+  const duplicate = diffManifest(manifest, [block("Inception", 2010), block("inception", 2011)]);
+  assert(duplicate.unchanged.length === 1 && duplicate.changed.length === 0, "Duplicate title → first block wins");
+
+  manifest.movies.inception.graphTitle = "Inception (2010)";
+  const gone = diffManifest(manifest, [block("The Matrix", 1999)]);
+  assert(gone.removed.length === 1 && gone.removed.map(graphTitle).join() === "Inception (2010)",
+    "Removed movie deleted by its node title, not the PDF title");
+  forgetMovies(manifest, gone.removed.map((e) => e.key));
+  assert(!manifest.movies.inception && manifest.movies["the matrix"], "forgetMovies drops only the removed entries");
+
+  console.log("\n── graphTitle ──");
+
+  assert(graphTitle({ title: "Heat", graphTitle: "Heat (1995)", entity: entity("Heat") }) === "Heat (1995)", "Stored node title first");
+  assert(graphTitle({ title: "Heat", entity: entity("HEAT") }) === "HEAT", "Older manifests: title of the cached entity");
+  assert(graphTitle({ title: "Heat", entity: null }) === "Heat", "No entity → PDF title");
+
+  console.log("\n── v1 → v2 migration / save ──");
+
+  const v1Path = path.join(tmpRoot, "manifest-v1.json");
+  fs.writeFileSync(v1Path, JSON.stringify({
+    version: 1,
+    updatedAt: "2024-01-01T00:00:00.000Z",
+    movies: {
+      heat: { title: "Heat", hash: "h1", position: 1, vectorId: "chunk-0", extracted: true, graph: true, vector: true, entity: entity("Heat!") },
+      alien: { title: "Alien", hash: "h2", position: 2, vectorId: "chunk-1", extracted: false, graph: false, vector: false, entity: null },
+    },
+  }));
+  const log = console.log;
+  console.log = () => {};
+  const migrated = loadManifest(v1Path);
+  console.log = log;
+  const heat = migrated.movies.heat;
+  assert(migrated.version === 2 && migrated.updatedAt === "2024-01-01T00:00:00.000Z", "Migrated to v2, timestamp kept");
+  assert(heat.vectorId === movieVectorId("Heat") && heat.legacyVectorId === "chunk-0" && heat.vector === false,
+    "Embedded vector → stable id, old chunk id kept for deletion, re-embed");
+  assert(migrated.movies.alien.legacyVectorId === null, "Never-embedded movie has no legacy vector");
+  assert(heat.graph && heat.extracted && heat.graphTitle === "Heat!" && migrated.movies.alien.graphTitle === null,
+    "Graph and extraction kept, node title taken from the entity");
+
+  const v2Path = path.join(tmpRoot, "manifest.json");
+  saveManifest(migrated, v2Path);
+  assert(!fs.existsSync(`${v2Path}.tmp`) && loadManifest(v2Path).movies.heat.legacyVectorId === "chunk-0", "Saved atomically and reloads as v2");
+
+  fs.writeFileSync(v2Path, JSON.stringify({ version: 99, movies: { heat: {} } }));
+  const warn = console.warn;
+  console.warn = () => {};
+  const unknown = loadManifest(v2Path);
+  console.warn = warn;
+  assert(Object.keys(unknown.movies).length === 0, "Unknown version → start from an empty manifest");
+  assert(loadManifest(path.join(tmpRoot, "missing.json")).version === 2, "Missing file → empty manifest");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,104 @@
+/**
+ * test-provenance.js — Test Citations + the Hallucination Check (no APIs)
+ * Run: node tests/test-provenance.js
+ *
+ * splitSentences() on list answers, parseCitations() with markers that
+ * point nowhere, highlightedNames(), and findUnsupportedNames() against
+ * a small alias table: an invented actor is flagged, a name the user
+ * asked about is not.
+ */
+
+import {
+  graphSources, vectorSources, splitSentences, parseCitations, stripCitations, highlightedNames,
+  findUnsupportedNames, buildAnswerResult,
+} from "../19_provenance.js";
+import { aliasesFor } from "../18_aliasTable.js";
+
+console.log("\n🧪 TEST: Provenance (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const LIST_ANSWER = `Here are three picks:
+1. **Inception** (2010) — directed by Christopher Nolan [G1].
+2. "The Prestige" — also Nolan. It stars Hugh Jackman [G2][G9].
+3. Memento: a puzzle [V7]. Great film!`;
+
+// Graph names the check knows about
+const aliasTable = {
+  entries: [
+    ["Movie", "Inception"], ["Movie", "The Prestige"], ["Director", "Christopher Nolan"],
+    ["Actor", "Hugh Jackman"], ["Actor", "Tom Cruise"], ["Actor", "Leonardo DiCaprio"], ["Genre", "Drama"],
+  ].flatMap(([label, name]) => aliasesFor(label, name)),
+};
+
+async function runTest() {
+  console.log("── splitSentences ──");
+
+  const sentences = splitSentences(LIST_ANSWER);
+  assert(sentences.length === 6 && sentences[0] === "Here are three picks:", "One sentence per line / sentence end");
+  assert(sentences[1] === "**Inception** (2010) — directed by Christopher Nolan [G1].", "List number stripped, marker stays with its sentence");
+  assert(sentences[2] === "\"The Prestige\" — also Nolan." && sentences[3] === "It stars Hugh Jackman [G2][G9].",
+    "Two sentences in one list item → split");
+  assert(!sentences.some((s) => /^\d+\.?$/.test(s)), "List numbers are not sentences");
+  assert(splitSentences("- First [G1]\n* Second\n\n[G2]").join("|") === "First [G1]|Second", "Bullets stripped, marker-only lines dropped");
+
+  console.log("\n── parseCitations ──");
+
+  const sources = [
+    ...graphSources([{ "m.title": "Inception", "d.name": "Christopher Nolan" }, { "m.title": "The Prestige", "a.name": "Hugh Jackman" }]),
+    ...vectorSources([{ id: "movie-memento", title: "Memento", text: "A man with no short-term memory...", score: 0.81234 }]),
+  ];
+  assert(sources.map((s) => s.id).join() === "G1,G2,V1" && sources[2].score === 0.812, "Source ids and rounded scores");
+
+  const { citations, uncited } = parseCitations(LIST_ANSWER, sources);
+  assert(citations.length === 2 && citations[0].sources.join() === "G1", "Valid marker → citation");
+  assert(citations[1].sources.join() === "G2", "Marker pointing nowhere ([G9]) dropped, the valid one kept");
+  assert(uncited.includes("Memento: a puzzle [V7].") && uncited.includes("Great film!"),
+    "Sentence whose markers all point nowhere → uncited");
+  assert(parseCitations("Twice [G1][G1].", sources).citations[0].sources.join() === "G1", "Repeated marker counted once");
+  assert(stripCitations("Inception [G1]. Heat [G2][V1].") === "Inception. Heat.", "stripCitations removes markers and their space");
+
+  console.log("\n── highlightedNames ──");
+
+  assert(highlightedNames(LIST_ANSWER).join("|") === "Inception|The Prestige|Memento", "Bold, quoted and \"1. Title:\" names");
+  assert(highlightedNames('A "dark" mood and **bold claim**').length === 0, "Lower-case quotes and bold words skipped");
+  assert(highlightedNames("1. **Heat** (1995) — heist [G1]\n2. Ronin - spies").join("|") === "Heat|Ronin", "Years and markers trimmed");
+
+  console.log("\n── findUnsupportedNames ──");
+
+  const evidence = graphSources([{ "m.title": "Inception", "d.name": "Christopher Nolan", actors: ["Leonardo DiCaprio"] }]);
+  const invented = findUnsupportedNames("Inception [G1] stars Leonardo DiCaprio and Tom Cruise [G1].", evidence, { aliasTable });
+  assert(invented.length === 1 && invented[0].name === "Tom Cruise" && invented[0].label === "Actor"
+    && invented[0].reason === "not in evidence", "Actor missing from the evidence → flagged");
+
+  const asked = findUnsupportedNames("Tom Cruise is not in Inception [G1].", evidence, {
+    aliasTable, context: ["Is Tom Cruise in Inception?"],
+  });
+  assert(asked.length === 0, "Name from the question → not flagged");
+
+  const unknown = findUnsupportedNames("Try **Dreamscape Protocol** or \"The Prestige\".", evidence, { aliasTable });
+  assert(unknown.map((u) => `${u.name}:${u.label}`).join() === "The Prestige:Movie,Dreamscape Protocol:null"
+    && unknown[1].reason === "not in evidence or graph", "Graph title off the evidence and unknown highlighted title → both flagged");
+  const once = findUnsupportedNames("**Tom Cruise** and Tom Cruise again.", evidence, { aliasTable });
+  assert(once.length === 1 && once[0].label === "Actor", "A name flagged by both checks is reported once");
+  assert(findUnsupportedNames("A Drama with Tom Cruise.", evidence).length === 0, "No alias table → only highlighted names checked");
+
+  console.log("\n── buildAnswerResult ──");
+
+  const result = buildAnswerResult("Inception was directed by Christopher Nolan [G1]. It stars Tom Cruise.", {
+    handler: "graph", cypher: [{ cypher: "MATCH ...", params: {} }], sources: evidence, aliasTable,
+  });
+  const { provenance } = result;
+  assert(provenance.handler === "graph" && provenance.citations.length === 1 && provenance.uncited.join() === "It stars Tom Cruise.",
+    "Citations and uncited sentences");
+  assert(provenance.unsupported.map((u) => u.name).join() === "Tom Cruise", "Unsupported names attached");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,170 @@
+/**
+ * test-query-trace.js — Test Explain Mode, Traces + Replay (no APIs)
+ * Run: node tests/test-query-trace.js
+ *
+ * A scripted pipeline (progress events + a stubbed LLM) runs through
+ * traceQuery(): stages, LLM calls per stage, token counts, the explain
+ * report, the saved JSON (with strategy / profile id), a failing run,
+ * and replayTrace() — recorded responses, the recorded options handed
+ * back to the query, and the diff when a prompt changed.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { llm, embedText, overrideConnections } from "../2_config.js";
+import { emitProgress } from "../20_progress.js";
+import { createTrace, traceQuery, saveTrace, loadTrace, printExplain, replayTrace } from "../27_queryTrace.js";
+
+// Explain / replay print reports → capture them, keep the output to PASS / FAIL lines
+const print = console.log;
+let captured = [];
+console.log = (...args) => { captured.push(args.join(" ")); };
+const output = () => captured.join("\n");
+
+print("\n🧪 TEST: Query Trace (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { print(`  ✅ PASS: ${m}`); passed++; } else { print(`  ❌ FAIL: ${m}`); failed++; } }
+
+const errorOf = async (fn) => { try { await fn(); } catch (e) { return e; } return null; };
+
+// data/traces/ is relative to the working directory → run in a temp dir
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-trace-"));
+const originalCwd = process.cwd();
+process.chdir(tmpRoot);
+
+// Stub LLM: classification reports usage, the answer does not (→ estimate)
+const CLASSIFICATION = '{"type":"graph","confidence":0.9,"reasoning":"Director filter"}';
+const ANSWER = "Inception [G1].";
+overrideConnections({
+  llm: {
+    async invoke(messages) {
+      return messages[0].content.startsWith("Classify")
+        ? { content: CLASSIFICATION, usage_metadata: { input_tokens: 120, output_tokens: 8 } }
+        : { content: ANSWER };
+    },
+  },
+  embedText: async () => [0.1, 0.2],
+});
+
+// A small pipeline: classify → cypher → answer (uses the live llm binding)
+async function pipeline(question, { classifyPrompt = "Classify: " } = {}) {
+  await embedText(question);
+  const classification = JSON.parse((await llm.invoke([{ role: "user", content: `${classifyPrompt}${question}` }])).content);
+  emitProgress("classification", classification);
+  emitProgress("cypher", { cypher: "MATCH (d:Director)-[:DIRECTED]->(m:Movie) RETURN m.title", params: { name: "Christopher Nolan" } });
+  const answer = (await llm.invoke([{ role: "user", content: `Answer: ${question}` }])).content;
+  emitProgress("token", { text: answer });
+  emitProgress("answer", { provenance: { citations: [{}], unsupported: [] } });
+  return { answer, type: classification.type, cached: false };
+}
+
+async function runTest() {
+  print("── traceQuery ──");
+
+  const query = "Movies by Christopher Nolan";
+  const result = await traceQuery(query, () => pipeline(query), { save: true, meta: { strategy: "graph", profile: "alice" } });
+  const report = output();
+  assert(result.answer === ANSWER, "Result passed through");
+
+  const [file] = fs.readdirSync(path.join(tmpRoot, "data", "traces"));
+  assert(/^\d{4}-\d{2}-\d{2}T.+-[0-9a-f]{8}\.json$/.test(file) && report.includes(`💾 Trace saved: data/traces/${file}`),
+    "Saved as data/traces/<time>-<id>.json");
+  const tracePath = path.join(tmpRoot, "data", "traces", file);
+  const saved = loadTrace(tracePath);
+
+  assert(saved.strategy === "graph" && saved.profile === "alice", "Strategy and profile id saved with the trace");
+  assert(saved.stages.map((s) => s.stage).join() === "classification,cypher,answer", "One stage per progress event, tokens not stages");
+  assert(saved.streamedTokens === 1 && saved.embeddings.calls === 1, "Streamed tokens and embedding calls counted");
+  const [classify, , answer] = saved.stages;
+  assert(classify.llm.length === 1 && classify.llm[0].response === CLASSIFICATION && classify.data.type === "graph",
+    "LLM call attached to the stage it led to");
+  assert(classify.llm[0].inputTokens === 120 && classify.llm[0].outputTokens === 8 && !classify.llm[0].estimated,
+    "usage_metadata → exact token counts");
+  assert(answer.llm[0].estimated && answer.llm[0].outputTokens === Math.ceil(ANSWER.length / 4), "No usage → ~4 chars per token");
+  assert(saved.llmTotals.calls === 2 && saved.llmTotals.estimated && saved.result.answer === ANSWER && saved.error === null,
+    "Totals and result saved");
+  assert(!("start" in saved) && !("pendingLlm" in saved) && saved.totalMs >= 0 && saved.finishedAt, "Runtime-only fields not saved");
+
+  print("\n── Explain report ──");
+
+  assert(report.includes("🔬 EXPLAIN") && /2 LLM calls \(\d+ ms, ~\d+ in \/ \d+ out tokens\) \| 1 embeddings/.test(report),
+    "Header: LLM calls, tokens (estimated), embeddings");
+  assert(/ 1\. classification +\d+ ms \| LLM ×1 120 in \/ 8 out/.test(report), "Stage line with its LLM calls");
+  assert(report.includes("graph (confidence 0.9) — Director filter"), "Classification summary");
+  assert(report.includes('MATCH (d:Director)-[:DIRECTED]->(m:Movie) RETURN m.title {"name":"Christopher Nolan"}'), "Cypher summary");
+  assert(report.includes("1 cited sentences, 0 unsupported names"), "Answer summary");
+
+  captured = [];
+  const broken = createTrace("Broken");
+  const err = await errorOf(() => traceQuery("Broken", async () => {
+    emitProgress("classification", { type: "graph", confidence: 1 });
+    await llm.invoke([{ role: "user", content: "Plan: Broken" }]);
+    throw new Error("Plan rejected");
+  }, { trace: broken }));
+  assert(err?.message === "Plan rejected", "Errors rethrown");
+  assert(broken.error.afterStage === "classification" && broken.stages.at(-1).stage === "failed" && broken.stages.at(-1).llm.length === 1,
+    "Error recorded after the last stage, its LLM call kept in a \"failed\" stage");
+  assert(output().includes('❌ Failed after "classification": Plan rejected'), "Explain shows where it failed");
+
+  captured = [];
+  printExplain({ ...createTrace("Empty"), totalMs: 5 });
+  assert(output().includes("5 ms | 0 LLM calls (0 ms, 0 in / 0 out tokens) | 0 embeddings"), "Empty trace → zero totals");
+
+  const oldPath = path.join(tmpRoot, "old.json");
+  fs.writeFileSync(oldPath, JSON.stringify({ ...saved, version: 0 }));
+  assert(/Unsupported trace version 0/.test((await errorOf(() => loadTrace(oldPath)))?.message), "Unknown trace version rejected");
+
+  print("\n── replayTrace ──");
+
+  captured = [];
+  const calls = [];
+  const replayed = await replayTrace(tracePath, (question, options) => {
+    calls.push({ question, options });
+    return pipeline(question);
+  });
+  const diff = output();
+  assert(calls.length === 1 && calls[0].question === query, "Recorded question re-run");
+  assert(calls[0].options.strategy === "graph" && calls[0].options.profile === "alice", "Recorded strategy and profile handed back");
+  assert(replayed.replayOf === saved.id && replayed.strategy === "graph" && replayed.profile === "alice", "Replay trace keeps the options");
+  assert(diff.includes("strategy: graph | profile: alice | Neo4j, vectors and embeddings are live"), "Says what is not replayed");
+  assert(replayed.result.answer === ANSWER && /✅ classification[\s\S]*✅ cypher[\s\S]*✅ answer/.test(diff) && !diff.includes("⚠️"),
+    "Recorded responses → no differences");
+
+  // The classifier prompt changed since the trace → next unused response, flagged
+  captured = [];
+  overrideConnections({ llm: { async invoke() { throw new Error("live LLM must not be called"); } } });
+  const changed = await replayTrace(tracePath, (question) => pipeline(question, { classifyPrompt: "Classify v2: " }));
+  assert(changed.result.answer === ANSWER && output().includes('⚠️ prompt changed for the call recorded at "classification"'),
+    "Changed prompt → recorded response reused, divergence reported");
+
+  // Traces saved before strategy / profile were recorded
+  const legacyPath = path.join(tmpRoot, "legacy.json");
+  const { strategy, profile, ...legacy } = saved;
+  fs.writeFileSync(legacyPath, JSON.stringify(legacy));
+  captured = [];
+  const legacyCalls = [];
+  await replayTrace(legacyPath, (question, options) => { legacyCalls.push(options); return pipeline(question); });
+  assert(legacyCalls[0].strategy === null && legacyCalls[0].profile === null && output().includes("strategy: default | profile: none"),
+    "Older trace → caller's defaults");
+
+  const short = { ...saved, stages: saved.stages.map((s) => ({ ...s, llm: [] })) };
+  const shortPath = path.join(tmpRoot, "short.json");
+  fs.writeFileSync(shortPath, JSON.stringify(short));
+  captured = [];
+  const failedReplay = await replayTrace(shortPath, (question) => pipeline(question));
+  assert(failedReplay.error.message === "Replay ran out of recorded LLM responses" && /❌ error/.test(output()),
+    "More LLM calls than recorded → error shown in the diff");
+
+  print(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { print("  ❌", err.message); print(err.stack); failed++; })
+  .finally(() => {
+    console.log = print;
+    process.chdir(originalCwd);
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,138 @@
+/**
+ * test-user-profiles.js — Test Taste Profiles + Re-Ranking (no APIs)
+ * Run: node tests/test-user-profiles.js
+ *
+ * rateMovie() / unrateMovie() bookkeeping, buildTaste() weights, and
+ * rankForProfile() on hand-written movie features: seen titles are
+ * dropped, dislikes push a candidate down, and "because you liked…"
+ * names the liked movie with the most overlap. Profiles are saved in a
+ * throwaway directory.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createProfile, loadProfile, saveProfile, hasTaste, rateMovie, unrateMovie, buildTaste, rankForProfile,
+} from "../28_userProfiles.js";
+
+console.log("\n🧪 TEST: User Profiles (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const errorOf = (fn) => { try { fn(); } catch (e) { return e; } return null; };
+
+// profiles/ is relative to the working directory → run in a temp dir
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-profiles-"));
+const originalCwd = process.cwd();
+process.chdir(tmpRoot);
+
+// As getMovieFeatures() (12_similarityHandler.js) returns them
+const FEATURES = {
+  Interstellar: { directors: ["Christopher Nolan"], actors: ["Matthew McConaughey"], genres: ["Sci-Fi", "Drama"], themes: ["time"] },
+  Heat: { directors: ["Michael Mann"], actors: ["Al Pacino"], genres: ["Crime"], themes: ["heist"] },
+  Tenet: { directors: ["Christopher Nolan"], actors: ["John David Washington"], genres: ["Action"], themes: ["time"] },
+  Inception: { directors: ["Christopher Nolan"], actors: ["Leonardo DiCaprio"], genres: ["Sci-Fi", "Action"], themes: ["dreams"] },
+  Arrival: { directors: ["Denis Villeneuve"], actors: ["Amy Adams"], genres: ["Sci-Fi", "Drama"], themes: ["time"] },
+  Collateral: { directors: ["Michael Mann"], actors: ["Tom Cruise"], genres: ["Crime", "Action"], themes: [] },
+  Memento: { directors: ["Christopher Nolan"], actors: ["Guy Pearce"], genres: ["Mystery"], themes: ["memory"] },
+  Paddington: { directors: ["Paul King"], actors: ["Hugh Bonneville"], genres: ["Family"], themes: [] },
+};
+
+async function runTest() {
+  console.log("── rateMovie / unrateMovie ──");
+
+  const profile = createProfile("alice");
+  assert(!hasTaste(profile), "New profile has no taste");
+  rateMovie(profile, "liked", "Interstellar");
+  assert(profile.liked.join() === "Interstellar" && profile.watched.join() === "Interstellar", "Liked also counts as watched");
+  rateMovie(profile, "disliked", "interstellar");
+  assert(profile.liked.length === 0 && profile.disliked.join() === "interstellar" && profile.watched.length === 1,
+    "Disliking a liked movie moves it (case-insensitive), watched once");
+  rateMovie(profile, "watched", "Memento");
+  assert(profile.watched.join() === "interstellar,Memento" && profile.liked.length === 0, "Watched → no opinion");
+  rateMovie(profile, "watched", "interstellar");
+  assert(profile.disliked.join() === "interstellar", "Marking watched keeps an existing like / dislike");
+  assert(/Unknown rating: loved/.test(errorOf(() => rateMovie(profile, "loved", "Heat"))?.message), "Unknown rating rejected");
+
+  assert(unrateMovie(profile, "INTERSTELLAR") && profile.disliked.length === 0 && profile.watched.join() === "Memento",
+    "unrateMovie forgets every rating of the title");
+  assert(unrateMovie(profile, "Heat") === false, "Unrating an unrated movie → false");
+
+  saveProfile(rateMovie(profile, "liked", "Heat"));
+  const loaded = loadProfile("alice");
+  assert(fs.existsSync(path.join(tmpRoot, "profiles", "alice.json")) && loaded.liked.join() === "Heat" && hasTaste(loaded),
+    "Saved to profiles/<id>.json and reloaded");
+  assert(loadProfile("nobody").liked.length === 0, "Unknown id → empty profile");
+  assert(/Invalid profile id/.test(errorOf(() => loadProfile("../x"))?.message), "Path-like ids rejected");
+
+  console.log("\n── buildTaste ──");
+
+  const fan = createProfile("fan");
+  rateMovie(fan, "liked", "Interstellar");
+  rateMovie(fan, "liked", "Heat");
+  rateMovie(fan, "disliked", "Tenet");
+  rateMovie(fan, "watched", "Memento");
+  const taste = buildTaste(fan, FEATURES);
+
+  assert(taste.get("directors:christopher nolan").weight === 0, "Liked + disliked director cancel out (+3 − 3)");
+  assert(taste.get("themes:time").weight === 0 && taste.get("genres:sci-fi").weight === 1, "Theme cancels, liked genre +1");
+  assert(taste.get("genres:action").weight === -1 && taste.get("genres:action").likedIn.length === 0, "Disliked-only feature is negative");
+  assert(taste.get("directors:michael mann").weight === 3 && taste.get("directors:michael mann").likedIn.join() === "Heat",
+    "Liked director +3, remembers the liked movie");
+  assert(!taste.has("genres:mystery"), "Watched-only movies add no taste");
+  assert(buildTaste(fan, {}).size === 0, "Movies without features → no taste");
+
+  console.log("\n── rankForProfile ──");
+
+  const candidates = [
+    { title: "Memento", score: 0.95 },
+    { title: "Inception", score: 0.9 },
+    { title: "tenet", score: 0.88 },
+    { title: "Arrival", score: 0.85 },
+    { title: "Collateral", score: 0.8 },
+    { title: "Paddington", score: 0.86 },
+  ];
+  const ranked = rankForProfile(candidates, fan, { taste, features: FEATURES });
+  const titles = ranked.map((c) => c.title);
+
+  assert(!titles.includes("Memento") && !titles.includes("tenet"), "Watched and disliked titles excluded (any case)");
+  assert(titles.join() === "Collateral,Arrival,Inception,Paddington", "Re-ranked by vector score + taste");
+
+  // Same profile without the Tenet dislike → Inception's shared Nolan / Action count again
+  const noDislike = { ...fan, disliked: [], watched: fan.watched.filter((t) => t !== "Tenet") };
+  const withoutDislike = rankForProfile(candidates, noDislike, { taste: buildTaste(noDislike, FEATURES), features: FEATURES });
+  const inception = ranked.find((c) => c.title === "Inception");
+  assert(withoutDislike[0].title === "Inception" && withoutDislike[0].tasteScore === 4 && inception.tasteScore === 0,
+    "A dislike lowers a candidate's rank (1st → 3rd)");
+  const paddington = ranked.find((c) => c.title === "Paddington");
+  assert(Math.abs(ranked[0].rankScore - (0.8 + 0.1 * 3)) < 1e-9 && ranked[0].score === 0.8, "rankScore = score + 0.1 × taste, score kept");
+
+  assert(ranked[0].reason === "because you liked Heat (Michael Mann, Crime)", "Reason names the liked movie and its strongest features");
+  assert(ranked.find((c) => c.title === "Arrival").reason === "because you liked Interstellar (Sci-Fi, Drama)",
+    "Liked features with net weight 0 are not reasons");
+  assert(paddington.reason === null && paddington.tasteScore === 0, "No overlap → no reason");
+
+  // Two liked movies overlap with the candidate → the bigger overlap wins
+  const both = createProfile("both");
+  rateMovie(both, "liked", "Arrival");
+  rateMovie(both, "liked", "Inception");
+  const [pick] = rankForProfile([{ title: "Interstellar", score: 0.5 }], both, { taste: buildTaste(both, FEATURES), features: FEATURES });
+  assert(pick.reason === "because you liked Inception (Christopher Nolan, Sci-Fi)",
+    "Best-overlapping liked movie named (director beats genre + theme)");
+
+  const empty = rankForProfile(candidates, createProfile("empty"), { taste: new Map(), features: FEATURES });
+  assert(empty.map((c) => c.title).join() === "Memento,Inception,tenet,Paddington,Arrival,Collateral" && empty.every((c) => c.reason === null),
+    "Empty profile → vector order unchanged");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
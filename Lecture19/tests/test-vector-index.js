@@ -0,0 +1,141 @@
+/**
+ * test-vector-index.js — Test Metadata Filters + Local Vector Stores (no Pinecone)
+ * Run: node tests/test-vector-index.js
+ *
+ * matchesFilter() with Pinecone's list semantics, buildMetadataFilter()
+ * from filter criteria, cosine ordering of createMemoryVectorIndex(),
+ * and the file store (Float32 base64 round trip, atomic write, reload)
+ * in a throwaway directory.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  matchesFilter, buildMetadataFilter, createMemoryVectorIndex,
+  createFileVectorIndex, readVectorFile, writeVectorFile,
+} from "../17_vectorIndex.js";
+
+console.log("\n🧪 TEST: Vector Index (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "graphrag-vectors-"));
+
+const inception = {
+  title: "Inception", year: 2010, director: "Christopher Nolan",
+  genres: ["Sci-Fi", "Action"], actors: ["Leonardo DiCaprio", "Tom Hardy"],
+};
+const titanic = {
+  title: "Titanic", year: 1997, director: "James Cameron",
+  genres: ["Romance", "Drama"], actors: ["Leonardo DiCaprio", "Kate Winslet"],
+};
+
+async function runTest() {
+  console.log("── matchesFilter ──");
+
+  assert(matchesFilter(inception, { genres: { $in: ["Sci-Fi", "Horror"] } }), "$in on a list → any element matches");
+  assert(!matchesFilter(titanic, { genres: { $in: ["Sci-Fi", "Horror"] } }), "$in on a list → no element, no match");
+  assert(matchesFilter(titanic, { genres: { $nin: ["Sci-Fi", "Horror"] } }), "$nin on a list → no element listed");
+  assert(!matchesFilter(inception, { genres: { $nin: ["Action"] } }), "$nin on a list → one listed element excludes");
+  assert(matchesFilter(inception, { genres: "Action" }) && !matchesFilter(inception, { genres: { $ne: "Action" } }),
+    "$eq / $ne on a list compare each element");
+  assert(matchesFilter(inception, { director: { $in: ["Christopher Nolan"] } }), "$in on a scalar");
+  assert(!matchesFilter({ title: "Untitled" }, { genres: { $in: ["Drama"] } }) && matchesFilter({ title: "Untitled" }, { genres: { $nin: ["Drama"] } }),
+    "Missing field → $in fails, $nin passes");
+  assert(matchesFilter(inception, { $and: [{ year: { $gte: 2010 } }, { year: { $lte: 2019 } }] })
+    && !matchesFilter(titanic, { $and: [{ year: { $gte: 2010 } }, { year: { $lte: 2019 } }] }), "$and of range clauses");
+  assert(matchesFilter(titanic, { $or: [{ director: "Christopher Nolan" }, { year: 1997 }] }), "$or needs one branch");
+  assert(matchesFilter(inception, { year: { $exists: true } }) && !matchesFilter(inception, { rating: { $exists: true } }), "$exists");
+
+  const unsupported = (() => { try { matchesFilter(inception, { year: { $regex: "20" } }); } catch (e) { return e; } })();
+  assert(unsupported instanceof Error && /Unsupported filter operator: \$regex/.test(unsupported.message), "Unknown operator throws");
+
+  console.log("\n── buildMetadataFilter ──");
+
+  assert(buildMetadataFilter() === null && buildMetadataFilter({ includeGenres: [], actors: [] }) === null,
+    "Nothing to filter on → null");
+  assert(JSON.stringify(buildMetadataFilter({ yearFrom: 1990 })) === JSON.stringify({ year: { $gte: 1990 } }),
+    "A single clause is not wrapped in $and");
+
+  const filter = buildMetadataFilter({
+    yearFrom: 1990, yearTo: 1999,
+    includeGenres: ["Romance"], excludeGenres: ["Horror"],
+    actors: ["Leonardo DiCaprio", "Kate Winslet"], directors: ["James Cameron"],
+  });
+  assert(JSON.stringify(filter) === JSON.stringify({ $and: [
+    { year: { $gte: 1990 } },
+    { year: { $lte: 1999 } },
+    { genres: { $in: ["Romance"] } },
+    { genres: { $nin: ["Horror"] } },
+    { actors: { $in: ["Leonardo DiCaprio"] } },
+    { actors: { $in: ["Kate Winslet"] } },
+    { director: { $in: ["James Cameron"] } },
+  ] }), "All criteria → one $and, one clause per actor");
+  assert(matchesFilter(titanic, filter) && !matchesFilter(inception, filter), "Built filter selects the right movie");
+  assert(!matchesFilter(titanic, buildMetadataFilter({ actors: ["Leonardo DiCaprio", "Tom Hardy"] })),
+    "Actors must ALL appear");
+  assert(buildMetadataFilter({ yearFrom: NaN, yearTo: undefined }) === null, "Non-finite years are ignored");
+
+  console.log("\n── createMemoryVectorIndex ──");
+
+  const memory = createMemoryVectorIndex([
+    { id: "a", values: [1, 0, 0], metadata: inception },
+    { id: "b", values: [1, 1, 0], metadata: titanic },
+    { id: "c", values: [0, 0, 1], metadata: { title: "Alien", year: 1979, genres: ["Horror", "Sci-Fi"] } },
+  ]);
+
+  const all = await memory.query({ vector: [1, 0.1, 0], topK: 10 });
+  assert(all.matches.map((m) => m.id).join(",") === "a,b,c", "Matches sorted by cosine similarity");
+  assert(Math.abs(all.matches[1].score - Math.SQRT1_2 * 1.1 / Math.sqrt(1.01)) < 1e-9, "Score is the cosine, not the dot product");
+  assert(all.matches[0].metadata === undefined, "No metadata unless includeMetadata");
+
+  const top = await memory.query({ vector: [1, 0.1, 0], topK: 1, includeMetadata: true });
+  assert(top.matches.length === 1 && top.matches[0].metadata.title === "Inception", "topK limits, includeMetadata attaches");
+
+  const filtered = await memory.query({ vector: [1, 0, 0], filter: { genres: { $nin: ["Action"] } } });
+  assert(filtered.matches.map((m) => m.id).join(",") === "b,c", "Filter applied before ranking");
+
+  const zero = await memory.query({ vector: [0, 0, 0], topK: 1 });
+  assert(zero.matches[0].score === 0, "Zero vector → score 0, not NaN");
+
+  await memory.deleteMany(["a", "missing"]);
+  const stats = await memory.describeIndexStats();
+  assert(stats.totalRecordCount === 2 && stats.dimension === 3, "deleteMany + describeIndexStats");
+
+  console.log("\n── writeVectorFile / createFileVectorIndex ──");
+
+  const filePath = path.join(tmpRoot, "vectors.json");
+  assert(readVectorFile(filePath).length === 0, "Missing file → no records");
+
+  const values = [0.25, -1.5, 3];
+  writeVectorFile(filePath, [{ id: "Titanic_chunk_0", values, metadata: titanic }]);
+  const saved = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  assert(saved.version === 1 && typeof saved.records[0].values === "string", "Values stored as base64");
+  assert(!fs.existsSync(`${filePath}.tmp`), "Temp file renamed away");
+
+  const [reloaded] = readVectorFile(filePath);
+  assert(reloaded.id === "Titanic_chunk_0" && reloaded.values.join(",") === values.join(",")
+    && reloaded.metadata.actors.join(",") === titanic.actors.join(","), "Round trip keeps id, values and metadata");
+
+  const fileIndex = createFileVectorIndex(filePath);
+  await fileIndex.upsert([{ id: "Inception_chunk_0", values: [1, 0, 0], metadata: inception }]);
+  await fileIndex.deleteMany(["Titanic_chunk_0"]);
+  const reopened = createFileVectorIndex(filePath);
+  const result = await reopened.query({ vector: [1, 0, 0], topK: 5, includeMetadata: true });
+  assert(result.matches.length === 1 && result.matches[0].metadata.title === "Inception", "Upserts and deletes persist across instances");
+
+  fs.writeFileSync(filePath, JSON.stringify({ version: 99, records: [] }));
+  const wrongVersion = (() => { try { readVectorFile(filePath); } catch (e) { return e; } })();
+  assert(wrongVersion instanceof Error && /version 99/.test(wrongVersion.message), "Unknown file version throws");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
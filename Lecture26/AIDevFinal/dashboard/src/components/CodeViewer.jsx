@@ -0,0 +1,49 @@
+/**
+ * CodeViewer.jsx — Syntax-highlighted File Viewer
+ * No emojis. Line numbers + token colors from lib/highlight.
+ */
+
+import { useMemo } from "react";
+import { highlightLines, highlightLine, languageFor } from "../lib/highlight";
+
+export default function CodeViewer({ path, content }) {
+  const language = languageFor(path);
+  const lines = useMemo(() => highlightLines(content || "", language), [content, language]);
+
+  return (
+    <div className="code-viewer">
+      <div className="code-viewer-head">
+        <span className="code-viewer-path">{path}</span>
+        <span className="code-viewer-meta">
+          {language.toUpperCase()} // {lines.length} lines
+        </span>
+      </div>
+      <div className="code-viewer-body">
+        {lines.map((tokens, i) => (
+          <div key={i} className="code-line">
+            <span className="line-no">{i + 1}</span>
+            <Tokens tokens={tokens} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** Single highlighted line — used by the diff view */
+export function CodeLine({ text, language }) {
+  const tokens = useMemo(() => highlightLine(text, language), [text, language]);
+  return <Tokens tokens={tokens} />;
+}
+
+function Tokens({ tokens }) {
+  return (
+    <code className="line-code">
+      {tokens.map((t, i) =>
+        t.type === "plain" ? t.text : (
+          <span key={i} className={`tok-${t.type}`}>{t.text}</span>
+        )
+      )}
+    </code>
+  );
+}
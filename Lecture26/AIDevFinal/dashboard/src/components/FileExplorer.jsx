@@ -0,0 +1,109 @@
+/**
+ * FileExplorer.jsx — Sandbox File Tree + Viewer
+ * No emojis. Collapsible folders on the left, highlighted file on the right.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { getFileTree, readFile } from "../lib/api";
+import CodeViewer from "./CodeViewer";
+
+/** ["a/b.js", "a/c/d.js", "e.js"] → nested { name, path, children } — folders first */
+export function buildFileTree(paths) {
+  const root = { name: "", path: "", children: new Map() };
+
+  for (const filePath of paths) {
+    let node = root;
+    const parts = filePath.split("/");
+    parts.forEach((part, i) => {
+      const isFile = i === parts.length - 1;
+      const nodePath = parts.slice(0, i + 1).join("/");
+      if (!node.children.has(part)) {
+        node.children.set(part, isFile
+          ? { name: part, path: nodePath, children: null }
+          : { name: part, path: nodePath, children: new Map() });
+      }
+      node = node.children.get(part);
+    });
+  }
+
+  const sort = (node) => ({
+    ...node,
+    children: node.children && [...node.children.values()]
+      .map(sort)
+      .sort((a, b) => (!a.children - !b.children) || a.name.localeCompare(b.name)),
+  });
+  return sort(root).children;
+}
+
+export default function FileExplorer({ projectId, refreshKey }) {
+  const [files, setFiles] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!projectId) return;
+    getFileTree(projectId)
+      .then((data) => { setFiles(data.files || []); setError(null); })
+      .catch((err) => setError(err.message));
+  }, [projectId, refreshKey]);
+
+  useEffect(() => {
+    if (!projectId || !selected) return;
+    readFile(projectId, selected)
+      .then((data) => setFile(data))
+      .catch((err) => setFile({ path: selected, content: `// ${err.message}` }));
+  }, [projectId, selected, refreshKey]);
+
+  const tree = useMemo(() => buildFileTree(files), [files]);
+
+  if (!projectId) return <div className="empty-state">Files appear once the sandbox exists</div>;
+  if (error) return <div className="empty-state">{error}</div>;
+  if (!files.length) return <div className="empty-state">Sandbox is empty</div>;
+
+  return (
+    <div className="file-explorer">
+      <div className="file-tree">
+        <div className="file-tree-count">{files.length} files</div>
+        {tree.map((node) => (
+          <TreeNode key={node.path} node={node} depth={0} selected={selected} onSelect={setSelected} />
+        ))}
+      </div>
+      <div className="file-view">
+        {file ? <CodeViewer path={file.path} content={file.content} /> : (
+          <div className="empty-state">Select a file</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TreeNode({ node, depth, selected, onSelect }) {
+  // Top-level folders start open, deeper ones collapsed
+  const [open, setOpen] = useState(depth === 0);
+  const indent = { paddingLeft: `${8 + depth * 12}px` };
+
+  if (!node.children) {
+    return (
+      <div
+        className={`tree-row tree-row--file ${selected === node.path ? "tree-row--active" : ""}`}
+        style={indent}
+        onClick={() => onSelect(node.path)}
+      >
+        {node.name}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="tree-row tree-row--dir" style={indent} onClick={() => setOpen(!open)}>
+        <span className="tree-caret">{open ? "-" : "+"}</span>
+        {node.name}/
+      </div>
+      {open && node.children.map((child) => (
+        <TreeNode key={child.path} node={child} depth={depth + 1} selected={selected} onSelect={onSelect} />
+      ))}
+    </>
+  );
+}
@@ -136,5 +136,62 @@ export default function HumanInputPanel({ request, onSubmit }) {
     );
   }
 
+  if (request.type === "feedback") {
+    const info = request.feedback || {};
+    const driftPct = Math.round((info.scopeDrift || 0) * 100);
+    const maxDriftPct = Math.round((info.maxScopeDrift || 0) * 100);
+
+    return (
+      <div className="human-panel">
+        <div className="human-head">
+          <span className="human-tag">FEEDBACK</span>
+          <span className="human-title">Project delivered. Anything to fix or change?</span>
+        </div>
+        <div className="human-body">
+          <div className="escalation-ctx">
+            <div className="ctx-row">
+              <span className="ctx-label">ROUND</span>
+              <span className="ctx-value">{info.iteration} / {info.maxIterations}</span>
+            </div>
+            <div className="ctx-row">
+              <span className="ctx-label">SCOPE DRIFT</span>
+              <span className="ctx-value">{driftPct}% (limit {maxDriftPct}%)</span>
+            </div>
+          </div>
+          <div className="answer-block">
+            <textarea
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              placeholder="Report bugs, ask for changes or new features..."
+              rows={4}
+              autoFocus
+            />
+            <button
+              className="btn btn-accent"
+              onClick={() => {
+                if (answer.trim()) {
+                  onSubmit({ type: "feedback", satisfied: false, feedback: answer.trim() });
+                  setAnswer("");
+                }
+              }}
+              disabled={!answer.trim()}
+            >
+              SEND FEEDBACK
+            </button>
+            <button
+              className="btn btn-text"
+              onClick={() => {
+                onSubmit({ type: "feedback", satisfied: true });
+                setAnswer("");
+              }}
+            >
+              LOOKS GOOD
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return null;
 }
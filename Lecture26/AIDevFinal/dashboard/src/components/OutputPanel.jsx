@@ -5,12 +5,16 @@
 
 import { useState } from "react";
 import useProjectStore from "../store/projectStore";
+import FileExplorer from "./FileExplorer";
+import SnapshotDiff from "./SnapshotDiff";
 
 const TABS = [
   { key: "spec", label: "Spec" },
   { key: "blueprint", label: "Blueprint" },
   { key: "tasks", label: "Tasks" },
   { key: "code", label: "Code" },
+  { key: "files", label: "Files" },
+  { key: "diff", label: "Diff" },
   { key: "final", label: "Result" },
 ];
 
@@ -23,6 +27,16 @@ export default function OutputPanel() {
   const taskStatuses = useProjectStore((s) => s.taskStatuses);
   const coderOutput = useProjectStore((s) => s.coderOutput);
   const finalState = useProjectStore((s) => s.finalState);
+  const projectId = useProjectStore((s) => s.projectId);
+  const [focusTaskId, setFocusTaskId] = useState(null);
+
+  // Re-fetch files + snapshots whenever another task finishes
+  const doneCount = Object.values(taskStatuses).filter((s) => s === "done").length;
+
+  const showTaskDiff = (taskId) => {
+    setFocusTaskId(taskId);
+    setActiveTab("diff");
+  };
 
   return (
     <div className="panel output-panel">
@@ -49,9 +63,18 @@ export default function OutputPanel() {
           <BlueprintView blueprint={blueprint} validation={validation} />
         )}
         {activeTab === "tasks" && (
-          <TasksView taskQueue={taskQueue} taskStatuses={taskStatuses} />
+          <TasksView taskQueue={taskQueue} taskStatuses={taskStatuses} onSelectTask={showTaskDiff} />
         )}
         {activeTab === "code" && <CodeView coderOutput={coderOutput} />}
+        {activeTab === "files" && <FileExplorer projectId={projectId} refreshKey={doneCount} />}
+        {activeTab === "diff" && (
+          <SnapshotDiff
+            projectId={projectId}
+            refreshKey={doneCount}
+            focusTaskId={focusTaskId}
+            onFocusHandled={() => setFocusTaskId(null)}
+          />
+        )}
         {activeTab === "final" && <FinalView finalState={finalState} />}
       </div>
     </div>
@@ -114,7 +137,7 @@ function BlueprintView({ blueprint, validation }) {
   );
 }
 
-function TasksView({ taskQueue, taskStatuses }) {
+function TasksView({ taskQueue, taskStatuses, onSelectTask }) {
   if (!taskQueue?.phases?.length)
     return <Empty text="Tasks appear after Planner completes" />;
 
@@ -139,8 +162,14 @@ function TasksView({ taskQueue, taskStatuses }) {
           </h4>
           {phase.tasks?.map((task, ti) => {
             const s = taskStatuses[task.taskId] || "pending";
+            // Finished tasks have a snapshot — click to see their diff
             return (
-              <div key={ti} className={`task-row task-row--${s}`}>
+              <div
+                key={ti}
+                className={`task-row task-row--${s} ${s === "done" ? "task-row--link" : ""}`}
+                onClick={s === "done" ? () => onSelectTask(task.taskId) : undefined}
+                title={s === "done" ? "Show the diff this task produced" : undefined}
+              >
                 <span className="task-indicator">
                   {s === "done" ? "[x]" : s === "in_progress" ? "[~]" : "[ ]"}
                 </span>
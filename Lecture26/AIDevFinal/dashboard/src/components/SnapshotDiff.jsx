@@ -0,0 +1,140 @@
+/**
+ * SnapshotDiff.jsx — Side-by-side Diff Between Snapshot Tags
+ * No emojis. Pick any two tags, or jump here from a task to see
+ * exactly what that task changed (its tag vs the one before).
+ */
+
+import { useEffect, useState } from "react";
+import { listSnapshots, getSnapshotDiff } from "../lib/api";
+import { languageFor } from "../lib/highlight";
+import { CodeLine } from "./CodeViewer";
+
+export default function SnapshotDiff({ projectId, refreshKey, focusTaskId, onFocusHandled }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!projectId) return;
+    listSnapshots(projectId)
+      .then((data) => { setSnapshots(data.snapshots || []); setError(null); })
+      .catch((err) => setError(err.message));
+  }, [projectId, refreshKey]);
+
+  // Jump to the focused task's snapshot once; otherwise keep the
+  // user's pick and only default to the latest snapshot
+  useEffect(() => {
+    if (!snapshots.length) return;
+    if (focusTaskId) {
+      const target = [...snapshots].reverse().find((s) => s.taskId === focusTaskId);
+      onFocusHandled?.();
+      if (!target) {
+        setError(`No snapshot for task ${focusTaskId} yet`);
+        return;
+      }
+      setError(null);
+      setRange({ from: target.previousTag || "", to: target.tag });
+    } else if (!snapshots.some((s) => s.tag === range.to)) {
+      const latest = snapshots[snapshots.length - 1];
+      setRange({ from: latest.previousTag || "", to: latest.tag });
+    }
+  }, [snapshots, focusTaskId]);
+
+  useEffect(() => {
+    if (!projectId || !range.to) return;
+    getSnapshotDiff(projectId, { from: range.from || undefined, to: range.to })
+      .then((data) => { setDiff(data); setError(null); })
+      .catch((err) => setError(err.message));
+  }, [projectId, range.from, range.to]);
+
+  if (!projectId) return <div className="empty-state">Diffs appear once the sandbox exists</div>;
+  if (!snapshots.length) return <div className="empty-state">{error || "No snapshots yet"}</div>;
+
+  const label = (s) => `${s.tag} ${s.taskId ? `// ${s.taskId}` : `// ${s.title}`}`;
+  const totals = diff?.files.reduce(
+    (t, f) => ({ add: t.add + f.additions, del: t.del + f.deletions }),
+    { add: 0, del: 0 }
+  );
+
+  return (
+    <div className="output-section">
+      <div className="diff-controls">
+        <select
+          className="diff-select"
+          value={range.from}
+          onChange={(e) => setRange({ ...range, from: e.target.value })}
+        >
+          <option value="">parent of {range.to}</option>
+          {snapshots.map((s) => <option key={s.tag} value={s.tag}>{label(s)}</option>)}
+        </select>
+        <span className="diff-arrow">-&gt;</span>
+        <select
+          className="diff-select"
+          value={range.to}
+          onChange={(e) => setRange({ ...range, to: e.target.value })}
+        >
+          {snapshots.map((s) => <option key={s.tag} value={s.tag}>{label(s)}</option>)}
+        </select>
+      </div>
+
+      {error && <div className="inline-badge badge--fail">{error}</div>}
+
+      {diff && (
+        <>
+          <div className="diff-summary">
+            {diff.files.length} files
+            <span className="diff-add">+{totals.add}</span>
+            <span className="diff-del">-{totals.del}</span>
+          </div>
+          {diff.files.length === 0 && <div className="empty-state">No changes between these snapshots</div>}
+          {diff.files.map((file) => <FileDiff key={file.path} file={file} />)}
+        </>
+      )}
+    </div>
+  );
+}
+
+function FileDiff({ file }) {
+  const [open, setOpen] = useState(true);
+  const language = languageFor(file.path);
+
+  return (
+    <div className="diff-file">
+      <div className="diff-file-head" onClick={() => setOpen(!open)}>
+        <span className={`diff-status diff-status--${file.status}`}>{file.status.toUpperCase()}</span>
+        <span className="diff-file-path">{file.path}</span>
+        <span className="diff-add">+{file.additions}</span>
+        <span className="diff-del">-{file.deletions}</span>
+      </div>
+
+      {open && (
+        file.binary ? <div className="diff-note">Binary file</div>
+        : file.tooLarge ? <div className="diff-note">Diff too large to display</div>
+        : (
+          <table className="diff-table">
+            <tbody>
+              {file.hunks.map((hunk, hi) => [
+                <tr key={`h${hi}`} className="diff-hunk">
+                  <td colSpan={4}>{hunk.header}</td>
+                </tr>,
+                ...hunk.rows.map((row, ri) => (
+                  <tr key={`${hi}-${ri}`} className={`diff-row diff-row--${row.type}`}>
+                    <td className="line-no">{row.left?.line ?? ""}</td>
+                    <td className="diff-cell diff-cell--left">
+                      {row.left && <CodeLine text={row.left.text} language={language} />}
+                    </td>
+                    <td className="line-no">{row.right?.line ?? ""}</td>
+                    <td className="diff-cell diff-cell--right">
+                      {row.right && <CodeLine text={row.right.text} language={language} />}
+                    </td>
+                  </tr>
+                )),
+              ])}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
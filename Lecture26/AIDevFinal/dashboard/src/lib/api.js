@@ -57,7 +57,55 @@ export async function getSandbox(projectId) {
 
 /** Read a file from the sandbox */
 export async function readFile(projectId, filePath) {
-  return request(`/projects/${projectId}/files/${filePath}`);
+  const encoded = filePath.split("/").map(encodeURIComponent).join("/");
+  return request(`/projects/${projectId}/files/${encoded}`);
+}
+
+/** Full file listing for the file tree → { sandboxId, fileCount, files } */
+export async function getFileTree(projectId) {
+  return request(`/projects/${projectId}/tree`);
+}
+
+/** Snapshot tags, oldest first → { snapshots: [{ tag, taskId, title, previousTag, ... }] } */
+export async function listSnapshots(projectId) {
+  return request(`/projects/${projectId}/snapshots`);
+}
+
+/**
+ * Side-by-side diff between two snapshots.
+ * Without `from` the server diffs `to` against the commit before it,
+ * i.e. exactly what the task behind `to` changed.
+ */
+export async function getSnapshotDiff(projectId, { from, to, context } = {}) {
+  const params = new URLSearchParams({ to });
+  if (from) params.set("from", from);
+  if (context !== undefined) params.set("context", String(context));
+  return request(`/projects/${projectId}/diff?${params}`);
+}
+
+/**
+ * Download the project as an archive.
+ * options: { format: "zip" | "tar.gz", snapshot: "v0.3.0", nodeModules, git, manifest }
+ * Returns { blob, fileName } — the caller decides how to save it.
+ */
+export async function exportProject(projectId, options = {}) {
+  const params = new URLSearchParams({ format: options.format || "zip" });
+  if (options.snapshot) params.set("snapshot", options.snapshot);
+  if (options.nodeModules) params.set("nodeModules", "true");
+  if (options.git) params.set("git", "true");
+  if (options.manifest === false) params.set("manifest", "false");
+
+  const res = await fetch(`${BASE_URL}/projects/${projectId}/export?${params}`);
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `HTTP ${res.status}`);
+  }
+
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `${projectId}.${options.format || "zip"}`;
+
+  return { blob: await res.blob(), fileName };
 }
 
 /** Health check */
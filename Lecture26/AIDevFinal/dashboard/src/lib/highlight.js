@@ -0,0 +1,137 @@
+/**
+ * lib/highlight.js — Tiny Syntax Highlighter
+ *
+ * Generated projects are JS/JSX, JSON, CSS, HTML and a few config
+ * files, so a small regex tokenizer covers them without pulling in a
+ * highlighting library. Output is plain tokens; components decide how
+ * to render them (class "tok-<type>").
+ *
+ * Works line by line so the diff view can highlight single rows.
+ * Block comments that span lines are tracked by highlightLines().
+ */
+
+const JS_KEYWORDS = new Set([
+  "async", "await", "break", "case", "catch", "class", "const", "continue",
+  "default", "delete", "do", "else", "export", "extends", "finally", "for",
+  "from", "function", "if", "import", "in", "instanceof", "let", "new", "of",
+  "return", "static", "super", "switch", "this", "throw", "try", "typeof",
+  "var", "void", "while", "yield", "as", "interface", "type",
+]);
+
+const LITERALS = new Set(["true", "false", "null", "undefined", "NaN"]);
+
+// [type, sticky regex] — first match wins at each position
+const RULES = {
+  js: [
+    ["comment", /\/\/.*/y],
+    ["comment", /\/\*.*?(\*\/|$)/y],
+    ["string", /`(?:\\.|[^`\\])*`?/y],
+    ["string", /"(?:\\.|[^"\\])*"?/y],
+    ["string", /'(?:\\.|[^'\\])*'?/y],
+    ["tag", /<\/?[A-Za-z][\w.]*/y],
+    ["number", /\b\d[\d_]*(\.\d+)?([eE][+-]?\d+)?\b/y],
+    ["word", /[A-Za-z_$][\w$]*/y],
+  ],
+  json: [
+    ["property", /"(?:\\.|[^"\\])*"(?=\s*:)/y],
+    ["string", /"(?:\\.|[^"\\])*"?/y],
+    ["number", /-?\b\d+(\.\d+)?([eE][+-]?\d+)?\b/y],
+    ["word", /[A-Za-z_]\w*/y],
+  ],
+  css: [
+    ["comment", /\/\*.*?(\*\/|$)/y],
+    ["string", /"(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\])*'?/y],
+    ["property", /[\w-]+(?=\s*:)/y],
+    ["keyword", /@[\w-]+/y],
+    ["number", /#[0-9a-fA-F]{3,8}\b|-?\d+(\.\d+)?(px|rem|em|%|vh|vw|s|ms)?/y],
+  ],
+  html: [
+    ["comment", /<!--.*?(-->|$)/y],
+    ["tag", /<\/?[A-Za-z][\w-]*|\/?>/y],
+    ["string", /"[^"]*"?|'[^']*'?/y],
+    ["property", /[\w-]+(?==)/y],
+  ],
+  shell: [
+    ["comment", /#.*/y],
+    ["string", /"(?:\\.|[^"\\])*"?|'[^']*'?/y],
+    ["keyword", /\$\{?\w+\}?/y],
+  ],
+};
+RULES.yaml = [["comment", /#.*/y], ["property", /[\w.-]+(?=\s*:)/y], ...RULES.shell.slice(1)];
+
+const EXTENSIONS = {
+  js: "js", jsx: "js", mjs: "js", cjs: "js", ts: "js", tsx: "js",
+  json: "json", css: "css", html: "html", svg: "html",
+  sh: "shell", env: "shell", gitignore: "shell", dockerignore: "shell",
+  yml: "yaml", yaml: "yaml",
+};
+
+/** "frontend/src/App.jsx" → "js"; unknown files → "text" */
+export function languageFor(filePath = "") {
+  const name = filePath.split("/").pop().toLowerCase();
+  if (name === "dockerfile") return "shell";
+  const ext = name.includes(".") ? name.split(".").pop() : name;
+  return EXTENSIONS[ext] || "text";
+}
+
+/** One line → [{ type, text }]; type "plain" for anything unmatched */
+export function highlightLine(line, language) {
+  const rules = RULES[language];
+  if (!rules) return [{ type: "plain", text: line }];
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === "plain") last.text += text;
+    else tokens.push({ type, text });
+  };
+
+  let pos = 0;
+  while (pos < line.length) {
+    let matched = false;
+    for (const [type, regex] of rules) {
+      regex.lastIndex = pos;
+      const m = regex.exec(line);
+      if (m && m[0].length > 0) {
+        let tokenType = type;
+        if (type === "word") {
+          tokenType = JS_KEYWORDS.has(m[0]) && language === "js" ? "keyword" : LITERALS.has(m[0]) ? "literal" : "plain";
+        }
+        push(tokenType, m[0]);
+        pos += m[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) push("plain", line[pos++]);
+  }
+  return tokens;
+}
+
+/**
+ * Whole file → one token list per line. Carries "inside a block
+ * comment" across lines so multi-line JSDoc stays grey.
+ */
+export function highlightLines(code, language) {
+  let inComment = false;
+  const blockComments = language === "js" || language === "css";
+
+  return code.split("\n").map((line) => {
+    if (!blockComments) return highlightLine(line, language);
+
+    if (inComment) {
+      const end = line.indexOf("*/");
+      if (end === -1) return [{ type: "comment", text: line }];
+      inComment = false;
+      const head = { type: "comment", text: line.slice(0, end + 2) };
+      return [head, ...highlightLine(line.slice(end + 2), language)];
+    }
+
+    const tokens = highlightLine(line, language);
+    const last = tokens[tokens.length - 1];
+    if (last?.type === "comment" && last.text.startsWith("/*") && !last.text.endsWith("*/")) {
+      inComment = true;
+    }
+    return tokens;
+  });
+}
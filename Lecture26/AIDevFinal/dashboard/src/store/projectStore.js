@@ -20,7 +20,7 @@
 import { create } from "zustand";
 
 /**
- * The 27 nodes in pipeline order, grouped by phase
+ * The 30 nodes in pipeline order, grouped by phase
  * Used by PipelineVisualizer to render the flow
  */
 export const PIPELINE_PHASES = {
@@ -42,7 +42,7 @@ export const PIPELINE_PHASES = {
   dev_loop: {
     label: "Dev Loop",
     nodes: [
-      "selectNextTask", "contextBuilder", "coderAgent", "updateRegistry",
+      "selectNextTask", "parallelTaskRunner", "contextBuilder", "coderAgent", "updateRegistry",
       "reviewerAgent", "executorAgent", "snapshotManager",
       "debuggerAgent", "simplifyTask", "humanEscalation",
       "phaseVerification", "patternExtractor", "stateCompactor",
@@ -50,7 +50,7 @@ export const PIPELINE_PHASES = {
   },
   deploy: {
     label: "Deploy",
-    nodes: ["deploymentVerifier", "presentToUser"],
+    nodes: ["deploymentVerifier", "presentToUser", "collectFeedback", "triageFeedback"],
   },
 };
 
@@ -71,6 +71,7 @@ export const NODE_LABELS = {
   setupSandbox: "Setup Sandbox",
   sandboxHealthCheck: "Health Check",
   selectNextTask: "Select Next Task",
+  parallelTaskRunner: "Parallel Tasks",
   contextBuilder: "Build Context",
   coderAgent: "Coder Agent",
   updateRegistry: "Update Registry",
@@ -85,6 +86,8 @@ export const NODE_LABELS = {
   stateCompactor: "State Compactor",
   deploymentVerifier: "Deployment Verifier",
   presentToUser: "Present Results",
+  collectFeedback: "Collect Feedback",
+  triageFeedback: "Triage Feedback",
 };
 
 const useProjectStore = create((set, get) => ({
@@ -166,7 +169,7 @@ const useProjectStore = create((set, get) => ({
   tokenBudget: 2.0,
 
   // ─── Human Input ───────────────────────────────────────
-  humanInputRequest: null, // { type, questions, task, error }
+  humanInputRequest: null, // { type, questions, task, error, feedback }
 
   // ─── Error ─────────────────────────────────────────────
   error: null,
@@ -252,6 +255,7 @@ const useProjectStore = create((set, get) => ({
             questions: event.questions || [],
             task: event.task || null,
             error: event.error || null,
+            feedback: event.feedback || null,
           },
         });
         break;
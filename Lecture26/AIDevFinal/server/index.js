@@ -37,7 +37,8 @@ const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
 const app = express();
 
 // Middleware
-app.use(cors({ origin: FRONTEND_URL, credentials: true }));
+// exposedHeaders → the dashboard can read the export's file name
+app.use(cors({ origin: FRONTEND_URL, credentials: true, exposedHeaders: ["Content-Disposition"] }));
 app.use(express.json({ limit: "10mb" }));
 
 // Request logging
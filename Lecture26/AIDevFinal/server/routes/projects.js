@@ -8,6 +8,8 @@
  *   - Get project state (from LangGraph checkpoint)
  *   - Resume a project
  *   - Get sandbox info
+ *   - Export the generated project (zip / tar.gz download)
+ *   - Browse files, list snapshot tags, diff two snapshots
  * 
  * WebSocket handles streaming (real-time node events).
  * The frontend does POST /api/projects to start a run,
@@ -24,20 +26,38 @@ import {
 } from "../services/graphRunner.js";
 import { broadcastToProject } from "../ws/handler.js";
 import { buildGraph, createCheckpointer } from "../../src/config/graph.js";
-import { getSandboxInfo, getFileList, readFile } from "../../src/utils/sandboxManager.js";
+import { parseMaxParallelTasks } from "../../src/config/state.js";
+import { getSandboxInfo, getFileList } from "../../src/utils/sandboxManager.js";
+import { parseExportOptions, prepareExport, ExportError, resolveSandboxPath } from "../services/projectExport.js";
+import { ClientGoneError } from "../services/archive.js";
+import {
+  listSandboxFiles,
+  readSandboxFile,
+  listSnapshots,
+  diffSnapshots,
+  SnapshotError,
+} from "../services/snapshotDiff.js";
 
 const router = Router();
 
 // ─── POST /api/projects ──────────────────────────────────────
 // Start a new project
+// { requirement, tokenBudget?, maxParallelTasks? }  (maxParallelTasks defaults to MAX_PARALLEL_TASKS, else 3)
 router.post("/", async (req, res) => {
   try {
-    const { requirement, tokenBudget } = req.body;
+    const { requirement, tokenBudget, maxParallelTasks } = req.body;
 
     if (!requirement || typeof requirement !== "string" || requirement.trim().length === 0) {
       return res.status(400).json({ error: "requirement is required" });
     }
 
+    let parallelLimit;
+    try {
+      parallelLimit = parseMaxParallelTasks(maxParallelTasks, parseMaxParallelTasks(process.env.MAX_PARALLEL_TASKS));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
     const projectId = `project-${Date.now()}`;
 
     // Create an emit function that broadcasts to WebSocket clients
@@ -45,6 +65,7 @@ router.post("/", async (req, res) => {
 
     const result = await startProject(projectId, requirement.trim(), emit, {
       tokenBudget: tokenBudget || 2.0,
+      maxParallelTasks: parallelLimit,
     });
 
     res.status(201).json({
@@ -169,35 +190,116 @@ router.get("/:id/sandbox", async (req, res) => {
   }
 });
 
-// ─── GET /api/projects/:id/files/:path ──────────────────────
-// Read a file from the sandbox
-router.get("/:id/files/*", async (req, res) => {
+// ─── GET /api/projects/:id/export ───────────────────────────
+// Download the sandbox as an archive
+// ?format=zip|tar.gz  &snapshot=v0.N.0  &nodeModules=true  &git=true  &manifest=false
+router.get("/:id/export", async (req, res) => {
+  let prepared;
   try {
     const { id } = req.params;
-    const filePath = req.params[0]; // everything after /files/
+    const options = parseExportOptions(req.query);
 
     const checkpointer = await createCheckpointer();
     const graph = buildGraph({ checkpointer });
     const config = { configurable: { thread_id: id } };
 
     const savedState = await graph.getState(config);
-    const sandboxId = savedState?.values?.sandboxId;
+    prepared = prepareExport(savedState?.values, id, options);
+  } catch (error) {
+    return res.status(error instanceof ExportError ? error.status : 500).json({ error: error.message });
+  }
 
-    if (!sandboxId) {
-      return res.status(404).json({ error: "No sandbox" });
-    }
+  res.setHeader("Content-Type", prepared.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${prepared.fileName}"`);
+  // Client gone → stop git too, so a pending blob read fails instead of hanging
+  res.on("close", () => prepared.close());
+
+  try {
+    await prepared.write(prepared.entries, res);
+  } catch (error) {
+    // Client left → nothing to report. Otherwise headers are gone —
+    // all we can do is cut the download short
+    if (error instanceof ClientGoneError) return;
+    console.error("Export failed mid-stream:", error);
+    res.destroy(error);
+  } finally {
+    prepared.close();
+  }
+});
+
+// ─── GET /api/projects/:id/tree ─────────────────────────────
+// Full file listing (no 100-file cap) for the dashboard file tree
+router.get("/:id/tree", async (req, res) => {
+  try {
+    const { sandboxId, sandboxPath } = await _loadSandbox(req.params.id);
+    const files = listSandboxFiles(sandboxPath);
+    res.json({ sandboxId, fileCount: files.length, files });
+  } catch (error) {
+    res.status(error instanceof SnapshotError ? error.status : 500).json({ error: error.message });
+  }
+});
 
-    const content = readFile(sandboxId, filePath);
+// ─── GET /api/projects/:id/snapshots ────────────────────────
+// Snapshot tags, oldest first, each mapped back to its taskId
+router.get("/:id/snapshots", async (req, res) => {
+  try {
+    const { sandboxId, sandboxPath } = await _loadSandbox(req.params.id);
+    res.json({ sandboxId, snapshots: listSnapshots(sandboxPath) });
+  } catch (error) {
+    res.status(error instanceof SnapshotError ? error.status : 500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/projects/:id/diff ─────────────────────────────
+// Side-by-side diff between two snapshots
+// ?to=v0.N.0  &from=v0.M.0 (default: the commit before `to`)  &context=3
+router.get("/:id/diff", async (req, res) => {
+  try {
+    const { sandboxPath } = await _loadSandbox(req.params.id);
+    const { from, to, context } = req.query;
+    res.json(diffSnapshots(sandboxPath, { from: from || null, to, context: context ?? 3 }));
+  } catch (error) {
+    res.status(error instanceof SnapshotError ? error.status : 500).json({ error: error.message });
+  }
+});
+
+// ─── GET /api/projects/:id/files/:path ──────────────────────
+// Read a file from the sandbox
+router.get("/:id/files/*", async (req, res) => {
+  try {
+    const filePath = req.params[0]; // everything after /files/
+    const { sandboxPath } = await _loadSandbox(req.params.id);
+
+    const content = readSandboxFile(sandboxPath, filePath);
     if (content === null) {
       return res.status(404).json({ error: "File not found" });
     }
 
     res.json({ path: filePath, content });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error instanceof SnapshotError ? error.status : 500).json({ error: error.message });
   }
 });
 
+/**
+ * Sandbox folder for a project, via its checkpointed state.
+ * Falls back to SANDBOX_DIR, so it still works after a server restart.
+ */
+async function _loadSandbox(id) {
+  const checkpointer = await createCheckpointer();
+  const graph = buildGraph({ checkpointer });
+  const config = { configurable: { thread_id: id } };
+
+  const savedState = await graph.getState(config);
+  const sandboxId = savedState?.values?.sandboxId;
+  if (!sandboxId) throw new SnapshotError("No sandbox found for this project", 404);
+
+  const sandboxPath = resolveSandboxPath(sandboxId);
+  if (!sandboxPath) throw new SnapshotError(`Sandbox folder for ${sandboxId} not found`, 404);
+
+  return { sandboxId, sandboxPath };
+}
+
 /**
  * Summarize state for REST response (strip huge fields)
  */
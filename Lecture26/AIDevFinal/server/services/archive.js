@@ -0,0 +1,258 @@
+/**
+ * archive.js — Streaming zip / tar.gz Writers
+ *
+ * FIRST PRINCIPLES:
+ * An export is just a list of entries written one after another:
+ *   { path, type: "file" | "symlink", mode, mtime, read() → Buffer | Promise<Buffer>, linkTarget }
+ * Both formats can be streamed entry by entry — nothing is buffered
+ * beyond the file currently being written — so exporting a sandbox
+ * WITH node_modules doesn't need the whole project in memory.
+ *
+ * Node built-ins only (zlib for gzip / deflate; CRC-32 from a table, as
+ * zlib.crc32 needs Node ≥ 20.15). Both writers respect backpressure:
+ * they wait for "drain" when the response is full.
+ *
+ * A client that disconnects destroys the response without an "error":
+ * "drain" / "finish" would never come. Every wait is raced against the
+ * response closing → the writer rejects with ClientGoneError instead of
+ * hanging forever.
+ *
+ * tar:  512-byte ustar headers, PAX header for paths > 100 bytes, gzip on top
+ * zip:  deflate per file, UTF-8 names, unix modes, zip64 end record when
+ *       there are more than 65535 entries (node_modules does that easily)
+ */
+
+import zlib from "zlib";
+import { once } from "events";
+
+/** The response was closed before the archive was complete */
+export class ClientGoneError extends Error {
+  constructor() {
+    super("Client disconnected before the export finished");
+  }
+}
+
+// Wait for `event` on `emitter` — or fail once `out` (the response) is gone
+async function waitFor(emitter, event, out) {
+  if (out.destroyed) throw new ClientGoneError();
+  const controller = new AbortController();
+  try {
+    const closed = await Promise.race([
+      once(emitter, event, { signal: controller.signal }).then(() => false),
+      once(out, "close", { signal: controller.signal }).then(() => true),
+    ]);
+    if (closed) throw new ClientGoneError();
+  } finally {
+    controller.abort();
+  }
+}
+
+// `out` = the response; differs from `stream` when writing through gzip
+async function write(stream, chunk, out = stream) {
+  if (out.destroyed) throw new ClientGoneError();
+  if (!stream.write(chunk)) await waitFor(stream, "drain", out);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// TAR (+ gzip)
+// ═══════════════════════════════════════════════════════════════
+
+function tarHeader({ name, size, mode, mtime, typeflag, linkname = "" }) {
+  const header = Buffer.alloc(512);
+  const field = (value, offset, length) => header.write(value, offset, length, "utf-8");
+  const octal = (value, offset, length) => field(value.toString(8).padStart(length - 1, "0"), offset, length - 1);
+
+  field(name, 0, 100);
+  octal(mode & 0o7777, 100, 8);
+  octal(0, 108, 8);
+  octal(0, 116, 8);
+  octal(size, 124, 12);
+  octal(Math.floor(mtime / 1000), 136, 12);
+  field("        ", 148, 8); // checksum placeholder = spaces
+  field(typeflag, 156, 1);
+  field(linkname, 157, 100);
+  field("ustar\u000000", 257, 8);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  field(`${checksum.toString(8).padStart(6, "0")}\u0000 `, 148, 8);
+  return header;
+}
+
+// PAX record: "<len> path=<value>\n" where <len> counts itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (Buffer.byteLength(`${length}${body}`) !== length) length = Buffer.byteLength(`${length}${body}`);
+  return `${length}${body}`;
+}
+
+function padding(size) {
+  const rest = size % 512;
+  return rest === 0 ? Buffer.alloc(0) : Buffer.alloc(512 - rest);
+}
+
+export async function writeTarGz(entries, out) {
+  const gzip = zlib.createGzip();
+  gzip.pipe(out);
+  try {
+    await writeTar(entries, gzip, out);
+  } catch (err) {
+    gzip.destroy();
+    throw err;
+  }
+}
+
+async function writeTar(entries, gzip, out) {
+  const done = waitFor(gzip, "end", out);
+  // Rejected before it is awaited when the client leaves mid-archive
+  done.catch(() => {});
+  const put = (chunk) => write(gzip, chunk, out);
+
+  for (const entry of entries) {
+    const isLink = entry.type === "symlink";
+    const data = isLink ? Buffer.alloc(0) : await entry.read();
+    const mtime = entry.mtime || Date.now();
+
+    let name = entry.path;
+    if (Buffer.byteLength(name) > 100 || Buffer.byteLength(entry.linkTarget || "") > 100) {
+      const pax = Buffer.from(paxRecord("path", entry.path) + (isLink ? paxRecord("linkpath", entry.linkTarget) : ""));
+      await put(tarHeader({ name: "PaxHeader", size: pax.length, mode: 0o644, mtime, typeflag: "x" }));
+      await put(Buffer.concat([pax, padding(pax.length)]));
+      name = Buffer.from(entry.path).subarray(0, 100).toString();
+    }
+
+    await put(tarHeader({
+      name,
+      size: data.length,
+      mode: entry.mode || 0o644,
+      mtime,
+      typeflag: isLink ? "2" : "0",
+      linkname: isLink ? entry.linkTarget.slice(0, 100) : "",
+    }));
+    if (data.length > 0) await put(Buffer.concat([data, padding(data.length)]));
+  }
+
+  // End of archive: two empty blocks
+  gzip.end(Buffer.alloc(1024));
+  await done;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ZIP
+// ═══════════════════════════════════════════════════════════════
+
+// CRC-32 (IEEE, reflected 0xEDB88320) — same result as zlib.crc32
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(ms) {
+  const d = new Date(ms);
+  const year = Math.max(d.getFullYear(), 1980);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+export async function writeZip(entries, out) {
+  const central = [];
+  let offset = 0;
+
+  const emit = async (chunk) => {
+    await write(out, chunk);
+    offset += chunk.length;
+  };
+
+  for (const entry of entries) {
+    const isLink = entry.type === "symlink";
+    // Info-ZIP convention: a symlink is a file whose content is the target
+    const data = isLink ? Buffer.from(entry.linkTarget) : await entry.read();
+    const compressed = data.length > 0 && !isLink ? zlib.deflateRawSync(data) : data;
+    const method = compressed === data ? 0 : 8;
+    const crc = crc32(data);
+    const name = Buffer.from(entry.path);
+    const { time, date } = dosDateTime(entry.mtime || Date.now());
+    const mode = (isLink ? 0o120000 : 0o100000) | ((entry.mode || 0o644) & 0o7777);
+
+    if (offset > 0xffffffff || data.length > 0xffffffff) {
+      throw new Error("Export too large for zip — use format=tar.gz");
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 20, 4); // made by: unix
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE((mode << 16) >>> 0, 38);
+    header.writeUInt32LE(offset, 42);
+    central.push(Buffer.concat([header, name]));
+
+    await emit(Buffer.concat([local, name]));
+    if (compressed.length > 0) await emit(compressed);
+  }
+
+  const centralStart = offset;
+  for (const record of central) await emit(record);
+  const centralSize = offset - centralStart;
+
+  // More entries than a classic end record can count → zip64 end record + locator
+  if (central.length > 0xffff) {
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(0x06064b50, 0);
+    zip64End.writeBigUInt64LE(44n, 4);
+    zip64End.writeUInt16LE((3 << 8) | 45, 12);
+    zip64End.writeUInt16LE(45, 14);
+    zip64End.writeBigUInt64LE(BigInt(central.length), 24);
+    zip64End.writeBigUInt64LE(BigInt(central.length), 32);
+    zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+    zip64End.writeBigUInt64LE(BigInt(centralStart), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset), 8);
+    locator.writeUInt32LE(1, 16);
+
+    await emit(Buffer.concat([zip64End, locator]));
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(central.length, 0xffff), 8);
+  end.writeUInt16LE(Math.min(central.length, 0xffff), 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(centralStart, 16);
+  await emit(end);
+
+  out.end();
+  await waitFor(out, "finish", out);
+}
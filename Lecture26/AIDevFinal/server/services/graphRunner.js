@@ -5,7 +5,7 @@
  * The core problem: graph.stream() is an async iterator that yields
  * node-by-node updates. We need to:
  * 1. Pipe each update to the WebSocket (so frontend sees real-time progress)
- * 2. PAUSE when a human-input node runs (PM clarification, escalation)
+ * 2. PAUSE when a human-input node runs (PM clarification, escalation, feedback)
  * 3. WAIT for the frontend to send the human's response via WebSocket
  * 4. RESUME the graph with that response
  * 
@@ -70,6 +70,7 @@ class InputBridge {
         questions: payload?.questions || [],
         task: payload?.task || null,
         error: payload?.error || null,
+        feedback: payload?.feedback || null,
         timestamp: Date.now(),
       });
     }
@@ -122,7 +123,7 @@ export const inputBridges = new Map();
  * @returns {object} - { projectId, threadId }
  */
 export async function startProject(projectId, requirement, emit, options = {}) {
-  const { tokenBudget = 2.0 } = options;
+  const { tokenBudget = 2.0, maxParallelTasks } = options;
 
   // 1. Initialize Gemini if not already
   try {
@@ -162,7 +163,7 @@ export async function startProject(projectId, requirement, emit, options = {}) {
   };
 
   // 7. Run in background (don't await — we stream events)
-  _executeGraph(projectId, graph, config, requirement, tokenBudget, emit)
+  _executeGraph(projectId, graph, config, requirement, { tokenBudget, maxParallelTasks }, emit)
     .catch((error) => {
       emit({
         type: "error",
@@ -224,7 +225,7 @@ export async function resumeProject(projectId, emit) {
  * which yields { nodeName: stateUpdate } for each node execution.
  * Each yield is piped to the emit function → WebSocket → React.
  */
-async function _executeGraph(projectId, graph, config, requirement, tokenBudget, emit) {
+async function _executeGraph(projectId, graph, config, requirement, settings, emit) {
   emit({
     type: "run_started",
     projectId,
@@ -232,7 +233,7 @@ async function _executeGraph(projectId, graph, config, requirement, tokenBudget,
   });
 
   const input = requirement
-    ? { userRequirement: requirement, tokenBudget: tokenBudget || 2.0 }
+    ? { userRequirement: requirement, tokenBudget: settings?.tokenBudget || 2.0, maxParallelTasks: settings?.maxParallelTasks }
     : null; // null for resume
 
   try {
@@ -0,0 +1,297 @@
+/**
+ * projectExport.js — Download a Generated Project
+ *
+ * FIRST PRINCIPLES:
+ * The sandbox is a plain folder + git repo. Exporting it means:
+ *   1. pick the files — working tree now, or the code at a snapshot tag
+ *   2. optionally add node_modules / .git (big, usually unwanted)
+ *   3. optionally add aidev-manifest.json — blueprint, task statuses,
+ *      token usage — so tools can tell WHAT was generated and at what cost
+ *   4. stream it as zip or tar.gz (see archive.js)
+ *
+ * Snapshot exports read blobs straight out of git (ls-tree + one
+ * cat-file --batch process, streamed blob by blob) — no checkout, so a
+ * running project's working tree is never touched.
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFileSync, spawn } from "child_process";
+import { getSandboxPath } from "../../src/utils/sandboxManager.js";
+import { writeZip, writeTarGz } from "./archive.js";
+
+export const EXPORT_FORMATS = {
+  zip: { contentType: "application/zip", extension: "zip", write: writeZip },
+  "tar.gz": { contentType: "application/gzip", extension: "tar.gz", write: writeTarGz },
+};
+
+export const MANIFEST_FILE = "aidev-manifest.json";
+
+// Snapshot tags are v0.N.0 (see sandboxManager.snapshot)
+const SNAPSHOT_TAG = /^v\d+\.\d+\.\d+$/;
+
+/** 400-level problems the route turns into JSON errors */
+export class ExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parse + validate query options.
+ * ?format=zip|tar.gz&snapshot=v0.3.0&nodeModules=true&git=true&manifest=false
+ */
+export function parseExportOptions(query = {}) {
+  const flag = (value, fallback) => value === undefined ? fallback : ["1", "true", "yes"].includes(String(value).toLowerCase());
+  const format = query.format || "zip";
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new ExportError(`Unsupported format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(" or ")})`);
+  }
+  if (query.snapshot && !SNAPSHOT_TAG.test(query.snapshot)) {
+    throw new ExportError(`Invalid snapshot tag "${query.snapshot}" (expected v0.N.0)`);
+  }
+
+  return {
+    format,
+    snapshot: query.snapshot || null,
+    includeNodeModules: flag(query.nodeModules, false),
+    includeGit: flag(query.git, false),
+    includeManifest: flag(query.manifest, true),
+  };
+}
+
+/**
+ * Sandbox folder for a project — the in-memory registry first, then
+ * SANDBOX_DIR (the server may have restarted since the run)
+ */
+export function resolveSandboxPath(sandboxId) {
+  const known = getSandboxPath(sandboxId);
+  if (known) return known;
+  const base = process.env.SANDBOX_DIR || path.join(process.cwd(), "sandboxes");
+  const candidate = path.join(base, sandboxId);
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COLLECT ENTRIES
+// ═══════════════════════════════════════════════════════════════
+
+/** Walk a folder into archive entries (lazy reads) */
+function walkEntries(root, dir, { skip = () => false } = {}) {
+  const entries = [];
+
+  function walk(current, prefix) {
+    for (const dirent of fs.readdirSync(current, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      const full = path.join(current, dirent.name);
+      if (skip(dirent.name, rel)) continue;
+
+      if (dirent.isSymbolicLink()) {
+        entries.push({ path: rel, type: "symlink", linkTarget: fs.readlinkSync(full), mode: 0o777, mtime: fs.lstatSync(full).mtimeMs });
+      } else if (dirent.isDirectory()) {
+        walk(full, rel);
+      } else if (dirent.isFile()) {
+        const stat = fs.statSync(full);
+        entries.push({ path: rel, type: "file", mode: stat.mode, mtime: stat.mtimeMs, read: () => fs.readFileSync(full) });
+      }
+    }
+  }
+
+  walk(dir, path.relative(root, dir).split(path.sep).join("/"));
+  return entries;
+}
+
+/** Working tree as it is right now */
+export function collectWorkingTree(sandboxPath, { includeNodeModules = false, includeGit = false } = {}) {
+  return walkEntries(sandboxPath, sandboxPath, {
+    skip: (name) => (name === "node_modules" && !includeNodeModules) || (name === ".git" && !includeGit),
+  });
+}
+
+/**
+ * One long-running `git cat-file --batch` process, asked for one blob at
+ * a time as the archive writer reaches it: "<sha>\n" in,
+ * "<sha> blob <size>\n<content>\n" out. Only the blob being written is
+ * ever in memory — no maxBuffer to outgrow.
+ */
+function openBlobReader(sandboxPath) {
+  const git = spawn("git", ["cat-file", "--batch"], { cwd: sandboxPath, stdio: ["pipe", "pipe", "ignore"] });
+  const chunks = git.stdout[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let queue = Promise.resolve();
+  let failure = null;
+
+  // A dead process shows up as stdout ending → reported by nextChunk()
+  git.on("error", (err) => { failure = err; });
+  git.stdin.on("error", () => {});
+
+  const nextChunk = async () => {
+    const { value, done } = await chunks.next();
+    if (done) throw failure || new Error("git cat-file exited before sending every blob");
+    return value;
+  };
+
+  async function readBlob(sha) {
+    git.stdin.write(`${sha}\n`);
+    while (buffered.indexOf(10) === -1) buffered = Buffer.concat([buffered, await nextChunk()]);
+
+    const headerEnd = buffered.indexOf(10);
+    const [, type, size] = buffered.subarray(0, headerEnd).toString().split(" ");
+    if (type !== "blob") {
+      buffered = buffered.subarray(headerEnd + 1); // "<sha> missing" has no content
+      throw new Error(`Blob ${sha} missing from the snapshot`);
+    }
+
+    // Content + trailing LF; collect chunks first, concat once
+    const needed = Number(size) + 1;
+    const parts = [buffered.subarray(headerEnd + 1)];
+    let length = parts[0].length;
+    while (length < needed) {
+      const chunk = await nextChunk();
+      parts.push(chunk);
+      length += chunk.length;
+    }
+    const all = Buffer.concat(parts, length);
+    buffered = all.subarray(needed);
+    return all.subarray(0, needed - 1);
+  }
+
+  return {
+    // Requests are queued → answers can't interleave
+    read: (sha) => (queue = queue.catch(() => {}).then(() => readBlob(sha))),
+    close: () => {
+      git.stdin.end();
+      if (git.exitCode === null) git.kill();
+    },
+  };
+}
+
+/**
+ * Files committed at a snapshot tag. node_modules/.git are never
+ * committed, so when asked for they come from disk.
+ * File contents stream from git while the archive is written →
+ * call close() when done (prepareExport hands it to the route).
+ */
+export function collectSnapshot(sandboxPath, tag, { includeNodeModules = false, includeGit = false } = {}) {
+  // Commit time + file listing only — contents go through openBlobReader
+  const git = (args, input) => execFileSync("git", args, { cwd: sandboxPath, input, maxBuffer: 64 * 1024 * 1024 });
+
+  let commitTime;
+  try {
+    commitTime = Number(git(["log", "-1", "--format=%ct", `${tag}^{commit}`]).toString().trim()) * 1000;
+  } catch (e) {
+    throw new ExportError(`Snapshot ${tag} not found`, 404);
+  }
+
+  // "<mode> <type> <sha>\t<path>" — NUL separated so any path is safe
+  const tree = git(["ls-tree", "-r", "-z", tag]).toString().split("\0").filter(Boolean).map(line => {
+    const [meta, filePath] = line.split("\t");
+    const [mode, type, sha] = meta.split(" ");
+    return { mode: parseInt(mode, 8), type, sha, path: filePath };
+  }).filter(item => item.type === "blob");
+
+  // Symlink targets are needed up front (and tiny): "<sha> blob <size>\n<target>\n"
+  const links = tree.filter(item => item.mode === 0o120000);
+  const linkTargets = new Map();
+  const batch = links.length ? git(["cat-file", "--batch"], links.map(t => t.sha).join("\n") + "\n") : Buffer.alloc(0);
+  let pos = 0;
+  while (pos < batch.length) {
+    const headerEnd = batch.indexOf(10, pos);
+    const [sha, , size] = batch.subarray(pos, headerEnd).toString().split(" ");
+    const start = headerEnd + 1;
+    linkTargets.set(sha, batch.subarray(start, start + Number(size)).toString());
+    pos = start + Number(size) + 1;
+  }
+
+  let reader = null;
+  const readBlob = (sha) => (reader ??= openBlobReader(sandboxPath)).read(sha);
+
+  const entries = tree.map(item => item.mode === 0o120000
+    ? { path: item.path, type: "symlink", linkTarget: linkTargets.get(item.sha), mode: 0o777, mtime: commitTime }
+    : { path: item.path, type: "file", mode: item.mode, mtime: commitTime, read: () => readBlob(item.sha) });
+
+  const extras = [];
+  if (includeGit) extras.push(".git");
+  if (includeNodeModules) {
+    for (const dir of ["node_modules", "backend/node_modules", "frontend/node_modules"]) {
+      if (fs.existsSync(path.join(sandboxPath, dir))) extras.push(dir);
+    }
+  }
+  for (const dir of extras) {
+    const full = path.join(sandboxPath, dir);
+    if (fs.existsSync(full)) entries.push(...walkEntries(sandboxPath, full));
+  }
+
+  entries.close = () => reader?.close();
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MANIFEST
+// ═══════════════════════════════════════════════════════════════
+
+export function buildManifest(state, { projectId, options, files }) {
+  return {
+    manifestVersion: 1,
+    projectId,
+    appName: state.clarifiedSpec?.appName || null,
+    userRequirement: state.userRequirement || null,
+    exportedAt: new Date().toISOString(),
+    sandboxId: state.sandboxId,
+    snapshot: options.snapshot,
+    format: options.format,
+    includes: { nodeModules: options.includeNodeModules, git: options.includeGit },
+    fileCount: files.length,
+    files,
+    blueprint: state.blueprint || null,
+    taskStatuses: state.taskStatuses || {},
+    tokenUsage: {
+      totalInput: state.tokenUsage?.totalInput || 0,
+      totalOutput: state.tokenUsage?.totalOutput || 0,
+      estimatedCost: state.tokenUsage?.estimatedCost || 0,
+      calls: state.tokenUsage?.calls?.length || 0,
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════════
+
+/** "todo-app-v0.3.0.zip" — safe for Content-Disposition */
+export function exportFileName(state, projectId, options) {
+  const base = (state.clarifiedSpec?.appName || projectId).toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${base || "project"}-${options.snapshot || "latest"}.${EXPORT_FORMATS[options.format].extension}`;
+}
+
+/**
+ * Collect entries for a project. Throws ExportError before anything is
+ * written, so the route can still answer with JSON. Call close() after
+ * write().
+ */
+export function prepareExport(state, projectId, options) {
+  if (!state?.sandboxId) throw new ExportError("No sandbox found for this project", 404);
+
+  const sandboxPath = resolveSandboxPath(state.sandboxId);
+  if (!sandboxPath) throw new ExportError(`Sandbox folder for ${state.sandboxId} not found`, 404);
+
+  const entries = options.snapshot
+    ? collectSnapshot(sandboxPath, options.snapshot, options)
+    : collectWorkingTree(sandboxPath, options);
+
+  if (options.includeManifest) {
+    const files = entries.map(e => e.path).filter(p => !p.startsWith(".git/") && !p.includes("node_modules/"));
+    const manifest = Buffer.from(JSON.stringify(buildManifest(state, { projectId, options, files }), null, 2));
+    entries.push({ path: MANIFEST_FILE, type: "file", mode: 0o644, mtime: Date.now(), read: () => manifest });
+  }
+
+  return {
+    entries,
+    fileName: exportFileName(state, projectId, options),
+    ...EXPORT_FORMATS[options.format],
+    // Stops the snapshot's git process — call once the archive is written (or failed)
+    close: () => entries.close?.(),
+  };
+}
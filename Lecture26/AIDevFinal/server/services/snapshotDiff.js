@@ -0,0 +1,240 @@
+/**
+ * snapshotDiff.js — Browse a Sandbox + Diff Its Snapshots
+ *
+ * FIRST PRINCIPLES:
+ * Every finished task leaves a git tag in the sandbox (v0.N.0, see
+ * sandboxManager.snapshot) with the message "Task <taskId>: <title>".
+ * So "what did task X change?" is just `git diff <tag>^ <tag>`, and
+ * "what changed between two points in the run?" is `git diff <a> <b>`.
+ *
+ * This module gives the dashboard:
+ *   1. the file listing + file contents (working tree)
+ *   2. the snapshot list, each tag mapped back to its taskId
+ *   3. diffs between two tags, already split into side-by-side rows
+ *
+ * Git does the diffing; we only parse its unified output. Tags and
+ * paths are validated before they reach git or the filesystem.
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+// Snapshot tags are v0.N.0 (see sandboxManager.snapshot)
+const SNAPSHOT_TAG = /^v\d+\.\d+\.\d+$/;
+const TASK_MESSAGE = /^Task (\S+): (.*)$/;
+
+// Files with more diff lines than this come back without rows
+export const MAX_DIFF_LINES = 4000;
+
+/** 400-level problems the route turns into JSON errors */
+export class SnapshotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function git(sandboxPath, args) {
+  return execFileSync("git", ["-c", "core.quotePath=false", ...args], {
+    cwd: sandboxPath, stdio: "pipe", maxBuffer: 64 * 1024 * 1024,
+  }).toString();
+}
+
+function assertTag(tag, label) {
+  if (!SNAPSHOT_TAG.test(tag || "")) {
+    throw new SnapshotError(`Invalid ${label} tag "${tag}" (expected v0.N.0)`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WORKING TREE
+// ═══════════════════════════════════════════════════════════════
+
+/** Every file in the sandbox (no node_modules / .git), sorted */
+export function listSandboxFiles(sandboxPath) {
+  const files = [];
+  function walk(dir, prefix) {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (dirent.name === "node_modules" || dirent.name === ".git") continue;
+      const rel = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) walk(path.join(dir, dirent.name), rel);
+      else if (dirent.isFile()) files.push(rel);
+    }
+  }
+  walk(sandboxPath, "");
+  return files.sort();
+}
+
+/** Read one file — refuses anything that resolves outside the sandbox */
+export function readSandboxFile(sandboxPath, filePath) {
+  const root = path.resolve(sandboxPath);
+  const full = path.resolve(root, filePath || "");
+  if (full === root || !full.startsWith(root + path.sep)) {
+    throw new SnapshotError(`Invalid path "${filePath}"`);
+  }
+  if (!fs.existsSync(full) || !fs.statSync(full).isFile()) return null;
+  return fs.readFileSync(full, "utf-8");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SNAPSHOTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * All snapshot tags, oldest first:
+ *   [{ tag, commit, message, taskId, title, date, previousTag }]
+ * v0.0.0 is the initial scaffold, so its taskId is null.
+ */
+export function listSnapshots(sandboxPath) {
+  let output;
+  try {
+    output = git(sandboxPath, [
+      "for-each-ref", "refs/tags",
+      "--format=%(refname:short)%00%(objectname)%00%(*objectname)%00%(creatordate:iso-strict)%00%(contents:subject)",
+    ]);
+  } catch (e) {
+    return []; // not a git repo (yet)
+  }
+
+  const version = (tag) => tag.slice(1).split(".").map(Number);
+  const snapshots = output.split("\n").filter(Boolean)
+    .map(line => {
+      const [tag, object, peeled, date, subject] = line.split("\0");
+      return { tag, commit: peeled || object, date, message: subject };
+    })
+    .filter(s => SNAPSHOT_TAG.test(s.tag))
+    .sort((a, b) => {
+      const [va, vb] = [version(a.tag), version(b.tag)];
+      return va[0] - vb[0] || va[1] - vb[1] || va[2] - vb[2];
+    });
+
+  return snapshots.map((s, i) => {
+    const match = s.message.match(TASK_MESSAGE);
+    return {
+      ...s,
+      taskId: match ? match[1] : null,
+      title: match ? match[2] : s.message,
+      previousTag: i > 0 ? snapshots[i - 1].tag : null,
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DIFF
+// ═══════════════════════════════════════════════════════════════
+
+const STATUS_NAMES = { A: "added", M: "modified", D: "deleted", T: "modified" };
+
+/**
+ * Split a unified diff hunk body into side-by-side rows.
+ * A run of "-" lines followed by a run of "+" lines is paired up
+ * line by line ("change"); leftovers become "del" / "add" rows.
+ *   { type, left: { line, text } | null, right: { line, text } | null }
+ */
+export function toSideBySide(lines, oldStart, newStart) {
+  const rows = [];
+  let oldLine = oldStart;
+  let newLine = newStart;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      const left = removed[i] || null;
+      const right = added[i] || null;
+      rows.push({ type: left && right ? "change" : left ? "del" : "add", left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of lines) {
+    const marker = line[0];
+    const text = line.slice(1);
+    if (marker === "-") {
+      if (added.length) flush();
+      removed.push({ line: oldLine++, text });
+    } else if (marker === "+") {
+      added.push({ line: newLine++, text });
+    } else if (marker === " ") {
+      flush();
+      rows.push({ type: "context", left: { line: oldLine++, text }, right: { line: newLine++, text } });
+    }
+    // "\ No newline at end of file" carries no content
+  }
+  flush();
+  return rows;
+}
+
+/** Parse one file's section of `git diff` output into hunks */
+export function parseFilePatch(patch) {
+  if (/^Binary files .* differ$/m.test(patch)) return { binary: true, hunks: [] };
+
+  const hunks = [];
+  let current = null;
+  for (const line of patch.split("\n")) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/);
+    if (header) {
+      current = { oldStart: Number(header[1]), newStart: Number(header[3]), header: line, lines: [] };
+      hunks.push(current);
+    } else if (current && /^[ +\-\\]/.test(line)) {
+      current.lines.push(line);
+    }
+  }
+
+  return {
+    binary: false,
+    hunks: hunks.map(h => ({ header: h.header, rows: toSideBySide(h.lines, h.oldStart, h.newStart) })),
+  };
+}
+
+/**
+ * Diff two snapshots. `from` defaults to the commit before `to`, which
+ * is exactly what the task behind `to` produced.
+ * Returns { from, to, files: [{ path, status, additions, deletions, binary, tooLarge, hunks }] }
+ */
+export function diffSnapshots(sandboxPath, { from = null, to, context = 3 } = {}) {
+  assertTag(to, "to");
+  if (from) assertTag(from, "from");
+
+  const exists = (tag) => {
+    try { git(sandboxPath, ["rev-parse", "--verify", "--quiet", `${tag}^{commit}`]); return true; } catch (e) { return false; }
+  };
+  for (const tag of [from, to].filter(Boolean)) {
+    if (!exists(tag)) throw new SnapshotError(`Snapshot ${tag} not found`, 404);
+  }
+
+  // The very first commit has no parent — diff against the empty tree
+  const base = from || (exists(`${to}^`) ? `${to}^` : git(sandboxPath, ["hash-object", "-t", "tree", "/dev/null"]).trim());
+  const range = [base, to];
+  const lines = Math.max(0, Math.min(Number(context) || 0, 50));
+
+  // Same order in both: --name-status gives statuses, the patch gives hunks
+  const statusParts = git(sandboxPath, ["diff", "--no-renames", "--name-status", "-z", ...range]).split("\0").filter(Boolean);
+  const numstat = git(sandboxPath, ["diff", "--no-renames", "--numstat", "-z", ...range]).split("\0").filter(Boolean);
+  const patch = git(sandboxPath, ["diff", "--no-renames", "--no-color", "--no-ext-diff", `-U${lines}`, ...range]);
+  const sections = patch.split(/^(?=diff --git )/m).filter(s => s.startsWith("diff --git "));
+
+  const files = [];
+  for (let i = 0; i < statusParts.length; i += 2) {
+    const index = i / 2;
+    const [added, deleted] = (numstat[index] || "").split("\t");
+    const parsed = parseFilePatch(sections[index] || "");
+    const rowCount = parsed.hunks.reduce((sum, h) => sum + h.rows.length, 0);
+    const tooLarge = rowCount > MAX_DIFF_LINES;
+
+    files.push({
+      path: statusParts[i + 1],
+      status: STATUS_NAMES[statusParts[i][0]] || "modified",
+      additions: added === "-" ? 0 : Number(added) || 0,
+      deletions: deleted === "-" ? 0 : Number(deleted) || 0,
+      binary: parsed.binary,
+      tooLarge,
+      hunks: tooLarge ? [] : parsed.hunks,
+    });
+  }
+
+  return { from: from || null, to, base, files };
+}
@@ -32,7 +32,8 @@ RULES:
 - Be SPECIFIC. Not "fix the import" but "change line 5 from 'import X from Y' to 'import { X } from Y'"
 - If the error is a missing dependency, say which package to install
 - If the error is in a different file than expected, identify which file
-- Read the error message carefully — the line number and file path tell you exactly where to look`;
+- Read the error message carefully — the line number and file path tell you exactly where to look
+- CONTRACT FAILURES are real HTTP calls against the running backend: the route loads but answers wrong (crash, wrong status, missing { success, data } fields)`;
 
 export async function debuggerAgentNode(state) {
   const debugState = state.debugState || { tier: 1, attempts: 0, maxAttempts: 3, rollbackAttempted: false };
@@ -112,7 +113,12 @@ export async function debuggerAgentNode(state) {
     }
   }
 
-  const userPrompt = `ERROR:\n${errors}\n\nTASK: ${currentTask?.title}\nFILES TO FIX: ${failingFiles.join(", ")}\n\nCODE:\n${contextFiles}`;
+  // Runtime contract failures (executor Level 6) — method, path, status, problems
+  const contractFailures = debugState.contractFailures?.length
+    ? `\n\nCONTRACT FAILURES:\n${JSON.stringify(debugState.contractFailures, null, 2)}`
+    : "";
+
+  const userPrompt = `ERROR:\n${errors}${contractFailures}\n\nTASK: ${currentTask?.title}\nFILES TO FIX: ${failingFiles.join(", ")}\n\nCODE:\n${contextFiles}`;
 
   const result = await safeCallGemini({
     systemPrompt: DEBUGGER_PROMPT,
@@ -10,9 +10,25 @@
  * 5. Convention check — env vars, response format, etc.
  * 
  * No runtime needed. No Docker needed for most checks. Catches 80% of wiring bugs.
+ *
+ * 6. Runtime contract (Docker only) — for tasks that write route files:
+ *    boot the backend inside the container, call every blueprint endpoint
+ *    of those routes, check status codes + { success, data } shapes.
+ *    Catches the other 20%: routes that parse fine but crash when called.
+ *    Failures go to debugState.contractFailures for the Debugger.
  */
 
-import { readFile, getFileList, executeCommand, getSandboxInfo } from "../utils/sandboxManager.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readFile, writeFile, getFileList, executeCommand, getSandboxInfo, getSandboxPath } from "../utils/sandboxManager.js";
+import { deriveContractChecks, formatContractFailures } from "../utils/contractTester.js";
+import { routeMountPath, buildContractHarness } from "../nodes/assembleEntryPoints.js";
+
+const CONTRACT_TESTER_PATH = fileURLToPath(new URL("../utils/contractTester.js", import.meta.url));
+const CONTRACT_DIR = "backend/.contract";
+const CONTRACT_PORT = 5055; // not 5000 — never collide with a dev server already running
+const MONGO_SAMPLE_ID = "000000000000000000000001";
 
 export function executorAgentNode(state) {
   console.log("\n[Executor] Testing code...\n");
@@ -20,7 +36,7 @@ export function executorAgentNode(state) {
   const { currentTask, coderOutput, sandboxId, fileRegistry } = state;
 
   if (!currentTask || !sandboxId) {
-    return { executionResult: { result: "pass", output: "Nothing to test", errors: "" } };
+    return withContractFailures(state, { executionResult: { result: "pass", output: "Nothing to test", errors: "" } });
   }
 
   const info = getSandboxInfo(sandboxId);
@@ -42,7 +58,7 @@ export function executorAgentNode(state) {
     }
   }
 
-  if (errors.length > 0) return buildResult(false, outputs, errors);
+  if (errors.length > 0) return withContractFailures(state, buildResult(false, outputs, errors));
 
   // ─── Level 2: Syntax check ───────────────────────────
 
@@ -71,7 +87,7 @@ export function executorAgentNode(state) {
     }
   }
 
-  if (errors.length > 0) return buildResult(false, outputs, errors);
+  if (errors.length > 0) return withContractFailures(state, buildResult(false, outputs, errors));
 
   // ─── Level 3: Import cross-reference ──────────────────
   // For each file, extract import paths and verify the target exists
@@ -162,7 +178,94 @@ export function executorAgentNode(state) {
     }
   }
 
-  return buildResult(errors.length === 0, outputs, errors);
+  // ─── Level 6: Runtime contract (route tasks) ──────────
+
+  const routeFiles = files
+    .map(f => f.path)
+    .filter(p => p?.startsWith("backend/src/routes/") && p.endsWith(".js"));
+
+  if (isDocker && errors.length === 0 && routeFiles.length > 0) {
+    const contract = verifyRuntimeContract(sandboxId, state, routeFiles);
+
+    if (contract.skipped) {
+      outputs.push(`~ Runtime contract skipped: ${contract.skipped}`);
+    } else {
+      const okCount = contract.results.filter(r => r.ok).length;
+      outputs.push(`${contract.passed ? "+" : "-"} Runtime contract: ${okCount}/${contract.results.length} checks passed`);
+      errors.push(...formatContractFailures(contract.failures));
+
+      return withContractFailures(state, buildResult(errors.length === 0, outputs, errors), contract.failures);
+    }
+  }
+
+  return withContractFailures(state, buildResult(errors.length === 0, outputs, errors));
+}
+
+/**
+ * Boot the backend in the sandbox container and run the contract
+ * checks for these route files from INSIDE the container (the
+ * container's port isn't published to the host).
+ *
+ * Before the backend phase is assembled, index.js doesn't mount the
+ * routes yet → we boot a small harness with just these routes instead.
+ */
+function verifyRuntimeContract(sandboxId, state, routeFiles) {
+  const { blueprint } = state;
+  const sampleId = getSandboxInfo(sandboxId)?.dbType === "mongo" ? MONGO_SAMPLE_ID : "1";
+  const checks = deriveContractChecks(blueprint?.apiEndpoints, {
+    pathPrefixes: routeFiles.map(p => routeMountPath(p, blueprint)),
+    sampleId,
+  });
+
+  if (checks.length === 0) return { skipped: "no blueprint endpoints for these routes" };
+
+  const entry = readFile(sandboxId, "backend/src/index.js") || "";
+  const assembled = !entry.includes("ROUTE_MOUNTS_PLACEHOLDER")
+    && routeFiles.every(p => entry.includes(path.basename(p, ".js")));
+  const entryFile = assembled ? "src/index.js" : ".contract/harness.mjs";
+
+  writeFile(sandboxId, `${CONTRACT_DIR}/contractTester.mjs`, fs.readFileSync(CONTRACT_TESTER_PATH, "utf-8"));
+  writeFile(sandboxId, `${CONTRACT_DIR}/checks.json`, JSON.stringify(checks, null, 2));
+  if (!assembled) writeFile(sandboxId, `${CONTRACT_DIR}/harness.mjs`, buildContractHarness(routeFiles, blueprint));
+
+  console.log(`   Runtime contract: ${checks.length} checks against ${entryFile}`);
+
+  const boot = executeCommand(sandboxId,
+    `cd /app/backend && PORT=${CONTRACT_PORT} nohup node ${entryFile} > /tmp/contract-server.log 2>&1 & echo $!`, 10000);
+  const pid = boot.stdout.trim();
+
+  try {
+    const run = executeCommand(sandboxId,
+      `cd /app/backend && node .contract/contractTester.mjs .contract/checks.json http://localhost:${CONTRACT_PORT}`, 120000);
+
+    let report;
+    try {
+      report = JSON.parse(run.stdout.trim().split("\n").pop());
+    } catch (e) {
+      return { skipped: `contract runner failed: ${(run.stderr || run.stdout).slice(0, 200)}` };
+    }
+
+    if (report.serverDown) {
+      const log = executeCommand(sandboxId, "cd /app/backend && tail -n 20 /tmp/contract-server.log", 5000);
+      const failure = {
+        name: `BOOT ${entryFile}`, method: "BOOT", path: entryFile, status: 0, ok: false,
+        problems: [`server did not start: ${log.stdout.slice(-500) || "no output"}`],
+      };
+      return { passed: false, results: [failure], failures: [failure] };
+    }
+
+    return report;
+  } finally {
+    if (/^\d+$/.test(pid)) executeCommand(sandboxId, `cd /app/backend && kill ${pid} 2>/dev/null`, 5000);
+    fs.rmSync(path.join(getSandboxPath(sandboxId), CONTRACT_DIR), { recursive: true, force: true });
+  }
+}
+
+// Every return sets contractFailures — [] when the contract stage was
+// skipped or passed, so the Debugger never sees failures from an
+// earlier attempt next to an unrelated error
+function withContractFailures(state, result, failures = []) {
+  return { ...result, debugState: { ...state.debugState, contractFailures: failures } };
 }
 
 function buildResult(passed, outputs, errors) {
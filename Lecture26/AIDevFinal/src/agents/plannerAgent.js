@@ -152,3 +152,60 @@ export async function plannerAgentNode(state) {
     currentPhase: "sandbox",
   };
 }
+
+const FEATURE_PLANNER_PROMPT = `You are the Planner Agent in an AI software development team.
+
+The app is ALREADY BUILT and delivered. After trying it, the user asked for new features.
+
+GOAL: Break ONLY these new features into ordered coding tasks that extend the existing code.
+
+OUTPUT FORMAT (strict JSON):
+{
+  "tasks": [
+    {
+      "taskId": "<prefix>-1",
+      "title": "Short task title",
+      "description": "What exactly to build or change",
+      "filesToCreate": ["backend/src/routes/tagRoutes.js"],
+      "filesNeeded": ["backend/src/models/todo.js"],
+      "acceptanceCriteria": ["GET /api/tags returns all tags"],
+      "canParallelize": false
+    }
+  ]
+}
+
+RULES:
+- Each task creates or rewrites 1-3 files max.
+- "filesNeeded" = EXISTING files (listed below) or files created by an EARLIER task in your list.
+- Follow the existing layout: models in backend/src/models, routes in backend/src/routes, pages in frontend/src/pages.
+- Do NOT recreate files that are auto-assembled (backend/src/index.js, frontend/src/App.jsx).
+- 1-4 tasks per feature. Use the taskId prefix you are given.
+- File paths should NOT start with /`;
+
+/**
+ * Plan tasks for features requested AFTER delivery (feedback loop).
+ * Returns { ok, tasks, tokens } — the caller owns the token delta.
+ */
+export async function planFeatureTasks(state, features, taskIdPrefix) {
+  console.log(`\n📋 [Planner Agent] Planning ${features.length} requested feature(s)...\n`);
+
+  const existingFiles = (state.fileRegistry || []).map(f => f.path);
+
+  const result = await safeCallGemini({
+    systemPrompt: FEATURE_PLANNER_PROMPT,
+    userPrompt: `App: ${state.clarifiedSpec?.appName}\nTask id prefix: ${taskIdPrefix}\n\nNEW FEATURES:\n${JSON.stringify(features, null, 2)}\n\nEXISTING FILES:\n${existingFiles.join("\n")}\n\nDatabase: ${state.blueprint?.dbSchema?.databaseType || "unknown"}`,
+    agentName: "plannerAgent",
+    currentCost: state.tokenUsage?.estimatedCost || 0,
+    tokenBudget: state.tokenBudget,
+  });
+
+  if (!result.ok) {
+    console.error(`   [plannerAgent] Feature planning failed: ${result.error}`);
+    return { ok: false, tasks: [], tokens: result.tokens };
+  }
+
+  const tasks = result.parsed.tasks || [];
+  tasks.forEach(t => console.log(`     → ${t.taskId}: ${t.title}`));
+
+  return { ok: true, tasks, tokens: result.tokens };
+}
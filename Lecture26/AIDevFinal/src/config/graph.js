@@ -7,7 +7,8 @@
  *                                                                    ↓
  *  ┌──────────── selectNextTask ←─────────────────────────────────────┐
  *  ↓               ↓ (phase done)          ↓ (all done)              │
- * contextBuilder   phaseVerification      presentToUser → END        │
+ * contextBuilder   phaseVerification      presentToUser              │
+ *  ↓   (independent batch) → parallelTaskRunner ─→ selectNextTask    │
  *  ↓               ↓                                                 │
  * coderAgent       patternExtractor                                  │
  *  ↓               ↓                                                 │
@@ -22,6 +23,12 @@
  *  └──────── coderAgent   humanEscalation                            │
  *                          ↓ skip/guide                              │
  *                          └─────────────────────────────────────────┘
+ *
+ * FEEDBACK LOOP (after delivery):
+ * presentToUser → collectFeedback ─(satisfied / limit / drift)→ END
+ *                  ↓ feedback
+ *                 triageFeedback ─→ selectNextTask (new "feedback-N" phase)
+ *                  (bugs → debuggerAgent, changes → coder, features → planner)
  */
 
 import { StateGraph, START, END, MemorySaver } from "@langchain/langgraph";
@@ -45,6 +52,7 @@ import { sandboxHealthCheckNode, sandboxHealthRouter } from "../nodes/sandboxHea
 
 // Phase 4 — Dev Loop
 import { selectNextTaskNode, selectNextTaskRouter } from "../nodes/selectNextTask.js";
+import { parallelTaskRunnerNode } from "../nodes/parallelTaskRunner.js";
 import { contextBuilderNode } from "../nodes/contextBuilder.js";
 import { coderAgentNode } from "../agents/coderAgent.js";
 import { updateRegistryNode } from "../nodes/updateRegistry.js";
@@ -58,6 +66,8 @@ import { phaseVerificationNode, phaseVerificationRouter } from "../nodes/phaseVe
 import { patternExtractorNode } from "../nodes/patternExtractor.js";
 import { stateCompactorNode } from "../nodes/stateCompactor.js";
 import { presentToUserNode } from "../nodes/presentToUser.js";
+import { collectFeedbackNode, collectFeedbackRouter } from "../nodes/collectFeedback.js";
+import { triageFeedbackNode, triageFeedbackRouter } from "../nodes/triageFeedback.js";
 import { deploymentVerifierNode, deploymentVerifierRouter } from "../nodes/deploymentVerifier.js";
 
 export function buildGraph(options = {}) {
@@ -85,6 +95,7 @@ export function buildGraph(options = {}) {
 
   // Phase 4 — Dev Loop
   graph.addNode("selectNextTask", selectNextTaskNode);
+  graph.addNode("parallelTaskRunner", parallelTaskRunnerNode);
   graph.addNode("contextBuilder", contextBuilderNode);
   graph.addNode("coderAgent", coderAgentNode);
   graph.addNode("updateRegistry", updateRegistryNode);
@@ -98,6 +109,8 @@ export function buildGraph(options = {}) {
   graph.addNode("patternExtractor", patternExtractorNode);
   graph.addNode("stateCompactor", stateCompactorNode);
   graph.addNode("presentToUser", presentToUserNode);
+  graph.addNode("collectFeedback", collectFeedbackNode);
+  graph.addNode("triageFeedback", triageFeedbackNode);
   graph.addNode("deploymentVerifier", deploymentVerifierNode);
 
   // ─── EDGES: Phase 1 — PM Agent ────────────────────────────
@@ -139,9 +152,11 @@ export function buildGraph(options = {}) {
 
   // ─── EDGES: Phase 4 — Dev Loop ────────────────────────────
 
-  // Task selection → routes to contextBuilder, phaseVerification, or deploymentVerifier
+  // Task selection → routes to contextBuilder, parallelTaskRunner, phaseVerification, or deploymentVerifier
   graph.addConditionalEdges("selectNextTask", selectNextTaskRouter, {
     contextBuilder: "contextBuilder",
+    parallelTaskRunner: "parallelTaskRunner",
+    debuggerAgent: "debuggerAgent",         // User-reported bug (feedback loop)
     phaseVerification: "phaseVerification",
     presentToUser: "deploymentVerifier",  // All done → verify deployment first
   });
@@ -169,6 +184,9 @@ export function buildGraph(options = {}) {
   // Snapshot → back to task selection
   graph.addEdge("snapshotManager", "selectNextTask");
 
+  // Parallel batch → back to task selection (failed tasks retry sequentially)
+  graph.addEdge("parallelTaskRunner", "selectNextTask");
+
   // Debug → fix/escalate (fix goes through contextBuilder for fresh context)
   graph.addConditionalEdges("debuggerAgent", debuggerRouter, {
     contextBuilder: "contextBuilder",
@@ -193,8 +211,20 @@ export function buildGraph(options = {}) {
   graph.addEdge("patternExtractor", "stateCompactor");
   graph.addEdge("stateCompactor", "selectNextTask");
 
-  // Present to user → END
-  graph.addEdge("presentToUser", END);
+  // Present to user → ask for feedback
+  graph.addEdge("presentToUser", "collectFeedback");
+
+  // Feedback → triage (or END when satisfied / limit reached / drift too high)
+  graph.addConditionalEdges("collectFeedback", collectFeedbackRouter, {
+    triageFeedback: "triageFeedback",
+    __end__: END,
+  });
+
+  // Triage → queued tasks go back into the dev loop, nothing queued → ask again
+  graph.addConditionalEdges("triageFeedback", triageFeedbackRouter, {
+    selectNextTask: "selectNextTask",
+    collectFeedback: "collectFeedback",
+  });
 
   // Deployment verification → pass: present, fail: debug
   graph.addConditionalEdges("deploymentVerifier", deploymentVerifierRouter, {
@@ -207,7 +237,7 @@ export function buildGraph(options = {}) {
   const saver = checkpointer || new MemorySaver();
   const compiled = graph.compile({ checkpointer: saver });
 
-  console.log("✅ Graph compiled (Phase 4: Full Dev Loop — 27 nodes)");
+  console.log("✅ Graph compiled (Phase 4: Full Dev Loop — 30 nodes)");
   return compiled;
 }
 
@@ -19,6 +19,54 @@
 
 import { Annotation } from "@langchain/langgraph";
 
+// ─── PARALLELISM ──────────────────────────────────────────
+// maxParallelTasks: MAX_PARALLEL_TASKS in .env sets the default,
+// `node src/index.js --max-parallel <n>` or POST /api/projects
+// { maxParallelTasks } set it per project.
+export const DEFAULT_MAX_PARALLEL_TASKS = 3;
+
+export function parseMaxParallelTasks(value, fallback = DEFAULT_MAX_PARALLEL_TASKS) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`maxParallelTasks must be a whole number >= 1 (got "${value}")`);
+  }
+  return limit;
+}
+
+// ─── SHARED REDUCERS ──────────────────────────────────────
+// Exported so code that runs several node updates OUTSIDE the graph
+// (the parallel task runner) merges them exactly like LangGraph would.
+
+// Merge: update existing entries by path, add new ones
+export function mergeFileRegistry(existing, incoming) {
+  if (!incoming) return existing;
+  if (Array.isArray(incoming)) {
+    const map = new Map(existing.map((f) => [f.path, f]));
+    for (const entry of incoming) {
+      map.set(entry.path, entry);
+    }
+    return Array.from(map.values());
+  }
+  return existing;
+}
+
+export function mergeTaskStatuses(existing, incoming) {
+  if (!incoming) return existing;
+  return { ...existing, ...incoming };
+}
+
+// Token deltas come from makeTokenDelta(): { newCalls, addedInput, addedOutput, addedCost }
+export function mergeTokenUsage(existing, incoming) {
+  if (!incoming) return existing;
+  return {
+    calls: [...(existing.calls || []), ...(incoming.newCalls || [])],
+    totalInput: existing.totalInput + (incoming.addedInput || 0),
+    totalOutput: existing.totalOutput + (incoming.addedOutput || 0),
+    estimatedCost: existing.estimatedCost + (incoming.addedCost || 0),
+  };
+}
+
 /**
  * The complete state definition for AI Dev Team V2
  * 
@@ -103,18 +151,7 @@ export const AgentState = Annotation.Root({
   // ─── FILE INTERFACE REGISTRY ──────────────────────────────
   // Grows after every task — needs accumulating reducer
   fileRegistry: Annotation({
-    reducer: (existing, incoming) => {
-      if (!incoming) return existing;
-      if (Array.isArray(incoming)) {
-        // Merge: update existing entries, add new ones
-        const map = new Map(existing.map((f) => [f.path, f]));
-        for (const entry of incoming) {
-          map.set(entry.path, entry);
-        }
-        return Array.from(map.values());
-      }
-      return existing;
-    },
+    reducer: mergeFileRegistry,
     default: () => [],
   }),
 
@@ -153,14 +190,26 @@ export const AgentState = Annotation.Root({
   }),
 
   // Track status of each task: { "setup-1": "done", "setup-2": "in_progress", ... }
+  // "pending_sequential" = failed inside a parallel batch → retried alone
   taskStatuses: Annotation({
-    reducer: (existing, incoming) => {
-      if (!incoming) return existing;
-      return { ...existing, ...incoming };
-    },
+    reducer: mergeTaskStatuses,
     default: () => ({}),
   }),
 
+  // Independent tasks picked by selectNextTask to run side by side
+  parallelTasks: Annotation({
+    reducer: (_, y) => y ?? [],
+    default: () => [],
+  }),
+
+  // Max tasks run at once by parallelTaskRunner (1 = strictly sequential).
+  // Only their LLM calls overlap — sandbox commands stay serial, see
+  // the header of nodes/parallelTaskRunner.js
+  maxParallelTasks: Annotation({
+    reducer: (_, y) => y ?? parseMaxParallelTasks(process.env.MAX_PARALLEL_TASKS),
+    default: () => parseMaxParallelTasks(process.env.MAX_PARALLEL_TASKS),
+  }),
+
   // Context package built for the coder
   contextPackage: Annotation({
     reducer: (_, y) => y ?? null,
@@ -234,15 +283,7 @@ export const AgentState = Annotation.Root({
 
   // ─── TOKEN TRACKING (V2 NEW) ──────────────────────────────
   tokenUsage: Annotation({
-    reducer: (existing, incoming) => {
-      if (!incoming) return existing;
-      return {
-        calls: [...(existing.calls || []), ...(incoming.newCalls || [])],
-        totalInput: existing.totalInput + (incoming.addedInput || 0),
-        totalOutput: existing.totalOutput + (incoming.addedOutput || 0),
-        estimatedCost: existing.estimatedCost + (incoming.addedCost || 0),
-      };
-    },
+    reducer: mergeTokenUsage,
     default: () => ({
       calls: [],
       totalInput: 0,
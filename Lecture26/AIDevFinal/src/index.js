@@ -3,6 +3,9 @@
  * 
  * Run: node src/index.js "Build me a todo app with user authentication"
  * Or:  node src/index.js   (will prompt you for the requirement)
+ * Add --max-parallel <n> to cap how many independent tasks run at once
+ * (default: MAX_PARALLEL_TASKS in .env, else 3; 1 = one task at a time).
+ * A resumed project keeps the value it started with.
  * 
  * WHAT HAPPENS:
  * 1. Initializes Gemini client
@@ -24,6 +27,7 @@ import * as readline from "readline";
 import { initGemini } from "./utils/gemini.js";
 import { printTokenSummary } from "./utils/tokenTracker.js";
 import { buildGraph, createCheckpointer } from "./config/graph.js";
+import { parseMaxParallelTasks } from "./config/state.js";
 
 // ─── HELPERS ────────────────────────────────────────────────
 
@@ -129,7 +133,7 @@ async function main() {
     console.log(`✅ Gemini initialized (model: ${process.env.GEMINI_MODEL || "gemini-2.5-flash"})`);
   } catch (error) {
     console.error(`❌ ${error.message}`);
-    console.error("   Create a .env file with GEMINI_API_KEY=your_key");
+    console.error("   Create a .env file with GEMINI_API_KEY=your_key (or LLM_PROVIDER=replay for recorded fixtures)");
     process.exit(1);
   }
 
@@ -141,6 +145,22 @@ async function main() {
 
   // 4. Check for --resume flag
   const args = process.argv.slice(2);
+
+  // --max-parallel <n> wins over MAX_PARALLEL_TASKS — both checked before anything runs
+  let maxParallelTasks;
+  const parallelIndex = args.indexOf("--max-parallel");
+  try {
+    maxParallelTasks = parseMaxParallelTasks(process.env.MAX_PARALLEL_TASKS);
+    if (parallelIndex !== -1) {
+      maxParallelTasks = parseMaxParallelTasks(args[parallelIndex + 1] ?? "(missing)");
+      args.splice(parallelIndex, 2);
+    }
+  } catch (e) {
+    console.log(`  ❌ ${e.message}`);
+    console.log("  Usage: node src/index.js --max-parallel <n> \"your idea\"");
+    process.exit(1);
+  }
+
   const resumeIndex = args.indexOf("--resume");
   let isResume = false;
   let threadId;
@@ -218,6 +238,7 @@ async function main() {
         {
           userRequirement: requirement,
           tokenBudget: parseFloat(process.env.TOKEN_BUDGET || "2.0"),
+          maxParallelTasks,
         },
         config
       );
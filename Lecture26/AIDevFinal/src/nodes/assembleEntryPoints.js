@@ -14,6 +14,62 @@
 
 import { readFile, writeFile, getFileList } from "../utils/sandboxManager.js";
 
+/**
+ * Where a route file gets mounted: "backend/src/routes/todoItemRoutes.js" → "/api/todo-items"
+ * Also used by the executor's runtime contract checks.
+ */
+export function routeMountPath(routePath, blueprint) {
+  const fileName = routePath.split("/").pop().replace(".js", "");
+
+  // Auth routes mount at /api/auth
+  if (fileName.toLowerCase().includes("auth")) return "/api/auth";
+
+  // Try to find exact mount path from blueprint
+  if (blueprint?.entities) {
+    const fileBase = fileName.toLowerCase().replace(/routes?$/i, "");
+    const entity = blueprint.entities.find(e =>
+      e.modelFile?.toLowerCase().includes(fileBase) ||
+      e.routeFile?.toLowerCase().includes(fileBase)
+    );
+    if (entity?.apiPath) return entity.apiPath;
+  }
+
+  return `/api/${fileName.replace(/Routes?$/, "").replace(/([A-Z])/g, "-$1").toLowerCase().replace(/^-/, "")}`;
+}
+
+/**
+ * Minimal server for testing route files BEFORE index.js is assembled.
+ * Same middleware + error handler as the real entry point, but only
+ * the given routes. Lives in backend/.contract/ (removed after the run).
+ */
+export function buildContractHarness(routePaths, blueprint) {
+  const imports = routePaths.map((p, i) => `import route${i} from '../src/routes/${p.split("/").pop()}';`);
+  const mounts = routePaths.map((p, i) => `app.use('${routeMountPath(p, blueprint)}', route${i});`);
+
+  return `import express from 'express';
+import cors from 'cors';
+import 'dotenv/config';
+import { connectDB } from '../src/config/db.js';
+${imports.join("\n")}
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+
+${mounts.join("\n")}
+
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ success: false, message: err.message || 'Internal server error' });
+});
+
+await connectDB();
+app.listen(process.env.PORT || 5000);
+`;
+}
+
 /**
  * Assemble backend/src/index.js with all route imports
  */
@@ -49,22 +105,7 @@ export function assembleBackendEntry(sandboxId, fileRegistry, blueprint) {
   for (const routeFile of routeFiles) {
     const fileName = routeFile.path.split("/").pop().replace(".js", "");
     const varName = fileName.replace(/Routes?$/, "").replace(/[^a-zA-Z]/g, "") + "Routes";
-    
-    // Determine the mount path from blueprint entities
-    let mountPath = `/api/${fileName.replace(/Routes?$/, "").replace(/([A-Z])/g, "-$1").toLowerCase().replace(/^-/, "")}`;
-    
-    // Try to find exact mount path from blueprint
-    if (blueprint?.entities) {
-      const entity = blueprint.entities.find(e => {
-        const fileBase = fileName.toLowerCase().replace(/routes?$/i, "");
-        return e.modelFile?.toLowerCase().includes(fileBase) || 
-               e.routeFile?.toLowerCase().includes(fileBase);
-      });
-      if (entity?.apiPath) mountPath = entity.apiPath;
-    }
-
-    // Auth routes mount at /api/auth
-    if (fileName.toLowerCase().includes("auth")) mountPath = "/api/auth";
+    const mountPath = routeMountPath(routeFile.path, blueprint);
 
     imports.push(`import ${varName} from './routes/${fileName}.js';`);
     mounts.push(`app.use('${mountPath}', ${varName});`);
@@ -0,0 +1,123 @@
+/**
+ * collectFeedback.js — Post-Delivery Feedback
+ *
+ * FIRST PRINCIPLES:
+ * "Project complete" is rarely the end. The user opens the app and says
+ * "the delete button does nothing" or "can tasks have a due date?".
+ * Instead of ending the run, we ask for feedback and loop back into
+ * the dev loop (triageFeedback decides what the feedback means).
+ *
+ * The loop must END somewhere:
+ * - the user is satisfied (empty answer / "ship it")
+ * - feedbackIteration reached maxFeedbackIterations
+ * - scopeDrift is too high — the "feedback" has turned into a new project
+ *
+ * DUAL MODE (same as humanInput / humanEscalation):
+ * - CLI mode: readline prompt in terminal
+ * - Server mode: InputBridge pauses graph, waits for WebSocket response
+ */
+
+import readline from "readline";
+
+// Cumulative drift above this = the user is asking for a different app
+export const MAX_SCOPE_DRIFT = 0.5;
+
+/**
+ * Try to get the InputBridge (server mode).
+ */
+async function getInputBridge() {
+  try {
+    const { inputBridges } = await import("../../server/services/graphRunner.js");
+    for (const [, bridge] of inputBridges) {
+      return bridge;
+    }
+  } catch (e) {
+    // CLI mode
+  }
+  return null;
+}
+
+/**
+ * Why the feedback loop must stop now (null = keep going)
+ */
+export function feedbackStopReason(state) {
+  const iteration = state.feedbackIteration || 0;
+  const maxIterations = state.maxFeedbackIterations ?? 3;
+
+  if (iteration >= maxIterations) {
+    return `Reached the feedback limit (${maxIterations} rounds)`;
+  }
+  if ((state.scopeDrift || 0) > MAX_SCOPE_DRIFT) {
+    return `Scope drift ${(state.scopeDrift * 100).toFixed(0)}% exceeds ${MAX_SCOPE_DRIFT * 100}% of the original spec — start a new project for these changes`;
+  }
+  return null;
+}
+
+export async function collectFeedbackNode(state) {
+  const iteration = state.feedbackIteration || 0;
+  const maxIterations = state.maxFeedbackIterations ?? 3;
+
+  const stopReason = feedbackStopReason(state);
+  if (stopReason) {
+    console.log(`\n🛑 [Feedback] ${stopReason}. Ending feedback loop.\n`);
+    return { currentPhase: "done" };
+  }
+
+  const bridge = await getInputBridge();
+  let feedback = "";
+
+  if (bridge) {
+    // SERVER MODE
+    console.log("  [collectFeedback] Waiting for user feedback via dashboard...");
+
+    const response = await bridge.waitForInput("feedback", {
+      questions: ["Anything to fix or change?"],
+      feedback: {
+        iteration: iteration + 1,
+        maxIterations,
+        scopeDrift: state.scopeDrift || 0,
+        maxScopeDrift: MAX_SCOPE_DRIFT,
+      },
+    });
+
+    const satisfied = response?.satisfied ?? response?.data?.satisfied ?? false;
+    feedback = satisfied ? "" : (response?.feedback || response?.data?.feedback || "").trim();
+  } else {
+    // CLI MODE
+    console.log("\n" + "═".repeat(60));
+    console.log(`  💬 FEEDBACK (round ${iteration + 1}/${maxIterations})`);
+    console.log("═".repeat(60));
+    console.log("\n  Try the app. Report bugs, ask for changes or new features.");
+    console.log("  Press Enter with no text if you're happy.\n");
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    feedback = await new Promise((resolve) => {
+      rl.question("  Your feedback: ", (ans) => {
+        rl.close();
+        resolve(ans.trim());
+      });
+    });
+  }
+
+  if (!feedback) {
+    console.log("\n  ✅ User is satisfied. Shipping it!\n");
+    return { userSatisfied: true, currentPhase: "done" };
+  }
+
+  console.log(`\n  📝 Feedback received (round ${iteration + 1}): "${feedback.substring(0, 100)}"`);
+
+  return {
+    userFeedback: { iteration: iteration + 1, text: feedback, receivedAt: new Date().toISOString() },
+    feedbackIteration: iteration + 1,
+    userSatisfied: false,
+    currentPhase: "feedback",
+  };
+}
+
+/**
+ * Router: new feedback → triageFeedback, satisfied/stopped → END
+ */
+export function collectFeedbackRouter(state) {
+  if (state.currentPhase === "feedback") return "triageFeedback";
+  return "__end__";
+}
@@ -0,0 +1,229 @@
+/**
+ * parallelTaskRunner.js — Run Independent Tasks Side by Side
+ *
+ * FIRST PRINCIPLES:
+ * The Planner marks tasks like "User model" and "Product model" as
+ * canParallelize. Running them one by one wastes wall-clock time —
+ * every task spends most of its life waiting on Gemini.
+ *
+ * selectNextTask hands us a batch of tasks that are:
+ *   - in the same phase and marked canParallelize
+ *   - not writing the same file (filesToCreate)
+ *   - not reading a file another unfinished task writes (filesNeeded)
+ *
+ * Each task runs the normal chain on its OWN copy of state:
+ *   contextBuilder → coderAgent → updateRegistry → reviewerAgent → executorAgent
+ *   (rejected → contextBuilder again, same routers as the graph)
+ *
+ * Results are merged back with the SAME reducers the graph uses,
+ * so fileRegistry / taskStatuses / tokenUsage look exactly as if the
+ * tasks had run sequentially. Snapshots are taken in queue order,
+ * one commit per task, each staging only that task's files.
+ *
+ * Tasks that fail here are NOT debugged in parallel — the debugger
+ * and human escalation assume one task at a time. They are marked
+ * "pending_sequential" and selectNextTask retries them alone.
+ *
+ * WHAT ACTUALLY OVERLAPS:
+ * Only the LLM calls. All branches share ONE sandbox, and every
+ * command in it (node --check, npm install, the contract server)
+ * goes through executeCommand → execSync, which blocks the event
+ * loop. So executorAgent steps run one branch at a time — on purpose:
+ * two npm installs in one folder, or two contract servers on one
+ * port, would collide. Set maxParallelTasks (MAX_PARALLEL_TASKS,
+ * --max-parallel, POST /api/projects) to 1 for a strictly serial run.
+ */
+
+import { contextBuilderNode } from "./contextBuilder.js";
+import { coderAgentNode } from "../agents/coderAgent.js";
+import { updateRegistryNode } from "./updateRegistry.js";
+import { reviewerAgentNode, reviewerRouter } from "../agents/reviewerAgent.js";
+import { executorAgentNode, executorRouter } from "../agents/executorAgent.js";
+import { snapshot } from "../utils/sandboxManager.js";
+import { combineTokenDeltas } from "../utils/gemini.js";
+import { mergeFileRegistry, mergeTaskStatuses, mergeTokenUsage, DEFAULT_MAX_PARALLEL_TASKS } from "../config/state.js";
+
+const MAX_REVIEW_CYCLES = 3;
+
+const DEFAULT_NODES = {
+  contextBuilder: contextBuilderNode,
+  coderAgent: coderAgentNode,
+  updateRegistry: updateRegistryNode,
+  reviewerAgent: reviewerAgentNode,
+  executorAgent: executorAgentNode,
+  snapshot,
+};
+
+// Same reset snapshotManager does between tasks
+const TASK_RESET = {
+  reviewResult: { verdict: "", issues: [], reviewCycle: 0 },
+  executionResult: { result: "", output: "", errors: "" },
+  debugState: { tier: 1, attempts: 0, maxAttempts: 3, rollbackAttempted: false },
+  coderOutput: null,
+  contextPackage: null,
+};
+
+/**
+ * Apply one node update to a branch's local state.
+ * Accumulating fields go through the graph reducers; everything else
+ * is last-write-wins, like in AgentState.
+ */
+function applyUpdate(branch, update) {
+  if (!update) return;
+  const local = { ...branch.state };
+
+  for (const [key, value] of Object.entries(update)) {
+    if (value === undefined) continue;
+    if (key === "fileRegistry") {
+      local.fileRegistry = mergeFileRegistry(local.fileRegistry || [], value);
+      branch.registry = mergeFileRegistry(branch.registry, value);
+    } else if (key === "taskStatuses") {
+      local.taskStatuses = mergeTaskStatuses(local.taskStatuses || {}, value);
+    } else if (key === "tokenUsage") {
+      local.tokenUsage = mergeTokenUsage(local.tokenUsage, value);
+      branch.tokens = combineTokenDeltas(branch.tokens, value);
+    } else {
+      local[key] = value;
+    }
+  }
+
+  branch.state = local;
+}
+
+/**
+ * Run one task through code → review → execute on its own state copy.
+ * Returns { task, ok, reason, registry, tokens, files }.
+ */
+async function runTaskBranch(task, state, nodes) {
+  const branch = {
+    state: {
+      ...state,
+      ...TASK_RESET,
+      currentTask: task,
+      parallelTasks: [],
+      tokenUsage: state.tokenUsage || { calls: [], totalInput: 0, totalOutput: 0, estimatedCost: 0 },
+    },
+    registry: [],
+    tokens: combineTokenDeltas(),
+  };
+
+  const step = async (name) => {
+    const update = await nodes[name](branch.state);
+    applyUpdate(branch, update);
+    if (update?.error) throw new Error(`${name}: ${update.error}`);
+  };
+
+  const result = (ok, reason = "") => ({
+    task,
+    ok,
+    reason,
+    registry: branch.registry,
+    tokens: branch.tokens,
+    files: (branch.state.coderOutput?.files || []).filter(f => !f.error).map(f => f.path),
+  });
+
+  try {
+    for (let cycle = 1; cycle <= MAX_REVIEW_CYCLES; cycle++) {
+      await step("contextBuilder");
+      await step("coderAgent");
+      await step("updateRegistry");
+      await step("reviewerAgent");
+
+      const review = reviewerRouter(branch.state);
+      if (review === "simplifyTask") break;
+      if (review === "contextBuilder") continue;
+
+      await step("executorAgent");
+      if (executorRouter(branch.state) === "snapshotManager") return result(true);
+      return result(false, `execution failed: ${String(branch.state.executionResult?.errors || "").substring(0, 100)}`);
+    }
+    return result(false, `rejected ${MAX_REVIEW_CYCLES} times`);
+  } catch (err) {
+    return result(false, err.message);
+  }
+}
+
+// Run fn over items with at most `limit` in flight, results in input order
+async function runWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Build the node. Sub-nodes are injectable so the batch logic can be
+ * tested without Gemini or Docker.
+ */
+export function createParallelTaskRunnerNode(overrides = {}) {
+  const nodes = { ...DEFAULT_NODES, ...overrides };
+
+  return async function parallelTaskRunnerNode(state) {
+    const tasks = state.parallelTasks || [];
+    const limit = Math.max(1, state.maxParallelTasks ?? DEFAULT_MAX_PARALLEL_TASKS);
+
+    console.log(`\n⚡ [Parallel] Running ${tasks.length} tasks (max ${limit} at once)...\n`);
+    tasks.forEach(t => console.log(`   ∥ ${t.taskId}: ${t.title}`));
+
+    const results = await runWithLimit(tasks, limit, (task) => runTaskBranch(task, state, nodes));
+
+    // ─── Merge in queue order ───
+    let fileRegistry = [];
+    let tokenUsage = combineTokenDeltas();
+    const taskStatuses = {};
+    const owners = new Map();
+
+    for (const r of results) {
+      // Failed branches still spent tokens
+      tokenUsage = combineTokenDeltas(tokenUsage, r.tokens);
+
+      if (!r.ok) {
+        console.log(`   ↩️ ${r.task.taskId} failed (${r.reason}) → will retry sequentially`);
+        taskStatuses[r.task.taskId] = "pending_sequential";
+        continue;
+      }
+
+      for (const entry of r.registry) {
+        if (owners.has(entry.path)) {
+          console.log(`   ⚠️ Registry conflict on ${entry.path}: ${owners.get(entry.path)} vs ${r.task.taskId} (later task wins)`);
+        }
+        owners.set(entry.path, r.task.taskId);
+      }
+      fileRegistry = mergeFileRegistry(fileRegistry, r.registry);
+      taskStatuses[r.task.taskId] = "done";
+
+      if (state.sandboxId) {
+        const message = `Task ${r.task.taskId}: ${r.task.title}`;
+        const snap = nodes.snapshot(state.sandboxId, message, r.files);
+        if (snap.success) {
+          console.log(`   📸 Snapshot: ${snap.tag} — "${message}"`);
+        } else {
+          console.log(`   ⚠️ Snapshot failed for ${r.task.taskId}: ${snap.error} (task still marked done)`);
+        }
+      }
+    }
+
+    const doneCount = results.filter(r => r.ok).length;
+    console.log(`\n   ✅ Parallel batch: ${doneCount}/${results.length} done`);
+
+    return {
+      fileRegistry,
+      taskStatuses,
+      tokenUsage,
+      ...TASK_RESET,
+      currentTask: null,
+      parallelTasks: [],
+      currentPhase: "dev_loop",
+    };
+  };
+}
+
+export const parallelTaskRunnerNode = createParallelTaskRunnerNode();
@@ -12,17 +12,82 @@
  * 
  * LOGIC:
  * 1. Find first task with status != "done" in current phase
+ *    → if it starts a run of independent canParallelize tasks,
+ *      hand the whole batch to parallelTaskRunner instead
+ *    → user-reported bugs (feedback loop) go to the Debugger first
  * 2. If all tasks in current phase done → trigger phaseVerification
  * 3. If ALL phases done → route to presentToUser
  * 
  * Zero LLM calls — pure queue logic.
  */
 
+import { DEFAULT_MAX_PARALLEL_TASKS } from "../config/state.js";
+
+// "./backend/src/x.js" and "/backend/src/x.js" are the same file
+function normalizePath(p) {
+  return String(p).replace(/^\.?\//, "");
+}
+
+/**
+ * Pick tasks that can run side by side, starting at startIndex.
+ *
+ * A task joins the batch only if:
+ * - it is still "pending" and marked canParallelize
+ * - every file it needs was already written by a FINISHED task
+ * - it doesn't write a file another batch task writes or reads
+ *
+ * The batch stops at the first task that doesn't qualify — queue
+ * order is never changed.
+ */
+export function findParallelBatch(taskQueue, tasks, startIndex, taskStatuses, limit) {
+  // Files that some unfinished task has yet to write
+  const unwritten = new Map();
+  for (const phase of taskQueue?.phases || []) {
+    for (const task of phase.tasks || []) {
+      if (taskStatuses[task.taskId] === "done") continue;
+      (task.filesToCreate || []).forEach(f => unwritten.set(normalizePath(f), task.taskId));
+    }
+  }
+
+  const batch = [];
+  const batchCreates = new Set();
+  const batchNeeds = new Set();
+
+  for (let i = startIndex; i < tasks.length && batch.length < limit; i++) {
+    const task = tasks[i];
+    const status = taskStatuses[task.taskId];
+    if ((status && status !== "pending") || !task.canParallelize) break;
+
+    const creates = (task.filesToCreate || []).map(normalizePath);
+    const needs = (task.filesNeeded || []).map(normalizePath);
+
+    const waitsOn = needs.find(f => unwritten.has(f) && unwritten.get(f) !== task.taskId);
+    if (waitsOn) {
+      if (batch.length > 0) console.log(`   ⏸️ ${task.taskId} waits for ${waitsOn} — batch stops here`);
+      break;
+    }
+
+    const conflict = creates.find(f => batchCreates.has(f) || batchNeeds.has(f))
+      || needs.find(f => batchCreates.has(f));
+    if (conflict) {
+      console.log(`   ⏸️ ${task.taskId} conflicts on ${conflict} — batch stops here`);
+      break;
+    }
+
+    creates.forEach(f => batchCreates.add(f));
+    needs.forEach(f => batchNeeds.add(f));
+    batch.push(task);
+  }
+
+  return batch;
+}
+
 export function selectNextTaskNode(state) {
   console.log("\n🎯 [Select Next Task] Scanning task queue...\n");
 
   const { taskQueue, taskStatuses } = state;
   const phases = taskQueue?.phases || [];
+  const parallelLimit = state.maxParallelTasks ?? DEFAULT_MAX_PARALLEL_TASKS;
 
   if (phases.length === 0) {
     console.log("   ⚠️ No phases in task queue");
@@ -34,15 +99,48 @@ export function selectNextTaskNode(state) {
     const tasks = phase.tasks || [];
 
     // Check if this phase has pending tasks
-    for (const task of tasks) {
+    for (const [index, task] of tasks.entries()) {
       const status = taskStatuses[task.taskId];
-      if (!status || status === "pending") {
+
+      // Independent tasks → run them together
+      if (parallelLimit > 1 && (!status || status === "pending")) {
+        const batch = findParallelBatch(taskQueue, tasks, index, taskStatuses, parallelLimit);
+        if (batch.length > 1) {
+          console.log(`   ⚡ Parallel batch (${batch.length} tasks, limit ${parallelLimit}):`);
+          batch.forEach(t => console.log(`   ∥ ${t.taskId} — ${t.title}`));
+          console.log(`   Phase ${phase.phaseNumber}: ${phase.phaseName}`);
+
+          return {
+            parallelTasks: batch,
+            currentTask: null,
+            currentPhaseIndex: phase.phaseNumber - 1,
+            taskStatuses: Object.fromEntries(batch.map(t => [t.taskId, "in_progress"])),
+            currentPhase: "dev_loop_parallel",
+          };
+        }
+      }
+
+      // "pending_sequential" = failed in a parallel batch, retry on its own
+      if (!status || status === "pending" || status === "pending_sequential") {
         console.log(`   📌 Next task: ${task.taskId} — ${task.title}`);
         console.log(`   Phase ${phase.phaseNumber}: ${phase.phaseName}`);
         if (task.filesToCreate?.length) {
           task.filesToCreate.forEach(f => console.log(`   📄 ${f}`));
         }
 
+        // Bug from user feedback → Debugger finds the root cause first
+        if (task.feedbackType === "bug") {
+          console.log("   🐛 User-reported bug → Debugger");
+          return {
+            currentTask: task,
+            currentPhaseIndex: phase.phaseNumber - 1,
+            taskStatuses: { [task.taskId]: "in_progress" },
+            executionResult: { result: "fail", output: "", errors: task.description },
+            debugState: { tier: 1, attempts: 0, maxAttempts: 3, rollbackAttempted: false },
+            currentPhase: "dev_loop",
+          };
+        }
+
         return {
           currentTask: task,
           currentPhaseIndex: phase.phaseNumber - 1,
@@ -83,6 +181,8 @@ export function selectNextTaskNode(state) {
 export function selectNextTaskRouter(state) {
   if (state.currentPhase === "done") return "presentToUser";
   if (state.currentPhase === "phase_verification") return "phaseVerification";
+  if (state.currentPhase === "dev_loop_parallel" && state.parallelTasks?.length) return "parallelTaskRunner";
+  if (state.currentTask?.feedbackType === "bug") return "debuggerAgent";
   if (state.currentTask) return "contextBuilder";
   return "presentToUser";
 }
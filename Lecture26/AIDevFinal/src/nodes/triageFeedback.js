@@ -0,0 +1,171 @@
+/**
+ * triageFeedback.js — Turn User Feedback Into Work
+ *
+ * FIRST PRINCIPLES:
+ * Free-text feedback mixes three very different kinds of work:
+ *   "the delete button does nothing"   → BUG     → Debugger (find root cause first)
+ *   "make the list sorted by date"     → CHANGE  → Coder (rewrite known files)
+ *   "add tags to todos"                → FEATURE → Planner (needs new tasks/files)
+ *
+ * One LLM call splits the feedback into items and says whether each
+ * item was already part of clarifiedSpec. Then:
+ * - bugs + changes become tasks directly
+ * - features go to the Planner, which breaks them into tasks
+ * - all of them are queued as a new "feedback-N" phase
+ * → selectNextTask picks them up like any other phase.
+ *
+ * SCOPE DRIFT:
+ * Out-of-spec work is counted against the size of the original spec:
+ *   drift += (features × 1 + changes × 0.5) / (spec features + pages)
+ * Bugs and in-spec items never count — fixing what was promised is not drift.
+ * Once drift passes MAX_SCOPE_DRIFT nothing new is queued and
+ * collectFeedback ends the loop.
+ */
+
+import { safeCallGemini, makeTokenDelta, combineTokenDeltas } from "../utils/gemini.js";
+import { planFeatureTasks } from "../agents/plannerAgent.js";
+import { MAX_SCOPE_DRIFT } from "./collectFeedback.js";
+
+const DRIFT_WEIGHTS = { bug: 0, change: 0.5, feature: 1 };
+
+const TRIAGE_PROMPT = `You are triaging user feedback on an app your team just delivered.
+
+Split the feedback into separate items and classify each one:
+- "bug": something that should already work but doesn't
+- "change": adjust existing behaviour or UI in files that already exist
+- "feature": new capability that needs new models, routes or pages
+
+OUTPUT FORMAT (strict JSON):
+{
+  "items": [
+    {
+      "type": "bug | change | feature",
+      "title": "Short title",
+      "description": "What the user wants, in concrete terms",
+      "files": ["frontend/src/pages/TodoList.jsx"],
+      "inSpec": true
+    }
+  ]
+}
+
+RULES:
+- "files" = EXISTING files (listed below) most likely involved. Empty for features if unsure.
+- "inSpec" = true if the original spec already promised this (a missing/broken spec feature).
+- One item per distinct request. Ignore praise and chit-chat.`;
+
+/**
+ * How far this round of feedback moves the project away from the spec.
+ * Returns the drift ADDED by these items (caller adds it to state.scopeDrift).
+ */
+export function computeScopeDrift(items, clarifiedSpec) {
+  const baseline = Math.max(1, (clarifiedSpec?.features?.length || 0) + (clarifiedSpec?.pages?.length || 0));
+  const weight = items.reduce((sum, item) => sum + (item.inSpec ? 0 : DRIFT_WEIGHTS[item.type] || 0), 0);
+  return weight / baseline;
+}
+
+/**
+ * Bugs and changes → tasks. Bugs carry feedbackType "bug" so
+ * selectNextTask sends them to the Debugger before the Coder.
+ */
+export function feedbackItemsToTasks(items, iteration) {
+  const tasks = [];
+  for (const type of ["bug", "change"]) {
+    items.filter(i => i.type === type).forEach((item, n) => {
+      const files = item.files || [];
+      tasks.push({
+        taskId: `feedback${iteration}-${type}-${n + 1}`,
+        title: item.title,
+        description: type === "bug"
+          ? `USER BUG REPORT: ${item.description}`
+          : `Modify the existing file(s) ${files.join(", ")}: ${item.description}`,
+        filesToCreate: files,
+        filesNeeded: [],
+        acceptanceCriteria: [type === "bug" ? `Fixed: ${item.title}` : item.description],
+        canParallelize: false,
+        feedbackType: type,
+      });
+    });
+  }
+  return tasks;
+}
+
+export async function triageFeedbackNode(state) {
+  const iteration = state.feedbackIteration || 1;
+  const latest = state.userFeedback?.[state.userFeedback.length - 1];
+  console.log(`\n🗂️  [Triage Feedback] Round ${iteration}: sorting feedback...\n`);
+
+  const existingFiles = (state.fileRegistry || []).map(f => f.path);
+  const spec = state.clarifiedSpec || {};
+
+  const result = await safeCallGemini({
+    systemPrompt: TRIAGE_PROMPT,
+    userPrompt: `FEEDBACK:\n"${latest?.text || ""}"\n\nORIGINAL SPEC:\n${JSON.stringify({ features: spec.features, pages: spec.pages }, null, 2)}\n\nEXISTING FILES:\n${existingFiles.join("\n")}`,
+    agentName: "triageFeedback",
+    currentCost: state.tokenUsage?.estimatedCost || 0,
+    tokenBudget: state.tokenBudget,
+  });
+
+  if (!result.ok) {
+    console.error(`   [triageFeedback] LLM failed: ${result.error}`);
+    return { error: `triageFeedback failed: ${result.error}`, tokenUsage: makeTokenDelta("triageFeedback", result.tokens), currentPhase: "feedback_triaged" };
+  }
+
+  const items = (result.parsed.items || []).filter(i => DRIFT_WEIGHTS[i.type] !== undefined);
+  const addedDrift = computeScopeDrift(items, spec);
+  const scopeDrift = (state.scopeDrift || 0) + addedDrift;
+
+  for (const item of items) {
+    const icon = item.type === "bug" ? "🐛" : item.type === "change" ? "✏️ " : "✨";
+    console.log(`   ${icon} [${item.type}${item.inSpec ? ", in spec" : ""}] ${item.title}`);
+  }
+  console.log(`\n   📐 Scope drift: +${(addedDrift * 100).toFixed(0)}% → ${(scopeDrift * 100).toFixed(0)}% (limit ${MAX_SCOPE_DRIFT * 100}%)`);
+
+  let tokenUsage = makeTokenDelta("triageFeedback", result.tokens);
+
+  if (scopeDrift > MAX_SCOPE_DRIFT) {
+    console.log("   🛑 Too far from the original spec — nothing queued");
+    return { scopeDrift, tokenUsage, currentPhase: "feedback_triaged" };
+  }
+
+  const tasks = feedbackItemsToTasks(items, iteration);
+
+  const features = items.filter(i => i.type === "feature");
+  if (features.length > 0) {
+    const plan = await planFeatureTasks(state, features, `feedback${iteration}-feature`);
+    tokenUsage = combineTokenDeltas(tokenUsage, makeTokenDelta("plannerAgent", plan.tokens));
+    tasks.push(...plan.tasks.map(t => ({ ...t, feedbackType: "feature" })));
+  }
+
+  if (tasks.length === 0) {
+    console.log("   ℹ️ Nothing actionable in this feedback");
+    return { scopeDrift, tokenUsage, currentPhase: "feedback_triaged" };
+  }
+
+  const phases = state.taskQueue?.phases || [];
+  const phase = {
+    phaseNumber: phases.length + 1,
+    phaseName: `feedback-${iteration}`,
+    description: `User feedback round ${iteration}`,
+    tasks,
+  };
+
+  console.log(`\n   📦 Queued ${tasks.length} task(s) as phase ${phase.phaseNumber} (${phase.phaseName})`);
+
+  return {
+    taskQueue: { ...state.taskQueue, phases: [...phases, phase] },
+    scopeDrift,
+    tokenUsage,
+    // Deployment must be verified again after the changes
+    deploymentAttempts: 0,
+    executionResult: { result: "", output: "", errors: "" },
+    currentPhase: "dev_loop",
+  };
+}
+
+/**
+ * Router: tasks queued → selectNextTask, otherwise ask again (or stop)
+ */
+export function triageFeedbackRouter(state) {
+  if (state.currentPhase === "dev_loop") return "selectNextTask";
+  return "collectFeedback";
+}
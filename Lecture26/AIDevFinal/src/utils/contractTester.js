@@ -0,0 +1,307 @@
+/**
+ * contractTester.js — Runtime HTTP Contract Checks
+ *
+ * FIRST PRINCIPLES:
+ * Static checks prove a route file PARSES and its imports resolve.
+ * They can't prove that GET /api/todos returns 200 instead of crashing
+ * on an undefined variable. Only a real HTTP request can.
+ *
+ * The blueprint already is the contract:
+ *   { method, path, requiresAuth, requestBody, responseBody }
+ * So we derive one request per endpoint, call the running backend and check:
+ * - no 5xx, JSON (not Express's HTML "Cannot GET" page)
+ * - the { success, data } envelope every route must use
+ * - data has the keys/types promised in responseBody
+ * - auth routes reject a missing token and accept a valid one
+ *
+ * SELF-CONTAINED ON PURPOSE:
+ * Only node built-ins + global fetch. The executor copies this file into
+ * the backend container and runs it there as a script:
+ *   node contractTester.mjs checks.json http://localhost:5055
+ * → prints { passed, results, failures } as JSON.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+const SOFT_STATUSES = {
+  // Our sample data may be rejected by validation or point at a missing row —
+  // that's the route WORKING, not a contract failure.
+  GET: [200, 404],
+  POST: [200, 201, 400, 409, 422],
+  PUT: [200, 400, 404, 422],
+  PATCH: [200, 400, 404, 422],
+  DELETE: [200, 204, 404],
+};
+
+const EXPECTED_OK = { GET: [200], POST: [200, 201], PUT: [200], PATCH: [200], DELETE: [200, 204] };
+
+// ═══════════════════════════════════════════════════════════════
+// SAMPLE DATA
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Blueprint shapes are loose descriptions: { "title": "string", "dueDate": "date" }.
+ * Turn one into a plausible request value.
+ */
+export function sampleValue(key, description) {
+  if (description && typeof description === "object") {
+    return Array.isArray(description) ? [] : sampleFromShape(description);
+  }
+
+  const k = String(key).toLowerCase();
+  const d = String(description || "").toLowerCase();
+
+  if (k.includes("email") || d.includes("email")) return `contract-${Date.now()}@test.dev`;
+  if (k.includes("password")) return "Contract123!";
+  if (d.includes("array") || d.includes("list")) return [];
+  if (d.includes("bool")) return true;
+  if (d.includes("date") || d.includes("time")) return new Date().toISOString();
+  if (d.includes("number") || d.includes("int") || d.includes("float") || d.includes("decimal")) return 1;
+  if (k.endsWith("id") || k.endsWith("_id")) return 1;
+  if (d.includes("object")) return {};
+  return "contract test";
+}
+
+export function sampleFromShape(shape) {
+  const body = {};
+  for (const [key, description] of Object.entries(shape || {})) {
+    body[key] = sampleValue(key, description);
+  }
+  return body;
+}
+
+// "array of todo objects" → "array", "number (total count)" → "number"
+function expectedType(description) {
+  if (description && typeof description === "object") return Array.isArray(description) ? "array" : "object";
+  const d = String(description || "").toLowerCase();
+  if (d.includes("array") || d.includes("list of")) return "array";
+  if (d.includes("bool")) return "boolean";
+  if (d.startsWith("number") || d.startsWith("integer") || d.includes("count")) return "number";
+  if (d.startsWith("object") || d.includes(" object")) return "object";
+  return null; // unknown — presence only
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DERIVE CHECKS FROM THE BLUEPRINT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * One check per endpoint (+ one "no token" check per protected endpoint).
+ *
+ * Options:
+ *   pathPrefixes — only endpoints under these mount paths (the routes
+ *                  written by the current task). Empty = all endpoints.
+ *   sampleId     — value for :id params ("1" for Postgres, 24-hex for Mongo)
+ */
+export function deriveContractChecks(apiEndpoints, { pathPrefixes = [], sampleId = "1" } = {}) {
+  const checks = [];
+
+  for (const endpoint of apiEndpoints || []) {
+    const method = String(endpoint.method || "GET").toUpperCase();
+    if (!EXPECTED_OK[method]) continue;
+
+    const rawPath = endpoint.path || "";
+    if (pathPrefixes.length > 0 && !pathPrefixes.some(p => rawPath === p || rawPath.startsWith(`${p}/`))) continue;
+
+    const path = rawPath.replace(/:(\w+)/g, () => sampleId);
+    const hasParams = path !== rawPath;
+    const isAuthRoute = /\/auth(\/|$)/.test(rawPath);
+    const hasBody = ["POST", "PUT", "PATCH"].includes(method);
+    const role = endpoint.roleAccess?.includes("admin") ? "admin" : endpoint.roleAccess?.[0] || "user";
+
+    const base = {
+      name: `${method} ${rawPath}`,
+      method,
+      path,
+      body: hasBody ? sampleFromShape(endpoint.requestBody) : null,
+      responseBody: endpoint.responseBody || {},
+    };
+
+    if (endpoint.requiresAuth) {
+      checks.push({ ...base, name: `${base.name} (no token)`, auth: null, expect: "unauthorized" });
+    }
+
+    checks.push({
+      ...base,
+      auth: endpoint.requiresAuth ? { role, id: sampleId } : null,
+      // Auth routes legitimately answer 401 to made-up credentials
+      accept: isAuthRoute ? [...SOFT_STATUSES[method], 401] : (hasParams || hasBody ? SOFT_STATUSES[method] : EXPECTED_OK[method]),
+      expect: "ok",
+    });
+  }
+
+  // Destructive calls last so they don't remove what GET/PUT look for
+  return [
+    ...checks.filter(c => c.method !== "DELETE"),
+    ...checks.filter(c => c.method === "DELETE"),
+  ];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RESPONSE CHECKS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Compare a 2xx JSON body against the blueprint's responseBody.
+ * Routes wrap everything as { success, data } — the responseBody keys
+ * may describe data itself or fields inside it.
+ */
+export function checkResponseShape(body, responseBody) {
+  const problems = [];
+
+  if (typeOf(body) !== "object") {
+    return [`expected a JSON object, got ${typeOf(body)}`];
+  }
+  if (body.success !== true) {
+    problems.push(`expected "success": true, got ${JSON.stringify(body.success)}`);
+  }
+  if (!("data" in body)) {
+    problems.push(`missing "data" in response (keys: ${Object.keys(body).join(", ") || "none"})`);
+    return problems;
+  }
+
+  const entries = Object.entries(responseBody || {});
+  const data = body.data;
+
+  for (const [key, description] of entries) {
+    const type = expectedType(description);
+    // { todos: "array..." } may come back as data: [...] or data: { todos: [...] }
+    const value = typeOf(data) === "object" && key in data ? data[key] : (entries.length === 1 ? data : undefined);
+
+    if (value === undefined) {
+      problems.push(`"data.${key}" missing`);
+    } else if (type && typeOf(value) !== type) {
+      problems.push(`"data.${key}" should be ${type}, got ${typeOf(value)}`);
+    }
+  }
+
+  return problems;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════
+
+/** HS256 JWT without the jsonwebtoken package */
+export function signTestToken(secret, claims) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ iat: now, exp: now + 600, ...claims })}`;
+  const signature = crypto.createHmac("sha256", secret).update(unsigned).digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+/** Poll /api/health until the server answers (or give up) */
+export async function waitForServer(baseUrl, { attempts = 20, delayMs = 500, fetchImpl = fetch } = {}) {
+  for (let i = 0; i < attempts; i++) {
+    try {
+      const res = await fetchImpl(`${baseUrl}/api/health`);
+      if (res.status < 500) return true;
+    } catch (e) {
+      // not listening yet
+    }
+    await new Promise(r => setTimeout(r, delayMs));
+  }
+  return false;
+}
+
+async function runCheck(baseUrl, check, { secret, timeoutMs, fetchImpl }) {
+  const headers = { "Content-Type": "application/json" };
+  if (check.auth) {
+    const token = signTestToken(secret, {
+      id: check.auth.id, userId: check.auth.id, email: "contract@test.dev", role: check.auth.role,
+    });
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const problems = [];
+  let status = 0;
+  let body = null;
+
+  try {
+    const res = await fetchImpl(`${baseUrl}${check.path}`, {
+      method: check.method,
+      headers,
+      body: check.body ? JSON.stringify(check.body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    status = res.status;
+    const text = await res.text();
+    try { body = text ? JSON.parse(text) : null; } catch (e) { body = undefined; }
+
+    if (status === 204) {
+      // No body by definition
+    } else if (body === undefined) {
+      problems.push(status === 404
+        ? "route not found (HTML 404 — is the route mounted at this path?)"
+        : `response is not JSON: ${text.slice(0, 80)}`);
+    }
+  } catch (err) {
+    problems.push(`request failed: ${err.name === "TimeoutError" ? `no response within ${timeoutMs}ms` : err.message}`);
+  }
+
+  if (problems.length === 0) {
+    if (status >= 500) {
+      problems.push(`server error ${status}: ${body?.message || "no message"}`);
+    } else if (check.expect === "unauthorized") {
+      if (![401, 403].includes(status)) problems.push(`protected route answered ${status} without a token (expected 401/403)`);
+    } else if (check.auth && [401, 403].includes(status)) {
+      problems.push(`rejected a valid token with ${status}: ${body?.message || ""}`);
+    } else if (!check.accept.includes(status)) {
+      problems.push(`unexpected status ${status} (expected ${check.accept.join("/")})`);
+    } else if (EXPECTED_OK[check.method].includes(status) && status !== 204) {
+      problems.push(...checkResponseShape(body, check.responseBody));
+    } else if (body && typeOf(body) === "object" && body.success !== false) {
+      problems.push(`error response ${status} should have "success": false`);
+    }
+  }
+
+  return { name: check.name, method: check.method, path: check.path, status, ok: problems.length === 0, problems };
+}
+
+/**
+ * Run every check against a live server.
+ * Returns { passed, results, failures } — failures are the structured
+ * records the Debugger gets via debugState.contractFailures.
+ */
+export async function runContractChecks(baseUrl, checks, options = {}) {
+  const {
+    secret = process.env.JWT_SECRET || "dev-secret-change-in-production",
+    timeoutMs = 5000,
+    fetchImpl = fetch,
+  } = options;
+
+  const results = [];
+  for (const check of checks) {
+    results.push(await runCheck(baseUrl, check, { secret, timeoutMs, fetchImpl }));
+  }
+
+  const failures = results.filter(r => !r.ok);
+  return { passed: failures.length === 0, results, failures };
+}
+
+/** One line per failure — for executionResult.errors */
+export function formatContractFailures(failures) {
+  return failures.map(f => `CONTRACT ${f.name} → ${f.status || "no response"}: ${f.problems.join("; ")}`);
+}
+
+// ─── Script mode (inside the sandbox container) ───────────────
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [checksPath, baseUrl] = process.argv.slice(2);
+  const checks = JSON.parse(fs.readFileSync(checksPath, "utf-8"));
+
+  const up = await waitForServer(baseUrl);
+  const report = up
+    ? await runContractChecks(baseUrl, checks)
+    : { passed: false, results: [], failures: [], serverDown: true };
+
+  console.log(JSON.stringify(report));
+}
@@ -6,23 +6,42 @@
  * 2. Detects truncated responses (finishReason: MAX_TOKENS) and retries with hint
  * 3. Aggressive JSON extraction — handles markdown, leading text, trailing text
  * 4. Truncation repair — attempts to close unclosed JSON brackets/braces
+ *
+ * PROVIDERS:
+ * The actual model call goes through a provider (see llmProviders.js):
+ * gemini, a scripted mock, or record/replay fixtures. Everything in this
+ * file — retries, JSON repair, budget, token deltas — works the same for all.
  */
 
-import { GoogleGenAI } from "@google/genai";
+import { createProviderFromEnv } from "./llmProviders.js";
 
-let aiClient = null;
+let activeProvider = null;
 
+/**
+ * Initialize the provider named by LLM_PROVIDER (default: gemini).
+ * LLM_PROVIDER=replay needs no API key.
+ */
 export function initGemini(apiKey) {
-  if (!apiKey) {
-    throw new Error("GEMINI_API_KEY is required. Get one from https://aistudio.google.com/apikey");
-  }
-  aiClient = new GoogleGenAI({ apiKey });
-  return aiClient;
+  activeProvider = createProviderFromEnv(apiKey);
+  return activeProvider;
+}
+
+/** Swap the provider directly — tests use this with createMockProvider() */
+export function setProvider(provider) {
+  activeProvider = provider;
+  return activeProvider;
 }
 
+export function getProvider() {
+  if (!activeProvider) throw new Error("Gemini not initialized. Call initGemini(apiKey) first.");
+  return activeProvider;
+}
+
+/** The raw @google/genai client (only when the gemini provider is active) */
 export function getClient() {
-  if (!aiClient) throw new Error("Gemini not initialized. Call initGemini(apiKey) first.");
-  return aiClient;
+  const client = getProvider().client;
+  if (!client) throw new Error(`LLM provider "${activeProvider.name}" has no Gemini client`);
+  return client;
 }
 
 /**
@@ -95,7 +114,7 @@ export async function callGemini({
   model = null,
   maxTokens = null,
 }) {
-  const client = getClient();
+  const provider = getProvider();
   const modelName = model || process.env.GEMINI_MODEL || "gemini-2.5-flash";
 
   // Budget check
@@ -112,19 +131,19 @@ export async function callGemini({
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const response = await client.models.generateContent({
+      const response = await provider.generate({
         model: modelName,
-        contents: fullPrompt,
-        config: {
-          responseMimeType: "application/json",
-          maxOutputTokens: maxTokens || 65536,
-        },
+        prompt: fullPrompt,
+        maxTokens: maxTokens || 65536,
+        agentName,
+        systemPrompt,
+        userPrompt,
       });
 
       const rawText = response.text || "";
 
       // Detect truncation via finishReason
-      const finishReason = response.candidates?.[0]?.finishReason;
+      const finishReason = response.finishReason;
       const wasTruncated = finishReason === "MAX_TOKENS" || finishReason === "STOP" === false;
 
       if (wasTruncated) {
@@ -132,9 +151,8 @@ export async function callGemini({
       }
 
       // Token tracking
-      const usageMetadata = response.usageMetadata;
-      const inputTokens = usageMetadata?.promptTokenCount || Math.ceil(fullPrompt.length / 4);
-      const outputTokens = usageMetadata?.candidatesTokenCount || Math.ceil(rawText.length / 4);
+      const inputTokens = response.usage?.input || Math.ceil(fullPrompt.length / 4);
+      const outputTokens = response.usage?.output || Math.ceil(rawText.length / 4);
       const cost = (inputTokens / 1_000_000) * 0.15 + (outputTokens / 1_000_000) * 0.60;
 
       // Parse JSON — multi-strategy extraction
@@ -227,7 +245,7 @@ export async function callGemini({
       if (error.message?.includes("JSON_PARSE_FAILED") && attempt === MAX_RETRIES) throw error;
       if (attempt === MAX_RETRIES) throw error;
 
-      const waitMs = Math.pow(2, attempt) * 1000;
+      const waitMs = Math.pow(2, attempt) * (provider.retryDelayMs ?? 1000);
       console.warn(`[${agentName}] Attempt ${attempt} failed: ${error.message}. Retrying in ${waitMs}ms...`);
       await new Promise((r) => setTimeout(r, waitMs));
     }
@@ -257,6 +275,16 @@ export function emptyTokenDelta(agentName) {
   return makeTokenDelta(agentName, { input: 0, output: 0, cost: 0 });
 }
 
+/** Sum several token deltas — for nodes that make more than one call */
+export function combineTokenDeltas(...deltas) {
+  return deltas.filter(Boolean).reduce((total, d) => ({
+    newCalls: [...total.newCalls, ...(d.newCalls || [])],
+    addedInput: total.addedInput + (d.addedInput || 0),
+    addedOutput: total.addedOutput + (d.addedOutput || 0),
+    addedCost: total.addedCost + (d.addedCost || 0),
+  }), { newCalls: [], addedInput: 0, addedOutput: 0, addedCost: 0 });
+}
+
 /**
  * Safe wrapper around callGemini — NEVER throws (except TOKEN_BUDGET_EXCEEDED).
  * Returns { ok: true, parsed, raw, tokens } on success
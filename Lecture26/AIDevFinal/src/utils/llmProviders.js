@@ -0,0 +1,180 @@
+/**
+ * llmProviders.js — Pluggable LLM Backends
+ *
+ * FIRST PRINCIPLES:
+ * callGemini does a lot: budget check, JSON-mode prompt, retries,
+ * markdown stripping, truncation repair, token accounting.
+ * Only ONE line of it actually needs the network: generateContent.
+ *
+ * So a provider does exactly that one thing:
+ *   generate({ model, prompt, maxTokens, agentName, systemPrompt, userPrompt })
+ *     → { text, finishReason, usage: { input, output } }
+ *
+ * Everything else stays in callGemini and works the same for every provider:
+ * - gemini        → the real API (@google/genai)
+ * - mock          → scripted responses per agent, for tests
+ * - record/replay → wraps another provider, stores prompt → response
+ *                   fixtures on disk, replays them with no network
+ *
+ * Pick one with LLM_PROVIDER=gemini|record|replay (+ LLM_FIXTURES_DIR),
+ * or call setProvider() from gemini.js directly.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { GoogleGenAI } from "@google/genai";
+
+// ═══════════════════════════════════════════════════════════════
+// GEMINI
+// ═══════════════════════════════════════════════════════════════
+
+export function createGeminiProvider(apiKey) {
+  if (!apiKey) {
+    throw new Error("GEMINI_API_KEY is required. Get one from https://aistudio.google.com/apikey");
+  }
+  const client = new GoogleGenAI({ apiKey });
+
+  return {
+    name: "gemini",
+    client,
+    async generate({ model, prompt, maxTokens }) {
+      const response = await client.models.generateContent({
+        model,
+        contents: prompt,
+        config: {
+          responseMimeType: "application/json",
+          maxOutputTokens: maxTokens,
+        },
+      });
+
+      return {
+        text: response.text || "",
+        finishReason: response.candidates?.[0]?.finishReason,
+        usage: {
+          input: response.usageMetadata?.promptTokenCount,
+          output: response.usageMetadata?.candidatesTokenCount,
+        },
+      };
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MOCK (scripted)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Script = { [agentName]: response | response[] | (call) => response }
+ *   object   → sent back as JSON
+ *   string   → raw model text (e.g. truncated JSON, to exercise repair)
+ *   array    → one entry per call, the last one repeats
+ *   function → gets { agentName, systemPrompt, userPrompt, callIndex }
+ *
+ * Every call is kept in provider.calls for assertions.
+ */
+export function createMockProvider(script = {}, { fallback = null } = {}) {
+  const calls = [];
+  const counts = {};
+
+  return {
+    name: "mock",
+    calls,
+    retryDelayMs: 0,
+    async generate({ agentName, systemPrompt, userPrompt, model }) {
+      const callIndex = counts[agentName] || 0;
+      counts[agentName] = callIndex + 1;
+      calls.push({ agentName, systemPrompt, userPrompt, model });
+
+      let entry = agentName in script ? script[agentName] : fallback;
+      if (Array.isArray(entry)) entry = entry[Math.min(callIndex, entry.length - 1)];
+      if (typeof entry === "function") entry = await entry({ agentName, systemPrompt, userPrompt, callIndex });
+
+      if (entry === null || entry === undefined) {
+        throw new Error(`MOCK_NO_RESPONSE: nothing scripted for agent "${agentName}" (call ${callIndex + 1})`);
+      }
+
+      const text = typeof entry === "string" ? entry : JSON.stringify(entry);
+      return { text, finishReason: "STOP", usage: { input: Math.ceil((userPrompt || "").length / 4), output: Math.ceil(text.length / 4) } };
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RECORD / REPLAY
+// ═══════════════════════════════════════════════════════════════
+
+/** Fixture id — same agent + same prompt = same fixture (model is not part of it) */
+export function fixtureKey(agentName, prompt) {
+  return crypto.createHash("sha256").update(`${agentName}\n${prompt}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * mode "record" — call the inner provider, save every response
+ * mode "replay" — only read fixtures; a missing one is an error (no network)
+ * mode "auto"   — replay when the fixture exists, record otherwise
+ *
+ * Files: <dir>/<agentName>-<key>.json
+ */
+export function createRecordReplayProvider({ dir, mode = "replay", provider = null }) {
+  if (!dir) throw new Error("Record/replay provider needs a fixtures directory (LLM_FIXTURES_DIR)");
+  if (mode !== "replay" && !provider) throw new Error(`Record/replay mode "${mode}" needs a provider to record from`);
+
+  const fixturePath = (agentName, key) => path.join(dir, `${agentName}-${key}.json`);
+
+  return {
+    name: `${mode}:${provider?.name || "fixtures"}`,
+    mode,
+    dir,
+    retryDelayMs: mode === "replay" ? 0 : provider?.retryDelayMs,
+    async generate(request) {
+      const key = fixtureKey(request.agentName, request.prompt);
+      const file = fixturePath(request.agentName, key);
+
+      if (mode !== "record" && fs.existsSync(file)) {
+        const fixture = JSON.parse(fs.readFileSync(file, "utf-8"));
+        return { text: fixture.text, finishReason: fixture.finishReason, usage: fixture.usage || {} };
+      }
+
+      if (mode === "replay") {
+        throw new Error(`REPLAY_MISS: no fixture for ${request.agentName} (${key}) in ${dir}`);
+      }
+
+      const response = await provider.generate(request);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        agentName: request.agentName,
+        key,
+        model: request.model,
+        userPromptPreview: (request.userPrompt || "").slice(0, 200),
+        text: response.text,
+        finishReason: response.finishReason,
+        usage: response.usage || {},
+        recordedAt: new Date().toISOString(),
+      }, null, 2));
+
+      return response;
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FROM ENV
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * LLM_PROVIDER=gemini (default) | record | replay | auto
+ * Replay needs no API key — that's the point.
+ */
+export function createProviderFromEnv(apiKey, env = process.env) {
+  const kind = (env.LLM_PROVIDER || "gemini").toLowerCase();
+  const dir = env.LLM_FIXTURES_DIR || path.join(process.cwd(), "tests", "fixtures", "llm");
+
+  if (kind === "gemini") return createGeminiProvider(apiKey);
+  if (kind === "replay") return createRecordReplayProvider({ dir, mode: "replay" });
+  if (kind === "record" || kind === "auto") {
+    return createRecordReplayProvider({ dir, mode: kind, provider: createGeminiProvider(apiKey) });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (use gemini, record, replay or auto)`);
+}
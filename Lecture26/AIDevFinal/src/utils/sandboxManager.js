@@ -15,7 +15,7 @@
  * 5. Health check everything
  */
 
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
 import fs from "fs";
 import path from "path";
 
@@ -871,13 +871,25 @@ export function executeCommand(sandboxId, command, timeout = 30000) {
 // GIT OPERATIONS
 // ═══════════════════════════════════════════════════════════════
 
-export function snapshot(sandboxId, message) {
+/**
+ * Commit + tag the sandbox.
+ * files (optional): only stage these paths — used by parallel tasks so
+ * each task's snapshot contains exactly the files that task wrote.
+ */
+export function snapshot(sandboxId, message, files = null) {
   const sandbox = sandboxes.get(sandboxId);
   if (!sandbox) throw new Error(`Sandbox ${sandboxId} not found`);
   sandbox.snapshotCount++;
   const tag = `v0.${sandbox.snapshotCount}.0`;
   try {
-    execSync("git add -A", { cwd: sandbox.path, stdio: "pipe" });
+    if (files) {
+      const existing = files.filter(f => fs.existsSync(path.join(sandbox.path, f)));
+      if (existing.length > 0) {
+        execFileSync("git", ["add", "--", ...existing], { cwd: sandbox.path, stdio: "pipe" });
+      }
+    } else {
+      execSync("git add -A", { cwd: sandbox.path, stdio: "pipe" });
+    }
     execSync(`git commit -m "${message}" --allow-empty`, { cwd: sandbox.path, stdio: "pipe" });
     execSync(`git tag ${tag}`, { cwd: sandbox.path, stdio: "pipe" });
     return { success: true, tag, message };
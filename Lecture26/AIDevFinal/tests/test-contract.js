@@ -0,0 +1,200 @@
+/**
+ * test-contract.js — Test Runtime Contract Checks (No API, no Docker needed)
+ * Run: node tests/test-contract.js
+ *
+ * Verifies: checks derived from blueprint endpoints, response shape
+ * checks, a real run against a small local Express app with
+ * good and broken routes, and that the Executor clears contract
+ * failures left over from an earlier attempt.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import express from "express";
+import {
+  deriveContractChecks, checkResponseShape, sampleFromShape,
+  runContractChecks, waitForServer, formatContractFailures,
+} from "../src/utils/contractTester.js";
+import { routeMountPath, buildContractHarness } from "../src/nodes/assembleEntryPoints.js";
+import { executorAgentNode } from "../src/agents/executorAgent.js";
+import { createSandbox, writeFile, destroySandbox } from "../src/utils/sandboxManager.js";
+
+console.log("\n🧪 TEST: Runtime Contract Checks (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const SECRET = "contract-test-secret";
+
+const blueprint = {
+  entities: [{ name: "Todo", routeFile: "backend/src/routes/todoRoutes.js", apiPath: "/api/todos" }],
+  apiEndpoints: [
+    { method: "GET", path: "/api/todos", requiresAuth: true, responseBody: { todos: "array of todo objects" } },
+    { method: "POST", path: "/api/todos", requiresAuth: true, requestBody: { title: "string", dueDate: "date", priority: "number" }, responseBody: { todo: "object" } },
+    { method: "DELETE", path: "/api/todos/:id", requiresAuth: true },
+    { method: "GET", path: "/api/todos/:id", requiresAuth: true, responseBody: { todo: "object" } },
+    { method: "GET", path: "/api/stats", requiresAuth: false, responseBody: { count: "number (total todos)" } },
+    { method: "GET", path: "/api/open", requiresAuth: true, responseBody: { items: "array" } },
+    { method: "GET", path: "/api/crash", requiresAuth: false, responseBody: { items: "array" } },
+    { method: "GET", path: "/api/strict", requiresAuth: true, responseBody: { items: "array" } },
+    { method: "GET", path: "/api/missing", requiresAuth: false, responseBody: { items: "array" } },
+  ],
+};
+
+// Minimal HS256 verify — what a generated authMiddleware does with jsonwebtoken
+function verifyToken(token, secret) {
+  const [header, payload, signature] = (token || "").split(".");
+  if (!signature) return null;
+  const expected = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url");
+  if (expected !== signature) return null;
+  return JSON.parse(Buffer.from(payload, "base64url").toString());
+}
+
+function auth(secret) {
+  return (req, res, next) => {
+    const user = verifyToken(req.headers.authorization?.replace("Bearer ", ""), secret);
+    if (!user) return res.status(401).json({ success: false, message: "Not authorized" });
+    req.user = user;
+    next();
+  };
+}
+
+function buildFixture() {
+  const app = express();
+  app.use(express.json());
+
+  app.get("/api/health", (req, res) => res.json({ status: "ok" }));
+
+  // Good routes
+  app.get("/api/todos", auth(SECRET), (req, res) => res.json({ success: true, data: [] }));
+  app.post("/api/todos", auth(SECRET), (req, res) => {
+    if (typeof req.body.title !== "string") return res.status(400).json({ success: false, message: "title required" });
+    res.status(201).json({ success: true, data: { todo: { id: 1, ...req.body } } });
+  });
+  app.get("/api/todos/:id", auth(SECRET), (req, res) => res.status(404).json({ success: false, message: "Todo not found" }));
+  app.delete("/api/todos/:id", auth(SECRET), (req, res) => res.status(404).json({ success: false, message: "Todo not found" }));
+
+  // Broken routes
+  app.get("/api/stats", (req, res) => res.json({ count: 3 }));                                  // no envelope
+  app.get("/api/open", (req, res) => res.json({ success: true, data: { items: [] } }));         // forgot auth
+  app.get("/api/crash", (req, res) => { throw new Error("items is not defined"); });            // 500
+  app.get("/api/strict", auth("some-other-secret"), (req, res) => res.json({ success: true })); // wrong secret
+  // /api/missing is never mounted → Express HTML 404
+
+  app.use((err, req, res, next) => res.status(500).json({ success: false, message: err.message }));
+  return app;
+}
+
+async function runTest() {
+  // ─── Deriving checks ─────────────────────────────────────
+  console.log("── Derive checks ──");
+
+  const all = deriveContractChecks(blueprint.apiEndpoints);
+  const todoChecks = deriveContractChecks(blueprint.apiEndpoints, { pathPrefixes: ["/api/todos"], sampleId: "abc" });
+
+  assert(todoChecks.length === 8, "Only /api/todos endpoints, + a no-token check per protected endpoint");
+  assert(todoChecks.filter(c => c.expect === "unauthorized").length === 4, "No-token checks for every protected endpoint");
+  assert(todoChecks.some(c => c.path === "/api/todos/abc"), ":id replaced with sampleId");
+  assert(todoChecks.slice(-2).every(c => c.method === "DELETE"), "DELETE checks run last");
+  assert(all.find(c => c.name === "GET /api/todos/:id" && c.auth).accept.includes(404), "Param routes accept 404 (sample row may not exist)");
+  assert(all.find(c => c.name === "GET /api/stats").accept.join() === "200", "Plain GET must answer 200");
+
+  const body = sampleFromShape({ title: "string", email: "string", dueDate: "date", priority: "number", done: "boolean" });
+  assert(typeof body.title === "string" && body.email.includes("@"), "Sample body: strings + email");
+  assert(typeof body.priority === "number" && body.done === true && !isNaN(Date.parse(body.dueDate)), "Sample body: number, boolean, date");
+
+  // ─── Shape checks ────────────────────────────────────────
+  console.log("\n── Response shape ──");
+
+  assert(checkResponseShape({ success: true, data: [] }, { todos: "array" }).length === 0, "Single-key shape may be data itself");
+  assert(checkResponseShape({ success: true, data: { todos: [] } }, { todos: "array" }).length === 0, "Or a key inside data");
+  assert(checkResponseShape({ todos: [] }, { todos: "array" }).some(p => p.includes('"success"')), "Missing envelope reported");
+  assert(checkResponseShape({ success: true, data: { todos: "x" } }, { todos: "array" })[0]?.includes("should be array"), "Wrong type reported");
+
+  // ─── Mount paths + harness ───────────────────────────────
+  console.log("\n── Mount paths ──");
+
+  assert(routeMountPath("backend/src/routes/todoRoutes.js", blueprint) === "/api/todos", "Entity routes mount at apiPath");
+  assert(routeMountPath("backend/src/routes/authRoutes.js", blueprint) === "/api/auth", "authRoutes mount at /api/auth");
+  const harness = buildContractHarness(["backend/src/routes/todoRoutes.js"], blueprint);
+  assert(harness.includes("app.use('/api/todos', route0)") && harness.includes("listen("), "Harness mounts the task's routes and listens");
+
+  // ─── Live run against a fixture ──────────────────────────
+  console.log("\n── Live run (local Express fixture) ──");
+
+  const server = buildFixture().listen(0);
+  await new Promise(r => server.once("listening", r));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    assert(await waitForServer(baseUrl, { attempts: 3, delayMs: 50 }), "waitForServer sees the fixture");
+    assert(!(await waitForServer("http://127.0.0.1:9", { attempts: 2, delayMs: 10 })), "waitForServer gives up on a closed port");
+
+    const report = await runContractChecks(baseUrl, all, { secret: SECRET, timeoutMs: 2000 });
+    const byName = Object.fromEntries(report.results.map(r => [r.name, r]));
+    const problem = (name) => byName[name]?.problems.join("; ") || "";
+
+    assert(!report.passed, "Broken routes fail the run");
+    assert(["GET /api/todos", "POST /api/todos", "GET /api/todos/:id", "DELETE /api/todos/:id", "GET /api/todos (no token)"].every(n => byName[n]?.ok),
+      "Working routes pass (201, 404 with success:false, 401 without token)");
+    assert(problem("GET /api/stats").includes('"success"'), "Missing envelope caught");
+    assert(problem("GET /api/open (no token)").includes("without a token"), "Unprotected route caught");
+    assert(byName["GET /api/crash"].status === 500 && problem("GET /api/crash").includes("items is not defined"), "500 caught with the server message");
+    assert(problem("GET /api/strict").includes("rejected a valid token"), "Token rejection caught");
+    assert(problem("GET /api/missing").includes("route not found"), "Unmounted route (HTML 404) caught");
+    assert(report.failures.length === 5, "Exactly the broken routes fail");
+
+    const lines = formatContractFailures(report.failures);
+    assert(lines.every(l => l.startsWith("CONTRACT ")) && lines.some(l => l.includes("→ 500")), "Failures formatted for executionResult.errors");
+  } finally {
+    server.close();
+  }
+
+  // ─── Executor: stale contract failures ───────────────────
+  console.log("\n── Executor resets contract failures ──");
+
+  const staleFailure = { name: "GET /api/todos", method: "GET", path: "/api/todos", status: 500, ok: false, problems: ["old crash"] };
+  const debugState = { tier: 1, attempts: 1, maxAttempts: 3, rollbackAttempted: false, contractFailures: [staleFailure] };
+  const sandboxDir = fs.mkdtempSync(path.join(os.tmpdir(), "contract-executor-"));
+  const previousSandboxDir = process.env.SANDBOX_DIR;
+  process.env.SANDBOX_DIR = sandboxDir;
+  const log = console.log;
+  let sandboxId;
+
+  try {
+    console.log = () => {};
+    const idle = executorAgentNode({ currentTask: null, sandboxId: null, debugState });
+    sandboxId = await createSandbox("", { backend: { name: "contract-backend" } }, null);
+    writeFile(sandboxId, "backend/src/utils/format.js", "export const format = (x) => String(x);\n");
+    const task = { id: "T-2", title: "Format helper" };
+    const missing = executorAgentNode({
+      currentTask: task, sandboxId, debugState, fileRegistry: [],
+      coderOutput: { files: [{ path: "backend/src/utils/missing.js" }] },
+    });
+    const clean = executorAgentNode({
+      currentTask: task, sandboxId, debugState, fileRegistry: [],
+      coderOutput: { files: [{ path: "backend/src/utils/format.js" }] },
+    });
+    console.log = log;
+
+    assert(idle.debugState.contractFailures.length === 0, "Nothing to test → stale failures cleared");
+    assert(missing.executionResult.result === "fail" && missing.debugState.contractFailures.length === 0,
+      "Earlier check fails → Debugger doesn't get the old contract failures");
+    assert(clean.executionResult.result === "pass" && clean.debugState.contractFailures.length === 0,
+      "Contract stage not run (no route files, no Docker) → cleared");
+    assert(clean.debugState.attempts === 1 && clean.debugState.tier === 1, "Rest of debugState kept");
+  } finally {
+    if (sandboxId) destroySandbox(sandboxId);
+    console.log = log;
+    if (previousSandboxDir === undefined) delete process.env.SANDBOX_DIR;
+    else process.env.SANDBOX_DIR = previousSandboxDir;
+    fs.rmSync(sandboxDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+  if (failed > 0) process.exit(1);
+}
+
+runTest().catch(err => { console.error("  ❌", err.message); console.error(err.stack); process.exit(1); });
@@ -0,0 +1,270 @@
+/**
+ * test-export.js — Test Project Export (No API, no Docker needed)
+ * Run: node tests/test-export.js
+ *
+ * Builds a throwaway sandbox (git repo + node_modules), exports it as
+ * zip and tar.gz and reads the archives back: file lists, contents,
+ * include/exclude options, snapshot tags and the manifest. Aborted
+ * downloads (client gone while the writer waits for "drain" or
+ * "finish") must make the writer fail, not hang.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import http from "http";
+import { PassThrough, Writable } from "stream";
+import crypto from "crypto";
+import { execSync } from "child_process";
+import {
+  parseExportOptions, prepareExport, ExportError, MANIFEST_FILE,
+} from "../server/services/projectExport.js";
+import { crc32, writeZip, writeTarGz, ClientGoneError } from "../server/services/archive.js";
+
+console.log("\n🧪 TEST: Project Export (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "aidev-export-"));
+process.env.SANDBOX_DIR = tmpRoot;
+
+const sandboxId = "sandbox-export-test";
+const sandboxPath = path.join(tmpRoot, sandboxId);
+const LONG_PATH = `frontend/src/components/${"deeply-nested-folder/".repeat(5)}Component.jsx`;
+// Bigger than one pipe read → the snapshot blob arrives in several chunks
+const BINARY = crypto.randomBytes(300 * 1024);
+
+function write(rel, content) {
+  fs.mkdirSync(path.dirname(path.join(sandboxPath, rel)), { recursive: true });
+  fs.writeFileSync(path.join(sandboxPath, rel), content);
+}
+
+function setupSandbox() {
+  write("backend/src/index.js", "console.log('v1');\n");
+  write("frontend/src/App.jsx", "export default function App() {}\n");
+  write(LONG_PATH, "export const Deep = () => null;\n");
+  write(".gitignore", "node_modules/\n");
+  write("backend/assets/logo.bin", BINARY);
+  fs.symlinkSync("src/index.js", path.join(sandboxPath, "backend/main.js"));
+  const git = (cmd) => execSync(cmd, { cwd: sandboxPath, stdio: "pipe" });
+  git("git init -q");
+  git("git add -A");
+  git('git -c user.email=t@t -c user.name=t commit -q -m "Task 1"');
+  git("git tag v0.1.0");
+
+  // After the snapshot: change one file, add another, install a package
+  write("backend/src/index.js", "console.log('v2');\n");
+  write("backend/src/routes/todoRoutes.js", "export default {};\n");
+  write("backend/node_modules/express/index.js", "module.exports = {};\n");
+  fs.mkdirSync(path.join(sandboxPath, "backend/node_modules/.bin"), { recursive: true });
+  fs.symlinkSync("../express/index.js", path.join(sandboxPath, "backend/node_modules/.bin/express"));
+}
+
+const state = {
+  sandboxId,
+  userRequirement: "todo app",
+  clarifiedSpec: { appName: "Todo App" },
+  blueprint: { entities: [{ name: "Todo" }] },
+  taskStatuses: { "backend-1": "done" },
+  tokenUsage: { calls: [{}, {}], totalInput: 100, totalOutput: 50, estimatedCost: 0.01 },
+};
+
+// ─── Archive readers (just enough to check the output) ───────
+
+async function render(query) {
+  const prepared = prepareExport(state, "project-1", parseExportOptions(query));
+  const out = new PassThrough();
+  const chunks = [];
+  out.on("data", c => chunks.push(c));
+  try {
+    await prepared.write(prepared.entries, out);
+  } finally {
+    prepared.close();
+  }
+  return { ...prepared, buffer: Buffer.concat(chunks) };
+}
+
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const size = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const mode = buffer.readUInt32LE(pos + 38) >>> 16;
+    const offset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.subarray(pos + 46, pos + 46 + nameLength).toString();
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const raw = buffer.subarray(dataStart, dataStart + size);
+    const content = method === 8 ? zlib.inflateRawSync(raw) : raw;
+    files[name] = { content: content.toString(), raw: content, crcOk: crc32(content) === crc, mode };
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+function readTarGz(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const files = {};
+  let pos = 0;
+  let paxPath = null;
+  while (pos + 512 <= tar.length && tar[pos] !== 0) {
+    const field = (o, l) => tar.subarray(pos + o, pos + o + l).toString().replace(/\0.*$/s, "");
+    const size = parseInt(field(124, 12), 8);
+    const type = field(156, 1);
+    const body = tar.subarray(pos + 512, pos + 512 + size).toString();
+    if (type === "x") {
+      paxPath = body.match(/ path=(.*)\n/)[1];
+    } else {
+      files[paxPath || field(0, 100)] = { content: body, type, linkname: field(157, 100) };
+      paxPath = null;
+    }
+    pos += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+// Settles → { error }, or "hang" if the writer is still stuck after `ms`
+function settlesWithin(promise, ms = 5000) {
+  let timer;
+  const hang = new Promise(resolve => { timer = setTimeout(() => resolve("hang"), ms); });
+  return Promise.race([promise.then(() => ({ error: null }), error => ({ error })), hang])
+    .finally(() => clearTimeout(timer));
+}
+
+// Incompressible entries, far more than socket buffers hold
+const bigEntries = (count, size = 1024 * 1024) => Array.from({ length: count }, (_, i) => ({
+  path: `blob-${i}.bin`, type: "file", mode: 0o644, mtime: Date.now(), read: () => crypto.randomBytes(size),
+}));
+
+// A response that never completes: writes stall (→ waits for "drain"),
+// or with stallFinal only end() does (→ waits for "finish")
+const stalledOut = ({ stallFinal = false } = {}) => new Writable({
+  highWaterMark: 1024,
+  write(chunk, encoding, callback) { if (!stallFinal) return; callback(); },
+  final() {},
+});
+
+async function runTest() {
+  setupSandbox();
+
+  // ─── Options ─────────────────────────────────────────────
+  console.log("── Options ──");
+
+  const defaults = parseExportOptions({});
+  assert(defaults.format === "zip" && !defaults.includeNodeModules && !defaults.includeGit && defaults.includeManifest, "Defaults: zip, no node_modules/.git, with manifest");
+  assert(parseExportOptions({ nodeModules: "true", manifest: "false" }).includeNodeModules === true
+    && parseExportOptions({ manifest: "false" }).includeManifest === false, "Boolean flags parsed");
+
+  const badFormat = (() => { try { parseExportOptions({ format: "rar" }); } catch (e) { return e; } })();
+  assert(badFormat instanceof ExportError && badFormat.status === 400, "Unknown format → 400");
+  const badTag = (() => { try { parseExportOptions({ snapshot: "HEAD; rm -rf /" }); } catch (e) { return e; } })();
+  assert(badTag instanceof ExportError, "Snapshot must look like v0.N.0");
+
+  assert(crc32(Buffer.from("123456789")) === 0xcbf43926 && crc32(Buffer.alloc(0)) === 0, "CRC-32 check value (no zlib.crc32 needed)");
+
+  // ─── Working tree as zip ─────────────────────────────────
+  console.log("\n── zip (working tree) ──");
+
+  const zip = await render({});
+  const zipFiles = readZip(zip.buffer);
+
+  assert(zip.fileName === "todo-app-latest.zip" && zip.contentType === "application/zip", "File name + content type");
+  assert(zipFiles["backend/src/index.js"]?.content === "console.log('v2');\n", "Current file contents");
+  assert(zipFiles["backend/src/routes/todoRoutes.js"] && zipFiles[LONG_PATH], "New + long-path files included");
+  assert(Object.values(zipFiles).every(f => f.crcOk), "CRCs match");
+  assert(!Object.keys(zipFiles).some(p => p.includes("node_modules") || p.startsWith(".git/")), "node_modules and .git excluded by default");
+
+  const manifest = JSON.parse(zipFiles[MANIFEST_FILE].content);
+  assert(manifest.taskStatuses["backend-1"] === "done" && manifest.blueprint.entities.length === 1, "Manifest has blueprint + task statuses");
+  assert(manifest.tokenUsage.estimatedCost === 0.01 && manifest.tokenUsage.calls === 2, "Manifest has token usage");
+  assert(manifest.files.includes("backend/src/index.js") && manifest.snapshot === null, "Manifest lists files");
+
+  // ─── Working tree as tar.gz with extras ──────────────────
+  console.log("\n── tar.gz (node_modules + .git) ──");
+
+  const tgz = await render({ format: "tar.gz", nodeModules: "true", git: "true", manifest: "false" });
+  const tarFiles = readTarGz(tgz.buffer);
+
+  assert(tgz.fileName.endsWith(".tar.gz"), "tar.gz file name");
+  assert(tarFiles["backend/node_modules/express/index.js"]?.content === "module.exports = {};\n", "node_modules included on request");
+  assert(tarFiles["backend/node_modules/.bin/express"]?.type === "2" && tarFiles["backend/node_modules/.bin/express"].linkname === "../express/index.js", "Symlinks kept as symlinks");
+  assert(Object.keys(tarFiles).some(p => p.startsWith(".git/")), ".git included on request");
+  assert(tarFiles[LONG_PATH]?.content.includes("Deep"), "Paths over 100 bytes survive (PAX)");
+  assert(!tarFiles[MANIFEST_FILE], "Manifest can be left out");
+
+  // ─── Snapshot tag ────────────────────────────────────────
+  console.log("\n── Snapshot ──");
+
+  const snap = await render({ snapshot: "v0.1.0" });
+  const snapFiles = readZip(snap.buffer);
+
+  assert(snap.fileName === "todo-app-v0.1.0.zip", "Snapshot in the file name");
+  assert(snapFiles["backend/src/index.js"]?.content === "console.log('v1');\n", "Contents as of the tag");
+  assert(!snapFiles["backend/src/routes/todoRoutes.js"], "Files added after the tag are not included");
+  assert(snapFiles[LONG_PATH] && JSON.parse(snapFiles[MANIFEST_FILE].content).snapshot === "v0.1.0", "Manifest records the snapshot");
+  assert(snapFiles["backend/assets/logo.bin"]?.raw.equals(BINARY) && Object.values(snapFiles).every(f => f.crcOk),
+    "Large binary blob streamed from git intact");
+  assert(snapFiles["backend/main.js"]?.content === "src/index.js" && (snapFiles["backend/main.js"].mode & 0o170000) === 0o120000,
+    "Committed symlink kept as a symlink");
+
+  const snapTar = readTarGz((await render({ format: "tar.gz", snapshot: "v0.1.0" })).buffer);
+  assert(snapTar["backend/src/index.js"]?.content === "console.log('v1');\n" && snapTar[LONG_PATH], "Snapshot as tar.gz");
+
+  const missingTag = await render({ snapshot: "v0.9.0" }).catch(e => e);
+  assert(missingTag instanceof ExportError && missingTag.status === 404, "Unknown tag → 404");
+
+  const noSandbox = (() => { try { prepareExport({}, "p", defaults); } catch (e) { return e; } })();
+  assert(noSandbox instanceof ExportError && noSandbox.status === 404, "No sandbox → 404");
+
+  // ─── Aborted download ──────────────────────────────────
+  console.log("\n── Aborted download ──");
+
+  // Real HTTP: the client reads one chunk, then hangs up
+  let served;
+  const server = http.createServer((req, res) => {
+    served = writeZip(bigEntries(64), res);
+    served.catch(() => {});
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  await new Promise((resolve, reject) => {
+    const req = http.get({ host: "127.0.0.1", port: server.address().port, path: "/" }, (res) => {
+      res.once("data", () => { req.destroy(); resolve(); });
+    });
+    req.on("error", (err) => { if (!req.destroyed) reject(err); });
+  });
+  const aborted = await settlesWithin(served);
+  server.close();
+  assert(aborted !== "hang" && aborted.error instanceof ClientGoneError, "Client hangs up mid-download → zip writer rejects");
+
+  const drainOut = stalledOut();
+  const tarWait = writeTarGz(bigEntries(4), drainOut);
+  setTimeout(() => drainOut.destroy(), 50);
+  const tarResult = await settlesWithin(tarWait);
+  assert(tarResult !== "hang" && tarResult.error instanceof ClientGoneError, "Destroyed while waiting for \"drain\" → tar.gz writer rejects");
+
+  const finishOut = stalledOut({ stallFinal: true });
+  const zipWait = writeZip([{ path: "a.txt", type: "file", mode: 0o644, mtime: Date.now(), read: () => Buffer.from("a") }], finishOut);
+  setTimeout(() => finishOut.destroy(), 50);
+  const zipResult = await settlesWithin(zipWait);
+  assert(zipResult !== "hang" && zipResult.error instanceof ClientGoneError, "Destroyed while waiting for \"finish\" → zip writer rejects");
+
+  const goneOut = new PassThrough();
+  goneOut.destroy();
+  const early = await settlesWithin(writeZip(bigEntries(1, 10), goneOut));
+  assert(early.error instanceof ClientGoneError, "Already closed response → fails on the first write");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,151 @@
+/**
+ * test-feedback.js — Test Post-Delivery Feedback Loop (No API needed)
+ * Run: node tests/test-feedback.js
+ *
+ * Verifies: scope drift math, feedback → task conversion, loop stop
+ * conditions, routing (bugs → debugger), and the full loop wiring
+ * with mock collect/triage nodes.
+ */
+
+import { StateGraph, START, END, MemorySaver } from "@langchain/langgraph";
+import { AgentState } from "../src/config/state.js";
+import { buildGraph } from "../src/config/graph.js";
+import { collectFeedbackNode, collectFeedbackRouter, feedbackStopReason, MAX_SCOPE_DRIFT } from "../src/nodes/collectFeedback.js";
+import { computeScopeDrift, feedbackItemsToTasks, triageFeedbackRouter } from "../src/nodes/triageFeedback.js";
+import { selectNextTaskNode, selectNextTaskRouter } from "../src/nodes/selectNextTask.js";
+
+console.log("\n🧪 TEST: Feedback Loop (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const spec = {
+  appName: "todo",
+  features: [{ name: "CRUD" }, { name: "Categories" }, { name: "Auth" }],
+  pages: [{ name: "List" }],
+};
+
+async function runTest() {
+  // ─── Scope drift ─────────────────────────────────────────
+  console.log("── Scope drift ──");
+
+  assert(computeScopeDrift([{ type: "bug", inSpec: false }], spec) === 0, "Bugs never add drift");
+  assert(computeScopeDrift([{ type: "feature", inSpec: true }], spec) === 0, "In-spec items never add drift");
+  assert(computeScopeDrift([{ type: "feature", inSpec: false }], spec) === 0.25, "New feature = 1 / (features + pages)");
+  assert(computeScopeDrift([{ type: "change", inSpec: false }], spec) === 0.125, "Change counts half a feature");
+  assert(computeScopeDrift([{ type: "feature" }], null) === 1, "Missing spec → baseline of 1");
+
+  // ─── Items → tasks ───────────────────────────────────────
+  console.log("\n── Feedback items → tasks ──");
+
+  const tasks = feedbackItemsToTasks([
+    { type: "feature", title: "Tags", description: "Add tags" },
+    { type: "change", title: "Sort", description: "Sort by date", files: ["frontend/src/pages/List.jsx"] },
+    { type: "bug", title: "Delete", description: "Delete does nothing", files: ["backend/src/routes/todoRoutes.js"] },
+  ], 2);
+
+  assert(tasks.length === 2, "Features are left for the Planner");
+  assert(tasks[0].feedbackType === "bug" && tasks[0].taskId === "feedback2-bug-1", "Bugs first, with feedback ids");
+  assert(tasks[1].filesToCreate[0] === "frontend/src/pages/List.jsx", "Change targets the existing file");
+  assert(tasks.every(t => t.canParallelize === false), "Feedback fixes run sequentially");
+
+  // ─── Stop conditions ─────────────────────────────────────
+  console.log("\n── Stop conditions ──");
+
+  assert(feedbackStopReason({ feedbackIteration: 0, maxFeedbackIterations: 3, scopeDrift: 0 }) === null, "Keeps going under the limits");
+  assert(feedbackStopReason({ feedbackIteration: 3, maxFeedbackIterations: 3 })?.includes("limit"), "Stops at the iteration limit");
+  assert(feedbackStopReason({ feedbackIteration: 1, scopeDrift: MAX_SCOPE_DRIFT + 0.1 })?.includes("drift"), "Stops when drift is too high");
+
+  const stopped = await collectFeedbackNode({ feedbackIteration: 3, maxFeedbackIterations: 3 });
+  assert(stopped.currentPhase === "done" && collectFeedbackRouter({ ...stopped }) === "__end__", "Limit reached → END without asking");
+
+  // ─── Routing ─────────────────────────────────────────────
+  console.log("\n── Routing ──");
+
+  assert(collectFeedbackRouter({ currentPhase: "feedback" }) === "triageFeedback", "Feedback → triageFeedback");
+  assert(triageFeedbackRouter({ currentPhase: "dev_loop" }) === "selectNextTask", "Queued tasks → selectNextTask");
+  assert(triageFeedbackRouter({ currentPhase: "feedback_triaged" }) === "collectFeedback", "Nothing queued → ask again");
+
+  const bugPick = selectNextTaskNode({
+    taskQueue: { phases: [{ phaseNumber: 1, phaseName: "feedback-1", tasks: [tasks[0]] }] },
+    taskStatuses: {},
+    maxParallelTasks: 3,
+  });
+  assert(selectNextTaskRouter(bugPick) === "debuggerAgent", "User-reported bug → debuggerAgent");
+  assert(bugPick.executionResult?.errors.includes("Delete does nothing"), "Bug report is handed to the Debugger as the error");
+
+  // ─── Real graph compiles with the new nodes ──────────────
+  const compiledReal = buildGraph();
+  const realNodes = Object.keys(compiledReal.nodes || {});
+  assert(realNodes.includes("collectFeedback") && realNodes.includes("triageFeedback"), "buildGraph includes feedback nodes");
+
+  // ─── Loop wiring with mocks ──────────────────────────────
+  console.log("\n── Loop wiring ──");
+
+  const nodeOrder = [];
+  const answers = ["the delete button does nothing", ""];
+
+  const graph = new StateGraph(AgentState);
+  graph.addNode("selectNextTask", (s) => { nodeOrder.push("selectNextTask"); return selectNextTaskNode(s); });
+  graph.addNode("debuggerAgent", (s) => { nodeOrder.push("debuggerAgent"); return {}; });
+  graph.addNode("fixTask", (s) => {
+    nodeOrder.push(`fix:${s.currentTask.taskId}`);
+    return { taskStatuses: { [s.currentTask.taskId]: "done" }, currentTask: null };
+  });
+  graph.addNode("phaseVerification", (s) => {
+    nodeOrder.push("phaseVerification");
+    return { taskStatuses: { [`phase-${s.currentTask.phase.phaseNumber}-verified`]: true } };
+  });
+  graph.addNode("presentToUser", () => { nodeOrder.push("presentToUser"); return { currentPhase: "done", userSatisfied: false }; });
+  graph.addNode("collectFeedback", (s) => {
+    nodeOrder.push("collectFeedback");
+    const text = answers.shift();
+    if (!text) return { userSatisfied: true, currentPhase: "done" };
+    return { userFeedback: { iteration: s.feedbackIteration + 1, text }, feedbackIteration: s.feedbackIteration + 1, currentPhase: "feedback" };
+  });
+  graph.addNode("triageFeedback", (s) => {
+    nodeOrder.push("triageFeedback");
+    const fix = feedbackItemsToTasks([{ type: "bug", title: "Delete", description: s.userFeedback.at(-1).text, files: ["a.js"] }], s.feedbackIteration);
+    const phases = s.taskQueue.phases;
+    return {
+      taskQueue: { phases: [...phases, { phaseNumber: phases.length + 1, phaseName: "feedback-1", tasks: fix }] },
+      currentPhase: "dev_loop",
+    };
+  });
+
+  graph.addEdge(START, "presentToUser");
+  graph.addEdge("presentToUser", "collectFeedback");
+  graph.addConditionalEdges("collectFeedback", collectFeedbackRouter, { triageFeedback: "triageFeedback", __end__: END });
+  graph.addConditionalEdges("triageFeedback", triageFeedbackRouter, { selectNextTask: "selectNextTask", collectFeedback: "collectFeedback" });
+  graph.addConditionalEdges("selectNextTask", selectNextTaskRouter, {
+    contextBuilder: "fixTask",
+    parallelTaskRunner: "fixTask",
+    debuggerAgent: "debuggerAgent",
+    phaseVerification: "phaseVerification",
+    presentToUser: "presentToUser",
+  });
+  graph.addEdge("debuggerAgent", "fixTask");
+  graph.addEdge("fixTask", "selectNextTask");
+  graph.addEdge("phaseVerification", "selectNextTask");
+
+  const compiled = graph.compile({ checkpointer: new MemorySaver() });
+  const finalState = await compiled.invoke({
+    clarifiedSpec: spec,
+    taskQueue: { phases: [{ phaseNumber: 1, phaseName: "setup", tasks: [] }] },
+    taskStatuses: { "phase-1-verified": true },
+  }, { configurable: { thread_id: "test-feedback" } });
+
+  console.log(`\n  Node order: ${nodeOrder.join(" → ")}\n`);
+
+  assert(nodeOrder.indexOf("triageFeedback") === 2, "presentToUser → collectFeedback → triageFeedback");
+  assert(nodeOrder.includes("debuggerAgent") && nodeOrder.indexOf("debuggerAgent") < nodeOrder.indexOf("fix:feedback1-bug-1"), "Bug goes through the Debugger before the fix");
+  assert(nodeOrder.filter(n => n === "presentToUser").length === 2, "Project presented again after the fix");
+  assert(nodeOrder[nodeOrder.length - 1] === "collectFeedback", "Ends at collectFeedback when the user is satisfied");
+  assert(finalState.userSatisfied === true, "userSatisfied set");
+  assert(finalState.feedbackIteration === 1 && finalState.userFeedback.length === 1, "One feedback round recorded");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+  if (failed > 0) process.exit(1);
+}
+
+runTest().catch(err => { console.error("  ❌", err.message); console.error(err.stack); process.exit(1); });
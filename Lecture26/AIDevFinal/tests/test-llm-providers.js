@@ -0,0 +1,118 @@
+/**
+ * test-llm-providers.js — Test LLM Provider Layer (No API needed)
+ * Run: node tests/test-llm-providers.js
+ *
+ * Verifies: scripted mock responses, callGemini's JSON extraction /
+ * truncation repair / retries / budget check through any provider,
+ * record/replay fixtures, and LLM_PROVIDER selection.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { callGemini, safeCallGemini, setProvider, initGemini, getProvider } from "../src/utils/gemini.js";
+import {
+  createMockProvider, createRecordReplayProvider, createProviderFromEnv, fixtureKey,
+} from "../src/utils/llmProviders.js";
+
+console.log("\n🧪 TEST: LLM Providers (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "aidev-llm-"));
+const call = (agentName, userPrompt = "input", extra = {}) =>
+  callGemini({ systemPrompt: "system", userPrompt, agentName, ...extra });
+
+async function runTest() {
+  // ─── Mock provider ───────────────────────────────────────
+  console.log("── Mock provider ──");
+
+  const mock = setProvider(createMockProvider({
+    pmAgent: { status: "spec_ready" },
+    plannerAgent: [{ n: 1 }, { n: 2 }],
+    coderAgent: ({ userPrompt, callIndex }) => ({ path: userPrompt, callIndex }),
+  }));
+
+  assert((await call("pmAgent")).parsed.status === "spec_ready", "Object response comes back parsed");
+  const plans = [await call("plannerAgent"), await call("plannerAgent"), await call("plannerAgent")];
+  assert(plans.map(p => p.parsed.n).join() === "1,2,2", "Array = one per call, last one repeats");
+  assert((await call("coderAgent", "a.js")).parsed.path === "a.js", "Function response sees the prompt");
+  assert(mock.calls.length === 5 && mock.calls[0].systemPrompt === "system", "Calls are recorded");
+
+  const missing = await safeCallGemini({ systemPrompt: "s", userPrompt: "u", agentName: "reviewerAgent" });
+  assert(!missing.ok && missing.error.includes("MOCK_NO_RESPONSE"), "Unscripted agent → safeCallGemini ok:false");
+
+  // ─── callGemini behaviour is provider-independent ────────
+  console.log("\n── JSON handling + retries ──");
+
+  setProvider(createMockProvider({
+    fenced: "```json\n{\"a\": 1}\n```",
+    chatty: "Sure! Here it is: {\"b\": 2} Hope that helps.",
+    truncated: "{\"files\": [{\"path\": \"x.js\", \"content\": \"const a = 1",
+    flaky: ["not json at all", { ok: true }],
+  }));
+
+  assert((await call("fenced")).parsed.a === 1, "Markdown fences stripped");
+  assert((await call("chatty")).parsed.b === 2, "Leading/trailing text stripped");
+  assert((await call("truncated")).parsed.files[0].path === "x.js", "Truncated JSON repaired");
+  const flaky = await call("flaky");
+  assert(flaky.parsed.ok === true && flaky.raw === '{"ok":true}', "Parse failure retried on the next response");
+  assert(flaky.tokens.input > 0 && flaky.tokens.cost > 0, "Token counts + cost computed");
+
+  let budgetError = null;
+  try { await call("fenced", "u", { currentCost: 2, tokenBudget: 1 }); } catch (e) { budgetError = e; }
+  assert(budgetError?.message.includes("TOKEN_BUDGET_EXCEEDED"), "Budget check still throws");
+
+  // ─── Record / replay ─────────────────────────────────────
+  console.log("\n── Record / replay ──");
+
+  const dir = path.join(tmpRoot, "fixtures");
+  const inner = createMockProvider({ pmAgent: { status: "recorded" } });
+
+  setProvider(createRecordReplayProvider({ dir, mode: "record", provider: inner }));
+  await call("pmAgent", "build a todo app");
+  const files = fs.readdirSync(dir);
+  assert(files.length === 1 && files[0].startsWith("pmAgent-"), "Recorded one fixture per agent + prompt");
+  assert(JSON.parse(fs.readFileSync(path.join(dir, files[0]), "utf-8")).userPromptPreview === "build a todo app", "Fixture keeps a prompt preview");
+
+  setProvider(createRecordReplayProvider({ dir, mode: "replay" }));
+  assert((await call("pmAgent", "build a todo app")).parsed.status === "recorded", "Replay returns the recorded response");
+  const miss = await safeCallGemini({ systemPrompt: "system", userPrompt: "something else", agentName: "pmAgent" });
+  assert(!miss.ok && miss.error.includes("REPLAY_MISS"), "Different prompt → REPLAY_MISS, no network");
+
+  setProvider(createRecordReplayProvider({ dir, mode: "auto", provider: inner }));
+  await call("pmAgent", "build a todo app");
+  await call("pmAgent", "a new prompt");
+  assert(inner.calls.length === 2 && fs.readdirSync(dir).length === 2, "Auto mode only records what is missing");
+
+  assert(fixtureKey("a", "p") === fixtureKey("a", "p") && fixtureKey("a", "p") !== fixtureKey("b", "p"), "Fixture key depends on agent + prompt");
+
+  // ─── Selection from env ──────────────────────────────────
+  console.log("\n── LLM_PROVIDER ──");
+
+  assert(createProviderFromEnv(null, { LLM_PROVIDER: "replay", LLM_FIXTURES_DIR: dir }).name === "replay:fixtures", "Replay needs no API key");
+  assert(createProviderFromEnv("fake-key", {}).name === "gemini", "Default is gemini");
+
+  let noKey = null;
+  try { createProviderFromEnv(null, {}); } catch (e) { noKey = e; }
+  assert(noKey?.message.includes("GEMINI_API_KEY"), "Gemini still requires a key");
+
+  let unknown = null;
+  try { createProviderFromEnv("k", { LLM_PROVIDER: "openai" }); } catch (e) { unknown = e; }
+  assert(unknown?.message.includes("Unknown LLM_PROVIDER"), "Unknown provider rejected");
+
+  process.env.LLM_PROVIDER = "replay";
+  process.env.LLM_FIXTURES_DIR = dir;
+  initGemini(undefined);
+  assert(getProvider().mode === "replay", "initGemini honours LLM_PROVIDER");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });
@@ -0,0 +1,225 @@
+/**
+ * test-parallel.js — Test Parallel Task Execution (No API needed)
+ * Run: node tests/test-parallel.js
+ *
+ * Uses the REAL selectNextTask + parallelTaskRunner with mock sub-nodes.
+ * Verifies: batch selection rules, the maxParallelTasks setting,
+ * concurrency limit, state merging, per-task snapshots, and sequential
+ * fallback for failed tasks.
+ */
+
+import { StateGraph, START, END, MemorySaver } from "@langchain/langgraph";
+import { AgentState, parseMaxParallelTasks, DEFAULT_MAX_PARALLEL_TASKS } from "../src/config/state.js";
+import { selectNextTaskNode, selectNextTaskRouter, findParallelBatch } from "../src/nodes/selectNextTask.js";
+import { createParallelTaskRunnerNode } from "../src/nodes/parallelTaskRunner.js";
+
+console.log("\n🧪 TEST: Parallel Task Execution (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const task = (taskId, filesToCreate, filesNeeded = [], canParallelize = true) =>
+  ({ taskId, title: `Task ${taskId}`, filesToCreate, filesNeeded, acceptanceCriteria: ["works"], canParallelize });
+
+// ─── TEST 1: Batch selection rules ─────────────────────────
+
+function testBatchSelection() {
+  console.log("── Batch selection ──");
+
+  const tasks = [
+    task("m-1", ["backend/src/models/User.js"]),
+    task("m-2", ["./backend/src/models/Product.js"]),
+    task("m-3", ["backend/src/models/Order.js"]),
+    task("m-4", ["backend/src/models/Cart.js"]),
+  ];
+  const queue = { phases: [{ phaseNumber: 1, phaseName: "models", tasks }] };
+
+  let batch = findParallelBatch(queue, tasks, 0, {}, 3);
+  assert(batch.length === 3, `Limit caps the batch (got ${batch.length})`);
+
+  batch = findParallelBatch(queue, tasks, 0, { "m-1": "done" }, 5);
+  assert(batch.length === 0, "Batch never starts on a finished task");
+
+  // Same output file → conflict
+  const clash = [task("a", ["src/x.js"]), task("b", ["./src/x.js"])];
+  batch = findParallelBatch({ phases: [{ tasks: clash }] }, clash, 0, {}, 3);
+  assert(batch.length === 1, "Tasks writing the same file are not batched");
+
+  // Needs a file an unfinished task creates → must wait
+  const chain = [task("a", ["src/db.js"]), task("b", ["src/user.js"], ["src/db.js"])];
+  batch = findParallelBatch({ phases: [{ tasks: chain }] }, chain, 0, {}, 3);
+  assert(batch.length === 1, "Task needing an unwritten file waits");
+
+  // Not parallelizable → batch stops there (queue order is kept)
+  const mixed = [task("a", ["a.js"]), task("b", ["b.js"], [], false), task("c", ["c.js"])];
+  batch = findParallelBatch({ phases: [{ tasks: mixed }] }, mixed, 0, {}, 3);
+  assert(batch.length === 1, "Batch stops at a non-parallelizable task");
+
+  // Shared read-only dependency is fine
+  const shared = [task("a", ["a.js"], ["db.js"]), task("b", ["b.js"], ["db.js"])];
+  batch = findParallelBatch({ phases: [{ tasks: shared }] }, shared, 0, {}, 3);
+  assert(batch.length === 2, "Tasks reading the same finished file are batched");
+}
+
+// ─── TEST 2: Full loop with mock sub-nodes ─────────────────
+
+async function testParallelLoop() {
+  console.log("\n── Parallel loop ──");
+
+  let inFlight = 0, maxInFlight = 0;
+  const nodeOrder = [];
+  const snapshots = [];
+  const attempts = {};
+
+  const tokenDelta = (agent) => ({ newCalls: [{ agent }], addedInput: 10, addedOutput: 5, addedCost: 0.001 });
+
+  const mockContext = (state) => ({ contextPackage: { task: state.currentTask } });
+  const mockCoder = async (state) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(r => setTimeout(r, 20));
+    inFlight--;
+    const files = state.currentTask.filesToCreate.map(p => ({ path: p, lines: 10 }));
+    return { coderOutput: { files }, tokenUsage: tokenDelta("coder") };
+  };
+  const mockRegistry = (state) => ({
+    fileRegistry: state.coderOutput.files.map(f => ({ path: f.path, exports: ["x"] })),
+  });
+  const mockReviewer = (state) => ({ reviewResult: { verdict: "approved", issues: [], reviewCycle: 1 } });
+  const mockExecutor = (state) => {
+    const id = state.currentTask.taskId;
+    attempts[id] = (attempts[id] || 0) + 1;
+    // p-2 fails inside the batch → must come back through the sequential path
+    const result = id === "p-2" ? "fail" : "pass";
+    return { executionResult: { result, output: "", errors: result === "fail" ? "boom" : "" } };
+  };
+  const mockSnapshot = (sandboxId, message, files) => {
+    snapshots.push({ message, files });
+    return { success: true, tag: `v0.${snapshots.length}.0` };
+  };
+
+  const runner = createParallelTaskRunnerNode({
+    contextBuilder: mockContext,
+    coderAgent: mockCoder,
+    updateRegistry: mockRegistry,
+    reviewerAgent: mockReviewer,
+    executorAgent: mockExecutor,
+    snapshot: mockSnapshot,
+  });
+
+  const graph = new StateGraph(AgentState);
+  graph.addNode("selectNextTask", (s) => { nodeOrder.push("selectNextTask"); return selectNextTaskNode(s); });
+  graph.addNode("parallelTaskRunner", (s) => { nodeOrder.push("parallelTaskRunner"); return runner(s); });
+  graph.addNode("sequentialTask", (s) => {
+    nodeOrder.push(`sequential:${s.currentTask.taskId}`);
+    return { taskStatuses: { [s.currentTask.taskId]: "done" }, currentTask: null };
+  });
+  graph.addNode("phaseVerification", (s) => {
+    nodeOrder.push("phaseVerification");
+    return { taskStatuses: { [`phase-${s.currentTask.phase.phaseNumber}-verified`]: true } };
+  });
+  graph.addNode("presentToUser", () => { nodeOrder.push("presentToUser"); return { currentPhase: "done" }; });
+
+  graph.addEdge(START, "selectNextTask");
+  graph.addConditionalEdges("selectNextTask", selectNextTaskRouter, {
+    contextBuilder: "sequentialTask",
+    parallelTaskRunner: "parallelTaskRunner",
+    phaseVerification: "phaseVerification",
+    presentToUser: "presentToUser",
+  });
+  graph.addEdge("parallelTaskRunner", "selectNextTask");
+  graph.addEdge("sequentialTask", "selectNextTask");
+  graph.addEdge("phaseVerification", "selectNextTask");
+  graph.addEdge("presentToUser", END);
+
+  const compiled = graph.compile({ checkpointer: new MemorySaver() });
+
+  const finalState = await compiled.invoke({
+    taskQueue: {
+      phases: [{
+        phaseNumber: 1,
+        phaseName: "models",
+        tasks: [
+          task("p-1", ["backend/src/models/User.js"]),
+          task("p-2", ["backend/src/models/Product.js"]),
+          task("p-3", ["backend/src/models/Order.js"]),
+          task("p-4", ["backend/src/models/Cart.js"]),
+        ],
+      }],
+    },
+    sandboxId: "test-sandbox",
+    maxParallelTasks: 2,
+  }, { configurable: { thread_id: "test-parallel" } });
+
+  console.log(`\n  Node order: ${nodeOrder.join(" → ")}\n`);
+
+  assert(nodeOrder[1] === "parallelTaskRunner", "First batch runs in parallel");
+  assert(maxInFlight === 2, `Concurrency capped at maxParallelTasks (max in flight: ${maxInFlight})`);
+  assert(nodeOrder.includes("sequential:p-2"), "Failed task p-2 retried sequentially");
+  assert(!nodeOrder.some(n => n.startsWith("sequential:") && n !== "sequential:p-2"), "Only the failed task ran sequentially");
+  assert(attempts["p-2"] === 1, "Failed task not retried inside the batch");
+
+  const statuses = finalState.taskStatuses;
+  assert(["p-1", "p-2", "p-3", "p-4"].every(id => statuses[id] === "done"), "All tasks done");
+  assert(nodeOrder[nodeOrder.length - 1] === "presentToUser", "Ends with presentToUser");
+
+  const paths = finalState.fileRegistry.map(f => f.path).sort();
+  assert(paths.length === 3 && !paths.includes("backend/src/models/Product.js"),
+    `Registry has only the successful parallel tasks' files (${paths.join(", ")})`);
+
+  assert(finalState.tokenUsage.calls.length === 4, `Tokens from every branch are summed (${finalState.tokenUsage.calls.length} calls)`);
+  assert(finalState.tokenUsage.totalInput === 40, "Input tokens summed");
+
+  assert(snapshots.length === 3, `One snapshot per successful task (${snapshots.length})`);
+  assert(snapshots[0].message.includes("p-1") && snapshots[0].files[0] === "backend/src/models/User.js",
+    "Snapshots taken in queue order with the task's own files");
+
+  assert(finalState.parallelTasks.length === 0, "parallelTasks cleared after the batch");
+  assert(finalState.currentTask === null, "currentTask cleared after the batch");
+}
+
+// ─── TEST 3: maxParallelTasks setting ──────────────────────
+
+async function testParallelSetting() {
+  console.log("\n── maxParallelTasks setting ──");
+
+  assert(parseMaxParallelTasks(undefined) === DEFAULT_MAX_PARALLEL_TASKS && parseMaxParallelTasks("") === 3,
+    "Unset (no env, no flag) → default 3");
+  assert(parseMaxParallelTasks("1") === 1 && parseMaxParallelTasks(5) === 5, "Env strings and JSON numbers accepted");
+  assert(parseMaxParallelTasks(null, 2) === 2, "Fallback used when the override is missing");
+  for (const bad of ["0", "-1", "2.5", "lots", "(missing)"]) {
+    const error = (() => { try { parseMaxParallelTasks(bad); } catch (e) { return e; } })();
+    assert(error && error.message.includes(`got "${bad}"`), `Rejects ${JSON.stringify(bad)}`);
+  }
+
+  // A one-node graph shows what a fresh run starts with
+  const seen = [];
+  const probe = new StateGraph(AgentState)
+    .addNode("probe", (s) => { seen.push(s.maxParallelTasks); return {}; })
+    .addEdge(START, "probe")
+    .addEdge("probe", END)
+    .compile();
+
+  const previous = process.env.MAX_PARALLEL_TASKS;
+  process.env.MAX_PARALLEL_TASKS = "1";
+  try {
+    await probe.invoke({ userRequirement: "x" });
+    await probe.invoke({ userRequirement: "x", maxParallelTasks: 4 });
+  } finally {
+    if (previous === undefined) delete process.env.MAX_PARALLEL_TASKS;
+    else process.env.MAX_PARALLEL_TASKS = previous;
+  }
+  assert(seen[0] === 1, "New run defaults to MAX_PARALLEL_TASKS");
+  assert(seen[1] === 4, "Per-project value (CLI flag / POST body) wins over the env");
+}
+
+async function runTest() {
+  testBatchSelection();
+  await testParallelSetting();
+  await testParallelLoop();
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+  if (failed > 0) process.exit(1);
+}
+
+runTest().catch(err => { console.error("  ❌", err.message); console.error(err.stack); process.exit(1); });
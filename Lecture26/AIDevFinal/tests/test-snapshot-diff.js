@@ -0,0 +1,128 @@
+/**
+ * test-snapshot-diff.js — Test Snapshot Browsing + Diffs (No API, no Docker needed)
+ * Run: node tests/test-snapshot-diff.js
+ *
+ * Builds a throwaway sandbox with three snapshot tags (scaffold + two
+ * tasks) and checks: file listing, safe file reads, tag → taskId
+ * mapping, and side-by-side diffs between tags.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync } from "child_process";
+import {
+  listSandboxFiles, readSandboxFile, listSnapshots, diffSnapshots, toSideBySide, SnapshotError,
+} from "../server/services/snapshotDiff.js";
+
+console.log("\n🧪 TEST: Snapshot Diff (No API needed)\n");
+
+let passed = 0, failed = 0;
+function assert(c, m) { if (c) { console.log(`  ✅ PASS: ${m}`); passed++; } else { console.log(`  ❌ FAIL: ${m}`); failed++; } }
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "aidev-diff-"));
+const sandboxPath = path.join(tmpRoot, "sandbox-diff-test");
+
+function write(rel, content) {
+  fs.mkdirSync(path.dirname(path.join(sandboxPath, rel)), { recursive: true });
+  fs.writeFileSync(path.join(sandboxPath, rel), content);
+}
+
+function commit(message, tag) {
+  const git = (cmd) => execSync(cmd, { cwd: sandboxPath, stdio: "pipe" });
+  git("git add -A");
+  git(`git -c user.email=t@t -c user.name=t commit -q --allow-empty -m "${message}"`);
+  git(`git tag ${tag}`);
+}
+
+function setupSandbox() {
+  fs.mkdirSync(sandboxPath, { recursive: true });
+  execSync("git init -q", { cwd: sandboxPath, stdio: "pipe" });
+  write(".gitignore", "node_modules/\n");
+  write("backend/src/index.js", "import express from 'express';\nconst app = express();\napp.listen(5000);\n");
+  commit("Initial scaffold", "v0.0.0");
+
+  write("backend/src/models/todo.js", "export const todos = [];\n");
+  commit("Task models-1: Todo model", "v0.1.0");
+
+  write("backend/src/index.js", "import express from 'express';\nimport todoRoutes from './routes/todoRoutes.js';\nconst app = express();\napp.use('/api/todos', todoRoutes);\napp.listen(5000);\n");
+  write("backend/src/routes/todoRoutes.js", "export default {};\n");
+  fs.rmSync(path.join(sandboxPath, "backend/src/models/todo.js"));
+  commit("Task backend-1: Todo routes", "v0.2.0");
+
+  write("backend/node_modules/express/index.js", "module.exports = {};\n");
+}
+
+async function runTest() {
+  setupSandbox();
+
+  // ─── Files ───────────────────────────────────────────────
+  console.log("── Files ──");
+
+  const files = listSandboxFiles(sandboxPath);
+  assert(files.includes("backend/src/routes/todoRoutes.js") && files.includes(".gitignore"), "Lists every file");
+  assert(!files.some(f => f.includes("node_modules") || f.startsWith(".git/")), "Skips node_modules and .git");
+  assert(readSandboxFile(sandboxPath, "backend/src/routes/todoRoutes.js") === "export default {};\n", "Reads a file");
+  assert(readSandboxFile(sandboxPath, "missing.js") === null, "Missing file → null");
+  const escape = (() => { try { readSandboxFile(sandboxPath, "../../etc/passwd"); } catch (e) { return e; } })();
+  assert(escape instanceof SnapshotError && escape.status === 400, "Path traversal rejected");
+
+  // ─── Snapshots ───────────────────────────────────────────
+  console.log("\n── Snapshots ──");
+
+  const snapshots = listSnapshots(sandboxPath);
+  assert(snapshots.map(s => s.tag).join() === "v0.0.0,v0.1.0,v0.2.0", "Tags listed oldest first");
+  assert(snapshots[0].taskId === null && snapshots[2].taskId === "backend-1" && snapshots[2].title === "Todo routes", "Task message → taskId + title");
+  assert(snapshots[2].previousTag === "v0.1.0" && snapshots[2].commit.length === 40, "Previous tag + commit");
+  assert(listSnapshots(tmpRoot).length === 0, "Not a git repo → no snapshots");
+
+  // ─── Diff of one task ────────────────────────────────────
+  console.log("\n── Diff: one task ──");
+
+  const task = diffSnapshots(sandboxPath, { to: "v0.2.0" });
+  const byPath = Object.fromEntries(task.files.map(f => [f.path, f]));
+  assert(task.files.length === 3, `Three files changed (${task.files.length})`);
+  assert(byPath["backend/src/routes/todoRoutes.js"]?.status === "added", "New file → added");
+  assert(byPath["backend/src/models/todo.js"]?.status === "deleted", "Removed file → deleted");
+
+  const index = byPath["backend/src/index.js"];
+  assert(index?.status === "modified" && index.additions === 2 && index.deletions === 0, "Modified file with +/- counts");
+  const rows = index.hunks.flatMap(h => h.rows);
+  const addedRow = rows.find(r => r.type === "add" && r.right.text.includes("todoRoutes"));
+  assert(addedRow && addedRow.left === null && addedRow.right.line === 2, "Added line on the right with its line number");
+  assert(rows.some(r => r.type === "context" && r.left.line === 1 && r.right.line === 1), "Context lines on both sides");
+
+  const first = diffSnapshots(sandboxPath, { to: "v0.0.0" });
+  assert(first.files.length === 2 && first.files.every(f => f.status === "added"), "First snapshot diffs against the empty tree");
+
+  // ─── Diff between any two tags ───────────────────────────
+  console.log("\n── Diff: two tags ──");
+
+  const range = diffSnapshots(sandboxPath, { from: "v0.0.0", to: "v0.2.0" });
+  assert(range.from === "v0.0.0" && !range.files.some(f => f.path === "backend/src/models/todo.js"), "Added-then-deleted file cancels out");
+  assert(diffSnapshots(sandboxPath, { from: "v0.2.0", to: "v0.2.0" }).files.length === 0, "Same tag → no changes");
+
+  const full = diffSnapshots(sandboxPath, { from: "v0.0.0", to: "v0.2.0", context: 50 });
+  assert(full.files.find(f => f.path === "backend/src/index.js").hunks.length === 1, "Context widens the hunks");
+
+  const badTag = (() => { try { diffSnapshots(sandboxPath, { to: "HEAD; rm -rf /" }); } catch (e) { return e; } })();
+  assert(badTag instanceof SnapshotError && badTag.status === 400, "Invalid tag → 400");
+  const missing = (() => { try { diffSnapshots(sandboxPath, { to: "v0.9.0" }); } catch (e) { return e; } })();
+  assert(missing instanceof SnapshotError && missing.status === 404, "Unknown tag → 404");
+
+  // ─── Side-by-side pairing ────────────────────────────────
+  console.log("\n── Side-by-side rows ──");
+
+  const paired = toSideBySide([" a", "-b", "-c", "+B", " d", "+e"], 1, 1);
+  assert(paired.map(r => r.type).join() === "context,change,del,context,add", "- run paired with + run, leftovers del/add");
+  assert(paired[1].left.text === "b" && paired[1].right.text === "B" && paired[3].left.line === 4 && paired[3].right.line === 3, "Line numbers tracked per side");
+
+  console.log(`\n  ─── Summary: ${passed} passed, ${failed} failed ───\n`);
+}
+
+runTest()
+  .catch(err => { console.error("  ❌", err.message); console.error(err.stack); failed++; })
+  .finally(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    if (failed > 0) process.exit(1);
+  });